@@ -8,12 +8,19 @@
 // Unified external API configuration
 export const API_CONFIG = {
   dify: {
+    // API root including /v1; point at a self-hosted Dify or the fake in test/fakes
+    baseUrl: (process.env.DIFY_API_BASE_URL || 'https://api.dify.ai/v1').replace(/\/+$/, ''),
     uploadTimeout: parseInt(process.env.DIFY_UPLOAD_TIMEOUT || '300000'),    // 5 minutes
     workflowTimeout: parseInt(process.env.DIFY_WORKFLOW_TIMEOUT || '240000'), // 4 minutes
     maxRetries: parseInt(process.env.DIFY_MAX_RETRIES || '3'),
     retryDelay: parseInt(process.env.DIFY_RETRY_DELAY || '2000'),             // Initial delay (exponential backoff)
     retryableStatuses: [408, 429, 500, 502, 503, 504],
   },
+  // OpenAI-compatible chat completions (GENERATION_PROVIDER=openai)
+  llm: {
+    timeout: parseInt(process.env.LLM_TIMEOUT || '240000'),                   // 4 minutes
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '3'),
+  },
   // Minimum chunk success rate for job to be considered successful
   // Jobs with success rate below this will fail with INSUFFICIENT_SUCCESS_RATE
   minChunkSuccessRate: parseFloat(process.env.MIN_CHUNK_SUCCESS_RATE || '0.80'), // 80% minimum
@@ -29,12 +36,23 @@ export const ERROR_CODES = {
   DIFY_WORKFLOW_FAILED: 'DIFY_WORKFLOW_FAILED',
   DIFY_WORKFLOW_TIMEOUT: 'DIFY_WORKFLOW_TIMEOUT',
   
+  // Local Whisper errors
+  WHISPER_FAILED: 'WHISPER_FAILED',
+  
+  // OpenAI-compatible generation errors
+  LLM_REQUEST_FAILED: 'LLM_REQUEST_FAILED',
+  LLM_TIMEOUT: 'LLM_TIMEOUT',
+  LLM_EMPTY_RESPONSE: 'LLM_EMPTY_RESPONSE',
+  
   // Chunk processing errors
   CHUNK_PROCESS_FAILED: 'CHUNK_PROCESS_FAILED',
   
   // Quality threshold errors
   INSUFFICIENT_SUCCESS_RATE: 'INSUFFICIENT_SUCCESS_RATE',
   
+  // Job cancelled by the user
+  JOB_CANCELLED: 'JOB_CANCELLED',
+  
   // Network errors
   NETWORK_ERROR: 'NETWORK_ERROR',
   CONNECTION_REFUSED: 'CONNECTION_REFUSED',
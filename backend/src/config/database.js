@@ -49,6 +49,15 @@ export const initializeDatabase = async () => {
         slug VARCHAR(255) UNIQUE,
         logo VARCHAR(255),
         follow_summary_prompt TEXT DEFAULT NULL,
+        records_retention_months INT DEFAULT NULL,
+        follows_retention_months INT DEFAULT NULL,
+        audio_retention_days INT DEFAULT NULL,
+        skill_sheet_template TEXT DEFAULT NULL,
+        stt_provider VARCHAR(20) DEFAULT NULL,
+        skillsheet_prompt TEXT DEFAULT NULL,
+        lor_prompt TEXT DEFAULT NULL,
+        skills_prompt TEXT DEFAULT NULL,
+        hope_prompt TEXT DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
@@ -103,6 +112,24 @@ export const initializeDatabase = async () => {
 
     await pool.query(salesforceTable);
 
+    // Create staff table (one row per staff member per company; records/follows link via staff_ref_id)
+    const staffTable = `
+      CREATE TABLE IF NOT EXISTS staff (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        company_id INT NOT NULL,
+        staff_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) DEFAULT '',
+        salesforce_account_id VARCHAR(18) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_company_staff (company_id, staff_id),
+        INDEX idx_staff_company_name (company_id, name)
+      )
+    `;
+
+    await pool.query(staffTable);
+
     // Create records table
     const recordsTable = `
       CREATE TABLE IF NOT EXISTS records (
@@ -112,10 +139,12 @@ export const initializeDatabase = async () => {
         user_id INT,
         company_id INT,
         staff_id VARCHAR(255),
+        staff_ref_id INT DEFAULT NULL,
         staff_name VARCHAR(255) DEFAULT '',
         memo TEXT,
         audio_file_path VARCHAR(500),
         stt TEXT,
+        stt_segments LONGTEXT,
         skill_sheet LONGTEXT,
         lor LONGTEXT,
         salesforce LONGTEXT,
@@ -127,14 +156,26 @@ export const initializeDatabase = async () => {
         date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
+        deleted_by INT DEFAULT NULL,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
         FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL,
+        FOREIGN KEY (staff_ref_id) REFERENCES staff(id) ON DELETE SET NULL,
+        FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
         INDEX idx_company_id (company_id),
+        INDEX idx_company_deleted (company_id, deleted_at),
+        INDEX idx_deleted_at (deleted_at),
+        INDEX idx_staff_ref_date (staff_ref_id, date),
         INDEX idx_company_created (company_id, created_at DESC),
         INDEX idx_user_created (user_id, created_at DESC),
         INDEX idx_created_at (created_at DESC),
         INDEX idx_user_id (user_id),
-        INDEX idx_job_id (job_id)
+        INDEX idx_job_id (job_id),
+        INDEX idx_company_date (company_id, date),
+        INDEX idx_company_file_id (company_id, file_id),
+        INDEX idx_company_staff_id (company_id, staff_id),
+        INDEX idx_date (date),
+        FULLTEXT INDEX ft_records_content (stt, lor, hope) WITH PARSER ngram
       )
     `;
 
@@ -147,28 +188,133 @@ export const initializeDatabase = async () => {
         user_id INT,
         company_id INT,
         staff_id VARCHAR(255),
+        staff_ref_id INT DEFAULT NULL,
         staff_name VARCHAR(255) DEFAULT '',
         follow_date DATE DEFAULT NULL,
         title VARCHAR(1000) DEFAULT '',
         audio_file_path VARCHAR(500),
         stt TEXT,
+        stt_segments LONGTEXT,
         summary TEXT,
         salesforce_event_id VARCHAR(18) DEFAULT NULL,
         date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP NULL DEFAULT NULL,
+        deleted_by INT DEFAULT NULL,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
         FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL,
+        FOREIGN KEY (staff_ref_id) REFERENCES staff(id) ON DELETE SET NULL,
+        FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
         INDEX idx_follows_company_id (company_id),
+        INDEX idx_follows_company_deleted (company_id, deleted_at),
+        INDEX idx_follows_deleted_at (deleted_at),
+        INDEX idx_follows_staff_ref_date (staff_ref_id, date),
         INDEX idx_follows_company_created (company_id, created_at DESC),
         INDEX idx_follows_user_created (user_id, created_at DESC),
-        INDEX idx_follows_job_id (job_id)
+        INDEX idx_follows_job_id (job_id),
+        INDEX idx_follows_company_date (company_id, date),
+        INDEX idx_follows_company_file_id (company_id, file_id),
+        INDEX idx_follows_company_staff_id (company_id, staff_id),
+        INDEX idx_follows_date (date),
+        FULLTEXT INDEX ft_follows_content (stt, summary) WITH PARSER ngram
       )
     `;
 
     await pool.query(recordsTable);
     await pool.query(followsTable);
 
+    // Create revisions table (version history of AI outputs and user edits)
+    // Exactly one of record_id / follow_id is set; rows go away with their record/follow
+    const revisionsTable = `
+      CREATE TABLE IF NOT EXISTS revisions (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        record_id INT DEFAULT NULL,
+        follow_id INT DEFAULT NULL,
+        field VARCHAR(32) NOT NULL,
+        content MEDIUMTEXT,
+        source ENUM('ai', 'user') NOT NULL,
+        editor_id INT DEFAULT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (record_id) REFERENCES records(id) ON DELETE CASCADE,
+        FOREIGN KEY (follow_id) REFERENCES follows(id) ON DELETE CASCADE,
+        FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_revisions_record_field (record_id, field, id),
+        INDEX idx_revisions_follow_field (follow_id, field, id)
+      )
+    `;
+    await pool.query(revisionsTable);
+
+    // Create legal_holds table (exempts a record, a follow or every item of a staff member from auto-delete)
+    // target_id and staff_id keep the target in the audit trail after it is purged
+    const legalHoldsTable = `
+      CREATE TABLE IF NOT EXISTS legal_holds (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        company_id INT DEFAULT NULL,
+        target_type ENUM('record', 'follow', 'staff') NOT NULL,
+        target_id INT DEFAULT NULL,
+        staff_id VARCHAR(255) DEFAULT NULL,
+        record_id INT DEFAULT NULL,
+        follow_id INT DEFAULT NULL,
+        staff_ref_id INT DEFAULT NULL,
+        reason TEXT NOT NULL,
+        created_by INT DEFAULT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP NULL DEFAULT NULL,
+        released_by INT DEFAULT NULL,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (record_id) REFERENCES records(id) ON DELETE SET NULL,
+        FOREIGN KEY (follow_id) REFERENCES follows(id) ON DELETE SET NULL,
+        FOREIGN KEY (staff_ref_id) REFERENCES staff(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (released_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_legal_holds_record (record_id, released_at),
+        INDEX idx_legal_holds_follow (follow_id, released_at),
+        INDEX idx_legal_holds_staff (staff_ref_id, released_at),
+        INDEX idx_legal_holds_company (company_id, released_at)
+      )
+    `;
+    await pool.query(legalHoldsTable);
+
+    // Create deletion_notices table (uploaders warned ahead of the auto-delete jobs)
+    const deletionNoticesTable = `
+      CREATE TABLE IF NOT EXISTS deletion_notices (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        company_id INT DEFAULT NULL,
+        record_id INT DEFAULT NULL,
+        follow_id INT DEFAULT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        emailed_at TIMESTAMP NULL DEFAULT NULL,
+        dismissed_at TIMESTAMP NULL DEFAULT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (record_id) REFERENCES records(id) ON DELETE CASCADE,
+        FOREIGN KEY (follow_id) REFERENCES follows(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_deletion_notices_record (user_id, record_id),
+        UNIQUE KEY uniq_deletion_notices_follow (user_id, follow_id),
+        INDEX idx_deletion_notices_emailed (emailed_at)
+      )
+    `;
+    await pool.query(deletionNoticesTable);
+
+    // Create prompt_versions table (history of the per-company prompts; content NULL = default prompt)
+    const promptVersionsTable = `
+      CREATE TABLE IF NOT EXISTS prompt_versions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        company_id INT NOT NULL,
+        prompt_key VARCHAR(32) NOT NULL,
+        content TEXT,
+        editor_id INT DEFAULT NULL,
+        restored_from INT DEFAULT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_prompt_versions_company_key (company_id, prompt_key, id)
+      )
+    `;
+    await pool.query(promptVersionsTable);
+
     // Create invitations table
     const invitationsTable = `
       CREATE TABLE IF NOT EXISTS invitations (
@@ -198,7 +344,7 @@ export const initializeDatabase = async () => {
         user_id INT NOT NULL,
         company_id INT,
         staff_id VARCHAR(255),
-        status ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+        status ENUM('pending', 'processing', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
         progress INT DEFAULT 0,
         current_step VARCHAR(255) DEFAULT '',
         local_file_path VARCHAR(500),
@@ -208,6 +354,7 @@ export const initializeDatabase = async () => {
         error_message TEXT,
         record_id INT NULL,
         job_type ENUM('record', 'follow') NOT NULL DEFAULT 'record',
+        regenerate_fields JSON NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         completed_at TIMESTAMP NULL,
@@ -235,8 +382,11 @@ export const initializeDatabase = async () => {
         job_id BIGINT NOT NULL,
         chunk_index INT NOT NULL,
         chunk_file_path VARCHAR(500),
+        start_time DECIMAL(10,3),
+        end_time DECIMAL(10,3),
         status ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
         stt_result TEXT,
+        stt_segments LONGTEXT,
         error_message TEXT,
         retry_count INT DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -257,7 +407,7 @@ export const initializeDatabase = async () => {
         job_id BIGINT NOT NULL,
         step_name VARCHAR(50) NOT NULL,
         step_order INT NOT NULL,
-        status ENUM('pending', 'running', 'completed', 'failed', 'skipped') DEFAULT 'pending',
+        status ENUM('pending', 'running', 'completed', 'failed', 'skipped', 'cancelled') DEFAULT 'pending',
         started_at TIMESTAMP NULL,
         completed_at TIMESTAMP NULL,
         duration_ms INT NULL,
@@ -414,6 +564,45 @@ export const runMigrations = async () => {
     // Migration: Add async processing columns (job_type on processing_jobs, job_id on follows, follow_summary_prompt on companies)
     await addAsyncFollowColumns();
 
+    // Migration: Add indexes for server-side list sorting (date, file_id, staff_id)
+    await addListSortIndexes();
+
+    // Migration: Add ngram FULLTEXT indexes for transcript/summary search
+    await addFullTextSearchIndexes();
+
+    // Migration: Link records/follows to the staff table (add staff_ref_id, backfill staff rows)
+    await addStaffLinks();
+
+    // Migration: Add soft delete columns (deleted_at, deleted_by) to records and follows
+    await addSoftDeleteColumns();
+
+    // Migration: Add per-company retention policy columns to companies
+    await addRetentionPolicyColumns();
+
+    // Migration: Add per-company skill sheet PDF template column to companies
+    await addSkillSheetTemplateColumn();
+
+    // Migration: Add stt_segments (timed transcript segments) to records and follows
+    await addSttSegmentsColumns();
+
+    // Migration: Add per-company STT provider column to companies
+    await addSttProviderColumn();
+
+    // Migration: Add chunk timing and segments to chunk_processing (chunk-level retry)
+    await addChunkResumeColumns();
+
+    // Migration: Add regenerate_fields to processing_jobs (regeneration from the stored transcript)
+    await addRegenerateFieldsColumn();
+
+    // Migration: Add per-company record generation prompts to companies
+    await addGenerationPromptColumns();
+
+    // Migration: Add the 'cancelled' status to processing_jobs and job_steps
+    await addCancelledStatus();
+
+    // Migration: Keep legal holds (with a snapshot of their target) when the target is purged
+    await addLegalHoldTargetSnapshot();
+
     logger.info('Database migrations completed successfully');
   } catch (error) {
     logger.error('Error running migrations', error);
@@ -1236,4 +1425,473 @@ const addAsyncFollowColumns = async () => {
     logger.error('Error adding async follow columns', error);
     // Don't throw - allow initialization to continue
   }
-};
\ No newline at end of file
+};
+
+// Migration function: Add indexes backing the sort options of the records/follows lists
+const addListSortIndexes = async () => {
+  try {
+    const dbName = DB_NAME;
+
+    const indexExists = async (tableName, indexName) => {
+      const [indexes] = await pool.query(`
+        SELECT INDEX_NAME 
+        FROM INFORMATION_SCHEMA.STATISTICS 
+        WHERE TABLE_SCHEMA = ? 
+        AND TABLE_NAME = ? 
+        AND INDEX_NAME = ?
+      `, [dbName, tableName, indexName]);
+      return indexes.length > 0;
+    };
+
+    const createIndexIfNotExists = async (tableName, indexName, indexDefinition) => {
+      if (await indexExists(tableName, indexName)) {
+        logger.debug(`Index ${indexName} on ${tableName} already exists`);
+        return;
+      }
+      try {
+        await pool.query(`CREATE INDEX ${indexName} ON ${tableName} ${indexDefinition}`);
+        logger.info(`Created index ${indexName} on ${tableName}`);
+      } catch (error) {
+        logger.error(`Error creating index ${indexName} on ${tableName}`, error);
+      }
+    };
+
+    logger.info('Starting list sort indexes migration...');
+
+    // Records: company-scoped sorts for members/managers, global date sort for admin
+    await createIndexIfNotExists('records', 'idx_company_date', '(company_id, date)');
+    await createIndexIfNotExists('records', 'idx_company_file_id', '(company_id, file_id)');
+    await createIndexIfNotExists('records', 'idx_company_staff_id', '(company_id, staff_id)');
+    await createIndexIfNotExists('records', 'idx_date', '(date)');
+
+    // Follows
+    await createIndexIfNotExists('follows', 'idx_follows_company_date', '(company_id, date)');
+    await createIndexIfNotExists('follows', 'idx_follows_company_file_id', '(company_id, file_id)');
+    await createIndexIfNotExists('follows', 'idx_follows_company_staff_id', '(company_id, staff_id)');
+    await createIndexIfNotExists('follows', 'idx_follows_date', '(date)');
+
+    logger.info('List sort indexes migration completed');
+  } catch (error) {
+    logger.error('Error adding list sort indexes', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add ngram FULLTEXT indexes used by /api/search
+const addFullTextSearchIndexes = async () => {
+  try {
+    const dbName = DB_NAME;
+
+    const indexExists = async (tableName, indexName) => {
+      const [indexes] = await pool.query(`
+        SELECT INDEX_NAME 
+        FROM INFORMATION_SCHEMA.STATISTICS 
+        WHERE TABLE_SCHEMA = ? 
+        AND TABLE_NAME = ? 
+        AND INDEX_NAME = ?
+      `, [dbName, tableName, indexName]);
+      return indexes.length > 0;
+    };
+
+    logger.info('Starting full-text search indexes migration...');
+
+    // ngram parser tokenizes CJK text (ngram_token_size, default 2) so Japanese transcripts are searchable
+    if (!await indexExists('records', 'ft_records_content')) {
+      await pool.query('ALTER TABLE records ADD FULLTEXT INDEX ft_records_content (stt, lor, hope) WITH PARSER ngram');
+      logger.info('Added ft_records_content FULLTEXT index to records table');
+    }
+
+    if (!await indexExists('follows', 'ft_follows_content')) {
+      await pool.query('ALTER TABLE follows ADD FULLTEXT INDEX ft_follows_content (stt, summary) WITH PARSER ngram');
+      logger.info('Added ft_follows_content FULLTEXT index to follows table');
+    }
+
+    logger.info('Full-text search indexes migration completed');
+  } catch (error) {
+    logger.error('Error adding full-text search indexes', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Link records and follows to the staff table
+const addStaffLinks = async () => {
+  try {
+    const dbName = DB_NAME;
+
+    const columnExists = async (tableName, columnName) => {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME 
+        FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_SCHEMA = ? 
+        AND TABLE_NAME = ? 
+        AND COLUMN_NAME = ?
+      `, [dbName, tableName, columnName]);
+      return columns.length > 0;
+    };
+
+    logger.info('Starting staff links migration...');
+
+    // The staff table itself is created by initializeDatabase (CREATE TABLE IF NOT EXISTS)
+    if (!await columnExists('records', 'staff_ref_id')) {
+      await pool.query('ALTER TABLE records ADD COLUMN staff_ref_id INT DEFAULT NULL AFTER staff_id');
+      await pool.query('ALTER TABLE records ADD FOREIGN KEY (staff_ref_id) REFERENCES staff(id) ON DELETE SET NULL');
+      await pool.query('ALTER TABLE records ADD INDEX idx_staff_ref_date (staff_ref_id, date)');
+      logger.info('Added staff_ref_id column to records table');
+    }
+
+    if (!await columnExists('follows', 'staff_ref_id')) {
+      await pool.query('ALTER TABLE follows ADD COLUMN staff_ref_id INT DEFAULT NULL AFTER staff_id');
+      await pool.query('ALTER TABLE follows ADD FOREIGN KEY (staff_ref_id) REFERENCES staff(id) ON DELETE SET NULL');
+      await pool.query('ALTER TABLE follows ADD INDEX idx_follows_staff_ref_date (staff_ref_id, date)');
+      logger.info('Added staff_ref_id column to follows table');
+    }
+
+    // Backfill staff rows from existing records/follows (idempotent thanks to unique_company_staff)
+    const [inserted] = await pool.query(`
+      INSERT IGNORE INTO staff (company_id, staff_id, name)
+      SELECT company_id, staff_id, MAX(staff_name)
+      FROM (
+        SELECT company_id, TRIM(staff_id) as staff_id, COALESCE(staff_name, '') as staff_name FROM records
+        UNION ALL
+        SELECT company_id, TRIM(staff_id) as staff_id, COALESCE(staff_name, '') as staff_name FROM follows
+      ) as source
+      WHERE company_id IS NOT NULL AND staff_id IS NOT NULL AND staff_id != ''
+      GROUP BY company_id, staff_id
+    `);
+    if (inserted.affectedRows > 0) {
+      logger.info(`Backfilled ${inserted.affectedRows} staff rows`);
+    }
+
+    const [linkedRecords] = await pool.query(`
+      UPDATE records r
+      INNER JOIN staff s ON s.company_id = r.company_id AND s.staff_id = TRIM(r.staff_id)
+      SET r.staff_ref_id = s.id
+      WHERE r.staff_ref_id IS NULL
+    `);
+    const [linkedFollows] = await pool.query(`
+      UPDATE follows f
+      INNER JOIN staff s ON s.company_id = f.company_id AND s.staff_id = TRIM(f.staff_id)
+      SET f.staff_ref_id = s.id
+      WHERE f.staff_ref_id IS NULL
+    `);
+    logger.info('Staff links backfilled', {
+      records: linkedRecords.affectedRows,
+      follows: linkedFollows.affectedRows
+    });
+
+    logger.info('Staff links migration completed');
+  } catch (error) {
+    logger.error('Error adding staff links', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add soft delete columns to records and follows (trash bin)
+const addSoftDeleteColumns = async () => {
+  try {
+    const dbName = DB_NAME;
+
+    const columnExists = async (tableName, columnName) => {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME 
+        FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_SCHEMA = ? 
+        AND TABLE_NAME = ? 
+        AND COLUMN_NAME = ?
+      `, [dbName, tableName, columnName]);
+      return columns.length > 0;
+    };
+
+    logger.info('Starting soft delete columns migration...');
+
+    const tables = [
+      { table: 'records', indexPrefix: 'idx_' },
+      { table: 'follows', indexPrefix: 'idx_follows_' }
+    ];
+
+    for (const { table, indexPrefix } of tables) {
+      if (!await columnExists(table, 'deleted_at')) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL AFTER updated_at`);
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN deleted_by INT DEFAULT NULL AFTER deleted_at`);
+        await pool.query(`ALTER TABLE ${table} ADD FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL`);
+        await pool.query(`ALTER TABLE ${table} ADD INDEX ${indexPrefix}company_deleted (company_id, deleted_at)`);
+        await pool.query(`ALTER TABLE ${table} ADD INDEX ${indexPrefix}deleted_at (deleted_at)`);
+        logger.info(`Added soft delete columns to ${table} table`);
+      }
+    }
+
+    logger.info('Soft delete columns migration completed');
+  } catch (error) {
+    logger.error('Error adding soft delete columns', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+const addRetentionPolicyColumns = async () => {
+  try {
+    const dbName = DB_NAME;
+
+    const columnExists = async (tableName, columnName) => {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME 
+        FROM INFORMATION_SCHEMA.COLUMNS 
+        WHERE TABLE_SCHEMA = ? 
+        AND TABLE_NAME = ? 
+        AND COLUMN_NAME = ?
+      `, [dbName, tableName, columnName]);
+      return columns.length > 0;
+    };
+
+    logger.info('Starting retention policy columns migration...');
+
+    // NULL = system default (AUTO_DELETE_* env), 0 = never delete
+    const columns = [
+      { name: 'records_retention_months', after: 'follow_summary_prompt' },
+      { name: 'follows_retention_months', after: 'records_retention_months' },
+      { name: 'audio_retention_days', after: 'follows_retention_months' }
+    ];
+
+    for (const { name, after } of columns) {
+      if (!await columnExists('companies', name)) {
+        await pool.query(`ALTER TABLE companies ADD COLUMN ${name} INT DEFAULT NULL AFTER ${after}`);
+        logger.info(`Added ${name} column to companies table`);
+      }
+    }
+
+    logger.info('Retention policy columns migration completed');
+  } catch (error) {
+    logger.error('Error adding retention policy columns', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add skill_sheet_template (JSON, NULL = default template) to companies
+const addSkillSheetTemplateColumn = async () => {
+  try {
+    const [columns] = await pool.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+      AND TABLE_NAME = 'companies'
+      AND COLUMN_NAME = 'skill_sheet_template'
+    `, [DB_NAME]);
+
+    if (columns.length === 0) {
+      await pool.query('ALTER TABLE companies ADD COLUMN skill_sheet_template TEXT DEFAULT NULL AFTER audio_retention_days');
+      logger.info('Added skill_sheet_template column to companies table');
+    }
+  } catch (error) {
+    logger.error('Error adding skill_sheet_template column', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add stt_segments (JSON array of {start, end, text, chunk}) to records and follows
+const addSttSegmentsColumns = async () => {
+  try {
+    for (const table of ['records', 'follows']) {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = ?
+        AND COLUMN_NAME = 'stt_segments'
+      `, [DB_NAME, table]);
+
+      if (columns.length === 0) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN stt_segments LONGTEXT AFTER stt`);
+        logger.info(`Added stt_segments column to ${table} table`);
+      }
+    }
+  } catch (error) {
+    logger.error('Error adding stt_segments columns', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add stt_provider (NULL = STT_PROVIDER env default) to companies
+const addSttProviderColumn = async () => {
+  try {
+    const [columns] = await pool.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+      AND TABLE_NAME = 'companies'
+      AND COLUMN_NAME = 'stt_provider'
+    `, [DB_NAME]);
+
+    if (columns.length === 0) {
+      await pool.query('ALTER TABLE companies ADD COLUMN stt_provider VARCHAR(20) DEFAULT NULL AFTER skill_sheet_template');
+      logger.info('Added stt_provider column to companies table');
+    }
+  } catch (error) {
+    logger.error('Error adding stt_provider column', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add start_time/end_time and stt_segments to chunk_processing so a retry can
+// reuse the transcripts of completed chunks
+const addChunkResumeColumns = async () => {
+  try {
+    const columnsToAdd = [
+      { name: 'start_time', definition: 'DECIMAL(10,3) DEFAULT NULL AFTER chunk_file_path' },
+      { name: 'end_time', definition: 'DECIMAL(10,3) DEFAULT NULL AFTER start_time' },
+      { name: 'stt_segments', definition: 'LONGTEXT AFTER stt_result' },
+    ];
+
+    for (const column of columnsToAdd) {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'chunk_processing'
+        AND COLUMN_NAME = ?
+      `, [DB_NAME, column.name]);
+
+      if (columns.length === 0) {
+        await pool.query(`ALTER TABLE chunk_processing ADD COLUMN ${column.name} ${column.definition}`);
+        logger.info(`Added ${column.name} column to chunk_processing table`);
+      }
+    }
+  } catch (error) {
+    logger.error('Error adding chunk_processing resume columns', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add regenerate_fields (JSON array of fields, NULL = audio processing job) to
+// processing_jobs; regeneration jobs keep their target in record_id
+const addRegenerateFieldsColumn = async () => {
+  try {
+    const [columns] = await pool.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+      AND TABLE_NAME = 'processing_jobs'
+      AND COLUMN_NAME = 'regenerate_fields'
+    `, [DB_NAME]);
+
+    if (columns.length === 0) {
+      await pool.query('ALTER TABLE processing_jobs ADD COLUMN regenerate_fields JSON NULL AFTER job_type');
+      logger.info('Added regenerate_fields column to processing_jobs table');
+    }
+  } catch (error) {
+    logger.error('Error adding regenerate_fields column', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add the record generation prompts (NULL = default prompt) to companies
+const addGenerationPromptColumns = async () => {
+  try {
+    let after = 'stt_provider';
+    for (const column of ['skillsheet_prompt', 'lor_prompt', 'skills_prompt', 'hope_prompt']) {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'companies'
+        AND COLUMN_NAME = ?
+      `, [DB_NAME, column]);
+
+      if (columns.length === 0) {
+        await pool.query(`ALTER TABLE companies ADD COLUMN ${column} TEXT DEFAULT NULL AFTER ${after}`);
+        logger.info(`Added ${column} column to companies table`);
+      }
+      after = column;
+    }
+  } catch (error) {
+    logger.error('Error adding generation prompt columns', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add 'cancelled' to the status ENUMs of processing_jobs and job_steps
+const addCancelledStatus = async () => {
+  const statusColumns = [
+    {
+      table: 'processing_jobs',
+      definition: "ENUM('pending', 'processing', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'pending'",
+    },
+    {
+      table: 'job_steps',
+      definition: "ENUM('pending', 'running', 'completed', 'failed', 'skipped', 'cancelled') DEFAULT 'pending'",
+    },
+  ];
+
+  try {
+    for (const { table, definition } of statusColumns) {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_TYPE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = ?
+        AND COLUMN_NAME = 'status'
+      `, [DB_NAME, table]);
+
+      if (columns.length > 0 && !columns[0].COLUMN_TYPE.includes("'cancelled'")) {
+        await pool.query(`ALTER TABLE ${table} MODIFY COLUMN status ${definition}`);
+        logger.info(`Added cancelled status to ${table} table`);
+      }
+    }
+  } catch (error) {
+    logger.error('Error adding cancelled status', error);
+    // Don't throw - allow initialization to continue
+  }
+};
+
+// Migration function: Add target_id/staff_id snapshot columns to legal_holds and turn the
+// CASCADE foreign keys on the targets into SET NULL, so a purge keeps the audit trail
+const addLegalHoldTargetSnapshot = async () => {
+  try {
+    const columnExists = async (columnName) => {
+      const [columns] = await pool.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = 'legal_holds'
+        AND COLUMN_NAME = ?
+      `, [DB_NAME, columnName]);
+      return columns.length > 0;
+    };
+
+    if (!await columnExists('target_id')) {
+      await pool.query('ALTER TABLE legal_holds ADD COLUMN target_id INT DEFAULT NULL AFTER target_type');
+      await pool.query('ALTER TABLE legal_holds ADD COLUMN staff_id VARCHAR(255) DEFAULT NULL AFTER target_id');
+      await pool.query(`
+        UPDATE legal_holds lh
+        LEFT JOIN records r ON lh.record_id = r.id
+        LEFT JOIN follows f ON lh.follow_id = f.id
+        LEFT JOIN staff s ON lh.staff_ref_id = s.id
+        SET lh.target_id = COALESCE(lh.record_id, lh.follow_id, lh.staff_ref_id),
+            lh.staff_id = COALESCE(r.staff_id, f.staff_id, s.staff_id)
+      `);
+      logger.info('Added target snapshot columns to legal_holds table');
+    }
+
+    const [cascades] = await pool.query(`
+      SELECT rc.CONSTRAINT_NAME, kcu.COLUMN_NAME, kcu.REFERENCED_TABLE_NAME
+      FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc
+      INNER JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+        ON kcu.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA
+        AND kcu.CONSTRAINT_NAME = rc.CONSTRAINT_NAME
+        AND kcu.TABLE_NAME = rc.TABLE_NAME
+      WHERE rc.CONSTRAINT_SCHEMA = ?
+      AND rc.TABLE_NAME = 'legal_holds'
+      AND rc.DELETE_RULE = 'CASCADE'
+      AND kcu.COLUMN_NAME IN ('record_id', 'follow_id', 'staff_ref_id')
+    `, [DB_NAME]);
+
+    for (const { CONSTRAINT_NAME, COLUMN_NAME, REFERENCED_TABLE_NAME } of cascades) {
+      await pool.query(`ALTER TABLE legal_holds DROP FOREIGN KEY ${CONSTRAINT_NAME}`);
+      await pool.query(
+        `ALTER TABLE legal_holds ADD FOREIGN KEY (${COLUMN_NAME}) REFERENCES ${REFERENCED_TABLE_NAME}(id) ON DELETE SET NULL`
+      );
+      logger.info(`Changed legal_holds.${COLUMN_NAME} foreign key to ON DELETE SET NULL`);
+    }
+  } catch (error) {
+    logger.error('Error adding legal hold target snapshot', error);
+    // Don't throw - allow initialization to continue
+  }
+};
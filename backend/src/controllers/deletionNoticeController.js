@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { getUserNotices, dismissNotices } from '../services/deletionNoticeService.js';
+
+// Characters that are not allowed in ZIP entry names on common file systems
+const sanitizeName = (value) => String(value).replace(/[\\/:*?"<>|\s]+/g, '_');
+
+// Text files written for each item (column -> file name); empty columns are skipped
+const RECORD_FILES = {
+  stt: 'stt.txt',
+  skill_sheet: 'skill_sheet.json',
+  skills: 'skills.json',
+  lor: 'lor.txt',
+  salesforce: 'salesforce.json',
+  hope: 'hope.txt',
+  memo: 'memo.txt',
+};
+const FOLLOW_FILES = {
+  title: 'title.txt',
+  stt: 'stt.txt',
+  summary: 'summary.txt',
+};
+
+// The current user's records and follows scheduled for deletion within the notice period
+const getDeletionNotices = async (req, res) => {
+  try {
+    const notices = await getUserNotices(req.user.id);
+    res.json(notices);
+  } catch (error) {
+    logger.error('Error fetching deletion notices', error);
+    res.status(500).json({ error: 'Failed to fetch deletion notices' });
+  }
+};
+
+// Hide the in-app banner for the current notices
+const dismissDeletionNotices = async (req, res) => {
+  try {
+    await dismissNotices(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error dismissing deletion notices', error);
+    res.status(500).json({ error: 'Failed to dismiss deletion notices' });
+  }
+};
+
+// Download everything in the notice list as one ZIP (one folder per item, with its audio when still stored)
+const downloadDeletionNotices = async (req, res) => {
+  try {
+    const { items } = await getUserNotices(req.user.id);
+    const recordIds = items.filter(item => item.type === 'record').map(item => item.id);
+    const followIds = items.filter(item => item.type === 'follow').map(item => item.id);
+    if (recordIds.length === 0 && followIds.length === 0) {
+      return res.status(404).json({ error: 'No records scheduled for deletion' });
+    }
+
+    const [records] = recordIds.length > 0
+      ? await pool.query(
+        `SELECT id, file_id, audio_file_path, ${Object.keys(RECORD_FILES).join(', ')}
+         FROM records WHERE id IN (?) AND user_id = ?`,
+        [recordIds, req.user.id]
+      )
+      : [[]];
+    const [follows] = followIds.length > 0
+      ? await pool.query(
+        `SELECT id, file_id, audio_file_path, ${Object.keys(FOLLOW_FILES).join(', ')}
+         FROM follows WHERE id IN (?) AND user_id = ?`,
+        [followIds, req.user.id]
+      )
+      : [[]];
+
+    res.setHeader('Content-Type', 'application/zip');
+    const encodedFilename = encodeURIComponent(`削除予定データ-${new Date().toISOString().slice(0, 10)}.zip`);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (err) => {
+      logger.error('Archive error', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to create archive' });
+      }
+    });
+    archive.pipe(res);
+
+    const itemMap = new Map(items.map(item => [`${item.type}:${item.id}`, item]));
+    const addEntries = (type, rows, files) => {
+      for (const row of rows) {
+        const item = itemMap.get(`${type}:${row.id}`);
+        const folder = `${type}s/${sanitizeName(`${(item?.date || '').slice(0, 10)}_${item?.staffName || item?.staffId || ''}_${row.file_id || row.id}`)}`;
+        for (const [column, fileName] of Object.entries(files)) {
+          if (row[column]) {
+            archive.append(String(row[column]), { name: `${folder}/${fileName}` });
+          }
+        }
+        if (row.audio_file_path && fs.existsSync(row.audio_file_path)) {
+          archive.file(row.audio_file_path, { name: `${folder}/audio${path.extname(row.audio_file_path)}` });
+        }
+      }
+    };
+    addEntries('record', records, RECORD_FILES);
+    addEntries('follow', follows, FOLLOW_FILES);
+
+    await archive.finalize();
+  } catch (error) {
+    logger.error('Error downloading records scheduled for deletion', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download records' });
+    }
+  }
+};
+
+export {
+  getDeletionNotices,
+  dismissDeletionNotices,
+  downloadDeletionNotices
+};
@@ -1,25 +1,76 @@
 import { pool } from '../config/database.js';
 import fs from 'fs';
-import PDFDocument from 'pdfkit';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegPath from 'ffmpeg-static';
 import jsforce from 'jsforce';
 import logger from '../utils/logger.js';
+import cache from '../utils/cache.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const FONT_PATH = path.join(__dirname, '../../fonts/NotoSansJP-Regular.ttf');
 import { decrypt } from '../utils/encryption.js';
 import { withLock, shouldRunJob, recordJobRun } from '../utils/jobLock.js';
-import { createProcessingJob, getJobStatus, getUserJobs, retryFailedJob } from '../services/asyncProcessingService.js';
+import { resolveSort } from '../utils/listSort.js';
+import { getTrashRetentionDays } from '../utils/trash.js';
+import { findFollowCandidates } from '../services/autoDeletePlanner.js';
+import { createProcessingJob, getJobStatus, getUserJobs, retryFailedJob, cancelJob } from '../services/asyncProcessingService.js';
 import { addAudioProcessingJob } from '../queues/audioQueue.js';
-import { DEFAULT_FOLLOW_SUMMARY_PROMPT } from '../services/followProcessing/difyWorkflow.js';
+import { resolveStaff, updateStaffName as updateStaffEntityName, saveSalesforceAccountId } from '../services/staffService.js';
+import { recordRevisions } from '../services/revisionService.js';
+import { REGENERATE_FIELDS, resolveRegenerateFields, createRegenerateJob, findActiveRegenerateJob } from '../services/regenerationService.js';
+import { DEFAULT_FOLLOW_SUMMARY_PROMPT, executeFollowSummaryWorkflow } from '../services/followProcessing/difyWorkflow.js';
+import { getGenerationProvider } from '../services/generation/index.js';
+import { savePrompts, listPromptVersions, getPromptVersion } from '../services/promptVersionService.js';
+import {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  FOLLOW_EXPORT_COLUMNS,
+  resolveExportColumns,
+  buildExportSelect,
+  sendExport
+} from '../services/exportService.js';
+import { TRANSCRIPT_FORMATS, TIMED_FORMATS, parseSegments, hasTiming, sendTranscript } from '../services/transcriptService.js';
+import { hasAudioFile, createAudioUrl, sendAudio } from '../services/audioStreamService.js';
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
+// Whitelisted sort fields for the follows list (API field -> SQL column)
+const FOLLOW_SORT_COLUMNS = {
+  date: 'r.date',
+  fileId: 'r.file_id',
+  staffId: 'r.staff_id',
+  userName: 'u.name'
+};
+
+/**
+ * Build the WHERE clause shared by the follows list, its COUNT query, the export and the
+ * single-follow lookups (append `AND r.id = ?`).
+ * Applies role-based scoping; soft-deleted follows only show up in the trash.
+ * @param {Object} user - req.user ({ role, company_id, id })
+ * @returns {{ whereClause: string, params: Array }}
+ */
+const buildFollowFilters = (user) => {
+  const { role, company_id, id: userId } = user;
+  const conditions = ['r.deleted_at IS NULL'];
+  const params = [];
+
+  // Apply role-based filtering using r.company_id
+  if (role === 'member' || role === 'company-manager') {
+    conditions.push('r.company_id = ?');
+    params.push(company_id);
+  } else if (role !== 'admin') {
+    logger.warn('Unknown role', { role });
+    conditions.push('r.user_id = ?');
+    params.push(userId);
+  }
+
+  return {
+    whereClause: ` WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+};
+
 // Get all records (lightweight list with pagination)
+// Optional sorting: sort (date | fileId | staffId | userName), order (asc | desc), default date desc
 const getRecords = async (req, res) => {
   try {
     const { role, company_id, id: userId } = req.user;
@@ -28,11 +79,18 @@ const getRecords = async (req, res) => {
     const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
     const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
+    const { orderBy, sort, order, error: sortError } = resolveSort(req.query, FOLLOW_SORT_COLUMNS, { defaultSort: 'date' });
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
     logger.debug('User info', { role, company_id, userId });
-    logger.debug('Pagination params', { limit, offset });
+    logger.debug('Pagination params', { limit, offset, sort, order });
+
+    const { whereClause, params } = buildFollowFilters(req.user);
 
     // Count query (no JOIN needed)
-    let countQuery = `SELECT COUNT(*) as total FROM follows r`;
+    const countQuery = `SELECT COUNT(*) as total FROM follows r ${whereClause}`;
 
     // Lightweight list query - no stt (potentially megabytes)
     let query = `
@@ -42,6 +100,7 @@ const getRecords = async (req, res) => {
         DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
         r.file_id as fileId,
         r.staff_id as staffId,
+        r.staff_ref_id as staffRefId,
         r.staff_name as staffName,
         DATE_FORMAT(r.follow_date, '%Y-%m-%d') as followDate,
         r.title,
@@ -51,41 +110,18 @@ const getRecords = async (req, res) => {
         u.name as userName
       FROM follows r
       LEFT JOIN users u ON r.user_id = u.id
+      ${whereClause}
     `;
 
-    const queryParams = [];
-    const countParams = [];
-
-    // Apply role-based filtering using r.company_id
-    if (role === 'member') {
-      query += ' WHERE r.company_id = ?';
-      countQuery += ' WHERE r.company_id = ?';
-      queryParams.push(company_id);
-      countParams.push(company_id);
-      logger.debug('Filtering for member', { company_id });
-    } else if (role === 'company-manager') {
-      query += ' WHERE r.company_id = ?';
-      countQuery += ' WHERE r.company_id = ?';
-      queryParams.push(company_id);
-      countParams.push(company_id);
-      logger.debug('Filtering for company-manager', { company_id });
-    } else if (role === 'admin') {
-      logger.debug('Admin user - no filtering applied, showing all records');
-    } else {
-      logger.warn('Unknown role', { role });
-      query += ' WHERE r.user_id = ?';
-      countQuery += ' WHERE r.user_id = ?';
-      queryParams.push(userId);
-      countParams.push(userId);
-    }
+    const queryParams = [...params];
 
-    query += ' ORDER BY r.created_at DESC';
+    query += orderBy;
     query += ' LIMIT ? OFFSET ?';
     queryParams.push(limit, offset);
 
     // Execute both queries in parallel
     const [records] = await pool.query(query, queryParams);
-    const [countResult] = await pool.query(countQuery, countParams);
+    const [countResult] = await pool.query(countQuery, params);
 
     const total = countResult[0].total;
     const hasMore = offset + records.length < total;
@@ -109,6 +145,110 @@ const getRecords = async (req, res) => {
   }
 };
 
+// Export the follows list as CSV or Excel
+// Accepts the same scoping and sorting as getRecords, plus:
+// format (csv | xlsx, default csv), columns (comma-separated keys of FOLLOW_EXPORT_COLUMNS, default all;
+// summaryOverview etc. are the 【】 sections of the summary)
+const exportRecords = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { columns, error: columnsError } = resolveExportColumns(req.query.columns, FOLLOW_EXPORT_COLUMNS);
+    if (columnsError) {
+      return res.status(400).json({ error: columnsError });
+    }
+
+    const { orderBy, error: sortError } = resolveSort(req.query, FOLLOW_SORT_COLUMNS, { defaultSort: 'date' });
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    const { whereClause, params } = buildFollowFilters(req.user);
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM follows r ${whereClause}`, params);
+    if (total > MAX_EXPORT_ROWS) {
+      return res.status(400).json({ error: `Too many records to export (${total}); narrow the filters to ${MAX_EXPORT_ROWS} or fewer` });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ${buildExportSelect(columns, FOLLOW_EXPORT_COLUMNS)}
+      FROM follows r
+      LEFT JOIN users u ON r.user_id = u.id
+      ${whereClause}
+      ${orderBy}`,
+      params
+    );
+
+    logger.info('Follows exported', { userId: req.user.id, format, count: rows.length });
+    await sendExport(res, {
+      format,
+      fileBaseName: `follows-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Follow',
+      columns,
+      available: FOLLOW_EXPORT_COLUMNS,
+      rows
+    });
+  } catch (error) {
+    logger.error('Error exporting follows', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export records' });
+    }
+  }
+};
+
+// Get single follow record (list fields, used to open the summary sidebar directly)
+const getRecordDetail = async (req, res) => {
+  try {
+    const id = parseInt(req.params.recordId, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const { role, company_id, id: userId } = req.user;
+
+    let query = `
+      SELECT
+        r.id,
+        r.user_id as ownerId,
+        DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+        r.file_id as fileId,
+        r.staff_id as staffId,
+        r.staff_ref_id as staffRefId,
+        r.staff_name as staffName,
+        DATE_FORMAT(r.follow_date, '%Y-%m-%d') as followDate,
+        r.title,
+        r.summary,
+        r.salesforce_event_id as salesforceEventId,
+        r.company_id as companyId,
+        u.name as userName
+      FROM follows r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.id = ? AND r.deleted_at IS NULL
+    `;
+    const queryParams = [id];
+
+    if (role === 'member' || role === 'company-manager') {
+      query += ' AND r.company_id = ?';
+      queryParams.push(company_id);
+    } else if (role !== 'admin') {
+      query += ' AND r.user_id = ?';
+      queryParams.push(userId);
+    }
+
+    const [records] = await pool.query(query, queryParams);
+
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.json(records[0]);
+  } catch (error) {
+    logger.error('Error fetching follow record detail', error);
+    res.status(500).json({ error: 'Failed to fetch record detail' });
+  }
+};
+
 // Upload audio file - async pattern (returns jobId immediately)
 const uploadAudio = async (req, res) => {
   try {
@@ -248,67 +388,113 @@ const retryProcessingJob = async (req, res) => {
   }
 };
 
+// Cancel a pending or running follow processing job
+const cancelProcessingJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const parsedJobId = parseInt(jobId, 10);
+    if (isNaN(parsedJobId)) return res.status(400).json({ error: 'Invalid job ID' });
+
+    const { role, id: userId } = req.user;
+
+    const result = await cancelJob(parsedJobId, userId, role, 'follow');
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error cancelling follow job', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to cancel job' });
+  }
+};
+
+// STT as PDF (default), SRT/VTT subtitles or JSON segments (?format=)
 const downloadSTT = async (req, res) => {
   try {
     const { recordId } = req.params;
     const id = parseInt(recordId, 10);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
 
-    const { role, company_id } = req.user;
-
-    // Company-scoped authorization check
-    let sttQuery = 'SELECT stt, file_id FROM follows WHERE id = ?';
-    const sttParams = [id];
-
-    if (role !== 'admin') {
-      sttQuery += ' AND company_id = ?';
-      sttParams.push(company_id);
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` });
     }
 
-    const [records] = await pool.query(sttQuery, sttParams);
+    const { whereClause, params } = buildFollowFilters(req.user);
+    const [records] = await pool.query(
+      `SELECT r.stt, r.stt_segments, r.file_id FROM follows r ${whereClause} AND r.id = ?`,
+      [...params, id]
+    );
     if (records.length === 0) {
-      return res.status(404).json({ error: 'Record not found' });
+      return res.status(404).json({ error: 'Record not found or access denied' });
     }
-    const sttData = records[0].stt;
-    const fileId = records[0].file_id;
-    // Create PDF
-    const doc = new PDFDocument({
-      size: 'A4',
-      margins: {
-        top: 50,
-        bottom: 50,
-        left: 50,
-        right: 50
-      }
-    });
-    res.setHeader('Content-Type', 'application/pdf');
-    // Encode the filename to handle special characters
-    const encodedFilename = encodeURIComponent(`STT-${fileId}.pdf`);
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
-    doc.pipe(res);
-    doc.registerFont('NotoSansJP', FONT_PATH);
-    const paragraphs = sttData
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .split('\n')
-      .filter(p => p.trim() !== '');
-    doc.font('NotoSansJP').fontSize(12);
-    paragraphs.forEach((paragraph, index) => {
-      if (index > 0) doc.moveDown();
-      doc.text(paragraph, {
-        align: 'left',
-        lineGap: 5,
-        features: ['kern', 'liga'],
-        encoding: 'utf8'
-      });
-    });
-    doc.end();
+
+    const segments = parseSegments(records[0].stt_segments);
+    if (TIMED_FORMATS.includes(format) && !hasTiming(segments)) {
+      return res.status(409).json({ error: 'This record has no timed transcript' });
+    }
+    sendTranscript(res, format, { fileId: records[0].file_id, stt: records[0].stt, segments });
   } catch (error) {
     logger.error('Error downloading STT', error);
     res.status(500).json({ error: 'Failed to download STT' });
   }
 };
 
+// Company-scoped audio_file_path of a follow (null when not visible to the user)
+const findFollowAudio = async (user, id) => {
+  let query = 'SELECT audio_file_path FROM follows WHERE id = ? AND deleted_at IS NULL';
+  const params = [id];
+
+  if (user.role !== 'admin') {
+    query += ' AND company_id = ?';
+    params.push(user.company_id);
+  }
+
+  const [records] = await pool.query(query, params);
+  return records[0] || null;
+};
+
+// Short-lived URL of the follow's audio stream for the player
+const getAudioUrl = async (req, res) => {
+  try {
+    const id = parseInt(req.params.recordId, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const record = await findFollowAudio(req.user, id);
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    // Follow audio is deleted after processing unless it was kept for this follow
+    if (!hasAudioFile(record.audio_file_path)) {
+      return res.status(404).json({ error: 'Audio is not available for this record' });
+    }
+
+    res.json(createAudioUrl(req.user, 'follow', id, `/api/follow/${id}/audio`));
+  } catch (error) {
+    logger.error('Error creating follow audio URL', error);
+    res.status(500).json({ error: 'Failed to create audio URL' });
+  }
+};
+
+// Audio of a follow, with HTTP Range support (Bearer token or the media token of getAudioUrl)
+const streamAudio = async (req, res) => {
+  try {
+    const id = parseInt(req.params.recordId, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const record = await findFollowAudio(req.user, id);
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    if (!hasAudioFile(record.audio_file_path)) {
+      return res.status(404).json({ error: 'Audio is not available for this record' });
+    }
+
+    sendAudio(res, record.audio_file_path);
+  } catch (error) {
+    logger.error('Error streaming follow audio', error);
+    res.status(500).json({ error: 'Failed to stream audio' });
+  }
+};
+
 const updateStaffId = async (req, res) => {
   try {
     const { recordId } = req.params;
@@ -327,7 +513,7 @@ const updateStaffId = async (req, res) => {
     }
 
     // Permission check scoped by company_id
-    let permissionQuery = 'SELECT id, company_id FROM follows WHERE id = ?';
+    let permissionQuery = 'SELECT id, company_id, staff_name, staff_ref_id FROM follows WHERE id = ? AND deleted_at IS NULL';
     const permissionParams = [id];
 
     if (role === 'member' || role === 'company-manager') {
@@ -342,9 +528,11 @@ const updateStaffId = async (req, res) => {
       return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
     }
 
+    // Re-link to the staff entity for the new staff ID
+    const staffRefId = await resolveStaff(records[0].company_id, staffId, records[0].staff_name);
     const [result] = await pool.query(
-      'UPDATE follows SET staff_id = ? WHERE id = ?',
-      [staffId, id]
+      'UPDATE follows SET staff_id = ?, staff_ref_id = ? WHERE id = ?',
+      [staffId, staffRefId, id]
     );
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Record not found' });
@@ -375,7 +563,7 @@ const updateStaffName = async (req, res) => {
     }
 
     // Permission check scoped by company_id
-    let permissionQuery = 'SELECT id, company_id FROM follows WHERE id = ?';
+    let permissionQuery = 'SELECT id, company_id, staff_name, staff_ref_id FROM follows WHERE id = ? AND deleted_at IS NULL';
     const permissionParams = [id];
 
     if (role === 'member' || role === 'company-manager') {
@@ -398,6 +586,9 @@ const updateStaffName = async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
+    // Keep the staff entity name in sync (latest edit wins)
+    await updateStaffEntityName(records[0].staff_ref_id, staffName);
+
     res.json({ success: true });
   } catch (error) {
     logger.error('Error updating staff name', error);
@@ -406,6 +597,68 @@ const updateStaffName = async (req, res) => {
 };
 
 // Update summary (with follow_date and title)
+// Regenerate the AI outputs from the stored transcript (body.fields: fields to overwrite, all by default)
+const regenerateFollow = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const id = parseInt(recordId, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const { role, company_id, id: userId } = req.user;
+    const fields = resolveRegenerateFields('follow', req.body?.fields);
+    if (!fields) {
+      return res.status(400).json({ error: `fields must be a non-empty array of: ${REGENERATE_FIELDS.follow.join(', ')}` });
+    }
+
+    // Permission check scoped by company_id
+    let permissionQuery = 'SELECT id, file_id, company_id, staff_id, stt FROM follows WHERE id = ? AND deleted_at IS NULL';
+    const permissionParams = [id];
+
+    if (role === 'member' || role === 'company-manager') {
+      permissionQuery += ' AND company_id = ?';
+      permissionParams.push(company_id);
+    }
+
+    const [records] = await pool.query(permissionQuery, permissionParams);
+
+    if (records.length === 0) {
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
+    }
+
+    const target = records[0];
+    if (!target.stt || !target.stt.trim()) {
+      return res.status(400).json({ error: 'No transcript to regenerate from' });
+    }
+
+    const activeJobId = await findActiveRegenerateJob('follow', id);
+    if (activeJobId) {
+      return res.status(409).json({ error: 'Regeneration already in progress', jobId: activeJobId });
+    }
+
+    const jobId = await createRegenerateJob('follow', target, userId, fields);
+
+    await addAudioProcessingJob({
+      jobId,
+      fileId: target.file_id,
+      userId,
+      companyId: target.company_id,
+      staffId: target.staff_id,
+      jobType: 'follow',
+      regenerate: true,
+    });
+
+    res.status(200).json({
+      jobId,
+      fields,
+      message: '再生成を受け付けました。処理を開始します。',
+      status: 'pending'
+    });
+  } catch (error) {
+    logger.error('Error regenerating follow outputs', error);
+    res.status(500).json({ error: 'Failed to regenerate' });
+  }
+};
+
 const updateSummary = async (req, res) => {
   try {
     const { recordId } = req.params;
@@ -436,7 +689,7 @@ const updateSummary = async (req, res) => {
     }
 
     // Permission check scoped by company_id
-    let permissionQuery = 'SELECT id, company_id FROM follows WHERE id = ?';
+    let permissionQuery = 'SELECT id, company_id, summary FROM follows WHERE id = ? AND deleted_at IS NULL';
     const permissionParams = [id];
 
     if (role === 'member' || role === 'company-manager') {
@@ -462,6 +715,10 @@ const updateSummary = async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
+    await recordRevisions('follow', id, [
+      { field: 'summary', content: summary, previous: records[0].summary }
+    ], { source: 'user', editorId: userId });
+
     res.json({ success: true });
   } catch (error) {
     logger.error('Error updating summary', error);
@@ -470,6 +727,43 @@ const updateSummary = async (req, res) => {
 };
 
 // Delete record with role-based permissions
+/**
+ * Delete the Salesforce Event linked to a follow record
+ * Uses the company's Salesforce settings, falling back to the admin settings
+ * (records synced by an admin were pushed with those). Failures are logged and swallowed.
+ * @param {string} eventId - Salesforce Event Id
+ * @param {number|null} companyId - follows.company_id
+ * @param {number} followId - follows.id (for logging)
+ */
+const deleteLinkedSalesforceEvent = async (eventId, companyId, followId) => {
+  try {
+    const [settingsRows] = await pool.query(
+      `SELECT * FROM salesforce WHERE company_id IN (?, 'admin')
+       ORDER BY company_id = 'admin' LIMIT 1`,
+      [String(companyId)]
+    );
+    if (settingsRows.length === 0) return;
+
+    const settings = settingsRows[0];
+    const decryptedPassword = decrypt(settings.password);
+    const decryptedSecurityToken = decrypt(settings.security_token);
+    if (!decryptedPassword || !decryptedSecurityToken) return;
+
+    const conn = new jsforce.Connection({ loginUrl: settings.base_url });
+    await conn.login(settings.username, decryptedPassword + decryptedSecurityToken);
+
+    const deleteResult = await conn.sobject('Event').destroy(eventId);
+    if (deleteResult.success) {
+      logger.info('Salesforce Event deleted', { eventId, followId });
+    } else {
+      logger.warn('Failed to delete Salesforce Event', { eventId, errors: deleteResult.errors });
+    }
+  } catch (sfError) {
+    // Log but don't block record deletion if Salesforce cleanup fails
+    logger.warn('Failed to delete linked Salesforce Event', { eventId, error: sfError.message });
+  }
+};
+
 const deleteRecord = async (req, res) => {
   try {
     const { recordId } = req.params;
@@ -481,7 +775,7 @@ const deleteRecord = async (req, res) => {
     let query = `
       SELECT r.id, r.company_id as recordCompanyId, r.user_id as ownerId, r.salesforce_event_id, r.staff_id
       FROM follows r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const queryParams = [id];
 
@@ -505,51 +799,121 @@ const deleteRecord = async (req, res) => {
       return res.status(404).json({ error: 'レコードが見つからないか、削除する権限がありません。' });
     }
 
-    const followRecord = records[0];
+    // Soft delete: the linked Salesforce Event is kept until the record is purged from the trash
+    await pool.query(
+      'UPDATE follows SET deleted_at = NOW(), deleted_by = ? WHERE id = ?',
+      [userId, id]
+    );
 
-    // Delete linked Salesforce Event if it exists
-    if (followRecord.salesforce_event_id) {
-      try {
-        const recordCompanyId = followRecord.recordCompanyId;
-        const actualCompanyId = role === 'admin' ? 'admin' : String(recordCompanyId);
+    cache.invalidatePattern(`follows:company:${records[0].recordCompanyId}:*`);
+    logger.debug('Follow record moved to trash', { recordId: id });
 
-        const [settingsRows] = await pool.query(
-          'SELECT * FROM salesforce WHERE company_id = ?',
-          [actualCompanyId]
-        );
+    res.json({ success: true, message: 'Record moved to trash', purgeAfterDays: getTrashRetentionDays() });
+  } catch (error) {
+    logger.error('Error deleting record', error);
+    res.status(500).json({ error: 'Failed to delete record' });
+  }
+};
 
-        if (settingsRows.length > 0) {
-          const settings = settingsRows[0];
-          const decryptedPassword = decrypt(settings.password);
-          const decryptedSecurityToken = decrypt(settings.security_token);
-
-          if (decryptedPassword && decryptedSecurityToken) {
-            const conn = new jsforce.Connection({ loginUrl: settings.base_url });
-            await conn.login(settings.username, decryptedPassword + decryptedSecurityToken);
-
-            const deleteResult = await conn.sobject('Event').destroy(followRecord.salesforce_event_id);
-            if (deleteResult.success) {
-              logger.info('Salesforce Event deleted', { eventId: followRecord.salesforce_event_id, followId: id });
-            } else {
-              logger.warn('Failed to delete Salesforce Event', { eventId: followRecord.salesforce_event_id, errors: deleteResult.errors });
-            }
-          }
-        }
-      } catch (sfError) {
-        // Log but don't block record deletion if Salesforce cleanup fails
-        logger.warn('Failed to delete linked Salesforce Event', { eventId: followRecord.salesforce_event_id, error: sfError.message });
+// List soft-deleted follow records (trash)
+const getDeletedRecords = async (req, res) => {
+  try {
+    const { role, company_id, id: userId } = req.user;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const retentionDays = getTrashRetentionDays();
+
+    let whereClause = ' WHERE r.deleted_at IS NOT NULL';
+    const params = [];
+    if (role === 'member' || role === 'company-manager') {
+      whereClause += ' AND r.company_id = ?';
+      params.push(company_id);
+    } else if (role !== 'admin') {
+      logger.warn('Unknown role', { role });
+      whereClause += ' AND r.user_id = ?';
+      params.push(userId);
+    }
+
+    const query = `
+      SELECT
+        r.id,
+        r.user_id as ownerId,
+        DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+        r.file_id as fileId,
+        r.staff_id as staffId,
+        r.staff_name as staffName,
+        r.title,
+        r.company_id as companyId,
+        u.name as userName,
+        DATE_FORMAT(CONVERT_TZ(r.deleted_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as deletedAt,
+        d.name as deletedByName,
+        DATE_FORMAT(CONVERT_TZ(DATE_ADD(r.deleted_at, INTERVAL ? DAY), '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as purgeAt
+      FROM follows r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN users d ON r.deleted_by = d.id
+      ${whereClause}
+      ORDER BY r.deleted_at DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    const [[records], [countResult]] = await Promise.all([
+      pool.query(query, [retentionDays, ...params, limit, offset]),
+      pool.query(`SELECT COUNT(*) as total FROM follows r${whereClause}`, params)
+    ]);
+    const total = countResult[0].total;
+
+    res.json({
+      records,
+      retentionDays,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + records.length < total,
+        currentPage: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(total / limit)
       }
+    });
+  } catch (error) {
+    logger.error('Error fetching deleted follow records', error);
+    res.status(500).json({ error: 'Failed to fetch deleted records' });
+  }
+};
+
+// Restore a soft-deleted follow record from the trash (same permissions as delete)
+const restoreRecord = async (req, res) => {
+  try {
+    const id = parseInt(req.params.recordId, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const { role, company_id, id: userId } = req.user;
+
+    let query = 'SELECT r.id, r.company_id FROM follows r WHERE r.id = ? AND r.deleted_at IS NOT NULL';
+    const queryParams = [id];
+
+    if (role === 'company-manager') {
+      query += ' AND r.company_id = ?';
+      queryParams.push(company_id);
+    } else if (role !== 'admin') {
+      // Members (and unknown roles) can only restore their own records
+      query += ' AND r.user_id = ?';
+      queryParams.push(userId);
+    }
+
+    const [records] = await pool.query(query, queryParams);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'レコードが見つからないか、復元する権限がありません。' });
     }
 
-    // Delete the record (audio files are already deleted after processing)
-    await pool.query('DELETE FROM follows WHERE id = ?', [id]);
+    await pool.query('UPDATE follows SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [id]);
 
-    logger.debug('Follow record deleted', { recordId: id });
+    cache.invalidatePattern(`follows:company:${records[0].company_id}:*`);
+    logger.info('Follow record restored from trash', { recordId: id, userId });
 
-    res.json({ success: true, message: 'Record deleted successfully' });
+    res.json({ success: true });
   } catch (error) {
-    logger.error('Error deleting record', error);
-    res.status(500).json({ error: 'Failed to delete record' });
+    logger.error('Error restoring follow record', error);
+    res.status(500).json({ error: 'Failed to restore record' });
   }
 };
 
@@ -595,13 +959,8 @@ const updatePrompt = async (req, res) => {
       return res.status(400).json({ error: 'Company ID not found for user' });
     }
 
-    // Store the prompt (or set to NULL if empty to revert to default)
-    const promptValue = prompt.trim() === '' ? null : prompt;
-
-    await pool.query(
-      'UPDATE companies SET follow_summary_prompt = ? WHERE id = ?',
-      [promptValue, company_id]
-    );
+    // Store the prompt (or set to NULL if empty to revert to default) with a new version
+    await savePrompts(company_id, { follow_summary: prompt }, { editorId: req.user.id });
 
     logger.info('Follow summary prompt updated', { company_id, promptLength: prompt.length });
 
@@ -612,6 +971,114 @@ const updatePrompt = async (req, res) => {
   }
 };
 
+// List versions of the summary prompt (newest first; content null = default prompt)
+const getPromptVersions = async (req, res) => {
+  try {
+    const { company_id } = req.user;
+
+    if (!company_id) {
+      return res.json({ versions: [] });
+    }
+
+    const versions = await listPromptVersions(company_id, ['follow_summary']);
+    res.json({ versions });
+  } catch (error) {
+    logger.error('Error fetching prompt versions', error);
+    res.status(500).json({ error: 'Failed to fetch prompt versions' });
+  }
+};
+
+// Roll the summary prompt back to a stored version (recorded as a new version)
+const rollbackPrompt = async (req, res) => {
+  try {
+    const versionId = parseInt(req.params.versionId, 10);
+    const { company_id } = req.user;
+
+    if (isNaN(versionId)) {
+      return res.status(400).json({ error: 'Invalid version ID' });
+    }
+
+    if (!company_id) {
+      return res.status(400).json({ error: 'Company ID not found for user' });
+    }
+
+    const version = await getPromptVersion(company_id, versionId);
+    if (!version || version.promptKey !== 'follow_summary') {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    await savePrompts(company_id, { follow_summary: version.content }, {
+      editorId: req.user.id,
+      restoredFrom: version.id,
+    });
+
+    logger.info('Follow summary prompt rolled back', { company_id, versionId });
+
+    res.json({
+      success: true,
+      message: 'Prompt rolled back successfully',
+      prompt: version.content || DEFAULT_FOLLOW_SUMMARY_PROMPT,
+    });
+  } catch (error) {
+    logger.error('Error rolling back prompt', error);
+    res.status(500).json({ error: 'Failed to roll back prompt' });
+  }
+};
+
+// Run a draft summary prompt on a follow's stored transcript without saving anything
+// body: { prompt, followId } - the follow must belong to the user's company
+const testPrompt = async (req, res) => {
+  try {
+    const { prompt, followId } = req.body;
+    const { company_id } = req.user;
+
+    if (typeof prompt !== 'string' || prompt.trim() === '') {
+      return res.status(400).json({ error: 'Invalid prompt data' });
+    }
+
+    if (prompt.length > 3000) {
+      return res.status(400).json({ error: 'Prompt exceeds 3000 character limit' });
+    }
+
+    const id = parseInt(followId, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid follow ID' });
+    }
+
+    if (!company_id) {
+      return res.status(400).json({ error: 'Company ID not found for user' });
+    }
+
+    const [follows] = await pool.query(
+      'SELECT id, stt, summary FROM follows WHERE id = ? AND company_id = ? AND deleted_at IS NULL',
+      [id, company_id]
+    );
+
+    if (follows.length === 0) {
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
+    }
+
+    const follow = follows[0];
+    if (!follow.stt || !follow.stt.trim()) {
+      return res.status(400).json({ error: 'No transcript to test with' });
+    }
+
+    const provider = getGenerationProvider();
+    const { summary } = await executeFollowSummaryWorkflow(`prompt_test_${id}`, follow.stt, prompt, provider);
+
+    logger.info('Follow summary prompt test run', { company_id, followId: id, provider: provider.name });
+
+    res.json({
+      summary,
+      currentSummary: follow.summary || '',
+      provider: provider.name,
+    });
+  } catch (error) {
+    logger.error('Error testing prompt', error);
+    res.status(500).json({ error: 'Failed to run prompt test' });
+  }
+};
+
 // Sync follow record to Salesforce as an Event (create or update)
 const syncSalesforce = async (req, res) => {
   try {
@@ -643,7 +1110,7 @@ const syncSalesforce = async (req, res) => {
     const { role, company_id } = req.user;
 
     // Company-scoped authorization: verify user's company owns this follow record
-    let authQuery = 'SELECT id, salesforce_event_id FROM follows WHERE id = ?';
+    let authQuery = 'SELECT id, company_id, salesforce_event_id FROM follows WHERE id = ? AND deleted_at IS NULL';
     const authParams = [parsedFollowId];
 
     if (role !== 'admin') {
@@ -702,6 +1169,9 @@ const syncSalesforce = async (req, res) => {
     const accountId = accounts[0].Id;
     logger.info('[syncFollowSalesforce] Account found:', { accountId, name: accounts[0].Name });
 
+    // Remember the Account Id on the staff entity (never blocks the sync)
+    await saveSalesforceAccountId(followRows[0].company_id, staffId, accountId);
+
     // 5. Build StartDateTime and EndDateTime with explicit JST time-of-day.
     // Avoid using server-local getHours()/getMinutes() so UTC hosts remain correct.
     const jstNowParts = new Intl.DateTimeFormat('en-GB', {
@@ -778,26 +1248,48 @@ const syncSalesforce = async (req, res) => {
   }
 };
 
-// Auto-delete follow records older than specified months (default: 2 months)
+// Auto-delete follow records older than each company's retention period (companies.follows_retention_months,
+// falling back to AUTO_DELETE_RETENTION_MONTHS; 0 = never delete) and purge records past the trash grace period
+// Records under a legal hold are skipped (reported as skippedCount)
 // Audio files are already deleted immediately after processing, so only DB rows need cleanup
 // @param {object} connection - Database connection to use (must be same connection as lock)
 const _autoDeleteOldFollowsInternal = async (connection) => {
   try {
-    const months = parseInt(process.env.AUTO_DELETE_RETENTION_MONTHS || '2');
+    // Per-company retention (companies.follows_retention_months, 0 = never delete) and the trash purge
+    const candidateRows = await findFollowCandidates(connection);
+    const targetRows = candidateRows.filter(row => !row.held);
+    const skippedCount = candidateRows.length - targetRows.length;
+    const trashedRows = targetRows.filter(row => row.inTrash);
+
+    // Linked Salesforce Events are only removed once a deleted record leaves the trash
+    for (const row of trashedRows) {
+      if (row.salesforce_event_id) {
+        await deleteLinkedSalesforceEvent(row.salesforce_event_id, row.companyId, row.id);
+      }
+    }
 
-    const [result] = await connection.query(
-      `DELETE FROM follows 
-       WHERE date < DATE_SUB(NOW(), INTERVAL ? MONTH)`,
-      [months]
-    );
+    let deletedCount = 0;
+    if (targetRows.length > 0) {
+      const [result] = await connection.query(
+        'DELETE FROM follows WHERE id IN (?)',
+        [targetRows.map(row => row.id)]
+      );
+      deletedCount = result.affectedRows;
+    }
 
-    if (result.affectedRows > 0) {
-      logger.info(`Auto-deleted ${result.affectedRows} follow record(s) older than ${months} month(s)`);
+    if (deletedCount > 0) {
+      logger.info(`Auto-deleted ${deletedCount} follow record(s) under the retention policies`, {
+        purgedFromTrash: trashedRows.length,
+        skippedLegalHold: skippedCount
+      });
     } else {
-      logger.info(`No follow records found to delete (older than ${months} month(s))`);
+      logger.info('No follow records found to delete under the current retention policies');
+    }
+    if (skippedCount > 0) {
+      logger.info(`Skipped ${skippedCount} follow record(s) under legal hold`);
     }
 
-    return { success: true, deletedCount: result.affectedRows };
+    return { success: true, deletedCount, purgedCount: trashedRows.length, skippedCount };
   } catch (error) {
     logger.error('Error in auto-delete old follows', error);
     throw error;
@@ -834,7 +1326,12 @@ const autoDeleteOldFollows = async () => {
       await recordJobRun(JOB_NAME, connection);
 
       logger.info('Auto-delete old follows job completed successfully', deletionResult);
-      return { success: true, deletedCount: deletionResult.deletedCount };
+      return {
+        success: true,
+        deletedCount: deletionResult.deletedCount,
+        purgedCount: deletionResult.purgedCount,
+        skippedCount: deletionResult.skippedCount
+      };
     });
 
     if (!lockResult.acquired) {
@@ -852,17 +1349,28 @@ const autoDeleteOldFollows = async () => {
 
 export {
   getRecords,
+  exportRecords,
+  getRecordDetail,
   uploadAudio,
   downloadSTT,
+  getAudioUrl,
+  streamAudio,
   updateStaffId,
   updateStaffName,
   updateSummary,
   deleteRecord,
+  getDeletedRecords,
+  restoreRecord,
   getPrompt,
   updatePrompt,
+  getPromptVersions,
+  rollbackPrompt,
+  testPrompt,
   getProcessingJobStatus,
   getProcessingJobs,
   retryProcessingJob,
+  cancelProcessingJob,
+  regenerateFollow,
   syncSalesforce,
   autoDeleteOldFollows,
 };
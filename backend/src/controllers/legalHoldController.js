@@ -0,0 +1,98 @@
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import {
+  LEGAL_HOLD_TARGETS,
+  findHoldTarget,
+  listHolds,
+  createHold,
+  releaseHold
+} from '../services/legalHoldService.js';
+
+const MAX_REASON_LENGTH = 2000;
+
+// Company the user may see holds for (null = all companies for admin)
+const getScopeCompanyId = (user) => (user.role === 'admin' ? null : user.company_id);
+
+// List legal holds (company-scoped). Query params: staffRefId, includeReleased (1 = include released holds)
+const getLegalHolds = async (req, res) => {
+  try {
+    const staffRefId = req.query.staffRefId ? parseInt(req.query.staffRefId, 10) : undefined;
+    if (Number.isNaN(staffRefId)) return res.status(400).json({ error: 'Invalid staff ID' });
+
+    const holds = await listHolds({
+      companyId: getScopeCompanyId(req.user),
+      staffRefId,
+      includeReleased: req.query.includeReleased === '1' || req.query.includeReleased === 'true'
+    });
+    res.json({ holds });
+  } catch (error) {
+    logger.error('Error fetching legal holds', error);
+    res.status(500).json({ error: 'Failed to fetch legal holds' });
+  }
+};
+
+// Place a legal hold. Body: targetType (record | follow | staff), targetId, reason
+const createLegalHold = async (req, res) => {
+  try {
+    const { targetType, reason } = req.body;
+    const targetId = parseInt(req.body.targetId, 10);
+
+    if (!LEGAL_HOLD_TARGETS[targetType]) {
+      return res.status(400).json({ error: `targetType must be one of: ${Object.keys(LEGAL_HOLD_TARGETS).join(', ')}` });
+    }
+    if (isNaN(targetId)) {
+      return res.status(400).json({ error: 'Invalid target ID' });
+    }
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason is required (max ${MAX_REASON_LENGTH} characters)` });
+    }
+
+    const target = await findHoldTarget(targetType, targetId);
+    const scopeCompanyId = getScopeCompanyId(req.user);
+    if (!target || (scopeCompanyId !== null && target.companyId !== scopeCompanyId)) {
+      return res.status(404).json({ error: 'Target not found' });
+    }
+
+    const holdId = await createHold(targetType, target, reason.trim(), req.user.id);
+    logger.info('Legal hold placed', { holdId, targetType, targetId, userId: req.user.id });
+
+    const [hold] = await listHolds({ holdId });
+    res.status(201).json({ success: true, hold });
+  } catch (error) {
+    logger.error('Error placing legal hold', error);
+    res.status(500).json({ error: 'Failed to place legal hold' });
+  }
+};
+
+// Release an active legal hold
+const releaseLegalHold = async (req, res) => {
+  try {
+    const holdId = parseInt(req.params.id, 10);
+    if (isNaN(holdId)) return res.status(400).json({ error: 'Invalid legal hold ID' });
+
+    let query = 'SELECT id FROM legal_holds WHERE id = ? AND released_at IS NULL';
+    const params = [holdId];
+    const scopeCompanyId = getScopeCompanyId(req.user);
+    if (scopeCompanyId !== null) {
+      query += ' AND company_id = ?';
+      params.push(scopeCompanyId);
+    }
+
+    const [rows] = await pool.query(query, params);
+    if (rows.length === 0 || !await releaseHold(holdId, req.user.id)) {
+      return res.status(404).json({ error: 'Legal hold not found' });
+    }
+
+    logger.info('Legal hold released', { holdId, userId: req.user.id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error releasing legal hold', error);
+    res.status(500).json({ error: 'Failed to release legal hold' });
+  }
+};
+
+export {
+  getLegalHolds,
+  createLegalHold,
+  releaseLegalHold
+};
@@ -1,77 +1,164 @@
 import { pool } from '../config/database.js';
 import axios from 'axios';
-import pkg from 'nodejs-whisper';
 import FormData from 'form-data';
-const { nodewhisper } = pkg;
 import fs from 'fs';
-import PDFDocument from 'pdfkit';
 import archiver from 'archiver';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegPath from 'ffmpeg-static';
 import logger from '../utils/logger.js';
-
-const __filename_rc = fileURLToPath(import.meta.url);
-const __dirname_rc = path.dirname(__filename_rc);
-const FONT_PATH = path.join(__dirname_rc, '../../fonts/NotoSansJP-Regular.ttf');
 import cache from '../utils/cache.js';
 import { withLock, shouldRunJob, recordJobRun } from '../utils/jobLock.js';
+import { resolveSort } from '../utils/listSort.js';
+import { getTrashRetentionDays } from '../utils/trash.js';
+import { findRecordCandidates, findAudioCandidates } from '../services/autoDeletePlanner.js';
 import { 
   createProcessingJob, 
   updateJobStatus, 
   getJobStatus,
   getUserJobs,
-  retryFailedJob
+  retryFailedJob,
+  cancelJob
 } from '../services/asyncProcessingService.js';
 import { addAudioProcessingJob } from '../queues/audioQueue.js';
+import { resolveStaff, updateStaffName as updateStaffEntityName } from '../services/staffService.js';
+import { recordRevisions } from '../services/revisionService.js';
+import { REGENERATE_FIELDS, resolveRegenerateFields, createRegenerateJob, findActiveRegenerateJob } from '../services/regenerationService.js';
+import { DEFAULT_GENERATION_PROMPTS, GENERATION_PROMPT_KEYS, getCompanyPrompts } from '../services/generation/prompts.js';
+import { savePrompts, listPromptVersions, getPromptVersion } from '../services/promptVersionService.js';
+import {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  RECORD_EXPORT_COLUMNS,
+  resolveExportColumns,
+  buildExportSelect,
+  sendExport
+} from '../services/exportService.js';
+import {
+  RECORD_DOCUMENTS,
+  buildRecordDocument,
+  buildSttDocument,
+  buildSalesforceDocument,
+  renderPdf,
+  renderHtml,
+  renderDocx,
+  sendPdf
+} from '../services/documents/index.js';
+import {
+  TRANSCRIPT_FORMATS,
+  TIMED_FORMATS,
+  parseSegments,
+  hasTiming,
+  sendTranscript
+} from '../services/transcriptService.js';
+import { hasAudioFile, createAudioUrl, sendAudio } from '../services/audioStreamService.js';
 import { API_CONFIG } from '../config/axiosConfig.js';
 
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const DATE_FILTER_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const QUALITY_STATUSES = ['complete', 'partial'];
 
-// Transcription Queue Manager
-class TranscriptionQueue {
-  constructor() {
-    this.queue = [];
-    this.isProcessing = false;
+// Whitelisted sort fields for the records list (API field -> SQL column)
+const RECORD_SORT_COLUMNS = {
+  date: 'r.date',
+  fileId: 'r.file_id',
+  staffId: 'r.staff_id',
+  userName: 'u.name'
+};
+
+// Escape LIKE wildcards so user input is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Build the WHERE clause shared by the records list and its COUNT query.
+ * Applies role-based scoping first, then the optional list filters from the query string.
+ * Date filters are JST calendar days (YYYY-MM-DD), compared with r.date converted the same way
+ * as the displayed date so a filter always matches the day shown in the list.
+ * @param {Object} user - req.user ({ role, company_id, id })
+ * @param {Object} filters - req.query
+ * @returns {{ whereClause: string, params: Array, error?: string }}
+ */
+const buildRecordFilters = (user, filters = {}) => {
+  const { role, company_id, id: userId } = user;
+  // Soft-deleted records only show up in the trash
+  const conditions = ['r.deleted_at IS NULL'];
+  const params = [];
+
+  // Apply role-based filtering using r.company_id (no JOIN needed)
+  if (role === 'member' || role === 'company-manager') {
+    // Members and company managers can see records from all users in the same company
+    conditions.push('r.company_id = ?');
+    params.push(company_id);
+  } else if (role !== 'admin') {
+    logger.warn('Unknown role', { role });
+    // Default to showing only user's own records for unknown roles
+    conditions.push('r.user_id = ?');
+    params.push(userId);
   }
 
-  async addToQueue(audioFilePath, options) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({
-        audioFilePath,
-        options,
-        resolve,
-        reject
-      });
-      this.processQueue();
-    });
+  const staffId = typeof filters.staffId === 'string' ? filters.staffId.trim() : '';
+  const staffName = typeof filters.staffName === 'string' ? filters.staffName.trim() : '';
+  const memo = typeof filters.memo === 'string' ? filters.memo.trim() : '';
+  const { userId: uploaderId, dateFrom, dateTo, qualityStatus } = filters;
+
+  if (staffId) {
+    conditions.push('r.staff_id LIKE ?');
+    params.push(`${escapeLike(staffId)}%`);
   }
 
-  async processQueue() {
-    if (this.isProcessing || this.queue.length === 0) {
-      return;
+  if (staffName) {
+    conditions.push('r.staff_name LIKE ?');
+    params.push(`%${escapeLike(staffName)}%`);
+  }
+
+  if (uploaderId !== undefined && uploaderId !== '') {
+    const parsedUploaderId = parseInt(uploaderId);
+    if (isNaN(parsedUploaderId)) {
+      return { error: 'userId must be a number' };
     }
+    conditions.push('r.user_id = ?');
+    params.push(parsedUploaderId);
+  }
 
-    this.isProcessing = true;
-    const { audioFilePath, options, resolve, reject } = this.queue.shift();
+  if (dateFrom) {
+    if (!DATE_FILTER_PATTERN.test(dateFrom)) {
+      return { error: 'dateFrom must be in YYYY-MM-DD format' };
+    }
+    conditions.push("CONVERT_TZ(r.date, '+00:00', '+09:00') >= ?");
+    params.push(`${dateFrom} 00:00:00`);
+  }
 
-    try {
-      const result = await nodewhisper(audioFilePath, options);
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    } finally {
-      this.isProcessing = false;
-      this.processQueue(); // Process next item in queue
+  if (dateTo) {
+    if (!DATE_FILTER_PATTERN.test(dateTo)) {
+      return { error: 'dateTo must be in YYYY-MM-DD format' };
     }
+    conditions.push("CONVERT_TZ(r.date, '+00:00', '+09:00') < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(`${dateTo} 00:00:00`);
   }
-}
 
-const transcriptionQueue = new TranscriptionQueue();
+  if (memo) {
+    conditions.push('r.memo LIKE ?');
+    params.push(`%${escapeLike(memo)}%`);
+  }
 
-ffmpeg.setFfmpegPath(ffmpegPath);
+  if (qualityStatus) {
+    if (!QUALITY_STATUSES.includes(qualityStatus)) {
+      return { error: `qualityStatus must be one of: ${QUALITY_STATUSES.join(', ')}` };
+    }
+    conditions.push('r.quality_status = ?');
+    params.push(qualityStatus);
+  }
+
+  return {
+    whereClause: ` WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+};
 
 // Get all records with pagination
+// Optional filters: staffId, staffName, userId (uploader), dateFrom, dateTo, memo, qualityStatus
+// Optional sorting: sort (date | fileId | staffId | userName), order (asc | desc), default date desc
 const getRecords = async (req, res) => {
   try {
     const { role, company_id, id: userId } = req.user;
@@ -88,72 +175,56 @@ const getRecords = async (req, res) => {
       return res.status(400).json({ error: 'Offset must be 0 or greater' });
     }
 
+    const { whereClause, params, error: filterError } = buildRecordFilters(req.user, req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { orderBy, sort, order, error: sortError } = resolveSort(req.query, RECORD_SORT_COLUMNS, { defaultSort: 'date' });
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
     logger.debug('User info', { role, company_id, userId });
-    logger.debug('Pagination params', { limit, offset });
+    logger.debug('Pagination params', { limit, offset, sort, order });
 
-    // Build base query for counting total records (no JOIN needed for counting)
-    let countQuery = `
+    // Count query uses the same WHERE clause as the list (no JOIN needed for counting)
+    const countQuery = `
       SELECT COUNT(*) as total
       FROM records r
+      ${whereClause}
     `;
     
     // Build main query for fetching records (lightweight fields only)
     // JOIN only needed for userName field
-    let query = `
+    const query = `
       SELECT 
         r.id, 
         r.user_id as ownerId,
         DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
         r.file_id as fileId, 
         r.staff_id as staffId, 
+        r.staff_ref_id as staffRefId,
         r.staff_name as staffName,
         r.memo,
         r.company_id as companyId,
         u.name as userName
       FROM records r
       LEFT JOIN users u ON r.user_id = u.id
+      ${whereClause}
+      ${orderBy}
+      LIMIT ? OFFSET ?
     `;
-
-    const queryParams = [];
-    const countParams = [];
-
-    // Apply role-based filtering using r.company_id (no JOIN needed)
-    if (role === 'member') {
-      // Members can see records from all users in the same company
-      query += ' WHERE r.company_id = ?';
-      countQuery += ' WHERE r.company_id = ?';
-      queryParams.push(company_id);
-      countParams.push(company_id);
-      logger.debug('Filtering for member', { company_id });
-    } else if (role === 'company-manager') {
-      // Company managers can see records from their company
-      query += ' WHERE r.company_id = ?';
-      countQuery += ' WHERE r.company_id = ?';
-      queryParams.push(company_id);
-      countParams.push(company_id);
-      logger.debug('Filtering for company-manager', { company_id });
-    } else if (role === 'admin') {
-      logger.debug('Admin user - no filtering applied, showing all records');
-      // For admin, we want to see all records, so no WHERE clause
-    } else {
-      logger.warn('Unknown role', { role });
-      // Default to showing only user's own records for unknown roles
-      query += ' WHERE r.user_id = ?';
-      countQuery += ' WHERE r.user_id = ?';
-      queryParams.push(userId);
-      countParams.push(userId);
-    }
-
-    query += ' ORDER BY r.created_at DESC';
-    query += ' LIMIT ? OFFSET ?';
-    queryParams.push(limit, offset);
+    const queryParams = [...params, limit, offset];
 
     logger.debug('Final query', { query });
     logger.debug('Query params', { queryParams });
 
     // Execute both queries in parallel
-    const [records] = await pool.query(query, queryParams);
-    const [countResult] = await pool.query(countQuery, countParams);
+    const [[records], [countResult]] = await Promise.all([
+      pool.query(query, queryParams),
+      pool.query(countQuery, params)
+    ]);
     
     const total = countResult[0].total;
     const hasMore = offset + records.length < total;
@@ -178,6 +249,83 @@ const getRecords = async (req, res) => {
   }
 };
 
+// Export the records list as CSV or Excel
+// Accepts the same filters and sorting as getRecords, plus:
+// format (csv | xlsx, default csv), columns (comma-separated keys of RECORD_EXPORT_COLUMNS, default all)
+const exportRecords = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { columns, error: columnsError } = resolveExportColumns(req.query.columns, RECORD_EXPORT_COLUMNS);
+    if (columnsError) {
+      return res.status(400).json({ error: columnsError });
+    }
+
+    const { whereClause, params, error: filterError } = buildRecordFilters(req.user, req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { orderBy, error: sortError } = resolveSort(req.query, RECORD_SORT_COLUMNS, { defaultSort: 'date' });
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM records r ${whereClause}`, params);
+    if (total > MAX_EXPORT_ROWS) {
+      return res.status(400).json({ error: `Too many records to export (${total}); narrow the filters to ${MAX_EXPORT_ROWS} or fewer` });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ${buildExportSelect(columns, RECORD_EXPORT_COLUMNS)}
+      FROM records r
+      LEFT JOIN users u ON r.user_id = u.id
+      ${whereClause}
+      ${orderBy}`,
+      params
+    );
+
+    logger.info('Records exported', { userId: req.user.id, format, count: rows.length });
+    await sendExport(res, {
+      format,
+      fileBaseName: `records-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Records',
+      columns,
+      available: RECORD_EXPORT_COLUMNS,
+      rows
+    });
+  } catch (error) {
+    logger.error('Error exporting records', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export records' });
+    }
+  }
+};
+
+// Get uploaders visible to the current user (for the records uploader filter)
+const getRecordUploaders = async (req, res) => {
+  try {
+    const { whereClause, params } = buildRecordFilters(req.user);
+
+    const [uploaders] = await pool.query(
+      `SELECT DISTINCT u.id, u.name
+       FROM records r
+       INNER JOIN users u ON r.user_id = u.id
+       ${whereClause}
+       ORDER BY u.name`,
+      params
+    );
+
+    res.json({ uploaders });
+  } catch (error) {
+    logger.error('Error fetching record uploaders', error);
+    res.status(500).json({ error: 'Failed to fetch uploaders' });
+  }
+};
+
 // Get single record detail with all fields
 const getRecordDetail = async (req, res) => {
   try {
@@ -198,6 +346,7 @@ const getRecordDetail = async (req, res) => {
         DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
         r.file_id as fileId, 
         r.staff_id as staffId, 
+        r.staff_ref_id as staffRefId,
         r.staff_name as staffName,
         r.memo,
         r.stt,
@@ -211,7 +360,7 @@ const getRecordDetail = async (req, res) => {
         r.hope as hope
       FROM records r
       LEFT JOIN users u ON r.user_id = u.id
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
 
     const queryParams = [recordId];
@@ -263,7 +412,7 @@ const uploadFile = async (filePath) => {
   form.append('purpose', 'workflow_input');
   form.append('user', 'voldin012');
 
-  const response = await axios.post('https://api.dify.ai/v1/files/upload', form, {
+  const response = await axios.post(`${API_CONFIG.dify.baseUrl}/files/upload`, form, {
     headers: {
       Authorization: `Bearer ${process.env.DIFY_SECRET_KEY}`,
       ...form.getHeaders()
@@ -281,7 +430,7 @@ const testAPI = async (req, res) => {
   const txtFilePath = 'C:/Users/ALPHA/BITREP/auth-crud/backend/uploads/audio/1747786259632-912707972.wav.csv';
   const fileId = await uploadFile(txtFilePath);
   const difyResponse = await axios.post(
-    'https://api.dify.ai/v1/workflows/run',
+    `${API_CONFIG.dify.baseUrl}/workflows/run`,
     {
       inputs: {
         "txtFile": {
@@ -445,227 +594,245 @@ const retryProcessingJob = async (req, res) => {
   }
 };
 
-const downloadSTT = async (req, res) => {
+// Cancel a pending or running processing job
+const cancelProcessingJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const parsedJobId = parseInt(jobId, 10);
+    if (isNaN(parsedJobId)) return res.status(400).json({ error: 'Invalid job ID' });
+
+    const { role, id: userId } = req.user;
+
+    const result = await cancelJob(parsedJobId, userId, role, 'record');
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error cancelling job', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to cancel job' });
+  }
+};
+
+// Regenerate the AI outputs from the stored transcript (body.fields: fields to overwrite, all by default)
+const regenerateRecord = async (req, res) => {
   try {
     const { recordId } = req.params;
-    // Get STT data and file_id from database
-    const [records] = await pool.query(
-      'SELECT stt, file_id FROM records WHERE id = ?',
-      [recordId]
-    );
+    const id = parseInt(recordId, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const { role, company_id, id: userId } = req.user;
+    const fields = resolveRegenerateFields('record', req.body?.fields);
+    if (!fields) {
+      return res.status(400).json({ error: `fields must be a non-empty array of: ${REGENERATE_FIELDS.record.join(', ')}` });
+    }
+
+    // Permission check scoped by company_id
+    let permissionQuery = 'SELECT id, file_id, company_id, staff_id, stt FROM records WHERE id = ? AND deleted_at IS NULL';
+    const permissionParams = [id];
+
+    if (role === 'member' || role === 'company-manager') {
+      permissionQuery += ' AND company_id = ?';
+      permissionParams.push(company_id);
+    }
+
+    const [records] = await pool.query(permissionQuery, permissionParams);
+
     if (records.length === 0) {
-      return res.status(404).json({ error: 'Record not found' });
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
     }
-    const sttData = records[0].stt;
-    const fileId = records[0].file_id;
-    // Create PDF
-    const doc = new PDFDocument({
-      size: 'A4',
-      margins: {
-        top: 50,
-        bottom: 50,
-        left: 50,
-        right: 50
-      }
+
+    const target = records[0];
+    if (!target.stt || !target.stt.trim()) {
+      return res.status(400).json({ error: 'No transcript to regenerate from' });
+    }
+
+    const activeJobId = await findActiveRegenerateJob('record', id);
+    if (activeJobId) {
+      return res.status(409).json({ error: 'Regeneration already in progress', jobId: activeJobId });
+    }
+
+    const jobId = await createRegenerateJob('record', target, userId, fields);
+
+    await addAudioProcessingJob({
+      jobId,
+      fileId: target.file_id,
+      userId,
+      companyId: target.company_id,
+      staffId: target.staff_id,
+      jobType: 'record',
+      regenerate: true,
     });
-    res.setHeader('Content-Type', 'application/pdf');
-    // Encode the filename to handle special characters
-    const encodedFilename = encodeURIComponent(`STT-${fileId}.pdf`);
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
-    doc.pipe(res);
-    doc.registerFont('NotoSansJP', FONT_PATH);
-    const paragraphs = sttData
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .split('\n')
-      .filter(p => p.trim() !== '');
-    doc.font('NotoSansJP').fontSize(12);
-    paragraphs.forEach((paragraph, index) => {
-      if (index > 0) doc.moveDown();
-      doc.text(paragraph, {
-        align: 'left',
-        lineGap: 5,
-        features: ['kern', 'liga'],
-        encoding: 'utf8'
-      });
+
+    res.status(200).json({
+      jobId,
+      fields,
+      message: '再生成を受け付けました。処理を開始します。',
+      status: 'pending'
     });
-    doc.end();
+  } catch (error) {
+    logger.error('Error regenerating record outputs', error);
+    res.status(500).json({ error: 'Failed to regenerate' });
+  }
+};
+
+// STT as PDF (default), SRT/VTT subtitles or JSON segments (?format=)
+const downloadSTT = async (req, res) => {
+  try {
+    const recordId = parseInt(req.params.recordId, 10);
+    if (isNaN(recordId)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
+    }
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` });
+    }
+
+    const { whereClause, params } = buildRecordFilters(req.user);
+    const [records] = await pool.query(
+      `SELECT r.stt, r.stt_segments, r.file_id FROM records r ${whereClause} AND r.id = ?`,
+      [...params, recordId]
+    );
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'Record not found or access denied' });
+    }
+
+    const segments = parseSegments(records[0].stt_segments);
+    if (TIMED_FORMATS.includes(format) && !hasTiming(segments)) {
+      return res.status(409).json({ error: 'This record has no timed transcript' });
+    }
+    sendTranscript(res, format, { fileId: records[0].file_id, stt: records[0].stt, segments });
   } catch (error) {
     logger.error('Error downloading STT', error);
     res.status(500).json({ error: 'Failed to download STT' });
   }
 };
 
-// Helper to draw a solid horizontal line
-function drawSolidLine(doc, shouldStroke = false) {
-  const { left, right } = doc.page.margins;
-  const y = doc.y + 5;
-  if (shouldStroke) {
-    doc.lineWidth(1);
-    doc.moveTo(left, y).lineTo(doc.page.width - right, y).stroke();
-  }
-  else {
-    doc.lineWidth(0.5);
-    doc.moveTo(left, y).lineTo(doc.page.width - right, y).stroke();
+// Skill sheet PDF in the layout of the record's company template
+const downloadSkillSheet = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const [records] = await pool.query(
+      'SELECT skill_sheet, file_id, staff_id, skills, company_id FROM records WHERE id = ? AND deleted_at IS NULL',
+      [recordId]
+    );
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    const model = await buildRecordDocument('skill-sheet', records[0]);
+    sendPdf(res, model, `スキルシート-${records[0].file_id}.pdf`);
+  } catch (error) {
+    logger.error('Error downloading skill sheet', error);
+    res.status(500).json({ error: 'Failed to download skill sheet' });
   }
-  doc.moveDown(0.5);
-}
+};
 
-const downloadSkillSheet = async (req, res) => {
+// Download the skill sheet as an editable Word file (same document as downloadSkillSheet)
+const downloadSkillSheetDocx = async (req, res) => {
   try {
     const { recordId } = req.params;
     const [records] = await pool.query(
-      'SELECT skill_sheet, file_id, staff_id, skills FROM records WHERE id = ?',
+      'SELECT skill_sheet, file_id, staff_id, skills, company_id FROM records WHERE id = ? AND deleted_at IS NULL',
       [recordId]
     );
     if (records.length === 0) {
       return res.status(404).json({ error: 'Record not found' });
     }
-    // Clean and parse skillsheet if it's a string
-    const cleanSkillsheet = typeof records[0].skill_sheet === 'string'
-      ? records[0].skill_sheet.replace(/```json\n?|\n?```/g, '').trim()
-      : records[0].skill_sheet;
 
-    let skillSheet = {}
+    const buffer = await renderDocx(await buildRecordDocument('skill-sheet', records[0]));
 
-    if (typeof cleanSkillsheet === "string") {
-      try {
-        skillSheet = JSON.parse(cleanSkillsheet);
-      } catch (e) {
-        logger.error('Invalid JSON in cleanSkillsheet', e);
-        skillSheet = {}; // or null / fallback value
-      }
-    } else {
-      skillSheet = cleanSkillsheet;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    const encodedFilename = encodeURIComponent(`スキルシート-${records[0].file_id}.docx`);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Error downloading skill sheet DOCX', error);
+    res.status(500).json({ error: 'Failed to download skill sheet' });
+  }
+};
+
+// HTML rendering of a record document (stt, skill-sheet, salesforce) from the same model as its PDF
+const previewDocument = async (req, res) => {
+  try {
+    const recordId = parseInt(req.params.recordId, 10);
+    if (isNaN(recordId)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
+    }
+    const documentType = req.params.doc;
+    if (!Object.prototype.hasOwnProperty.call(RECORD_DOCUMENTS, documentType)) {
+      return res.status(400).json({ error: `doc must be one of: ${Object.keys(RECORD_DOCUMENTS).join(', ')}` });
     }
 
-    const fileId = records[0].file_id;
-    const staffId = records[0].staff_id;
-    // Parse and clean skills JSON
-    let cleanSkillsData = null;
-    try {
-      if (typeof records[0].skills === 'string') {
-        const cleaned = records[0].skills.replace(/```json\n?|\n?```/g, '').trim();
-        cleanSkillsData = JSON.parse(cleaned);
-      } else {
-        cleanSkillsData = records[0].skills;
-      }
-    } catch (e) {
-      cleanSkillsData = null;
-    }
-
-    // Create PDF with wider content area
-    const doc = new PDFDocument({
-      size: 'A4',
-      margins: {
-        top: 100,
-        bottom: 100,
-        left: 40,
-        right: 40
-      }
-    });
-    res.setHeader('Content-Type', 'application/pdf');
-    // Encode the filename to handle special characters
-    const encodedFilename = encodeURIComponent(`スキルシート-${fileId}.pdf`);
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
-    doc.pipe(res);
-    doc.registerFont('NotoSansJP', FONT_PATH);
-
-    // Title - Centered
-    doc.font('NotoSansJP').fontSize(16).text('Personal Data Sheet', { align: 'center' });
-    doc.moveDown();
-
-    // Profile Section
-    doc.fontSize(12);
-    drawSolidLine(doc);
-    doc.text('＋＋プロフィール＋＋');
-    drawSolidLine(doc);
-    doc.text(`■氏名：${staffId}`);
-    drawSolidLine(doc, true);
-
-    // Career History Section
-    doc.text('■経歴詳細');
-    drawSolidLine(doc);
-    doc.moveDown();
-
-    // Career entries
-    Object.keys(skillSheet).forEach((key, idx) => {
-      const c = skillSheet[key];
-      doc.text(`[期間]${c.from}～${c.to}`);
-      doc.text(`[雇用形態]${c['employee type']}`);
-      doc.text('[経験職種]');
-      if (c['work content']) {
-        const experiences = c['work content'];
-        // Handle both string and array formats
-        if (Array.isArray(experiences)) {
-          experiences.forEach(exp => {
-            if (exp && exp.trim()) {
-              doc.text(`  ${exp.trim()}`);
-            }
-          });
-        } else if (typeof experiences === 'string') {
-          // Split by newlines if it's a string
-          const expArray = experiences.split('\n').filter(exp => exp.trim());
-          expArray.forEach(exp => {
-            doc.text(`  ${exp.trim()}`);
-          });
-        }
-      } else {
-        doc.text('  なし');
-      }
-      drawSolidLine(doc, true);
-    });
+    const { whereClause, params } = buildRecordFilters(req.user);
+    const columns = RECORD_DOCUMENTS[documentType].columns.map(column => `r.${column}`).join(', ');
+    const [records] = await pool.query(
+      `SELECT ${columns} FROM records r ${whereClause} AND r.id = ?`,
+      [...params, recordId]
+    );
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'Record not found or access denied' });
+    }
 
-    // Skills Section
-    if (cleanSkillsData) {
-      doc.addPage();
-      drawSolidLine(doc, true);
-      doc.font('NotoSansJP').fontSize(14).text('＋＋語学力・資格・スキル＋＋');
-      drawSolidLine(doc);
-      doc.moveDown();
-
-      // Language Skills
-      doc.font('NotoSansJP').fontSize(12).text('■語学力');
-      if (Array.isArray(cleanSkillsData['語学力']) && cleanSkillsData['語学力'].length > 0) {
-        cleanSkillsData['語学力'].forEach(lang => {
-          if (lang.言語 || lang.レベル) {
-            doc.text(`  ${lang.言語 ? '言語：' + lang.言語 : ''}${lang.レベル ? '　レベル：' + lang.レベル : ''}`);
-          }
-        });
-      } else {
-        doc.text('  なし');
-      }
-      doc.moveDown(0.5);
-
-      // Qualifications
-      doc.font('NotoSansJP').fontSize(12).text('■資格');
-      if (Array.isArray(cleanSkillsData['資格']) && cleanSkillsData['資格'].length > 0 && cleanSkillsData['資格'].some(q => q && q.trim() !== '')) {
-        doc.text('  ' + cleanSkillsData['資格'].filter(q => q && q.trim() !== '').join('、'));
-      } else {
-        doc.text('  なし');
-      }
-      doc.moveDown(0.5);
-
-      // Skills
-      doc.font('NotoSansJP').fontSize(12).text('■スキル');
-      if (cleanSkillsData['スキル']) {
-        // Split the skills string by newlines and add each skill on a new line
-        const skills = cleanSkillsData['スキル'];
-        doc.text(skills);
-      } else {
-        doc.text('  なし');
-      }
-      doc.moveDown(2);
+    const model = await buildRecordDocument(documentType, records[0]);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderHtml(model));
+  } catch (error) {
+    logger.error('Error rendering document preview', error);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+};
 
-      // Footer note
-      doc.font('NotoSansJP').fontSize(10).text('株式会社レゾナゲート', { indent: 10, align: 'center' });
-      doc.fillColor('black');
+// Tenant-scoped audio_file_path of a record (null when not visible to the user)
+const findRecordAudio = async (user, recordId) => {
+  const { whereClause, params } = buildRecordFilters(user);
+  const [records] = await pool.query(
+    `SELECT r.audio_file_path FROM records r ${whereClause} AND r.id = ?`,
+    [...params, recordId]
+  );
+  return records[0] || null;
+};
+
+// Short-lived URL of the record's audio stream for the player
+const getAudioUrl = async (req, res) => {
+  try {
+    const recordId = parseInt(req.params.recordId, 10);
+    if (isNaN(recordId)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
     }
 
-    doc.end();
+    const record = await findRecordAudio(req.user, recordId);
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found or access denied' });
+    }
+    if (!hasAudioFile(record.audio_file_path)) {
+      return res.status(404).json({ error: 'Audio is no longer available for this record' });
+    }
+
+    res.json(createAudioUrl(req.user, 'record', recordId, `/api/records/${recordId}/audio`));
   } catch (error) {
-    logger.error('Error downloading skill sheet', error);
-    res.status(500).json({ error: 'Failed to download skill sheet' });
+    logger.error('Error creating audio URL', error);
+    res.status(500).json({ error: 'Failed to create audio URL' });
+  }
+};
+
+// Audio of a record, with HTTP Range support (Bearer token or the media token of getAudioUrl)
+const streamAudio = async (req, res) => {
+  try {
+    const recordId = parseInt(req.params.recordId, 10);
+    if (isNaN(recordId)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
+    }
+
+    const record = await findRecordAudio(req.user, recordId);
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found or access denied' });
+    }
+    if (!hasAudioFile(record.audio_file_path)) {
+      return res.status(404).json({ error: 'Audio is no longer available for this record' });
+    }
+
+    sendAudio(res, record.audio_file_path);
+  } catch (error) {
+    logger.error('Error streaming record audio', error);
+    res.status(500).json({ error: 'Failed to stream audio' });
   }
 };
 
@@ -679,7 +846,7 @@ const updateStaffId = async (req, res) => {
     let permissionQuery = `
       SELECT r.*, r.company_id as recordCompanyId, r.user_id as ownerId
       FROM records r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const permissionParams = [recordId];
 
@@ -703,9 +870,11 @@ const updateStaffId = async (req, res) => {
     if (!staffId) {
       return res.status(400).json({ error: 'staffId is required' });
     }
+    // Re-link to the staff entity for the new staff ID
+    const staffRefId = await resolveStaff(records[0].company_id, staffId, records[0].staff_name);
     const [result] = await pool.query(
-      'UPDATE records SET staff_id = ? WHERE id = ?',
-      [staffId, recordId]
+      'UPDATE records SET staff_id = ?, staff_ref_id = ? WHERE id = ?',
+      [staffId, staffRefId, recordId]
     );
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Record not found' });
@@ -735,7 +904,7 @@ const updateSkillSheet = async (req, res) => {
     let permissionQuery = `
       SELECT r.*, r.company_id as recordCompanyId, r.user_id as ownerId
       FROM records r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const permissionParams = [recordId];
 
@@ -768,6 +937,11 @@ const updateSkillSheet = async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
+    await recordRevisions('record', records[0].id, [
+      { field: 'skill_sheet', content: JSON.stringify(skill_sheet), previous: records[0].skill_sheet },
+      { field: 'skills', content: JSON.stringify(skills), previous: records[0].skills }
+    ], { source: 'user', editorId: userId });
+
     // Invalidate cache after update
     if (company_id) {
       cache.invalidatePattern(`records:company:${company_id}:*`);
@@ -785,7 +959,7 @@ const updateSkillSheet = async (req, res) => {
 const getSkillSheet = async (req, res) => {
   try {
     const { recordId } = req.params;
-    const [records] = await pool.query('SELECT skill_sheet FROM records WHERE id = ?', [recordId]);
+    const [records] = await pool.query('SELECT skill_sheet FROM records WHERE id = ? AND deleted_at IS NULL', [recordId]);
     res.json(records[0].skill_sheet);
   } catch (error) {
     logger.error('Error getting skill sheet', error);
@@ -803,7 +977,7 @@ const updateSalesforce = async (req, res) => {
     let permissionQuery = `
       SELECT r.*, r.company_id as recordCompanyId, r.user_id as ownerId
       FROM records r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const permissionParams = [recordId];
 
@@ -835,6 +1009,11 @@ const updateSalesforce = async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
+    await recordRevisions('record', records[0].id, [
+      { field: 'salesforce', content: JSON.stringify(salesforceData), previous: records[0].salesforce },
+      { field: 'hope', content: hope, previous: records[0].hope }
+    ], { source: 'user', editorId: userId });
+
     // Invalidate cache after update
     if (company_id) {
       cache.invalidatePattern(`records:company:${company_id}:*`);
@@ -854,104 +1033,95 @@ const downloadSalesforce = async (req, res) => {
     const { recordId } = req.params;
     // Get salesforce data and file_id from database
     const [records] = await pool.query(
-      'SELECT salesforce, file_id, hope FROM records WHERE id = ?',
+      'SELECT salesforce, file_id, hope FROM records WHERE id = ? AND deleted_at IS NULL',
       [recordId]
     );
     if (records.length === 0) {
       return res.status(404).json({ error: 'Record not found' });
     }
-    const salesforceArr = JSON.parse(records[0].salesforce || '[]');
-    const fileId = records[0].file_id;
-    const hope = records[0].hope;
-
-    // Create PDF
-    const doc = new PDFDocument({
-      size: 'A4',
-      margins: { top: 50, bottom: 50, left: 50, right: 50 }
-    });
-    res.setHeader('Content-Type', 'application/pdf');
-    // Encode the filename to handle special characters
-    const encodedFilename = encodeURIComponent(`セールスフォース-${fileId}.pdf`);
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
-    doc.pipe(res);
-
-    // Register and use Japanese font
-    doc.registerFont('NotoSansJP', FONT_PATH);
-    doc.font('NotoSansJP').fontSize(16).text('セールスフォース', { align: 'center' });
-    doc.moveDown();
-
-    // Add career history
-    salesforceArr.forEach((content, idx) => {
-      doc.font('NotoSansJP').fontSize(12).text(`経歴 ${idx + 1}`, { underline: true });
-      doc.moveDown(0.2);
-      doc.font('NotoSansJP').fontSize(12).text(content);
-      doc.moveDown();
-    });
-
-    // Add hope data if it exists
-    if (hope) {
-      doc.font('NotoSansJP').fontSize(14).text('スタッフ希望条件', { underline: true });
-      doc.moveDown(0.2);
-      doc.font('NotoSansJP').fontSize(12).text(hope);
-      doc.moveDown(2); // Add more space after hope data
-    }
-
-    doc.end();
+    sendPdf(res, buildSalesforceDocument(records[0]), `セールスフォース-${records[0].file_id}.pdf`);
   } catch (error) {
     logger.error('Error downloading Salesforce', error);
     res.status(500).json({ error: 'Failed to download Salesforce PDF' });
   }
 };
 
+/**
+ * Add one record's documents to a bulk ZIP
+ * @param {Object} archive - archiver instance
+ * @param {Object} record - records row (file_id, audio_file_path, stt, skill_sheet, skills, salesforce, hope, staff_id, company_id)
+ * @param {Object} options
+ * @param {string} [options.folder] - Folder inside the ZIP ('' = root)
+ * @param {boolean} [options.includeAudio] - Add the raw audio when it is still stored
+ * @param {boolean} [options.includeDocx] - Add the skill sheet as Word (.docx) too
+ * @param {Map} [options.templates] - Skill sheet templates by company_id, shared across the records of one ZIP
+ * @returns {Promise<string>} Name of the last entry added
+ */
+const appendRecordDocuments = async (archive, record, { folder = '', includeAudio = true, includeDocx = false, templates = new Map() } = {}) => {
+  const prefix = folder ? `${folder}/` : '';
+  const fileId = record.file_id;
+
+  if (includeAudio && record.audio_file_path && fs.existsSync(record.audio_file_path)) {
+    archive.file(record.audio_file_path, { name: `${prefix}audio_${fileId}${path.extname(record.audio_file_path)}` });
+  }
+  archive.append(renderPdf(buildSttDocument(record.stt)), { name: `${prefix}STT-${fileId}.pdf` });
+  const skillSheet = await buildRecordDocument('skill-sheet', record, { templates });
+  archive.append(renderPdf(skillSheet), { name: `${prefix}スキルシート-${fileId}.pdf` });
+  if (includeDocx) {
+    archive.append(await renderDocx(skillSheet), { name: `${prefix}スキルシート-${fileId}.docx` });
+  }
+
+  const lastEntry = `${prefix}セールスフォース-${fileId}.pdf`;
+  archive.append(renderPdf(buildSalesforceDocument(record)), { name: lastEntry });
+  return lastEntry;
+};
+
+// Resolves once the archive has written the named entry (keeps only one record's PDFs in memory),
+// or as soon as the signal aborts: an archive nobody reads stops emitting entries
+const waitForArchiveEntry = (archive, name, signal) => new Promise((resolve, reject) => {
+  const onEntry = (entry) => {
+    if (entry.name === name) {
+      cleanup();
+      resolve();
+    }
+  };
+  const onError = (err) => {
+    cleanup();
+    reject(err);
+  };
+  const onAbort = () => {
+    cleanup();
+    resolve();
+  };
+  const cleanup = () => {
+    archive.off('entry', onEntry);
+    archive.off('error', onError);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  if (signal?.aborted) return resolve();
+  archive.on('entry', onEntry);
+  archive.on('error', onError);
+  signal?.addEventListener('abort', onAbort);
+});
+
+const BULK_RECORD_COLUMNS = 'r.id, r.file_id, r.audio_file_path, r.skill_sheet, r.salesforce, r.staff_id, r.staff_name, r.skills, r.stt, r.hope, r.company_id';
+
 const downloadBulk = async (req, res) => {
   try {
     const { recordId } = req.params;
     // Get record info
     const [records] = await pool.query(
-      'SELECT file_id, audio_file_path, skill_sheet, salesforce, staff_id, skills, stt, hope FROM records WHERE id = ?',
+      `SELECT ${BULK_RECORD_COLUMNS} FROM records r WHERE r.id = ? AND r.deleted_at IS NULL`,
       [recordId]
     );
     if (records.length === 0) {
       return res.status(404).json({ error: 'Record not found' });
     }
-    const { file_id, audio_file_path, skill_sheet, salesforce, staff_id, skills, stt, hope } = records[0];
-
-    // Clean and parse skillsheet if it's a string
-    const cleanSkillsheet = typeof skill_sheet === 'string'
-      ? skill_sheet.replace(/```json\n?|\n?```/g, '').trim()
-      : skill_sheet;
-
-    let skillSheetObj = {};
-
-    if (typeof cleanSkillsheet === "string") {
-      try {
-        skillSheetObj = JSON.parse(cleanSkillsheet);
-      } catch (e) {
-        logger.error('Invalid JSON in cleanSkillsheet', e);
-        skillSheetObj = {}; // or null / fallback value
-      }
-    } else {
-      skillSheetObj = cleanSkillsheet;
-    }
-
-    // Parse skills JSON
-    let skillsData = null;
-    try {
-      if (typeof skills === 'string') {
-        const cleanedSkills = skills.replace(/```json\n?|\n?```/g, '').trim();
-        skillsData = JSON.parse(cleanedSkills);
-      } else {
-        skillsData = skills;
-      }
-    } catch (e) {
-      logger.error('Error parsing skills data', e);
-      skillsData = null;
-    }
 
     // Prepare archive
     res.setHeader('Content-Type', 'application/zip');
     // Encode the filename to handle special characters
-    const encodedFilename = encodeURIComponent(`一括データ-${file_id}.zip`);
+    const encodedFilename = encodeURIComponent(`一括データ-${records[0].file_id}.zip`);
     res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
 
     const archive = archiver('zip', { zlib: { level: 9 } });
@@ -967,173 +1137,114 @@ const downloadBulk = async (req, res) => {
     // Pipe archive to response
     archive.pipe(res);
 
-    // 1. Add audio file
-    if (audio_file_path && fs.existsSync(audio_file_path)) {
-      archive.file(audio_file_path, { name: `audio_${file_id}${path.extname(audio_file_path)}` });
+    // Audio, STT PDF, skill sheet PDF (and DOCX with ?docx=1) and Salesforce PDF
+    await appendRecordDocuments(archive, records[0], { includeDocx: req.query.docx === '1' || req.query.docx === 'true' });
+
+    // Finalize archive
+    await archive.finalize();
+  } catch (error) {
+    logger.error('Error downloading bulk', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download bulk zip' });
+    }
+  }
+};
+
+// Most records in one multi-record ZIP (every record renders three PDFs)
+const MAX_BULK_RECORDS = 200;
+
+// Download many records as one ZIP with a folder per record
+// Body: ids (record ids) or filters (same keys as the records list: staffId, staffName, userId,
+// dateFrom, dateTo, memo, qualityStatus; sort/order apply too), includeAudio (default false),
+// includeDocx (skill sheet as Word too, default false)
+// Only records visible to the user are included
+const downloadBulkZip = async (req, res) => {
+  try {
+    const { ids, filters = {}, includeAudio = false, includeDocx = false } = req.body || {};
+
+    const { whereClause, params, error: filterError } = buildRecordFilters(req.user, Array.isArray(ids) ? {} : filters);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
 
-    // 2. Add STT PDF
-    const sttPDF = new PDFDocument({
-      size: 'A4',
-      margins: {
-        top: 50,
-        bottom: 50,
-        left: 50,
-        right: 50
-      }
-    });
-    sttPDF.registerFont('NotoSansJP', FONT_PATH);
-    const paragraphs = stt
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .split('\n')
-      .filter(p => p.trim() !== '');
-    sttPDF.font('NotoSansJP').fontSize(12);
-    paragraphs.forEach((paragraph, index) => {
-      if (index > 0) sttPDF.moveDown();
-      sttPDF.text(paragraph, {
-        align: 'left',
-        lineGap: 5,
-        features: ['kern', 'liga'],
-        encoding: 'utf8'
-      });
-    });
-    sttPDF.end();
-    archive.append(sttPDF, { name: `STT-${file_id}.pdf` });
-
-    // 3. Add skillsheet PDF
-    const skillSheetPDF = new PDFDocument({
-      size: 'A4',
-      margins: {
-        top: 100,
-        bottom: 100,
-        left: 40,
-        right: 40
+    let query = `SELECT ${BULK_RECORD_COLUMNS} FROM records r ${whereClause}`;
+    const queryParams = [...params];
+    if (Array.isArray(ids)) {
+      const recordIds = [...new Set(ids.map(id => parseInt(id, 10)))];
+      if (recordIds.length === 0 || recordIds.some(isNaN)) {
+        return res.status(400).json({ error: 'ids must be a non-empty array of record IDs' });
       }
-    });
-    skillSheetPDF.registerFont('NotoSansJP', FONT_PATH);
-
-    // Title - Centered
-    skillSheetPDF.font('NotoSansJP').fontSize(16).text('Personal Data Sheet', { align: 'center' });
-    skillSheetPDF.moveDown();
-
-    // Profile Section
-    skillSheetPDF.fontSize(12);
-    drawSolidLine(skillSheetPDF);
-    skillSheetPDF.text('＋＋プロフィール＋＋');
-    drawSolidLine(skillSheetPDF);
-    skillSheetPDF.text(`■氏名：${staff_id}`);
-    drawSolidLine(skillSheetPDF, true);
-
-    // Career History Section
-    skillSheetPDF.text('■経歴詳細');
-    drawSolidLine(skillSheetPDF);
-    skillSheetPDF.moveDown();
-
-    // Career entries
-    Object.keys(skillSheetObj).forEach((key, idx) => {
-      const c = skillSheetObj[key];
-      skillSheetPDF.text(`[期間]${c.from}～${c.to}`);
-      skillSheetPDF.text(`[雇用形態]${c['employee type']}`);
-      skillSheetPDF.text('[経験職種]');
-      if (c['work content']) {
-        const experiences = c['work content'];
-        skillSheetPDF.text(`${experiences}`);
-      } else {
-        skillSheetPDF.text('なし');
+      if (recordIds.length > MAX_BULK_RECORDS) {
+        return res.status(400).json({ error: `Up to ${MAX_BULK_RECORDS} records can be downloaded at once` });
       }
-      drawSolidLine(skillSheetPDF, true);
-    });
+      query += ' AND r.id IN (?)';
+      queryParams.push(recordIds);
+    }
 
-    // Skills Section
-    if (skillsData) {
-      skillSheetPDF.addPage();
-      drawSolidLine(skillSheetPDF, true);
-      skillSheetPDF.font('NotoSansJP').fontSize(14).text('＋＋語学力・資格・スキル＋＋');
-      drawSolidLine(skillSheetPDF);
-      skillSheetPDF.moveDown();
-
-      // Language Skills
-      skillSheetPDF.font('NotoSansJP').fontSize(12).text('■語学力');
-      if (Array.isArray(skillsData['語学力']) && skillsData['語学力'].length > 0) {
-        skillsData['語学力'].forEach(lang => {
-          if (lang.言語 || lang.レベル) {
-            skillSheetPDF.text(`  ${lang.言語 ? '言語：' + lang.言語 : ''}${lang.レベル ? '　レベル：' + lang.レベル : ''}`);
-          }
-        });
-      } else {
-        skillSheetPDF.text('  なし');
-      }
-      skillSheetPDF.moveDown(0.5);
-
-      // Qualifications
-      skillSheetPDF.font('NotoSansJP').fontSize(12).text('■資格');
-      if (Array.isArray(skillsData['資格']) && skillsData['資格'].length > 0 && skillsData['資格'].some(q => q && q.trim() !== '')) {
-        skillSheetPDF.text('  ' + skillsData['資格'].filter(q => q && q.trim() !== '').join('、'));
-      } else {
-        skillSheetPDF.text('  なし');
-      }
-      skillSheetPDF.moveDown(0.5);
-
-      // Skills
-      skillSheetPDF.font('NotoSansJP').fontSize(12).text('■スキル');
-      if (skillsData['スキル']) {
-        // Split the skills string by newlines and add each skill on a new line
-        const skills = typeof skillsData['スキル'] === 'string' && skillsData['スキル'].includes('\n')
-          ? skillsData['スキル'].split('\n')
-          : Array.isArray(skillsData['スキル'])
-            ? skillsData['スキル']
-            : [];
-        skills.forEach(skill => {
-          if (skill && skill.trim()) {
-            skillSheetPDF.text('  ' + skill.trim());
-          }
-        });
-      } else {
-        skillSheetPDF.text('  なし');
-      }
-      skillSheetPDF.moveDown(2);
+    const { orderBy, error: sortError } = resolveSort(filters, RECORD_SORT_COLUMNS, { defaultSort: 'date' });
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+    query += `${orderBy} LIMIT ${MAX_BULK_RECORDS + 1}`;
 
-      // Footer note
-      skillSheetPDF.font('NotoSansJP').fontSize(10).text('株式会社レゾナゲート', { indent: 10, align: 'center' });
-      skillSheetPDF.fillColor('black');
+    const [records] = await pool.query(query, queryParams);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'No records found' });
     }
-    skillSheetPDF.end();
-    archive.append(skillSheetPDF, { name: `スキルシート-${file_id}.pdf` });
+    if (records.length > MAX_BULK_RECORDS) {
+      return res.status(400).json({ error: `Too many records; narrow the filters to ${MAX_BULK_RECORDS} or fewer` });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    const encodedFilename = encodeURIComponent(`一括データ-${records.length}件-${new Date().toISOString().slice(0, 10)}.zip`);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
 
-    // 4. Add salesforce PDF
-    const salesforceArr = JSON.parse(salesforce || '[]');
-    const salesforcePDF = new PDFDocument({
-      size: 'A4',
-      margins: { top: 50, bottom: 50, left: 50, right: 50 }
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (err) => {
+      logger.error('Archive error', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to create archive' });
+      }
     });
-    salesforcePDF.registerFont('NotoSansJP', FONT_PATH);
-    salesforcePDF.font('NotoSansJP').fontSize(16).text('セールスフォース', { align: 'center' });
-    salesforcePDF.moveDown();
-
-    // Add career history
-    salesforceArr.forEach((content, idx) => {
-      salesforcePDF.font('NotoSansJP').fontSize(12).text(`経歴 ${idx + 1}`, { underline: true });
-      salesforcePDF.moveDown(0.2);
-      salesforcePDF.font('NotoSansJP').fontSize(12).text(content);
-      salesforcePDF.moveDown();
+
+    // Stop rendering when the client goes away. req closes as soon as express.json has read
+    // the body; res closes with the connection.
+    const abort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abort.abort();
     });
 
-    // Add hope data if it exists
-    if (hope) {
-      salesforcePDF.font('NotoSansJP').fontSize(14).text('スタッフ希望条件', { underline: true });
-      salesforcePDF.moveDown(0.2);
-      salesforcePDF.font('NotoSansJP').fontSize(12).text(hope);
-      salesforcePDF.moveDown(2);
+    archive.pipe(res);
+
+    const usedFolders = new Set();
+    const templates = new Map();
+    for (const record of records) {
+      if (abort.signal.aborted) break;
+      let folder = `${record.file_id || record.id}_${record.staff_name || record.staff_id || ''}`
+        .replace(/[\\/:*?"<>|\s]+/g, '_')
+        .replace(/_+$/, '');
+      if (usedFolders.has(folder)) folder = `${folder}_${record.id}`;
+      usedFolders.add(folder);
+
+      const lastEntry = await appendRecordDocuments(archive, record, {
+        folder,
+        includeAudio: includeAudio === true,
+        includeDocx: includeDocx === true,
+        templates
+      });
+      await waitForArchiveEntry(archive, lastEntry, abort.signal);
     }
 
-    salesforcePDF.end();
-    archive.append(salesforcePDF, { name: `セールスフォース-${file_id}.pdf` });
+    if (abort.signal.aborted) {
+      logger.warn('Bulk ZIP download aborted by client', { userId: req.user.id });
+      archive.abort();
+      return;
+    }
 
-    // Finalize archive
+    logger.info('Bulk ZIP downloaded', { userId: req.user.id, count: records.length, includeAudio: includeAudio === true, includeDocx: includeDocx === true });
     await archive.finalize();
   } catch (error) {
-    logger.error('Error downloading bulk', error);
+    logger.error('Error downloading bulk zip', error);
     if (!res.headersSent) {
       res.status(500).json({ error: 'Failed to download bulk zip' });
     }
@@ -1150,7 +1261,7 @@ const updateLoR = async (req, res) => {
     let permissionQuery = `
       SELECT r.*, r.company_id as recordCompanyId, r.user_id as ownerId
       FROM records r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const permissionParams = [recordId];
 
@@ -1184,6 +1295,10 @@ const updateLoR = async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
+    await recordRevisions('record', records[0].id, [
+      { field: 'lor', content: lor, previous: records[0].lor }
+    ], { source: 'user', editorId: userId });
+
     // Invalidate cache after update
     if (company_id) {
       cache.invalidatePattern(`records:company:${company_id}:*`);
@@ -1207,7 +1322,7 @@ const deleteRecord = async (req, res) => {
     let query = `
       SELECT r.*, r.company_id as recordCompanyId
       FROM records r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const queryParams = [recordId];
 
@@ -1236,23 +1351,12 @@ const deleteRecord = async (req, res) => {
 
     // Get company_id before deletion for cache invalidation
     const recordCompanyId = records[0].recordCompanyId || records[0].company_id;
-    
-    // Get audio_file_path before deletion
-    const audioFilePath = records[0].audio_file_path;
 
-    // Delete the audio file if it exists
-    if (audioFilePath && fs.existsSync(audioFilePath)) {
-      try {
-        fs.unlinkSync(audioFilePath);
-        logger.debug('Audio file deleted', { recordId, audioFilePath });
-      } catch (fileError) {
-        // Log error but don't fail the deletion if file deletion fails
-        logger.warn('Failed to delete audio file', { recordId, audioFilePath, error: fileError });
-      }
-    }
-
-    // Delete the record (physical deletion)
-    await pool.query('DELETE FROM records WHERE id = ?', [recordId]);
+    // Soft delete: the row and its audio file stay in the trash until the auto-delete job purges them
+    await pool.query(
+      'UPDATE records SET deleted_at = NOW(), deleted_by = ? WHERE id = ?',
+      [userId, recordId]
+    );
 
     // Invalidate cache after deletion
     if (recordCompanyId) {
@@ -1262,13 +1366,117 @@ const deleteRecord = async (req, res) => {
     }
     logger.debug('Cache invalidated after record deletion', { recordId, company_id: recordCompanyId });
 
-    res.json({ success: true, message: 'Record deleted successfully' });
+    res.json({ success: true, message: 'Record moved to trash', purgeAfterDays: getTrashRetentionDays() });
   } catch (error) {
     logger.error('Error deleting record', error);
     res.status(500).json({ error: 'Failed to delete record' });
   }
 };
 
+// List soft-deleted records (trash) for the company
+const getDeletedRecords = async (req, res) => {
+  try {
+    const { role, company_id, id: userId } = req.user;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const retentionDays = getTrashRetentionDays();
+
+    let whereClause = ' WHERE r.deleted_at IS NOT NULL';
+    const params = [];
+    if (role === 'member' || role === 'company-manager') {
+      whereClause += ' AND r.company_id = ?';
+      params.push(company_id);
+    } else if (role !== 'admin') {
+      logger.warn('Unknown role', { role });
+      whereClause += ' AND r.user_id = ?';
+      params.push(userId);
+    }
+
+    const query = `
+      SELECT
+        r.id,
+        r.user_id as ownerId,
+        DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+        r.file_id as fileId,
+        r.staff_id as staffId,
+        r.staff_name as staffName,
+        r.company_id as companyId,
+        u.name as userName,
+        DATE_FORMAT(CONVERT_TZ(r.deleted_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as deletedAt,
+        d.name as deletedByName,
+        DATE_FORMAT(CONVERT_TZ(DATE_ADD(r.deleted_at, INTERVAL ? DAY), '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as purgeAt
+      FROM records r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN users d ON r.deleted_by = d.id
+      ${whereClause}
+      ORDER BY r.deleted_at DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    const [[records], [countResult]] = await Promise.all([
+      pool.query(query, [retentionDays, ...params, limit, offset]),
+      pool.query(`SELECT COUNT(*) as total FROM records r${whereClause}`, params)
+    ]);
+    const total = countResult[0].total;
+
+    res.json({
+      records,
+      retentionDays,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + records.length < total,
+        currentPage: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching deleted records', error);
+    res.status(500).json({ error: 'Failed to fetch deleted records' });
+  }
+};
+
+// Restore a soft-deleted record from the trash (same permissions as delete)
+const restoreRecord = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const { role, company_id, id: userId } = req.user;
+
+    let query = 'SELECT r.id, r.company_id FROM records r WHERE r.id = ? AND r.deleted_at IS NOT NULL';
+    const queryParams = [recordId];
+
+    if (role === 'company-manager') {
+      query += ' AND r.company_id = ?';
+      queryParams.push(company_id);
+    } else if (role !== 'admin') {
+      // Members (and unknown roles) can only restore their own records
+      query += ' AND r.user_id = ?';
+      queryParams.push(userId);
+    }
+
+    const [records] = await pool.query(query, queryParams);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'レコードが見つからないか、復元する権限がありません。' });
+    }
+
+    await pool.query('UPDATE records SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [recordId]);
+
+    const recordCompanyId = records[0].company_id;
+    if (recordCompanyId) {
+      cache.invalidatePattern(`records:company:${recordCompanyId}:*`);
+      cache.invalidatePattern(`records:detail:${recordId}:*`);
+      cache.invalidatePattern(`dashboard:stats:company:${recordCompanyId}`);
+    }
+    logger.info('Record restored from trash', { recordId, userId });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error restoring record', error);
+    res.status(500).json({ error: 'Failed to restore record' });
+  }
+};
+
 // Update staff name
 const updateStaffName = async (req, res) => {
   try {
@@ -1280,7 +1488,7 @@ const updateStaffName = async (req, res) => {
     let permissionQuery = `
       SELECT r.*, r.company_id as recordCompanyId, r.user_id as ownerId
       FROM records r
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `;
     const permissionParams = [recordId];
 
@@ -1318,6 +1526,9 @@ const updateStaffName = async (req, res) => {
         return res.status(404).json({ error: 'Record not found' });
       }
 
+      // Keep the staff entity name in sync (latest edit wins)
+      await updateStaffEntityName(records[0].staff_ref_id, staffName);
+
       // Invalidate cache after update
       if (company_id) {
         cache.invalidatePattern(`records:company:${company_id}:*`);
@@ -1346,6 +1557,13 @@ const updateMemo = async (req, res) => {
       return res.status(400).json({ error: 'Invalid memo data' });
     }
 
+    // Get company_id for cache invalidation and the previous memo for the edit history
+    const [recordCheck] = await pool.query('SELECT id, company_id, memo FROM records WHERE id = ? AND deleted_at IS NULL', [recordId]);
+    if (recordCheck.length === 0) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    const recordCompanyId = recordCheck[0].company_id;
+
     const [result] = await pool.query(
       'UPDATE records SET memo = ? WHERE id = ?',
       [memo, recordId]
@@ -1355,9 +1573,9 @@ const updateMemo = async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
-    // Get company_id for cache invalidation
-    const [recordCheck] = await pool.query('SELECT company_id FROM records WHERE id = ?', [recordId]);
-    const recordCompanyId = recordCheck[0]?.company_id;
+    await recordRevisions('record', recordCheck[0].id, [
+      { field: 'memo', content: memo, previous: recordCheck[0].memo }
+    ], { source: 'user', editorId: req.user.id });
 
     // Invalidate cache after update
     if (recordCompanyId) {
@@ -1373,55 +1591,206 @@ const updateMemo = async (req, res) => {
   }
 };
 
-// Auto-delete records older than specified months (default: 2 months)
-// Deletes both audio files from disk and database rows
-// @param {object} connection - Database connection to use (must be same connection as lock)
-const _autoDeleteOldRecordsInternal = async (connection) => {
+// Delete audio files from disk, returning how many were removed
+// Get the record generation prompts of the user's company (defaults where it has none)
+const getPrompts = async (req, res) => {
   try {
-    const months = parseInt(process.env.AUTO_DELETE_RETENTION_MONTHS || '2');
+    const { company_id } = req.user;
 
-    // Collect audio file paths before deleting rows
-    const [targetRows] = await connection.query(
-      `SELECT id, audio_file_path FROM records 
-       WHERE date < DATE_SUB(NOW(), INTERVAL ? MONTH)`,
-      [months]
-    );
+    const prompts = { ...DEFAULT_GENERATION_PROMPTS };
 
-    if (targetRows.length === 0) {
-      logger.info(`No records found to delete (older than ${months} month(s))`);
-      return { success: true, deletedCount: 0, filesDeleted: 0 };
+    if (company_id) {
+      const companyPrompts = await getCompanyPrompts(company_id);
+      for (const key of GENERATION_PROMPT_KEYS) {
+        if (companyPrompts[key]) {
+          prompts[key] = companyPrompts[key];
+        }
+      }
     }
 
-    // Delete audio files from disk
-    let filesDeleted = 0;
-    for (const row of targetRows) {
-      if (row.audio_file_path && fs.existsSync(row.audio_file_path)) {
-        try {
-          fs.unlinkSync(row.audio_file_path);
-          filesDeleted++;
-        } catch (fileError) {
-          logger.warn('Failed to delete audio file during auto-delete', {
-            recordId: row.id,
-            audioFilePath: row.audio_file_path,
-            error: fileError.message,
-          });
-        }
+    res.json({ prompts });
+  } catch (error) {
+    logger.error('Error fetching generation prompts', error);
+    res.status(500).json({ error: 'Failed to fetch prompts' });
+  }
+};
+
+// Update record generation prompts - persists to companies.skillsheet_prompt, lor_prompt, skills_prompt, hope_prompt
+// body.prompts: { skillsheet?, lor?, skills?, hope? }; an empty prompt reverts to the default
+const updatePrompts = async (req, res) => {
+  try {
+    const { prompts } = req.body;
+    const { company_id } = req.user;
+
+    if (!prompts || typeof prompts !== 'object' || Array.isArray(prompts)) {
+      return res.status(400).json({ error: 'Invalid prompt data' });
+    }
+
+    const keys = Object.keys(prompts);
+    if (keys.length === 0 || keys.some(key => !GENERATION_PROMPT_KEYS.includes(key) || typeof prompts[key] !== 'string')) {
+      return res.status(400).json({ error: 'Invalid prompt data' });
+    }
+
+    if (keys.some(key => prompts[key].length > 3000)) {
+      return res.status(400).json({ error: 'Prompt exceeds 3000 character limit' });
+    }
+
+    if (!company_id) {
+      return res.status(400).json({ error: 'Company ID not found for user' });
+    }
+
+    // Store the prompts (or set to NULL if empty to revert to default) with new versions
+    await savePrompts(company_id, prompts, { editorId: req.user.id });
+
+    logger.info('Generation prompts updated', { company_id, keys });
+
+    res.json({ success: true, message: 'Prompts updated successfully' });
+  } catch (error) {
+    logger.error('Error updating generation prompts', error);
+    res.status(500).json({ error: 'Failed to update prompts' });
+  }
+};
+
+// List versions of the generation prompts (newest first; content null = default prompt)
+// Optional query: key (skillsheet | lor | skills | hope)
+const getPromptVersions = async (req, res) => {
+  try {
+    const { key } = req.query;
+    const { company_id } = req.user;
+
+    if (key !== undefined && !GENERATION_PROMPT_KEYS.includes(key)) {
+      return res.status(400).json({ error: `key must be one of: ${GENERATION_PROMPT_KEYS.join(', ')}` });
+    }
+
+    if (!company_id) {
+      return res.json({ versions: [] });
+    }
+
+    const versions = await listPromptVersions(company_id, key ? [key] : GENERATION_PROMPT_KEYS);
+    res.json({ versions });
+  } catch (error) {
+    logger.error('Error fetching generation prompt versions', error);
+    res.status(500).json({ error: 'Failed to fetch prompt versions' });
+  }
+};
+
+// Roll a generation prompt back to a stored version (recorded as a new version)
+const rollbackPrompt = async (req, res) => {
+  try {
+    const versionId = parseInt(req.params.versionId, 10);
+    const { company_id } = req.user;
+
+    if (isNaN(versionId)) {
+      return res.status(400).json({ error: 'Invalid version ID' });
+    }
+
+    if (!company_id) {
+      return res.status(400).json({ error: 'Company ID not found for user' });
+    }
+
+    const version = await getPromptVersion(company_id, versionId);
+    if (!version || !GENERATION_PROMPT_KEYS.includes(version.promptKey)) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    await savePrompts(company_id, { [version.promptKey]: version.content }, {
+      editorId: req.user.id,
+      restoredFrom: version.id,
+    });
+
+    logger.info('Generation prompt rolled back', { company_id, key: version.promptKey, versionId });
+
+    res.json({
+      success: true,
+      message: 'Prompt rolled back successfully',
+      key: version.promptKey,
+      prompt: version.content || DEFAULT_GENERATION_PROMPTS[version.promptKey],
+    });
+  } catch (error) {
+    logger.error('Error rolling back generation prompt', error);
+    res.status(500).json({ error: 'Failed to roll back prompt' });
+  }
+};
+
+const deleteAudioFiles = (rows) => {
+  let filesDeleted = 0;
+  for (const row of rows) {
+    if (row.audio_file_path && fs.existsSync(row.audio_file_path)) {
+      try {
+        fs.unlinkSync(row.audio_file_path);
+        filesDeleted++;
+      } catch (fileError) {
+        logger.warn('Failed to delete audio file during auto-delete', {
+          recordId: row.id,
+          audioFilePath: row.audio_file_path,
+          error: fileError.message,
+        });
       }
     }
+  }
+  return filesDeleted;
+};
 
-    // Delete database rows
-    const [result] = await connection.query(
-      `DELETE FROM records 
-       WHERE date < DATE_SUB(NOW(), INTERVAL ? MONTH)`,
-      [months]
-    );
+// Auto-delete records older than each company's retention period (companies.records_retention_months,
+// falling back to AUTO_DELETE_RETENTION_MONTHS; 0 = never delete), purge records that have been in the
+// trash longer than TRASH_RETENTION_DAYS (default: 30), and remove raw audio files older than
+// companies.audio_retention_days (falling back to AUTO_DELETE_AUDIO_RETENTION_DAYS) from records that are kept
+// Records under a legal hold are skipped (reported as skippedCount)
+// Deletes both audio files from disk and database rows
+// @param {object} connection - Database connection to use (must be same connection as lock)
+const _autoDeleteOldRecordsInternal = async (connection) => {
+  try {
+    // Collect audio file paths before deleting rows
+    const candidateRows = await findRecordCandidates(connection);
 
-    logger.info(`Auto-deleted ${result.affectedRows} record(s) older than ${months} month(s)`, {
-      dbRowsDeleted: result.affectedRows,
-      audioFilesDeleted: filesDeleted,
+    const targetRows = candidateRows.filter(row => !row.held);
+    let skippedCount = candidateRows.length - targetRows.length;
+    let deletedCount = 0;
+    let filesDeleted = 0;
+    const purgedCount = targetRows.filter(row => row.inTrash).length;
+
+    if (targetRows.length > 0) {
+      filesDeleted += deleteAudioFiles(targetRows);
+
+      // Delete database rows
+      const [result] = await connection.query(
+        'DELETE FROM records WHERE id IN (?)',
+        [targetRows.map(row => row.id)]
+      );
+      deletedCount = result.affectedRows;
+    }
+
+    // Raw audio of records that are kept (held candidates were already counted above)
+    const audioCandidateRows = await findAudioCandidates(connection, {
+      excludeRecordIds: candidateRows.map(row => row.id)
     });
+    const audioRows = audioCandidateRows.filter(row => !row.held);
+    skippedCount += audioCandidateRows.length - audioRows.length;
+
+    if (audioRows.length > 0) {
+      filesDeleted += deleteAudioFiles(audioRows);
+      await connection.query(
+        'UPDATE records SET audio_file_path = NULL WHERE id IN (?)',
+        [audioRows.map(row => row.id)]
+      );
+    }
+
+    if (deletedCount === 0 && audioRows.length === 0) {
+      logger.info('No records or audio files found to delete under the current retention policies');
+    } else {
+      logger.info(`Auto-deleted ${deletedCount} record(s) and ${audioRows.length} raw audio file(s) under the retention policies`, {
+        dbRowsDeleted: deletedCount,
+        purgedFromTrash: purgedCount,
+        audioExpired: audioRows.length,
+        audioFilesDeleted: filesDeleted,
+        skippedLegalHold: skippedCount,
+      });
+    }
+    if (skippedCount > 0) {
+      logger.info(`Skipped ${skippedCount} record(s) under legal hold`);
+    }
 
-    return { success: true, deletedCount: result.affectedRows, filesDeleted };
+    return { success: true, deletedCount, purgedCount, audioExpiredCount: audioRows.length, skippedCount, filesDeleted };
   } catch (error) {
     logger.error('Error in auto-delete old records', error);
     throw error;
@@ -1465,7 +1834,14 @@ const autoDeleteOldRecords = async () => {
       await recordJobRun(JOB_NAME, connection);
       
       logger.info('Auto-delete old records job completed successfully', deletionResult);
-      return { success: true, deletedCount: deletionResult.deletedCount };
+      return {
+        success: true,
+        deletedCount: deletionResult.deletedCount,
+        purgedCount: deletionResult.purgedCount,
+        audioExpiredCount: deletionResult.audioExpiredCount,
+        skippedCount: deletionResult.skippedCount,
+        filesDeleted: deletionResult.filesDeleted
+      };
     });
     
     if (!lockResult.acquired) {
@@ -1484,14 +1860,26 @@ const autoDeleteOldRecords = async () => {
 
 export {
   getRecords,
+  exportRecords,
+  getRecordUploaders,
   getRecordDetail,
   uploadAudio,
   getProcessingJobStatus,
   getProcessingJobs,
   retryProcessingJob,
+  cancelProcessingJob,
+  regenerateRecord,
+  getPrompts,
+  updatePrompts,
+  getPromptVersions,
+  rollbackPrompt,
   testAPI,
   downloadSTT,
   downloadSkillSheet,
+  downloadSkillSheetDocx,
+  previewDocument,
+  getAudioUrl,
+  streamAudio,
   updateStaffId,
   updateStaffName,
   updateMemo,
@@ -1500,7 +1888,10 @@ export {
   updateSalesforce,
   downloadSalesforce,
   downloadBulk,
+  downloadBulkZip,
   updateLoR,
   deleteRecord,
+  getDeletedRecords,
+  restoreRecord,
   autoDeleteOldRecords
 };
\ No newline at end of file
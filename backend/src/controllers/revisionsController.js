@@ -0,0 +1,211 @@
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import cache from '../utils/cache.js';
+import { diffLines, normalizeForDiff } from '../utils/textDiff.js';
+import {
+  REVISION_FIELDS,
+  getEntityTable,
+  recordRevisions,
+  listRevisions,
+  getRevision
+} from '../services/revisionService.js';
+
+/**
+ * Load a record/follow the current user may edit, with its versioned columns
+ * @param {'record'|'follow'} entityType
+ * @param {number} entityId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>}
+ */
+const findEditableEntity = async (entityType, entityId, user) => {
+  const { table } = getEntityTable(entityType);
+  const columns = Object.values(REVISION_FIELDS[entityType]).join(', ');
+
+  let query = `SELECT id, company_id, ${columns} FROM ${table} WHERE id = ? AND deleted_at IS NULL`;
+  const params = [entityId];
+  if (user.role !== 'admin') {
+    query += ' AND company_id = ?';
+    params.push(user.company_id);
+  }
+
+  const [rows] = await pool.query(query, params);
+  return rows[0] || null;
+};
+
+/**
+ * Parse the optional ?field=a,b filter against the entity's versioned fields
+ * @returns {{ fields?: string[], error?: string }}
+ */
+const parseFields = (entityType, fieldParam) => {
+  const allowed = Object.keys(REVISION_FIELDS[entityType]);
+  if (!fieldParam) return { fields: allowed };
+
+  const fields = String(fieldParam).split(',').map(field => field.trim()).filter(Boolean);
+  const invalid = fields.filter(field => !allowed.includes(field));
+  if (invalid.length > 0) {
+    return { error: `field must be one of: ${allowed.join(', ')}` };
+  }
+  return { fields };
+};
+
+const invalidateEntityCache = (entityType, entity) => {
+  if (!entity.company_id) return;
+  if (entityType === 'record') {
+    cache.invalidatePattern(`records:company:${entity.company_id}:*`);
+    cache.invalidatePattern(`records:detail:${entity.id}:*`);
+  } else {
+    cache.invalidatePattern(`follows:company:${entity.company_id}:*`);
+  }
+};
+
+const parseEntityId = (req) => parseInt(req.params.recordId, 10);
+
+// List revisions (newest first). Query params: field (comma separated, optional)
+const listEntityRevisions = async (entityType, req, res) => {
+  try {
+    const entityId = parseEntityId(req);
+    if (isNaN(entityId)) return res.status(400).json({ error: 'Invalid record ID' });
+
+    const { fields, error } = parseFields(entityType, req.query.field);
+    if (error) return res.status(400).json({ error });
+
+    const entity = await findEditableEntity(entityType, entityId, req.user);
+    if (!entity) {
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
+    }
+
+    const revisions = await listRevisions(entityType, entityId, fields);
+    res.json({ revisions });
+  } catch (error) {
+    logger.error('Error listing revisions', error);
+    res.status(500).json({ error: 'Failed to list revisions' });
+  }
+};
+
+// Get a single revision with content
+const getEntityRevision = async (entityType, req, res) => {
+  try {
+    const entityId = parseEntityId(req);
+    const revisionId = parseInt(req.params.revisionId, 10);
+    if (isNaN(entityId) || isNaN(revisionId)) return res.status(400).json({ error: 'Invalid revision ID' });
+
+    const entity = await findEditableEntity(entityType, entityId, req.user);
+    if (!entity) {
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
+    }
+
+    const revision = await getRevision(entityType, entityId, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json({ revision });
+  } catch (error) {
+    logger.error('Error fetching revision', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+};
+
+// Diff two revisions of the same field. Query params: from (revision id), to (revision id or 'current', default: current)
+const diffEntityRevisions = async (entityType, req, res) => {
+  try {
+    const entityId = parseEntityId(req);
+    const fromId = parseInt(req.query.from, 10);
+    const to = req.query.to || 'current';
+    const toId = to === 'current' ? null : parseInt(to, 10);
+    if (isNaN(entityId) || isNaN(fromId) || Number.isNaN(toId)) {
+      return res.status(400).json({ error: 'from and to must be revision IDs (to may be "current")' });
+    }
+
+    const entity = await findEditableEntity(entityType, entityId, req.user);
+    if (!entity) {
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
+    }
+
+    const fromRevision = await getRevision(entityType, entityId, fromId);
+    if (!fromRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let toRevision;
+    if (toId === null) {
+      const column = REVISION_FIELDS[entityType][fromRevision.field];
+      toRevision = { id: null, field: fromRevision.field, content: entity[column] ?? null, current: true };
+    } else {
+      toRevision = await getRevision(entityType, entityId, toId);
+      if (!toRevision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      if (toRevision.field !== fromRevision.field) {
+        return res.status(400).json({ error: 'Revisions must belong to the same field' });
+      }
+    }
+
+    const hunks = diffLines(normalizeForDiff(fromRevision.content), normalizeForDiff(toRevision.content));
+    const { content: _fromContent, ...from } = fromRevision;
+    const { content: _toContent, ...toMeta } = toRevision;
+
+    res.json({ field: fromRevision.field, from, to: toMeta, hunks });
+  } catch (error) {
+    logger.error('Error diffing revisions', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+};
+
+// Restore a revision: its content becomes the current value and is recorded as a new user revision
+const restoreEntityRevision = async (entityType, req, res) => {
+  try {
+    const entityId = parseEntityId(req);
+    const revisionId = parseInt(req.params.revisionId, 10);
+    if (isNaN(entityId) || isNaN(revisionId)) return res.status(400).json({ error: 'Invalid revision ID' });
+
+    const entity = await findEditableEntity(entityType, entityId, req.user);
+    if (!entity) {
+      return res.status(403).json({ error: 'このレコードを編集する権限がありません。' });
+    }
+
+    const revision = await getRevision(entityType, entityId, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { table } = getEntityTable(entityType);
+    const column = REVISION_FIELDS[entityType][revision.field];
+    await pool.query(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [revision.content, entityId]);
+
+    await recordRevisions(
+      entityType,
+      entityId,
+      [{ field: revision.field, content: revision.content, previous: entity[column] }],
+      { source: 'user', editorId: req.user.id }
+    );
+
+    invalidateEntityCache(entityType, entity);
+    logger.info('Revision restored', { entityType, entityId, revisionId, field: revision.field, userId: req.user.id });
+
+    res.json({ success: true, field: revision.field, content: revision.content });
+  } catch (error) {
+    logger.error('Error restoring revision', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+};
+
+const listRecordRevisions = (req, res) => listEntityRevisions('record', req, res);
+const getRecordRevision = (req, res) => getEntityRevision('record', req, res);
+const diffRecordRevisions = (req, res) => diffEntityRevisions('record', req, res);
+const restoreRecordRevision = (req, res) => restoreEntityRevision('record', req, res);
+
+const listFollowRevisions = (req, res) => listEntityRevisions('follow', req, res);
+const getFollowRevision = (req, res) => getEntityRevision('follow', req, res);
+const diffFollowRevisions = (req, res) => diffEntityRevisions('follow', req, res);
+const restoreFollowRevision = (req, res) => restoreEntityRevision('follow', req, res);
+
+export {
+  listRecordRevisions,
+  getRecordRevision,
+  diffRecordRevisions,
+  restoreRecordRevision,
+  listFollowRevisions,
+  getFollowRevision,
+  diffFollowRevisions,
+  restoreFollowRevision
+};
@@ -3,6 +3,7 @@ import jsforce from 'jsforce';
 import logger from '../utils/logger.js';
 import { encrypt, decrypt, mask } from '../utils/encryption.js';
 import { cache } from '../utils/cache.js';
+import { saveSalesforceAccountId } from '../services/staffService.js';
 
 // Get Salesforce settings
 export const getSalesforceSettings = async (req, res) => {
@@ -866,6 +867,9 @@ export const syncAccountWithSalesforce = async (req, res) => {
       accountName: accounts[0].Name
     });
 
+    // Remember the Account Id on the staff entity (admins have no company, so nothing is stored)
+    await saveSalesforceAccountId(company_id, staffId, accounts[0].Id);
+
     // Log ALL existing Salesforce field data for debugging
     logWithTimestamp('[syncAccountWithSalesforce] EXISTING SALESFORCE ACCOUNT DATA (ALL FIELDS):', accounts[0]);
     
@@ -0,0 +1,161 @@
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { MIN_TERM_LENGTH, parseTerms, toBooleanQuery, buildSnippet } from '../utils/searchTerms.js';
+
+const MAX_QUERY_LENGTH = 200;
+const SEARCH_TYPES = ['all', 'records', 'follows'];
+
+// Searchable text columns per source (in snippet priority order)
+const RECORD_SEARCH_FIELDS = ['stt', 'lor', 'hope'];
+const FOLLOW_SEARCH_FIELDS = ['summary', 'stt'];
+
+/**
+ * Tenant scope for a search source, same rules as the records list
+ * @param {Object} user - req.user
+ * @param {string} alias - Table alias
+ * @returns {{ clause: string, params: Array }}
+ */
+const buildScope = (user, alias) => {
+  const { role, company_id, id: userId } = user;
+  if (role === 'member' || role === 'company-manager') {
+    return { clause: ` AND ${alias}.company_id = ?`, params: [company_id] };
+  }
+  if (role === 'admin') {
+    return { clause: '', params: [] };
+  }
+  logger.warn('Unknown role', { role });
+  return { clause: ` AND ${alias}.user_id = ?`, params: [userId] };
+};
+
+// Full-text search over records (stt, lor, hope) and follows (stt, summary)
+// Query params: q (required), type (all | records | follows), limit, offset
+const search = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const type = req.query.type || 'all';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${SEARCH_TYPES.join(', ')}` });
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `検索キーワードは${MAX_QUERY_LENGTH}文字以内で入力してください。` });
+    }
+
+    const terms = parseTerms(q);
+    if (terms.length === 0) {
+      return res.status(400).json({ error: `検索キーワードは${MIN_TERM_LENGTH}文字以上で入力してください。` });
+    }
+    const booleanQuery = toBooleanQuery(terms);
+
+    const selects = [];
+    const counts = [];
+    const selectParams = [];
+    const countParams = [];
+
+    if (type === 'all' || type === 'records') {
+      const scope = buildScope(req.user, 'r');
+      const match = 'MATCH(r.stt, r.lor, r.hope) AGAINST (? IN BOOLEAN MODE)';
+      selects.push(`
+        SELECT
+          'record' as type,
+          r.id,
+          r.file_id as fileId,
+          r.staff_id as staffId,
+          r.staff_name as staffName,
+          u.name as userName,
+          r.date as sortDate,
+          DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+          r.stt, r.lor, r.hope, NULL as summary,
+          ${match} as score
+        FROM records r
+        LEFT JOIN users u ON r.user_id = u.id
+        WHERE r.deleted_at IS NULL AND ${match}${scope.clause}
+      `);
+      selectParams.push(booleanQuery, booleanQuery, ...scope.params);
+      counts.push(`SELECT COUNT(*) as total FROM records r WHERE r.deleted_at IS NULL AND ${match}${scope.clause}`);
+      countParams.push(booleanQuery, ...scope.params);
+    }
+
+    if (type === 'all' || type === 'follows') {
+      const scope = buildScope(req.user, 'f');
+      const match = 'MATCH(f.stt, f.summary) AGAINST (? IN BOOLEAN MODE)';
+      selects.push(`
+        SELECT
+          'follow' as type,
+          f.id,
+          f.file_id as fileId,
+          f.staff_id as staffId,
+          f.staff_name as staffName,
+          u.name as userName,
+          f.date as sortDate,
+          DATE_FORMAT(CONVERT_TZ(f.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+          f.stt, NULL as lor, NULL as hope, f.summary,
+          ${match} as score
+        FROM follows f
+        LEFT JOIN users u ON f.user_id = u.id
+        WHERE f.deleted_at IS NULL AND ${match}${scope.clause}
+      `);
+      selectParams.push(booleanQuery, booleanQuery, ...scope.params);
+      counts.push(`SELECT COUNT(*) as total FROM follows f WHERE f.deleted_at IS NULL AND ${match}${scope.clause}`);
+      countParams.push(booleanQuery, ...scope.params);
+    }
+
+    const query = `
+      ${selects.join(' UNION ALL ')}
+      ORDER BY score DESC, sortDate DESC
+      LIMIT ? OFFSET ?
+    `;
+    const countQuery = `SELECT SUM(total) as total FROM (${counts.join(' UNION ALL ')}) as counts`;
+
+    logger.debug('Full-text search', { terms, type, limit, offset });
+
+    const [[rows], [countResult]] = await Promise.all([
+      pool.query(query, [...selectParams, limit, offset]),
+      pool.query(countQuery, countParams)
+    ]);
+
+    const total = Number(countResult[0].total) || 0;
+
+    // Heavy text columns are only used to build snippets and are not returned
+    const results = rows.map(row => {
+      const fields = row.type === 'record' ? RECORD_SEARCH_FIELDS : FOLLOW_SEARCH_FIELDS;
+      const snippets = fields
+        .map(field => ({ field, segments: buildSnippet(row[field], terms) }))
+        .filter(snippet => snippet.segments !== null);
+
+      return {
+        type: row.type,
+        id: row.id,
+        fileId: row.fileId,
+        staffId: row.staffId,
+        staffName: row.staffName,
+        userName: row.userName,
+        date: row.date,
+        score: row.score,
+        snippets
+      };
+    });
+
+    res.json({
+      results,
+      terms,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + results.length < total,
+        currentPage: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error running full-text search', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+};
+
+export {
+  search
+};
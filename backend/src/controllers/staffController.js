@@ -0,0 +1,214 @@
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Salesforce record Ids are 15 or 18 alphanumeric characters
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+/**
+ * Tenant scope for the staff table (staff rows belong to a company, not a user)
+ * @param {Object} user - req.user
+ * @returns {{ clause: string, params: Array }|null} null when the role may not access staff
+ */
+const buildStaffScope = (user) => {
+  const { role, company_id } = user;
+  if (role === 'admin') {
+    return { clause: '', params: [] };
+  }
+  if (role === 'member' || role === 'company-manager') {
+    return { clause: ' AND s.company_id = ?', params: [company_id] };
+  }
+  logger.warn('Unknown role', { role });
+  return null;
+};
+
+/**
+ * Load a staff row the current user is allowed to see
+ * @param {Object} user - req.user
+ * @param {number} staffRefId - staff.id
+ * @returns {Promise<Object|null>}
+ */
+const findAccessibleStaff = async (user, staffRefId) => {
+  const scope = buildStaffScope(user);
+  if (!scope) return null;
+
+  const [rows] = await pool.query(
+    `SELECT
+      s.id,
+      s.company_id as companyId,
+      s.staff_id as staffId,
+      s.name,
+      s.salesforce_account_id as salesforceAccountId,
+      DATE_FORMAT(CONVERT_TZ(s.created_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as createdAt
+    FROM staff s
+    WHERE s.id = ?${scope.clause}`,
+    [staffRefId, ...scope.params]
+  );
+  return rows[0] || null;
+};
+
+// List staff (company-scoped). Query params: q (staff ID prefix or name), limit, offset
+const getStaffList = async (req, res) => {
+  try {
+    const scope = buildStaffScope(req.user);
+    if (!scope) {
+      return res.json({ staff: [], pagination: { total: 0, limit: 0, offset: 0, hasMore: false, currentPage: 1, totalPages: 0 } });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    let whereClause = `WHERE 1=1${scope.clause}`;
+    const params = [...scope.params];
+    if (q) {
+      const escaped = q.replace(/[\\%_]/g, '\\$&');
+      whereClause += ' AND (s.staff_id LIKE ? OR s.name LIKE ?)';
+      params.push(`${escaped}%`, `%${escaped}%`);
+    }
+
+    const query = `
+      SELECT
+        s.id,
+        s.company_id as companyId,
+        s.staff_id as staffId,
+        s.name,
+        s.salesforce_account_id as salesforceAccountId,
+        (SELECT COUNT(*) FROM records r WHERE r.staff_ref_id = s.id AND r.deleted_at IS NULL) as recordCount,
+        (SELECT COUNT(*) FROM follows f WHERE f.staff_ref_id = s.id AND f.deleted_at IS NULL) as followCount
+      FROM staff s
+      ${whereClause}
+      ORDER BY s.staff_id ASC, s.id ASC
+      LIMIT ? OFFSET ?
+    `;
+    const countQuery = `SELECT COUNT(*) as total FROM staff s ${whereClause}`;
+
+    const [[rows], [countResult]] = await Promise.all([
+      pool.query(query, [...params, limit, offset]),
+      pool.query(countQuery, params)
+    ]);
+    const total = countResult[0].total;
+
+    res.json({
+      staff: rows,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + rows.length < total,
+        currentPage: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching staff list', error);
+    res.status(500).json({ error: 'Failed to fetch staff list' });
+  }
+};
+
+// Staff profile with a chronological timeline of records (skill sheet, LoR) and follows (summary)
+const getStaffProfile = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid staff ID' });
+
+    const staff = await findAccessibleStaff(req.user, id);
+    if (!staff) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    const [[records], [follows]] = await Promise.all([
+      pool.query(
+        `SELECT
+          r.id,
+          r.date as sortDate,
+          DATE_FORMAT(CONVERT_TZ(r.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+          r.file_id as fileId,
+          r.skill_sheet as skillSheet,
+          r.lor,
+          r.skills,
+          u.name as userName
+        FROM records r
+        LEFT JOIN users u ON r.user_id = u.id
+        WHERE r.staff_ref_id = ? AND r.deleted_at IS NULL`,
+        [id]
+      ),
+      pool.query(
+        `SELECT
+          f.id,
+          f.date as sortDate,
+          DATE_FORMAT(CONVERT_TZ(f.date, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as date,
+          f.file_id as fileId,
+          DATE_FORMAT(f.follow_date, '%Y-%m-%d') as followDate,
+          f.title,
+          f.summary,
+          u.name as userName
+        FROM follows f
+        LEFT JOIN users u ON f.user_id = u.id
+        WHERE f.staff_ref_id = ? AND f.deleted_at IS NULL`,
+        [id]
+      )
+    ]);
+
+    const timeline = [
+      ...records.map(({ sortDate, ...record }) => ({ type: 'record', sortDate, ...record })),
+      ...follows.map(({ sortDate, ...follow }) => ({ type: 'follow', sortDate, ...follow }))
+    ]
+      .sort((a, b) => new Date(a.sortDate) - new Date(b.sortDate) || a.id - b.id)
+      .map(({ sortDate, ...item }) => item);
+
+    res.json({ staff, timeline });
+  } catch (error) {
+    logger.error('Error fetching staff profile', error);
+    res.status(500).json({ error: 'Failed to fetch staff profile' });
+  }
+};
+
+// Update staff name / Salesforce Account Id (any role with access to the staff row, as for record edits)
+const updateStaff = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid staff ID' });
+
+    const { name, salesforceAccountId } = req.body;
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.length > 255) {
+        return res.status(400).json({ error: 'Invalid staff name data' });
+      }
+      updates.push('name = ?');
+      params.push(name.trim());
+    }
+    if (salesforceAccountId !== undefined) {
+      const accountId = typeof salesforceAccountId === 'string' ? salesforceAccountId.trim() : null;
+      if (accountId && !SALESFORCE_ID_PATTERN.test(accountId)) {
+        return res.status(400).json({ error: 'Invalid Salesforce Account Id' });
+      }
+      updates.push('salesforce_account_id = ?');
+      params.push(accountId || null);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const staff = await findAccessibleStaff(req.user, id);
+    if (!staff) {
+      return res.status(403).json({ error: 'このスタッフを編集する権限がありません。' });
+    }
+
+    await pool.query(`UPDATE staff SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+
+    const updated = await findAccessibleStaff(req.user, id);
+    res.json({ success: true, staff: updated });
+  } catch (error) {
+    logger.error('Error updating staff', error);
+    res.status(500).json({ error: 'Failed to update staff' });
+  }
+};
+
+export {
+  getStaffList,
+  getStaffProfile,
+  updateStaff
+};
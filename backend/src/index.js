@@ -11,9 +11,14 @@ import followRoutes from './routes/follow.js';
 import salesforceRoutes from './routes/salesforceRoutes.js';
 import invitationRoutes from './routes/invitations.js';
 import jobRoutes from './routes/jobs.js';
+import searchRoutes from './routes/search.js';
+import staffRoutes from './routes/staff.js';
+import legalHoldRoutes from './routes/legalHolds.js';
+import deletionNoticeRoutes from './routes/deletionNotices.js';
 import { initializeDatabase } from './config/database.js';
 import { autoDeleteOldRecords } from './controllers/recordsController.js';
 import { autoDeleteOldFollows } from './controllers/followController.js';
+import { sendDeletionNotices } from './services/deletionNoticeService.js';
 import logger from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -60,7 +65,23 @@ app.use(cors({
 // Increase body size limit to 100MB for file uploads
 app.use(express.json({ limit: '100mb' }));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+
+// Avatars and logos are public; audio is only streamed by the authenticated
+// /api/records/:id/audio and /api/follow/:id/audio endpoints
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const AUDIO_UPLOADS_DIR = path.join(UPLOADS_DIR, 'audio');
+app.use('/uploads', (req, res, next) => {
+  let target;
+  try {
+    target = path.join(UPLOADS_DIR, decodeURIComponent(req.path));
+  } catch (error) {
+    return res.status(400).end();
+  }
+  if (target === AUDIO_UPLOADS_DIR || target.startsWith(AUDIO_UPLOADS_DIR + path.sep)) {
+    return res.status(404).end();
+  }
+  next();
+}, express.static(UPLOADS_DIR));
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -71,6 +92,10 @@ app.use('/api/follow', followRoutes);
 app.use('/api/salesforce', salesforceRoutes);
 app.use('/api/invitations', invitationRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/legal-holds', legalHoldRoutes);
+app.use('/api/deletion-notices', deletionNoticeRoutes);
 
 // Initialize database and start server
 initializeDatabase().then(() => {
@@ -100,6 +125,8 @@ initializeDatabase().then(() => {
 
       const runAutoDelete = async () => {
         try {
+          // Warn uploaders before anything is deleted
+          await sendDeletionNotices();
           await Promise.all([
             autoDeleteOldRecords(),
             autoDeleteOldFollows(),
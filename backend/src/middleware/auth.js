@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { pool } from '../config/database.js';
 import { jwtSecret } from '../utils/jwtSecret.js';
+import { verifyMediaToken } from '../utils/mediaToken.js';
 
 export const auth = async (req, res, next) => {
   try {
@@ -23,6 +24,29 @@ export const auth = async (req, res, next) => {
   }
 };
 
+// Bearer token, or a media token in ?token= limited to `${entityType}:${req.params.recordId}`
+// (audio elements cannot send headers)
+export const mediaAuth = (entityType) => async (req, res, next) => {
+  const token = req.query.token;
+  if (!token) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const userId = verifyMediaToken(String(token), `${entityType}:${req.params.recordId}`);
+    const [users] = await pool.query('SELECT * FROM users WHERE id = ?', [userId]);
+
+    if (users.length === 0) {
+      throw new Error();
+    }
+
+    req.user = users[0];
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Authentication failed' });
+  }
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -63,6 +63,8 @@ export const getAudioQueue = () => {
  * @param {number} jobData.userId - User ID
  * @param {number} jobData.companyId - Company ID
  * @param {string} jobData.staffId - Staff ID
+ * @param {string} [jobData.jobType] - 'record' (default) or 'follow'
+ * @param {boolean} [jobData.regenerate] - Regenerate the outputs from the stored transcript instead of processing audio
  * @param {Object} options - Optional BullMQ job options override
  * @returns {Promise<Job>} The created job
  */
@@ -85,6 +87,56 @@ export const addAudioProcessingJob = async (jobData, options = {}) => {
   return job;
 };
 
+/**
+ * Add a job again for a manual retry
+ * BullMQ ignores an add while a job with the same ID exists, and failed jobs are kept for
+ * 7 days, so the previous job is removed first (unless a worker is still running it).
+ * 
+ * @param {Object} jobData - Same as addAudioProcessingJob
+ * @returns {Promise<Job>} The created job
+ */
+export const requeueAudioProcessingJob = async (jobData) => {
+  const queue = getAudioQueue();
+  const previous = await queue.getJob(`audio-${jobData.jobId}`);
+  if (previous) {
+    const state = await previous.getState();
+    if (state !== 'active') {
+      await previous.remove();
+      logger.debug('Previous audio processing job removed for retry', { bullmqJobId: previous.id, state });
+    }
+  }
+  
+  return addAudioProcessingJob(jobData);
+};
+
+/**
+ * Remove a job from the queue unless a worker is already running it
+ * 
+ * @param {number} dbJobId - Database job ID
+ * @returns {Promise<boolean>} True when a waiting or delayed job was removed
+ */
+export const removeAudioProcessingJob = async (dbJobId) => {
+  try {
+    const queue = getAudioQueue();
+    const job = await queue.getJob(`audio-${dbJobId}`);
+    if (!job) {
+      return false;
+    }
+    
+    const state = await job.getState();
+    if (state !== 'waiting' && state !== 'delayed' && state !== 'prioritized') {
+      return false;
+    }
+    
+    await job.remove();
+    logger.info('Audio processing job removed from queue', { bullmqJobId: job.id, dbJobId, state });
+    return true;
+  } catch (error) {
+    logger.warn('Failed to remove audio processing job from queue', { dbJobId, error: error.message });
+    return false;
+  }
+};
+
 /**
  * Get queue statistics
  */
@@ -116,6 +168,8 @@ export const closeQueue = async () => {
 export default {
   getAudioQueue,
   addAudioProcessingJob,
+  requeueAudioProcessingJob,
+  removeAudioProcessingJob,
   getQueueStats,
   closeQueue,
   QUEUE_NAME,
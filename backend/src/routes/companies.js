@@ -3,6 +3,18 @@ import { body, validationResult } from 'express-validator';
 import { pool } from '../config/database.js';
 import { auth, authorize } from '../middleware/auth.js';
 import { logoUpload } from '../middleware/upload.js';
+import logger from '../utils/logger.js';
+import { getCompanyRetention, validateRetentionInput, updateCompanyRetention } from '../services/retentionService.js';
+import {
+  DEFAULT_SKILL_SHEET_TEMPLATE,
+  LOGO_POSITIONS,
+  SKILL_SHEET_SECTIONS,
+  getCompanyTemplate,
+  validateTemplateInput,
+  updateCompanyTemplate
+} from '../services/skillSheetTemplate.js';
+import { buildSkillSheetDocument, skillSheetDataFromRecord, renderPdf, SAMPLE_SKILL_SHEET } from '../services/documents/index.js';
+import { STT_PROVIDER_NAMES } from '../services/stt/index.js';
 
 const router = express.Router();
 
@@ -113,10 +125,15 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, slug } = req.body;
+      const { name, slug, sttProvider } = req.body;
       const { id } = req.params;
       const logo = req.file ? `/uploads/logos/${req.file.filename}` : null;
 
+      // STT provider of the company's jobs ('' = STT_PROVIDER env default)
+      if (sttProvider !== undefined && sttProvider !== '' && !STT_PROVIDER_NAMES.includes(sttProvider)) {
+        return res.status(400).json({ message: `sttProvider must be one of: ${STT_PROVIDER_NAMES.join(', ')}` });
+      }
+
       // Check if company exists
       const [existingCompany] = await pool.query('SELECT * FROM companies WHERE id = ?', [id]);
       if (existingCompany.length === 0) {
@@ -143,6 +160,11 @@ router.put(
         updateFields.push('logo = ?');
         updateValues.push(logo);
       }
+
+      if (sttProvider !== undefined) {
+        updateFields.push('stt_provider = ?');
+        updateValues.push(sttProvider || null);
+      }
       
       updateValues.push(id);
       
@@ -160,6 +182,209 @@ router.put(
   }
 );
 
+// Company managers may only read/update their own company's settings (retention, skill sheet template)
+const canManageCompany = (user, companyId) =>
+  user.role === 'admin' || (user.role === 'company-manager' && user.company_id === companyId);
+
+// Get retention policy (admin: any company, company-manager: own company)
+router.get('/:id/retention', auth, authorize('admin', 'company-manager'), async (req, res) => {
+  try {
+    const companyId = parseInt(req.params.id, 10);
+    if (isNaN(companyId)) {
+      return res.status(400).json({ message: 'Invalid company ID' });
+    }
+    if (!canManageCompany(req.user, companyId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const retention = await getCompanyRetention(companyId);
+    if (!retention) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    res.json(retention);
+  } catch (error) {
+    logger.error('Error fetching retention policy', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update retention policy (admin: any company, company-manager: own company)
+// Body: recordsMonths, followsMonths, audioDays (null = system default, 0 = never delete)
+router.put('/:id/retention', auth, authorize('admin', 'company-manager'), async (req, res) => {
+  try {
+    const companyId = parseInt(req.params.id, 10);
+    if (isNaN(companyId)) {
+      return res.status(400).json({ message: 'Invalid company ID' });
+    }
+    if (!canManageCompany(req.user, companyId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { values, error } = validateRetentionInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await getCompanyRetention(companyId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    await updateCompanyRetention(companyId, values);
+    logger.info('Retention policy updated', { companyId, values, updatedBy: req.user.id });
+
+    res.json(await getCompanyRetention(companyId));
+  } catch (error) {
+    logger.error('Error updating retention policy', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Response body for the template endpoints (stored template plus what the editor needs)
+const templateResponse = (company) => ({
+  companyId: company.companyId,
+  companyName: company.companyName,
+  logo: company.logo,
+  hasUsableLogo: Boolean(company.logoPath),
+  isDefault: company.isDefault,
+  template: company.template,
+  defaults: DEFAULT_SKILL_SHEET_TEMPLATE,
+  options: { logoPositions: LOGO_POSITIONS, sections: SKILL_SHEET_SECTIONS },
+});
+
+// Get skill sheet template (admin: any company, company-manager: own company)
+router.get('/:id/skill-sheet-template', auth, authorize('admin', 'company-manager'), async (req, res) => {
+  try {
+    const companyId = parseInt(req.params.id, 10);
+    if (isNaN(companyId)) {
+      return res.status(400).json({ message: 'Invalid company ID' });
+    }
+    if (!canManageCompany(req.user, companyId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const company = await getCompanyTemplate(companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    res.json(templateResponse(company));
+  } catch (error) {
+    logger.error('Error fetching skill sheet template', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update skill sheet template (admin: any company, company-manager: own company)
+// Body: title, headerText, footerText, logoPosition, nameLabel, skillsHeading, sections ([{ key, label, visible }])
+// Missing fields take the default
+router.put('/:id/skill-sheet-template', auth, authorize('admin', 'company-manager'), async (req, res) => {
+  try {
+    const companyId = parseInt(req.params.id, 10);
+    if (isNaN(companyId)) {
+      return res.status(400).json({ message: 'Invalid company ID' });
+    }
+    if (!canManageCompany(req.user, companyId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { template, error } = validateTemplateInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await getCompanyTemplate(companyId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    await updateCompanyTemplate(companyId, template);
+    logger.info('Skill sheet template updated', { companyId, updatedBy: req.user.id });
+
+    res.json(templateResponse(await getCompanyTemplate(companyId)));
+  } catch (error) {
+    logger.error('Error updating skill sheet template', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset skill sheet template to the default layout
+router.delete('/:id/skill-sheet-template', auth, authorize('admin', 'company-manager'), async (req, res) => {
+  try {
+    const companyId = parseInt(req.params.id, 10);
+    if (isNaN(companyId)) {
+      return res.status(400).json({ message: 'Invalid company ID' });
+    }
+    if (!canManageCompany(req.user, companyId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const existing = await getCompanyTemplate(companyId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    await updateCompanyTemplate(companyId, null);
+    logger.info('Skill sheet template reset', { companyId, updatedBy: req.user.id });
+
+    res.json(templateResponse(await getCompanyTemplate(companyId)));
+  } catch (error) {
+    logger.error('Error resetting skill sheet template', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview a skill sheet PDF (inline) with the saved template or an unsaved one from the editor
+// Body: template (optional, same fields as PUT), recordId (optional, a record of this company; sample data otherwise)
+router.post('/:id/skill-sheet-template/preview', auth, authorize('admin', 'company-manager'), async (req, res) => {
+  try {
+    const companyId = parseInt(req.params.id, 10);
+    if (isNaN(companyId)) {
+      return res.status(400).json({ message: 'Invalid company ID' });
+    }
+    if (!canManageCompany(req.user, companyId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const company = await getCompanyTemplate(companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    let template = company.template;
+    if (req.body?.template !== undefined && req.body.template !== null) {
+      const validated = validateTemplateInput(req.body.template);
+      if (validated.error) {
+        return res.status(400).json({ message: validated.error });
+      }
+      template = validated.template;
+    }
+
+    let data = SAMPLE_SKILL_SHEET;
+    if (req.body?.recordId !== undefined && req.body.recordId !== null && req.body.recordId !== '') {
+      const recordId = parseInt(req.body.recordId, 10);
+      if (isNaN(recordId)) {
+        return res.status(400).json({ message: 'Invalid record ID' });
+      }
+      const [records] = await pool.query(
+        'SELECT staff_id, skill_sheet, skills FROM records WHERE id = ? AND company_id = ? AND deleted_at IS NULL',
+        [recordId, companyId]
+      );
+      if (records.length === 0) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+      data = skillSheetDataFromRecord(records[0]);
+    }
+
+    const doc = renderPdf(buildSkillSheetDocument(data, { template, logoPath: company.logoPath }));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="skill-sheet-preview.pdf"');
+    doc.pipe(res);
+  } catch (error) {
+    logger.error('Error rendering skill sheet template preview', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete company (admin only)
 router.delete('/:id', auth, authorize('admin'), async (req, res) => {
   try {
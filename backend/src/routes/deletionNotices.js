@@ -0,0 +1,16 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import {
+  getDeletionNotices,
+  dismissDeletionNotices,
+  downloadDeletionNotices
+} from '../controllers/deletionNoticeController.js';
+
+const router = express.Router();
+
+// Records and follows the current user uploaded that are about to be auto-deleted
+router.get('/', auth, getDeletionNotices);
+router.get('/download', auth, downloadDeletionNotices);
+router.post('/dismiss', auth, dismissDeletionNotices);
+
+export default router;
@@ -1,20 +1,37 @@
 import express from 'express';
-import { auth, authorize } from '../middleware/auth.js';
+import { auth, authorize, mediaAuth } from '../middleware/auth.js';
 import {
   getRecords,
+  exportRecords,
+  getRecordDetail,
   uploadAudio,
   downloadSTT,
+  getAudioUrl,
+  streamAudio,
   updateStaffId,
   updateStaffName,
   updateSummary,
   deleteRecord,
+  getDeletedRecords,
+  restoreRecord,
   getPrompt,
   updatePrompt,
+  getPromptVersions,
+  rollbackPrompt,
+  testPrompt,
   getProcessingJobStatus,
   getProcessingJobs,
   retryProcessingJob,
+  cancelProcessingJob,
+  regenerateFollow,
   syncSalesforce,
 } from '../controllers/followController.js';
+import {
+  listFollowRevisions,
+  getFollowRevision,
+  diffFollowRevisions,
+  restoreFollowRevision,
+} from '../controllers/revisionsController.js';
 import { upload } from '../middleware/upload.js';
 
 const router = express.Router();
@@ -22,6 +39,9 @@ const router = express.Router();
 // Get all records (paginated)
 router.get('/', auth, getRecords);
 
+// Export the follows list as CSV / Excel (must be before /:recordId routes)
+router.get('/export', auth, exportRecords);
+
 // Upload audio file (async - returns jobId)
 router.post('/upload', auth, upload.single('audio'), uploadAudio);
 
@@ -29,6 +49,7 @@ router.post('/upload', auth, upload.single('audio'), uploadAudio);
 router.get('/processing/jobs', auth, getProcessingJobs);
 router.get('/processing/jobs/:jobId', auth, getProcessingJobStatus);
 router.post('/processing/jobs/:jobId/retry', auth, retryProcessingJob);
+router.post('/processing/jobs/:jobId/cancel', auth, cancelProcessingJob);
 
 // Sync follow record to Salesforce (creates Event) - must be before /:recordId routes
 router.post('/sync-salesforce', auth, syncSalesforce);
@@ -39,9 +60,28 @@ router.get('/prompt', auth, authorize('admin', 'company-manager'), getPrompt);
 // Update prompt (admin and company-manager)
 router.put('/prompt', auth, authorize('admin', 'company-manager'), updatePrompt);
 
-// Download STT as PDF
+// Prompt version history and rollback (admin and company-manager)
+router.get('/prompt/versions', auth, authorize('admin', 'company-manager'), getPromptVersions);
+router.post('/prompt/versions/:versionId/rollback', auth, authorize('admin', 'company-manager'), rollbackPrompt);
+
+// Test-run a draft prompt on a follow's transcript without saving (admin and company-manager)
+router.post('/prompt/test', auth, authorize('admin', 'company-manager'), testPrompt);
+
+// Get soft-deleted follow records (trash) - must be before /:recordId routes
+router.get('/trash', auth, getDeletedRecords);
+
+// Get single follow record
+router.get('/:recordId', auth, getRecordDetail);
+
+// Download STT as PDF (?format=srt|vtt|json for the timed transcript)
 router.get('/:recordId/stt', auth, downloadSTT);
 
+// Short-lived URL of the audio stream (for <audio>, which cannot send the Authorization header)
+router.get('/:recordId/audio-url', auth, getAudioUrl);
+
+// Stream the follow audio (Range requests supported)
+router.get('/:recordId/audio', mediaAuth('follow'), streamAudio);
+
 // Update staffId
 router.put('/:recordId/staff-id', auth, updateStaffId);
 
@@ -51,7 +91,19 @@ router.put('/:recordId/staff-name', auth, updateStaffName);
 // Update summary
 router.put('/:recordId/summary', auth, updateSummary);
 
-// Delete record
+// Summary edit history
+router.get('/:recordId/revisions', auth, listFollowRevisions);
+router.get('/:recordId/revisions/diff', auth, diffFollowRevisions);
+router.get('/:recordId/revisions/:revisionId', auth, getFollowRevision);
+router.post('/:recordId/revisions/:revisionId/restore', auth, restoreFollowRevision);
+
+// Regenerate the summary from the stored transcript
+router.post('/:recordId/regenerate', auth, regenerateFollow);
+
+// Delete record (moves it to the trash)
 router.delete('/:recordId', auth, deleteRecord);
 
+// Restore record from the trash
+router.post('/:recordId/restore', auth, restoreRecord);
+
 export default router;
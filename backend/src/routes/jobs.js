@@ -2,25 +2,66 @@ import express from 'express';
 import { auth, authorize } from '../middleware/auth.js';
 import { autoDeleteOldRecords } from '../controllers/recordsController.js';
 import { autoDeleteOldFollows } from '../controllers/followController.js';
+import { sendDeletionNotices } from '../services/deletionNoticeService.js';
+import { buildDeletionPlan, listUpcomingDeletions, MAX_DAYS_AHEAD } from '../services/autoDeletePlanner.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+const isTruthyFlag = (value) => value === true || value === 'true' || value === '1' || value === 1;
+
+// Company scope for previews: company managers only see their own company, admins may pick one (or all)
+const resolvePreviewCompanyId = (req) => {
+  if (req.user.role !== 'admin') return req.user.company_id;
+  const companyId = parseInt(req.query.companyId ?? req.body?.companyId, 10);
+  return isNaN(companyId) ? null : companyId;
+};
+
+// Records and follows that will be deleted within the next N days (default: 14)
+// Query params: days (1-365), companyId (admin only)
+router.get(
+  '/auto-delete/upcoming',
+  auth,
+  authorize('admin', 'company-manager'),
+  async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), MAX_DAYS_AHEAD);
+      const items = await listUpcomingDeletions(resolvePreviewCompanyId(req), days);
+      res.json({ days, items });
+    } catch (error) {
+      logger.error('Error fetching upcoming deletions', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch upcoming deletions', error: error.message });
+    }
+  }
+);
+
 // Auto-delete old records and follows job endpoint
-// Runs both Records (DB rows + audio files) and Follow (DB rows only) cleanup
+// Runs both Records (DB rows + audio files) and Follow (DB rows only) cleanup under each company's
+// retention policy, including records that have been in the trash longer than TRASH_RETENTION_DAYS
+// Uploaders are warned by email and in-app banner DELETION_NOTICE_DAYS before their items are deleted
 // Intended to be called by external schedulers (Cron, Cloud Scheduler, etc.)
 // Requires authentication (admin or company-manager)
+// Dry run (?dryRun=1 or { dryRun: true }) deletes nothing and returns what would be deleted per company,
+// including audio files and total bytes (company managers: own company only; admin: optional companyId)
 router.post(
   '/auto-delete',
   auth,
   authorize('admin', 'company-manager'),
   async (req, res) => {
     try {
+      if (isTruthyFlag(req.query.dryRun) || isTruthyFlag(req.body?.dryRun)) {
+        const plan = await buildDeletionPlan({ companyId: resolvePreviewCompanyId(req) });
+        return res.json({ success: true, ...plan });
+      }
+
       logger.info('Auto-delete job triggered via API', {
         triggeredBy: req.user.id,
         userRole: req.user.role
       });
 
+      // Warn uploaders of upcoming deletions first (DELETION_NOTICE_DAYS ahead)
+      const noticesResult = await sendDeletionNotices();
+
       const [recordsResult, followsResult] = await Promise.all([
         autoDeleteOldRecords(),
         autoDeleteOldFollows(),
@@ -31,14 +72,27 @@ router.post(
         records: {
           success: recordsResult.success,
           deletedCount: recordsResult.deletedCount || 0,
+          purgedCount: recordsResult.purgedCount || 0,
+          audioExpiredCount: recordsResult.audioExpiredCount || 0,
+          skippedCount: recordsResult.skippedCount || 0,
           filesDeleted: recordsResult.filesDeleted || 0,
           reason: recordsResult.reason || null,
         },
         follows: {
           success: followsResult.success,
           deletedCount: followsResult.deletedCount || 0,
+          purgedCount: followsResult.purgedCount || 0,
+          skippedCount: followsResult.skippedCount || 0,
           reason: followsResult.reason || null,
         },
+        notices: {
+          success: noticesResult.success,
+          noticedCount: noticesResult.noticedCount || 0,
+          clearedCount: noticesResult.clearedCount || 0,
+          emailedUsers: noticesResult.emailedUsers || 0,
+          failedUsers: noticesResult.failedUsers || 0,
+          reason: noticesResult.reason || null,
+        },
       });
     } catch (error) {
       logger.error('Error in auto-delete job endpoint', error);
@@ -0,0 +1,12 @@
+import express from 'express';
+import { auth, authorize } from '../middleware/auth.js';
+import { getLegalHolds, createLegalHold, releaseLegalHold } from '../controllers/legalHoldController.js';
+
+const router = express.Router();
+
+// Legal holds (tenant-scoped). Anyone can see holds; only managers can place or release them
+router.get('/', auth, getLegalHolds);
+router.post('/', auth, authorize('admin', 'company-manager'), createLegalHold);
+router.post('/:id/release', auth, authorize('admin', 'company-manager'), releaseLegalHold);
+
+export default router;
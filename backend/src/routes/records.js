@@ -1,16 +1,28 @@
 import express from 'express';
 import multer from 'multer';
-import { auth } from '../middleware/auth.js';
+import { auth, authorize, mediaAuth } from '../middleware/auth.js';
 import { 
   getRecords, 
+  exportRecords,
+  getRecordUploaders, 
   getRecordDetail, 
   uploadAudio, 
   getProcessingJobStatus,
   getProcessingJobs,
   retryProcessingJob,
+  cancelProcessingJob,
+  regenerateRecord,
+  getPrompts,
+  updatePrompts,
+  getPromptVersions,
+  rollbackPrompt,
   testAPI, 
   downloadSTT, 
   downloadSkillSheet, 
+  downloadSkillSheetDocx,
+  previewDocument,
+  getAudioUrl,
+  streamAudio,
   updateStaffId, 
   updateStaffName, 
   updateMemo, 
@@ -19,9 +31,18 @@ import {
   updateSalesforce, 
   downloadSalesforce, 
   downloadBulk, 
+  downloadBulkZip,
   updateLoR, 
-  deleteRecord 
+  deleteRecord,
+  getDeletedRecords,
+  restoreRecord
 } from '../controllers/recordsController.js';
+import {
+  listRecordRevisions,
+  getRecordRevision,
+  diffRecordRevisions,
+  restoreRecordRevision
+} from '../controllers/revisionsController.js';
 import { upload } from '../middleware/upload.js';
 import logger from '../utils/logger.js';
 import cacheMiddleware, { getCacheKey } from '../middleware/cache.js';
@@ -35,6 +56,28 @@ router.get('/', auth, /* cacheMiddleware({
   ttl: 30
 }), */ getRecords);
 
+// Export the records list as CSV / Excel with the list filters (must be before /:recordId)
+router.get('/export', auth, exportRecords);
+
+// Download many records as one ZIP (ids or list filters) (must be before /:recordId)
+router.post('/bulk-download', auth, downloadBulkZip);
+
+// Get uploaders for the records list filter (must be before /:recordId)
+router.get('/uploaders', auth, getRecordUploaders);
+
+// Get soft-deleted records (trash) (must be before /:recordId)
+router.get('/trash', auth, getDeletedRecords);
+
+// Get the company's skill sheet / LoR / skills / hope generation prompts (must be before /:recordId)
+router.get('/prompts', auth, authorize('admin', 'company-manager'), getPrompts);
+
+// Update the company's generation prompts (must be before /:recordId)
+router.put('/prompts', auth, authorize('admin', 'company-manager'), updatePrompts);
+
+// Generation prompt version history (?key=) and rollback (must be before /:recordId)
+router.get('/prompts/versions', auth, authorize('admin', 'company-manager'), getPromptVersions);
+router.post('/prompts/versions/:versionId/rollback', auth, authorize('admin', 'company-manager'), rollbackPrompt);
+
 // Get single record detail (must be before other /:recordId routes) (caching disabled for immediate UI updates)
 router.get('/:recordId', auth, /* cacheMiddleware({
   keyGenerator: (req) => {
@@ -83,16 +126,31 @@ router.get('/processing/jobs/:jobId', auth, getProcessingJobStatus);
 // Retry a failed processing job
 router.post('/processing/jobs/:jobId/retry', auth, retryProcessingJob);
 
+// Cancel a pending or running processing job
+router.post('/processing/jobs/:jobId/cancel', auth, cancelProcessingJob);
+
 // ============================================
 // Record Download/Update APIs
 // ============================================
 
-// Download STT as PDF
+// Download STT as PDF (?format=srt|vtt|json for the timed transcript)
 router.get('/:recordId/stt', auth, downloadSTT);
 
+// Short-lived URL of the audio stream (for <audio>, which cannot send the Authorization header)
+router.get('/:recordId/audio-url', auth, getAudioUrl);
+
+// Stream the record audio (Range requests supported)
+router.get('/:recordId/audio', mediaAuth('record'), streamAudio);
+
 // Download Skill Sheet as PDF
 router.get('/:recordId/skill-sheet', auth, downloadSkillSheet);
 
+// Download skill sheet as Word (.docx)
+router.get('/:recordId/skill-sheet-docx', auth, downloadSkillSheetDocx);
+
+// HTML preview of a document (stt, skill-sheet, salesforce), rendered from the same model as its PDF
+router.get('/:recordId/preview/:doc', auth, previewDocument);
+
 // Get Skill Sheet
 router.get('/:recordId/get-skill-sheet', auth, getSkillSheet);
 
@@ -123,7 +181,19 @@ router.get('/test', auth, testAPI);
 // Update LoR
 router.put('/:recordId/lor', auth, updateLoR);
 
-// Delete record
+// Edit history (skill sheet, skills, LoR, Salesforce, hope, memo)
+router.get('/:recordId/revisions', auth, listRecordRevisions);
+router.get('/:recordId/revisions/diff', auth, diffRecordRevisions);
+router.get('/:recordId/revisions/:revisionId', auth, getRecordRevision);
+router.post('/:recordId/revisions/:revisionId/restore', auth, restoreRecordRevision);
+
+// Regenerate AI outputs from the stored transcript (body.fields: fields to overwrite)
+router.post('/:recordId/regenerate', auth, regenerateRecord);
+
+// Delete record (moves it to the trash)
 router.delete('/:recordId', auth, deleteRecord);
 
+// Restore record from the trash
+router.post('/:recordId/restore', auth, restoreRecord);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import { search } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Full-text search over records and follows (tenant-scoped)
+router.get('/', auth, search);
+
+export default router;
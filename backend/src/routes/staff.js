@@ -0,0 +1,13 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import { getStaffList, getStaffProfile, updateStaff } from '../controllers/staffController.js';
+
+const router = express.Router();
+
+// Staff entities (tenant-scoped)
+router.get('/', auth, getStaffList);
+router.get('/:id', auth, getStaffProfile);
+// Members may edit too: they already change the staff ID and name of their company's records and follows
+router.put('/:id', auth, updateStaff);
+
+export default router;
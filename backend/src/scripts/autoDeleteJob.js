@@ -1,22 +1,57 @@
 import 'dotenv/config';
 import { autoDeleteOldRecords } from '../controllers/recordsController.js';
 import { autoDeleteOldFollows } from '../controllers/followController.js';
+import { sendDeletionNotices } from '../services/deletionNoticeService.js';
+import { buildDeletionPlan } from '../services/autoDeletePlanner.js';
 import logger from '../utils/logger.js';
 
 /**
  * Standalone script for running auto-delete job (Records + Follow)
  * Intended to be called by external schedulers (Cron, Cloud Scheduler, etc.)
+ * Uploaders of items due within DELETION_NOTICE_DAYS are warned before anything is deleted.
  * 
  * Usage:
  *   node src/scripts/autoDeleteJob.js
+ *   node src/scripts/autoDeleteJob.js --dry-run [--company=<companyId>] [--days-ahead=<days>]
+ *
+ * --dry-run deletes nothing and logs the records, follows and audio files that would be
+ * deleted per company, with total bytes. --days-ahead evaluates the rules N days from now.
  * 
+ * Retention periods are set per company (Retention Settings); the variables below are the
+ * defaults for companies that have not set their own.
+ *
  * Environment variables:
- *   - AUTO_DELETE_RETENTION_MONTHS: Retention period in months (default: 2)
+ *   - AUTO_DELETE_RETENTION_MONTHS: Default retention period in months for records and follows (default: 2)
+ *   - AUTO_DELETE_AUDIO_RETENTION_DAYS: Default retention period in days for raw audio (default: 0 = kept with the record)
  *   - AUTO_DELETE_INTERVAL_HOURS: Minimum hours between executions (default: 24)
+ *   - TRASH_RETENTION_DAYS: Days a deleted record stays in the trash before it is purged (default: 30)
+ *   - DELETION_NOTICE_DAYS: Days ahead of deletion that uploaders are warned (default: 7, 0 = no warnings)
+ *   - MAIL_DRIVER: Mailer for the warnings, smtp or local (default: local; see services/mailer)
+ *   - FRONTEND_URL: Base URL used for the download link in the warning email
  */
+
+const getArg = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
 (async () => {
   try {
+    if (process.argv.includes('--dry-run')) {
+      const companyId = parseInt(getArg('company'), 10);
+      const plan = await buildDeletionPlan({
+        companyId: isNaN(companyId) ? null : companyId,
+        daysAhead: parseInt(getArg('days-ahead'), 10) || 0,
+      });
+      logger.info('Auto-delete dry run completed', plan);
+      process.exit(0);
+    }
+
     logger.info('Starting auto-delete job script...');
+
+    // Warn uploaders of upcoming deletions before deleting anything
+    const noticesResult = await sendDeletionNotices();
+    logger.info('Deletion notices step completed', noticesResult);
     
     const [recordsResult, followsResult] = await Promise.all([
       autoDeleteOldRecords(),
@@ -37,6 +37,8 @@ async function findOrphanedJobs() {
         company_id,
         staff_id,
         local_file_path,
+        job_type,
+        regenerate_fields,
         status,
         progress,
         current_step,
@@ -68,14 +70,14 @@ async function resetJobToPending(jobId) {
       WHERE id = ?
     `, [jobId]);
     
-    // Also reset any chunk processing records
+    // Also reset unfinished chunk processing records (completed chunks are reused by the retry)
     await pool.query(`
       UPDATE chunk_processing 
       SET status = 'pending', 
           retry_count = 0, 
           error_message = NULL,
           updated_at = NOW()
-      WHERE job_id = ?
+      WHERE job_id = ? AND status <> 'completed'
     `, [jobId]);
     
     logger.info('Job reset to pending status', { jobId });
@@ -98,11 +100,15 @@ async function requeueJob(job) {
       userId: job.user_id,
       companyId: job.company_id,
       staffId: job.staff_id,
+      // Regenerations have no audio; the worker runs them from the stored transcript
+      jobType: job.job_type || 'record',
+      regenerate: !!job.regenerate_fields,
     });
     
     logger.info('Orphaned job re-queued successfully', {
       jobId: job.id,
       fileId: job.file_id,
+      jobType: job.job_type,
       minutesSinceUpdate: job.minutes_since_update,
     });
     
@@ -136,6 +142,7 @@ async function main() {
     for (const job of orphanedJobs) {
       logger.info(`Job ID: ${job.id}`);
       logger.info(`  File ID: ${job.file_id}`);
+      logger.info(`  Job Type: ${job.job_type || 'record'}${job.regenerate_fields ? ' (regeneration)' : ''}`);
       logger.info(`  User ID: ${job.user_id}`);
       logger.info(`  Status: ${job.status}`);
       logger.info(`  Progress: ${job.progress}%`);
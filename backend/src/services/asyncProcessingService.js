@@ -7,7 +7,9 @@
 
 import { pool } from '../config/database.js';
 import logger from '../utils/logger.js';
-import { addAudioProcessingJob } from '../queues/audioQueue.js';
+import { requeueAudioProcessingJob, removeAudioProcessingJob } from '../queues/audioQueue.js';
+import { getConvertedPath, removeAudioFiles } from './audioProcessing/audioConverter.js';
+import { cleanupAllChunkFiles } from './audioProcessing/audioSplitter.js';
 
 // Import the orchestrators for processing
 import { processAudioJob as orchestratorProcessAudioJob } from './audioProcessing/orchestrator.js';
@@ -47,6 +49,7 @@ export async function createProcessingJob(fileId, userId, companyId, staffId, lo
 
 /**
  * Update job status and progress
+ * A cancelled job is left as is, so that a running step cannot overwrite the cancellation
  */
 export async function updateJobStatus(jobId, status, progress = null, currentStep = null, errorMessage = null) {
   try {
@@ -75,7 +78,7 @@ export async function updateJobStatus(jobId, status, progress = null, currentSte
     params.push(jobId);
     
     await pool.query(
-      `UPDATE processing_jobs SET ${updates.join(', ')} WHERE id = ?`,
+      `UPDATE processing_jobs SET ${updates.join(', ')} WHERE id = ? AND status <> 'cancelled'`,
       params
     );
     
@@ -212,22 +215,31 @@ export async function getUserJobs(userId, companyId, role, status = null, limit
 
 /**
  * Register chunks for a job
+ * Replaces the chunks of an earlier attempt, so a job that is split again starts from a clean slate
+ * 
+ * @param {number} jobId - Job ID
+ * @param {Array<{index: number, path: string, startTime: number|null, endTime: number|null}>} chunks - Chunks from the splitter
  */
-export async function registerChunks(jobId, chunkCount) {
+export async function registerChunks(jobId, chunks) {
   try {
-    const values = [];
-    for (let i = 0; i < chunkCount; i++) {
-      values.push([jobId, i, 'pending']);
-    }
-    
+    const values = chunks.map(chunk => [
+      jobId,
+      chunk.index,
+      chunk.path,
+      chunk.startTime ?? null,
+      chunk.endTime ?? null,
+      'pending',
+    ]);
+    
+    await pool.query('DELETE FROM chunk_processing WHERE job_id = ?', [jobId]);
     await pool.query(
-      'INSERT INTO chunk_processing (job_id, chunk_index, status) VALUES ?',
+      'INSERT INTO chunk_processing (job_id, chunk_index, chunk_file_path, start_time, end_time, status) VALUES ?',
       [values]
     );
     
-    await updateJobChunkCounts(jobId, chunkCount, 0);
+    await updateJobChunkCounts(jobId, chunks.length, 0);
     
-    logger.debug('Chunks registered', { jobId, chunkCount });
+    logger.debug('Chunks registered', { jobId, chunkCount: chunks.length });
   } catch (error) {
     logger.error('Error registering chunks', { jobId, error: error.message });
     throw error;
@@ -237,7 +249,7 @@ export async function registerChunks(jobId, chunkCount) {
 /**
  * Update chunk status
  */
-export async function updateChunkStatus(jobId, chunkIndex, status, sttResult = null, errorMessage = null) {
+export async function updateChunkStatus(jobId, chunkIndex, status, sttResult = null, errorMessage = null, sttSegments = null) {
   try {
     const updates = ['status = ?', 'updated_at = NOW()'];
     const params = [status];
@@ -247,6 +259,11 @@ export async function updateChunkStatus(jobId, chunkIndex, status, sttResult = n
       params.push(sttResult);
     }
     
+    if (sttSegments !== null) {
+      updates.push('stt_segments = ?');
+      params.push(JSON.stringify(sttSegments));
+    }
+    
     if (errorMessage !== null) {
       updates.push('error_message = ?');
       params.push(errorMessage);
@@ -291,6 +308,23 @@ export async function getFailedChunks(jobId) {
   }
 }
 
+/**
+ * Get the stored chunks of a job (file, timing, status and transcript), for resuming a retry
+ */
+export async function getJobChunks(jobId) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT chunk_index, chunk_file_path, start_time, end_time, status, stt_result, stt_segments
+       FROM chunk_processing WHERE job_id = ? ORDER BY chunk_index`,
+      [jobId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error('Error getting job chunks', { jobId, error: error.message });
+    return [];
+  }
+}
+
 /**
  * Get chunk status for a job
  */
@@ -321,7 +355,7 @@ export async function getChunkStatus(jobId) {
  * @param {number} userId - User ID
  * @param {number} companyId - Company ID
  * @param {string} staffId - Staff ID
- * @returns {Promise<{success: boolean, recordId?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, cancelled?: boolean, recordId?: number, error?: string}>}
  */
 export async function processAudioJob(jobId, audioFilePath, fileId, userId, companyId, staffId) {
   logger.info('Starting audio processing job', { jobId, audioFilePath });
@@ -337,9 +371,15 @@ export async function processAudioJob(jobId, audioFilePath, fileId, userId, comp
       staffId,
       updateJobStatus,
       registerChunks,
-      updateChunkStatus
+      updateChunkStatus,
+      getJobChunks
     );
     
+    if (result.cancelled) {
+      logger.info('Audio processing cancelled', { jobId });
+      return result;
+    }
+    
     if (!result.success) {
       logger.error('Audio processing failed', { jobId, error: result.error });
       throw new Error(result.error || 'Processing failed');
@@ -369,7 +409,7 @@ export async function processAudioJob(jobId, audioFilePath, fileId, userId, comp
  * @param {number} userId - User ID
  * @param {number} companyId - Company ID
  * @param {string} staffId - Staff ID
- * @returns {Promise<{success: boolean, recordId?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, cancelled?: boolean, recordId?: number, error?: string}>}
  */
 export async function processFollowJob(jobId, audioFilePath, fileId, userId, companyId, staffId) {
   logger.info('Starting follow audio processing job', { jobId, audioFilePath });
@@ -385,9 +425,15 @@ export async function processFollowJob(jobId, audioFilePath, fileId, userId, com
       staffId,
       updateJobStatus,
       registerChunks,
-      updateChunkStatus
+      updateChunkStatus,
+      getJobChunks
     );
     
+    if (result.cancelled) {
+      logger.info('Follow audio processing cancelled', { jobId });
+      return result;
+    }
+    
     if (!result.success) {
       logger.error('Follow audio processing failed', { jobId, error: result.error });
       throw new Error(result.error || 'Follow processing failed');
@@ -408,7 +454,7 @@ export async function processFollowJob(jobId, audioFilePath, fileId, userId, com
 }
 
 // ============================================
-// Job Retry and Cleanup
+// Job Retry, Cancellation and Cleanup
 // ============================================
 
 /**
@@ -450,14 +496,14 @@ export async function retryFailedJob(jobId, userId, companyId, role) {
       throw error;
     }
     
-    // Reset chunk statuses
+    // Reset unfinished chunks; completed chunks keep their transcript and are not sent to STT again
     await pool.query(
-      'UPDATE chunk_processing SET status = \'pending\', retry_count = 0, error_message = NULL WHERE job_id = ?',
+      'UPDATE chunk_processing SET status = \'pending\', retry_count = 0, error_message = NULL WHERE job_id = ? AND status <> \'completed\'',
       [jobId]
     );
     
     // Add job to persistent queue for retry (include jobType for routing)
-    await addAudioProcessingJob({
+    await requeueAudioProcessingJob({
       jobId,
       audioFilePath: job.localFilePath,
       fileId: job.fileId,
@@ -465,6 +511,7 @@ export async function retryFailedJob(jobId, userId, companyId, role) {
       companyId: job.companyId,
       staffId: job.staffId,
       jobType: job.job_type || 'record',
+      regenerate: !!job.regenerate_fields,
     });
     
     logger.info('Job retry queued', { jobId, previousStatus: job.status });
@@ -477,13 +524,87 @@ export async function retryFailedJob(jobId, userId, companyId, role) {
 }
 
 /**
- * Clean up old completed/failed jobs
+ * Remove the audio of a job that never started: the upload, its converted MP3 and the
+ * chunks left by an earlier attempt of a retried job
+ */
+function removeUnstartedJobAudio(jobId, filePath) {
+  for (const audioPath of new Set([filePath, getConvertedPath(filePath)])) {
+    cleanupAllChunkFiles(jobId, audioPath);
+  }
+  removeAudioFiles(jobId, filePath);
+}
+
+/**
+ * Cancel a pending or running job
+ * A pending job is removed from the queue and its audio is deleted; a running job is stopped by
+ * its orchestrator at the next step or chunk (and its ffmpeg processes are killed). Once the
+ * result is being saved the job can no longer be cancelled.
+ *
+ * @param {number} jobId
+ * @param {number} userId
+ * @param {string} role
+ * @param {'record'|'follow'|null} [jobType] - Only cancel jobs of this type (404 otherwise)
+ */
+export async function cancelJob(jobId, userId, role, jobType = null) {
+  try {
+    // Access check
+    const job = await getJobStatus(jobId, userId, role);
+    
+    if (!job || (jobType && (job.job_type || 'record') !== jobType)) {
+      const error = new Error('Job not found or access denied');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    // Atomic UPDATE with status check - only pending/processing jobs not yet saving their result
+    const [result] = await pool.query(
+      `UPDATE processing_jobs 
+       SET status = 'cancelled', 
+           current_step = 'キャンセルされました', 
+           timeout_reason = 'manual',
+           completed_at = NOW(),
+           updated_at = NOW()
+       WHERE id = ? AND status IN ('pending', 'processing')
+         AND NOT EXISTS (
+           SELECT 1 FROM job_steps 
+           WHERE job_id = ? AND step_name = 'persist' AND status IN ('running', 'completed')
+         )`,
+      [jobId, jobId]
+    );
+    
+    if (result.affectedRows === 0) {
+      const error = new Error(['pending', 'processing'].includes(job.status)
+        ? 'Job cannot be cancelled: its result is already being saved'
+        : `Job cannot be cancelled: current status is '${job.status}', expected 'pending' or 'processing'`);
+      error.statusCode = 409; // Conflict
+      throw error;
+    }
+    
+    // A job still waiting in the queue never reaches the worker; a running one stops itself
+    const removed = await removeAudioProcessingJob(jobId);
+    
+    // The orchestrator deletes the audio of a running job; nothing will for a job that never started
+    if ((removed || job.status === 'pending') && job.localFilePath) {
+      removeUnstartedJobAudio(jobId, job.localFilePath);
+    }
+    
+    logger.info('Job cancelled', { jobId, previousStatus: job.status, removedFromQueue: removed });
+    
+    return { success: true, message: 'Job cancelled' };
+  } catch (error) {
+    logger.error('Error cancelling job', { jobId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Clean up old completed/failed/cancelled jobs
  */
 export async function cleanupOldJobs(daysToKeep = 7) {
   try {
     const [result] = await pool.query(
       `DELETE FROM processing_jobs 
-       WHERE status IN ('completed', 'failed') 
+       WHERE status IN ('completed', 'failed', 'cancelled') 
        AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
       [daysToKeep]
     );
@@ -513,12 +634,14 @@ export default {
   updateChunkStatus,
   getFailedChunks,
   getChunkStatus,
+  getJobChunks,
   
   // Processing
   processAudioJob,
   processFollowJob,
   
-  // Retry and cleanup
+  // Retry, cancellation and cleanup
   retryFailedJob,
+  cancelJob,
   cleanupOldJobs,
 };
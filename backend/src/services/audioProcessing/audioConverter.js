@@ -10,6 +10,7 @@ import path from 'path';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegPath from 'ffmpeg-static';
 import logger from '../../utils/logger.js';
+import { trackProcess, wasKilledForCancellation, createCancelledError } from '../jobCancellation.js';
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
@@ -28,6 +29,20 @@ export function needsConversion(filePath) {
   return CONVERTIBLE_FORMATS.includes(ext);
 }
 
+/**
+ * Path of the audio the pipeline works on after the convert step
+ * 
+ * @param {string} filePath - Path to the uploaded audio file
+ * @returns {string} Path of the MP3 written by convertToMp3, or filePath when no conversion is needed
+ */
+export function getConvertedPath(filePath) {
+  if (!needsConversion(filePath)) {
+    return filePath;
+  }
+  const ext = path.extname(filePath);
+  return filePath.replace(new RegExp(`\\${ext}$`, 'i'), TARGET_FORMAT);
+}
+
 /**
  * Convert audio file to MP3 format
  * 
@@ -65,7 +80,7 @@ export async function convertToMp3(jobId, inputPath) {
   });
 
   return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .toFormat('mp3')
       .audioCodec('libmp3lame')
       .audioBitrate('128k')
@@ -90,13 +105,32 @@ export async function convertToMp3(jobId, inputPath) {
         });
       })
       .on('error', (err) => {
+        if (wasKilledForCancellation(jobId)) {
+          logger.info('Audio conversion stopped for cancelled job', { jobId, inputPath });
+          reject(createCancelledError(jobId));
+          return;
+        }
         logger.error('Audio conversion failed', { jobId, error: err.message, inputPath });
         reject(new Error(`Audio conversion failed: ${err.message}`));
-      })
-      .save(outputPath);
+      });
+
+    trackProcess(jobId, command).save(outputPath);
   });
 }
 
+/**
+ * Delete the uploaded audio file and its converted MP3 (also a partial one)
+ * Used when a job is cancelled and its audio will not be processed again
+ * 
+ * @param {number} jobId - Job ID for logging
+ * @param {string} filePath - Path to the uploaded audio file
+ */
+export function removeAudioFiles(jobId, filePath) {
+  for (const audioPath of new Set([filePath, getConvertedPath(filePath)])) {
+    cleanupOriginalFile(jobId, audioPath);
+  }
+}
+
 /**
  * Clean up original file after conversion
  * 
@@ -151,7 +185,9 @@ export async function getAudioInfo(jobId, filePath) {
 
 export default {
   needsConversion,
+  getConvertedPath,
   convertToMp3,
+  removeAudioFiles,
   getAudioInfo,
   CONVERTIBLE_FORMATS,
   TARGET_FORMAT,
@@ -10,6 +10,8 @@ import path from 'path';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegPath from 'ffmpeg-static';
 import logger from '../../utils/logger.js';
+import { ERROR_CODES } from '../../config/axiosConfig.js';
+import { trackProcess, wasKilledForCancellation, createCancelledError } from '../jobCancellation.js';
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
@@ -36,7 +38,7 @@ export async function detectSilence(jobId, audioFilePath) {
     const silencePoints = [];
     let silenceStart = null;
     
-    ffmpeg(audioFilePath)
+    const command = ffmpeg(audioFilePath)
       .audioFilters(`silencedetect=noise=${CONFIG.silenceThreshold}dB:d=${CONFIG.silenceDuration}`)
       .format('null')
       .on('stderr', (stderrLine) => {
@@ -68,11 +70,16 @@ export async function detectSilence(jobId, audioFilePath) {
         resolve(silencePoints);
       })
       .on('error', (err) => {
+        if (wasKilledForCancellation(jobId)) {
+          reject(createCancelledError(jobId));
+          return;
+        }
         logger.warn('Silence detection failed, will use fallback', { jobId, error: err.message });
         resolve([]); // Return empty array to trigger fallback
       })
-      .output('pipe:1')
-      .run();
+      .output('pipe:1');
+
+    trackProcess(jobId, command).run();
   });
 }
 
@@ -98,6 +105,22 @@ export async function getAudioDuration(jobId, audioFilePath) {
   });
 }
 
+/**
+ * Run an ffmpeg command of a job, killed when the job is cancelled
+ * 
+ * @param {number} jobId - Job ID
+ * @param {object} command - fluent-ffmpeg command with its output set
+ * @returns {Promise<void>}
+ */
+function runTracked(jobId, command) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', () => resolve())
+      .on('error', (err) => reject(wasKilledForCancellation(jobId) ? createCancelledError(jobId) : err));
+    trackProcess(jobId, command).run();
+  });
+}
+
 /**
  * Split audio at specific time points
  * 
@@ -125,15 +148,10 @@ export async function splitAudioAtPoints(jobId, audioFilePath, splitPoints, outp
     
     const chunkPath = path.join(outputDir, `${baseName}_chunk_${i}${ext}`);
     
-    await new Promise((resolve, reject) => {
-      ffmpeg(audioFilePath)
-        .setStartTime(startTime)
-        .setDuration(duration)
-        .output(chunkPath)
-        .on('end', () => resolve())
-        .on('error', reject)
-        .run();
-    });
+    await runTracked(jobId, ffmpeg(audioFilePath)
+      .setStartTime(startTime)
+      .setDuration(duration)
+      .output(chunkPath));
     
     chunks.push({
       index: i,
@@ -151,14 +169,9 @@ export async function splitAudioAtPoints(jobId, audioFilePath, splitPoints, outp
     const lastStartTime = splitPoints[splitPoints.length - 1];
     const chunkPath = path.join(outputDir, `${baseName}_chunk_${splitPoints.length}${ext}`);
     
-    await new Promise((resolve, reject) => {
-      ffmpeg(audioFilePath)
-        .setStartTime(lastStartTime)
-        .output(chunkPath)
-        .on('end', () => resolve())
-        .on('error', reject)
-        .run();
-    });
+    await runTracked(jobId, ffmpeg(audioFilePath)
+      .setStartTime(lastStartTime)
+      .output(chunkPath));
     
     chunks.push({
       index: splitPoints.length,
@@ -297,7 +310,14 @@ export async function splitAudioWithSilenceDetection(jobId, audioFilePath) {
     
     // Split audio at the calculated points
     const chunks = await splitAudioAtPoints(jobId, audioFilePath, splitPoints, outputDir);
-    
+
+    // The final chunk runs to the end of the file; close it so transcript segments keep their timing
+    const lastChunk = chunks[chunks.length - 1];
+    if (lastChunk && lastChunk.endTime === null) {
+      lastChunk.endTime = duration;
+      lastChunk.duration = duration - lastChunk.startTime;
+    }
+
     logger.info('Audio splitting completed', { 
       jobId, 
       chunkCount: chunks.length,
@@ -307,6 +327,9 @@ export async function splitAudioWithSilenceDetection(jobId, audioFilePath) {
     return chunks;
     
   } catch (error) {
+    if (error.code === ERROR_CODES.JOB_CANCELLED) {
+      throw error;
+    }
     logger.error('Error in silence detection splitting, falling back to simple split', { 
       jobId, 
       error: error.message 
@@ -384,6 +407,39 @@ export function cleanupChunkFiles(jobId, chunks, originalPath) {
   logger.debug('Chunk cleanup completed', { jobId, cleanedCount, failedCount });
 }
 
+/**
+ * Clean up every chunk file written for an audio file
+ * Unlike cleanupChunkFiles, this also finds the chunks of a split that did not finish
+ * 
+ * @param {number} jobId - Job ID for logging
+ * @param {string} audioFilePath - Path to the audio file that was split
+ */
+export function cleanupAllChunkFiles(jobId, audioFilePath) {
+  const ext = path.extname(audioFilePath);
+  const baseName = path.basename(audioFilePath, ext);
+  const outputDir = path.dirname(audioFilePath);
+  const prefix = `${baseName}_chunk_`;
+  
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(outputDir);
+  } catch (error) {
+    logger.warn('Failed to list chunk files', { jobId, outputDir, error: error.message });
+    return;
+  }
+  
+  // Same names as splitAudioAtPoints / splitAudioSimple: <baseName>_chunk_<index><ext>
+  const isChunkFile = (fileName) => fileName.startsWith(prefix)
+    && fileName.endsWith(ext)
+    && /^\d+$/.test(fileName.slice(prefix.length, fileName.length - ext.length));
+  
+  const chunks = fileNames
+    .filter(isChunkFile)
+    .map(fileName => ({ path: path.join(outputDir, fileName) }));
+  
+  cleanupChunkFiles(jobId, chunks, audioFilePath);
+}
+
 export default {
   detectSilence,
   getAudioDuration,
@@ -391,5 +447,6 @@ export default {
   splitAudioWithSilenceDetection,
   splitAudioSimple,
   cleanupChunkFiles,
+  cleanupAllChunkFiles,
   CONFIG,
 };
@@ -30,12 +30,11 @@ export {
 
 // STT processor
 export {
-  uploadFileToDify,
-  processChunkWithDify,
   processChunkWithRetry,
   processAllChunks,
   calculateQuality,
   mergeResults,
+  buildSegments,
 } from './sttProcessor.js';
 
 // Dify workflow
@@ -10,10 +10,13 @@ import logger from '../../utils/logger.js';
 import { ERROR_CODES } from '../../config/axiosConfig.js';
 
 // Import step modules
-import { convertToMp3, needsConversion } from './audioConverter.js';
-import { splitAudioWithSilenceDetection, cleanupChunkFiles } from './audioSplitter.js';
-import { processAllChunks, calculateQuality, mergeResults } from './sttProcessor.js';
+import { convertToMp3, needsConversion, getConvertedPath, removeAudioFiles } from './audioConverter.js';
+import { splitAudioWithSilenceDetection, cleanupChunkFiles, cleanupAllChunkFiles } from './audioSplitter.js';
+import { processAllChunks, buildResumePlan, calculateQuality, mergeResults, buildSegments } from './sttProcessor.js';
+import { resolveSttProvider } from '../stt/index.js';
 import { executeMainWorkflow, parseOutputs } from './difyWorkflow.js';
+import { getGenerationProvider } from '../generation/index.js';
+import { resolveGenerationPrompts } from '../generation/prompts.js';
 import { completeRecordPersistence } from './recordPersister.js';
 
 // Import job step service
@@ -23,6 +26,7 @@ import {
   completeStep,
   failStep,
   skipStep,
+  cancelSteps,
 } from '../jobStepService.js';
 
 // Import heartbeat functions
@@ -34,6 +38,15 @@ import {
   endJob as endJobHeartbeat,
 } from '../jobHeartbeat.js';
 
+// Import cancellation functions
+import {
+  throwIfCancelled,
+  isJobCancelled,
+  killJobProcesses,
+  startCancellationWatch,
+  stopCancellationWatch,
+} from '../jobCancellation.js';
+
 /**
  * Step definitions
  */
@@ -58,7 +71,8 @@ const STEPS = {
  * @param {function} updateJobStatus - Function to update job status
  * @param {function} registerChunks - Function to register chunks
  * @param {function} updateChunkStatus - Function to update chunk status
- * @returns {Promise<{success: boolean, recordId?: number, error?: string}>}
+ * @param {function} getJobChunks - Function to load the chunks stored by a previous attempt
+ * @returns {Promise<{success: boolean, cancelled?: boolean, recordId?: number, error?: string}>}
  */
 export async function processAudioJob(
   jobId, 
@@ -69,7 +83,8 @@ export async function processAudioJob(
   staffId,
   updateJobStatus,
   registerChunks,
-  updateChunkStatus
+  updateChunkStatus,
+  getJobChunks
 ) {
   logger.info('Orchestrator: Starting audio processing', { jobId, audioFilePath });
   
@@ -77,14 +92,19 @@ export async function processAudioJob(
   const lockResult = await acquireJobLock(jobId);
   if (!lockResult.acquired) {
     logger.warn('Orchestrator: Failed to acquire job lock', { jobId, reason: lockResult.reason });
-    return { success: false, error: `Failed to acquire job lock: ${lockResult.reason}` };
+    return {
+      success: false,
+      cancelled: lockResult.reason === 'cancelled',
+      error: `Failed to acquire job lock: ${lockResult.reason}`
+    };
   }
   
   // Initialize step tracking
   await initializeSteps(jobId);
   
-  // Start heartbeat interval
+  // Start heartbeat interval and the cancellation watch (kills ffmpeg of a cancelled job)
   startHeartbeatInterval(jobId);
+  startCancellationWatch(jobId);
   
   // Context for passing data between steps
   const context = {
@@ -111,9 +131,22 @@ export async function processAudioJob(
     // Step 1: Convert audio (if needed)
     // ========================================
     currentStepName = STEPS.CONVERT;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 5, '音声変換中...');
     
-    if (needsConversion(audioFilePath)) {
+    // A retry resumes from the chunks of the previous attempt while their files are on disk:
+    // completed transcripts are reused and only the other chunks go through STT again
+    const resumePlan = buildResumePlan(jobId, await getJobChunks(jobId));
+    const convertedPath = getConvertedPath(audioFilePath);
+    
+    if (resumePlan) {
+      context.processedFilePath = convertedPath;
+      await skipStep(jobId, STEPS.CONVERT, 'Resumed from previous attempt');
+    } else if (convertedPath !== audioFilePath && !fs.existsSync(audioFilePath) && fs.existsSync(convertedPath)) {
+      // The previous attempt converted (and removed) the upload before failing
+      context.processedFilePath = convertedPath;
+      await skipStep(jobId, STEPS.CONVERT, 'Converted in previous attempt');
+    } else if (needsConversion(audioFilePath)) {
       await startStep(jobId, STEPS.CONVERT);
       
       const conversionResult = await convertToMp3(jobId, audioFilePath);
@@ -132,32 +165,46 @@ export async function processAudioJob(
     // Step 2: Split audio
     // ========================================
     currentStepName = STEPS.SPLIT;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 10, '音声ファイルを分割しています...');
-    await startStep(jobId, STEPS.SPLIT);
-    
-    context.chunks = await splitAudioWithSilenceDetection(jobId, context.processedFilePath);
-    
-    // Register chunks in database
-    await registerChunks(jobId, context.chunks.length);
-    
-    await completeStep(jobId, STEPS.SPLIT, {
-      chunkCount: context.chunks.length
-    });
+    if (resumePlan) {
+      context.chunks = resumePlan.chunks;
+      await skipStep(jobId, STEPS.SPLIT, `Resumed with ${resumePlan.chunks.length} chunks from previous attempt`);
+    } else {
+      await startStep(jobId, STEPS.SPLIT);
+      
+      context.chunks = await splitAudioWithSilenceDetection(jobId, context.processedFilePath);
+      
+      // Register chunks in database
+      await registerChunks(jobId, context.chunks);
+      
+      await completeStep(jobId, STEPS.SPLIT, {
+        chunkCount: context.chunks.length
+      });
+    }
     await updateHeartbeat(jobId);
     
     // ========================================
     // Step 3: STT processing
     // ========================================
     currentStepName = STEPS.STT;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 15, 'STT処理中...');
     await startStep(jobId, STEPS.STT);
     
+    context.sttProvider = await resolveSttProvider(companyId);
     context.chunkResults = await processAllChunks(
       jobId, 
-      context.chunks, 
+      resumePlan ? resumePlan.pendingChunks : context.chunks,
       updateChunkStatus,
-      updateJobStatus
+      updateJobStatus,
+      context.sttProvider
     );
+    if (resumePlan) {
+      for (const result of resumePlan.reusedResults) {
+        context.chunkResults[result.index] = result;
+      }
+    }
     
     // Calculate quality metrics
     context.qualityData = calculateQuality(jobId, context.chunkResults, context.chunks.length);
@@ -170,26 +217,43 @@ export async function processAudioJob(
     
     // Merge successful results
     context.combinedText = mergeResults(context.chunkResults);
+    context.segments = buildSegments(context.chunkResults);
     
     await completeStep(jobId, STEPS.STT, {
+      provider: context.sttProvider.name,
       totalChunks: context.chunks.length,
       successCount: context.qualityData.successfulChunks.length,
       failedCount: context.qualityData.failedChunks.length,
-      successRate: (context.qualityData.successRate * 100).toFixed(1) + '%'
+      successRate: (context.qualityData.successRate * 100).toFixed(1) + '%',
+      attempt: lockResult.attempts,
+      ...(resumePlan && {
+        resumed: true,
+        reusedChunks: resumePlan.reusedResults.length,
+        retriedChunks: resumePlan.pendingChunks.length
+      })
     });
     await updateHeartbeat(jobId);
     
     // ========================================
-    // Step 4: Dify workflow
+    // Step 4: Generation workflow (Dify or OpenAI-compatible)
     // ========================================
     currentStepName = STEPS.DIFY_WORKFLOW;
-    await updateJobStatus(jobId, 'processing', 85, 'Difyワークフロー実行中...');
+    await throwIfCancelled(jobId);
+    await updateJobStatus(jobId, 'processing', 85, 'スキルシート・推薦文を生成中...');
     await startStep(jobId, STEPS.DIFY_WORKFLOW);
     
-    context.difyResult = await executeMainWorkflow(jobId, context.combinedText);
+    context.generationProvider = getGenerationProvider();
+    context.generationPrompts = await resolveGenerationPrompts(companyId);
+    context.difyResult = await executeMainWorkflow(
+      jobId,
+      context.combinedText,
+      context.generationProvider,
+      context.generationPrompts
+    );
     context.outputs = parseOutputs(jobId, context.difyResult);
     
     await completeStep(jobId, STEPS.DIFY_WORKFLOW, {
+      provider: context.generationProvider.name,
       hasSkillsheet: !!context.outputs.skillsheet,
       hasLor: !!context.outputs.lor,
       workContentItems: context.outputs.workContent.length
@@ -202,6 +266,8 @@ export async function processAudioJob(
     currentStepName = STEPS.PERSIST;
     await updateJobStatus(jobId, 'processing', 95, 'データを保存しています...');
     await startStep(jobId, STEPS.PERSIST);
+    // Checked after the step has started: from here on cancelJob refuses the cancellation
+    await throwIfCancelled(jobId);
     
     const persistResult = await completeRecordPersistence(jobId, {
       fileId,
@@ -210,6 +276,7 @@ export async function processAudioJob(
       staffId,
       audioFilePath: context.processedFilePath,
       sttText: context.combinedText,
+      sttSegments: context.segments,
       skillsheet: context.outputs.skillsheet,
       lor: context.outputs.lor,
       workContent: context.outputs.workContent,
@@ -268,6 +335,25 @@ export async function processAudioJob(
     };
     
   } catch (error) {
+    if (error.code === ERROR_CODES.JOB_CANCELLED || await isJobCancelled(jobId)) {
+      logger.info('Orchestrator: Audio processing cancelled', { jobId, step: currentStepName });
+      
+      killJobProcesses(jobId);
+      await cancelSteps(jobId);
+      stopHeartbeatInterval(jobId);
+      
+      // A cancelled job is not retried: remove its chunks and audio
+      cleanupAllChunkFiles(jobId, context.processedFilePath);
+      removeAudioFiles(jobId, audioFilePath);
+      
+      return {
+        success: false,
+        cancelled: true,
+        error: error.message,
+        cancelledStep: currentStepName
+      };
+    }
+    
     logger.error('Orchestrator: Audio processing failed', {
       jobId,
       step: currentStepName,
@@ -292,8 +378,9 @@ export async function processAudioJob(
     };
     
   } finally {
-    // Ensure heartbeat interval is always stopped
+    // Ensure heartbeat interval and cancellation watch are always stopped
     stopHeartbeatInterval(jobId);
+    stopCancellationWatch(jobId);
   }
 }
 
@@ -8,6 +8,8 @@
 import { pool } from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import cache from '../../utils/cache.js';
+import { resolveStaff } from '../staffService.js';
+import { recordRevisions } from '../revisionService.js';
 
 /**
  * Save record to database with idempotency (ON DUPLICATE KEY UPDATE)
@@ -20,6 +22,7 @@ import cache from '../../utils/cache.js';
  * @param {string} data.staffId - Staff ID
  * @param {string} data.audioFilePath - Path to audio file
  * @param {string} data.sttText - Combined STT text
+ * @param {Array} [data.sttSegments] - Timed transcript segments ({start, end, text, chunk})
  * @param {string} data.skillsheet - Skill sheet content
  * @param {string} data.lor - LOR content
  * @param {Array} data.workContent - Work content array
@@ -38,6 +41,7 @@ export async function saveRecord(jobId, data) {
     staffId,
     audioFilePath,
     sttText,
+    sttSegments,
     skillsheet,
     lor,
     workContent,
@@ -51,6 +55,7 @@ export async function saveRecord(jobId, data) {
   const successRatePercent = parseFloat((successRate * 100).toFixed(2));
   const warningsJson = JSON.stringify(warnings || []);
   const workContentJson = JSON.stringify(workContent || []);
+  const segmentsJson = sttSegments ? JSON.stringify(sttSegments) : null;
   
   logger.info('Saving record to database', { 
     jobId,
@@ -59,13 +64,17 @@ export async function saveRecord(jobId, data) {
   });
   
   try {
+    // Link to the staff entity (created on first sight of this staff_id in the company)
+    const staffRefId = await resolveStaff(companyId, staffId);
+
     const [result] = await pool.query(
       `INSERT INTO records 
-       (job_id, file_id, user_id, company_id, staff_id, audio_file_path, stt, skill_sheet, lor, salesforce, skills, hope, quality_status, chunk_success_rate, processing_warnings, date)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+       (job_id, file_id, user_id, company_id, staff_id, staff_ref_id, audio_file_path, stt, stt_segments, skill_sheet, lor, salesforce, skills, hope, quality_status, chunk_success_rate, processing_warnings, date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
        ON DUPLICATE KEY UPDATE 
          updated_at = NOW(),
          stt = VALUES(stt),
+         stt_segments = VALUES(stt_segments),
          skill_sheet = VALUES(skill_sheet),
          lor = VALUES(lor),
          salesforce = VALUES(salesforce),
@@ -81,8 +90,10 @@ export async function saveRecord(jobId, data) {
         userId,
         companyId,
         staffId,
+        staffRefId,
         audioFilePath,
         sttText,
+        segmentsJson,
         skillsheet,
         lor,
         workContentJson,
@@ -103,6 +114,15 @@ export async function saveRecord(jobId, data) {
       isNew,
       affectedRows: result.affectedRows
     });
+
+    // Keep the AI output in the edit history (no-op when unchanged on a job retry)
+    await recordRevisions('record', recordId, [
+      { field: 'skill_sheet', content: skillsheet },
+      { field: 'skills', content: skills },
+      { field: 'lor', content: lor },
+      { field: 'salesforce', content: workContentJson },
+      { field: 'hope', content: hope }
+    ], { source: 'ai' });
     
     return { recordId, isNew };
     
@@ -1,201 +1,52 @@
 /**
  * STT Processor Module
  * 
- * Handles Speech-to-Text processing via Dify API.
- * Part of the modular audio processing pipeline.
+ * Runs the chunks of a job through an STT provider (services/stt: Dify or local Whisper)
+ * and merges the results. Part of the modular audio processing pipeline.
  */
 
-import axios from 'axios';
-import FormData from 'form-data';
 import fs from 'fs';
-import path from 'path';
 import logger from '../../utils/logger.js';
 import {
   API_CONFIG,
   ERROR_CODES,
-  isRetryableStatus,
-  categorizeError,
-  calculateBackoff,
-  sleep,
 } from '../../config/axiosConfig.js';
+import { getSttProvider } from '../stt/index.js';
+import { isJobCancelled, createCancelledError } from '../jobCancellation.js';
 
 // Configuration
 const CONFIG = {
-  maxConcurrency: parseInt(process.env.CHUNK_CONCURRENCY || '10'),
   maxRetries: API_CONFIG.dify.maxRetries,
-  difyTimeout: API_CONFIG.dify.workflowTimeout,
-  uploadTimeout: API_CONFIG.dify.uploadTimeout,
   minChunkSuccessRate: API_CONFIG.minChunkSuccessRate,
 };
 
-/**
- * Upload audio file to Dify with retry logic
- * 
- * @param {number} jobId - Job ID for logging
- * @param {string} filePath - Path to the file to upload
- * @returns {Promise<string>} - Dify file ID
- * @throws {Error} - With standardized error code
- */
-export async function uploadFileToDify(jobId, filePath) {
-  let lastError = null;
-  
-  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-    try {
-      const form = new FormData();
-      form.append('file', fs.createReadStream(filePath), {
-        filename: path.basename(filePath),
-        contentType: 'audio/mpeg',
-      });
-      form.append('type', 'audio');
-      form.append('purpose', 'workflow_input');
-      form.append('user', 'voldin012');
-
-      const response = await axios.post('https://api.dify.ai/v1/files/upload', form, {
-        headers: {
-          Authorization: `Bearer ${process.env.DIFY_SECRET_KEY}`,
-          ...form.getHeaders()
-        },
-        timeout: CONFIG.uploadTimeout
-      });
-
-      logger.debug('File uploaded to Dify', { jobId, fileId: response.data.id });
-      return response.data.id;
-    } catch (error) {
-      lastError = error;
-      const errorCode = categorizeError(error, 'upload');
-      const httpStatus = error.response?.status;
-      
-      logger.warn(`Dify upload attempt ${attempt}/${CONFIG.maxRetries} failed`, {
-        jobId,
-        filePath,
-        errorCode,
-        httpStatus,
-        message: error.message
-      });
-      
-      // Check if we should retry
-      const shouldRetry = attempt < CONFIG.maxRetries && 
-        (isRetryableStatus(httpStatus) || !error.response);
-      
-      if (shouldRetry) {
-        const delay = calculateBackoff(attempt);
-        logger.debug(`Retrying upload in ${delay}ms`, { jobId, filePath, attempt });
-        await sleep(delay);
-      }
-    }
-  }
-  
-  // All retries exhausted
-  const errorCode = categorizeError(lastError, 'upload');
-  const errorMessage = `${errorCode}: ${lastError.message}`;
-  logger.error('Dify upload failed after all retries', { jobId, filePath, errorCode });
-  
-  const error = new Error(errorMessage);
-  error.code = errorCode;
-  error.httpStatus = lastError.response?.status;
-  throw error;
-}
-
-/**
- * Process chunk with Dify STT workflow
- * 
- * @param {number} jobId - Job ID for logging
- * @param {string} chunkPath - Path to the audio chunk
- * @returns {Promise<string>} - STT result text
- * @throws {Error} - With standardized error code
- */
-export async function processChunkWithDify(jobId, chunkPath) {
-  // Upload file to Dify (has its own retry logic)
-  const fileId = await uploadFileToDify(jobId, chunkPath);
-  
-  // Call STT workflow with retry
-  let lastError = null;
-  
-  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-    try {
-      const response = await axios.post(
-        'https://api.dify.ai/v1/workflows/run',
-        {
-          inputs: {
-            "audioFile": {
-              "transfer_method": "local_file",
-              "upload_file_id": fileId,
-              "type": "audio"
-            }
-          },
-          user: 'voldin012'
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.DIFY_SECRET_KEY_STT}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: CONFIG.difyTimeout
-        }
-      );
-      
-      const sttResult = response.data.data.outputs.stt;
-      logger.debug('STT processing completed', { jobId, chunkPath, resultLength: sttResult?.length });
-      return sttResult;
-    } catch (error) {
-      lastError = error;
-      const errorCode = categorizeError(error, 'workflow');
-      const httpStatus = error.response?.status;
-      
-      logger.warn(`Dify STT workflow attempt ${attempt}/${CONFIG.maxRetries} failed`, {
-        jobId,
-        chunkPath,
-        errorCode,
-        httpStatus,
-        message: error.message
-      });
-      
-      // Check if we should retry
-      const shouldRetry = attempt < CONFIG.maxRetries && 
-        (isRetryableStatus(httpStatus) || !error.response);
-      
-      if (shouldRetry) {
-        const delay = calculateBackoff(attempt);
-        logger.debug(`Retrying STT workflow in ${delay}ms`, { jobId, chunkPath, attempt });
-        await sleep(delay);
-      }
-    }
-  }
-  
-  // All retries exhausted
-  const errorCode = categorizeError(lastError, 'workflow');
-  const errorMessage = `${errorCode}: ${lastError.message}`;
-  logger.error('Dify STT workflow failed after all retries', { jobId, chunkPath, errorCode });
-  
-  const error = new Error(errorMessage);
-  error.code = errorCode;
-  error.httpStatus = lastError.response?.status;
-  throw error;
-}
-
 /**
  * Process single chunk with retry logic
  * 
  * @param {number} jobId - Job ID for logging
  * @param {object} chunk - Chunk object {index, path, ...}
  * @param {function} updateChunkStatus - Function to update chunk status in DB
- * @returns {Promise<{index: number, stt: string, success: boolean, error?: string}>}
+ * @param {object} [provider] - STT provider (services/stt), the env default when omitted
+ * @returns {Promise<{index: number, stt: string, segments: Array|null, success: boolean, startTime: number|null, endTime: number|null, error?: string}>}
  */
-export async function processChunkWithRetry(jobId, chunk, updateChunkStatus) {
+export async function processChunkWithRetry(jobId, chunk, updateChunkStatus, provider = getSttProvider()) {
   for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
     try {
       await updateChunkStatus(jobId, chunk.index, 'processing');
       
-      logger.debug('Processing chunk', { jobId, chunkIndex: chunk.index, attempt });
+      logger.debug('Processing chunk', { jobId, chunkIndex: chunk.index, attempt, provider: provider.name });
       
-      const sttResult = await processChunkWithDify(jobId, chunk.path);
+      const sttResult = await provider.transcribe(jobId, chunk.path);
       
-      await updateChunkStatus(jobId, chunk.index, 'completed', sttResult);
+      await updateChunkStatus(jobId, chunk.index, 'completed', sttResult.text, null, sttResult.segments ?? null);
       
       return {
         index: chunk.index,
-        stt: sttResult,
-        success: true
+        stt: sttResult.text,
+        segments: sttResult.segments,
+        success: true,
+        startTime: chunk.startTime ?? null,
+        endTime: chunk.endTime ?? null
       };
     } catch (error) {
       logger.warn(`Chunk ${chunk.index} processing attempt ${attempt} failed`, { 
@@ -208,7 +59,10 @@ export async function processChunkWithRetry(jobId, chunk, updateChunkStatus) {
         return {
           index: chunk.index,
           stt: '',
+          segments: null,
           success: false,
+          startTime: chunk.startTime ?? null,
+          endTime: chunk.endTime ?? null,
           error: error.message
         };
       }
@@ -223,30 +77,43 @@ export async function processChunkWithRetry(jobId, chunk, updateChunkStatus) {
 
 /**
  * Process multiple chunks in parallel with concurrency control
+ * When the job is cancelled, no further chunk is started and a JOB_CANCELLED error is
+ * thrown once the running chunks have settled.
  * 
  * @param {number} jobId - Job ID for logging
  * @param {Array<{index: number, path: string}>} chunks - Array of chunk objects
  * @param {function} updateChunkStatus - Function to update chunk status in DB
  * @param {function} updateJobStatus - Function to update job status
+ * @param {object} [provider] - STT provider (services/stt), the env default when omitted
  * @returns {Promise<Array<{index: number, stt: string, success: boolean}>>}
  */
-export async function processAllChunks(jobId, chunks, updateChunkStatus, updateJobStatus) {
+export async function processAllChunks(jobId, chunks, updateChunkStatus, updateJobStatus, provider = getSttProvider()) {
   const results = new Array(chunks.length);
   const processing = [];
   let completedCount = 0;
   
   const totalChunks = chunks.length;
+  const maxConcurrency = provider.maxConcurrency;
   
   logger.info('Starting parallel chunk processing', { 
     jobId, 
     totalChunks, 
-    maxConcurrency: CONFIG.maxConcurrency 
+    provider: provider.name,
+    maxConcurrency
   });
   
+  let cancelled = false;
+  
   for (let i = 0; i < chunks.length; i++) {
     const chunk = chunks[i];
     
-    const chunkPromise = processChunkWithRetry(jobId, chunk, updateChunkStatus)
+    // Stop starting chunks once the job is cancelled; the running ones are let finish
+    if (await isJobCancelled(jobId)) {
+      cancelled = true;
+      break;
+    }
+    
+    const chunkPromise = processChunkWithRetry(jobId, chunk, updateChunkStatus, provider)
       .then(result => {
         results[result.index] = result;
         completedCount++;
@@ -261,7 +128,7 @@ export async function processAllChunks(jobId, chunks, updateChunkStatus, updateJ
     processing.push(chunkPromise);
     
     // Concurrency control: wait if we've reached max concurrent processing
-    if (processing.length >= CONFIG.maxConcurrency) {
+    if (processing.length >= maxConcurrency) {
       await Promise.race(processing);
       // Remove completed promises
       const completedIndices = [];
@@ -281,6 +148,12 @@ export async function processAllChunks(jobId, chunks, updateChunkStatus, updateJ
   // Wait for all remaining chunks
   await Promise.allSettled(processing);
   
+  // Also catches a cancellation while the last chunks ran
+  if (cancelled || await isJobCancelled(jobId)) {
+    logger.info('Chunk processing stopped for cancelled job', { jobId, completedCount, totalChunks });
+    throw createCancelledError(jobId);
+  }
+  
   // Check for failures
   const failedChunks = results.filter(r => r && !r.success);
   if (failedChunks.length > 0) {
@@ -301,6 +174,76 @@ export async function processAllChunks(jobId, chunks, updateChunkStatus, updateJ
   return results;
 }
 
+/**
+ * Plan a chunk-level resume from the chunks stored by a previous attempt
+ * 
+ * Completed chunks keep their transcript and segments; the others go through STT again,
+ * which needs their chunk file. Returns null when there is nothing to resume from: first
+ * attempt, chunks registered without their file path, or a chunk file that is gone.
+ * 
+ * @param {number} jobId - Job ID for logging
+ * @param {Array<object>} storedChunks - chunk_processing rows of the job
+ * @returns {{chunks: Array<object>, reusedResults: Array<object>, pendingChunks: Array<object>}|null}
+ */
+export function buildResumePlan(jobId, storedChunks) {
+  if (!storedChunks || storedChunks.length === 0) {
+    return null;
+  }
+  
+  const toSeconds = (value) => (value === null || value === undefined ? null : Number(value));
+  
+  const rows = [...storedChunks].sort((a, b) => a.chunk_index - b.chunk_index);
+  const unusable = rows.filter(row => !row.chunk_file_path
+    || (row.status !== 'completed' && !fs.existsSync(row.chunk_file_path)));
+  
+  if (unusable.length > 0) {
+    logger.info('Previous chunks cannot be resumed, processing from the start', {
+      jobId,
+      unusableChunks: unusable.map(row => row.chunk_index)
+    });
+    return null;
+  }
+  
+  const chunks = [];
+  const reusedResults = [];
+  const pendingChunks = [];
+  
+  for (const row of rows) {
+    const startTime = toSeconds(row.start_time);
+    const endTime = toSeconds(row.end_time);
+    const chunk = {
+      index: row.chunk_index,
+      path: row.chunk_file_path,
+      startTime,
+      endTime,
+      duration: startTime !== null && endTime !== null ? endTime - startTime : null
+    };
+    chunks.push(chunk);
+    
+    if (row.status === 'completed') {
+      reusedResults.push({
+        index: chunk.index,
+        stt: row.stt_result || '',
+        segments: row.stt_segments ? JSON.parse(row.stt_segments) : null,
+        success: true,
+        startTime,
+        endTime
+      });
+    } else {
+      pendingChunks.push(chunk);
+    }
+  }
+  
+  logger.info('Resuming from previous chunks', {
+    jobId,
+    totalChunks: chunks.length,
+    reusedChunks: reusedResults.length,
+    pendingChunks: pendingChunks.length
+  });
+  
+  return { chunks, reusedResults, pendingChunks };
+}
+
 /**
  * Calculate quality metrics from chunk results
  * 
@@ -358,12 +301,76 @@ export function mergeResults(results) {
     .join('\n');
 }
 
+// Sentence ends inside a transcript line (Japanese and Latin punctuation)
+const SENTENCE_END = /(?<=[。！？!?])\s*/;
+
+/**
+ * Build timed transcript segments from chunk results
+ *
+ * Providers that time their output (Whisper) give segments relative to the chunk, which are
+ * shifted by the chunk start. For plain text (Dify), each chunk's time range is spread over
+ * its lines and sentences in proportion to their length. Chunks without timing (simple
+ * split fallback) keep their segments with start/end null.
+ *
+ * @param {Array<{index: number, stt: string, segments: Array|null, success: boolean, startTime: number|null, endTime: number|null}>} results - Chunk results
+ * @returns {Array<{start: number|null, end: number|null, text: string, chunk: number}>}
+ */
+export function buildSegments(results) {
+  const segments = [];
+
+  const chunkResults = results
+    .filter(r => r && r.success)
+    .sort((a, b) => a.index - b.index);
+
+  for (const result of chunkResults) {
+    if (result.segments?.length && Number.isFinite(result.startTime)) {
+      for (const segment of result.segments) {
+        segments.push({
+          start: Math.round((result.startTime + segment.start) * 1000) / 1000,
+          end: Math.round((result.startTime + segment.end) * 1000) / 1000,
+          text: segment.text,
+          chunk: result.index
+        });
+      }
+      continue;
+    }
+
+    const texts = (result.stt || '')
+      .split(/\r?\n/)
+      .flatMap(line => line.split(SENTENCE_END))
+      .map(text => text.trim())
+      .filter(Boolean);
+    if (texts.length === 0) continue;
+
+    const timed = Number.isFinite(result.startTime) && Number.isFinite(result.endTime)
+      && result.endTime > result.startTime;
+    const totalLength = texts.reduce((sum, text) => sum + text.length, 0);
+    let offset = 0;
+
+    for (const text of texts) {
+      let start = null;
+      let end = null;
+      if (timed) {
+        const span = result.endTime - result.startTime;
+        start = result.startTime + (span * offset) / totalLength;
+        end = result.startTime + (span * (offset + text.length)) / totalLength;
+        start = Math.round(start * 1000) / 1000;
+        end = Math.round(end * 1000) / 1000;
+      }
+      offset += text.length;
+      segments.push({ start, end, text, chunk: result.index });
+    }
+  }
+
+  return segments;
+}
+
 export default {
-  uploadFileToDify,
-  processChunkWithDify,
   processChunkWithRetry,
   processAllChunks,
+  buildResumePlan,
   calculateQuality,
   mergeResults,
+  buildSegments,
   CONFIG,
 };
@@ -0,0 +1,78 @@
+/**
+ * Audio Stream Service
+ *
+ * Streams the stored audio of records and follows to authorized users. Audio is not served by
+ * the public /uploads static route; callers check tenant access first and then hand the stored
+ * audio_file_path to sendAudio. HTTP Range requests (single range) are answered with 206 so
+ * players can seek without downloading the whole file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { createMediaToken, MEDIA_TOKEN_TTL } from '../utils/mediaToken.js';
+
+/**
+ * Whether a stored audio file is still on disk (retention may have deleted it)
+ * @param {string|null} audioFilePath - audio_file_path (relative to the backend working directory)
+ * @returns {boolean}
+ */
+export function hasAudioFile(audioFilePath) {
+  return Boolean(audioFilePath) && fs.existsSync(audioFilePath);
+}
+
+/**
+ * Authenticated URL of an audio stream for an <audio> element
+ * @param {Object} user - req.user
+ * @param {'record'|'follow'} entityType
+ * @param {number} id - Record or follow ID
+ * @param {string} basePath - API path of the stream, e.g. /api/records/12/audio
+ * @returns {{url: string, expiresIn: number}}
+ */
+export function createAudioUrl(user, entityType, id, basePath) {
+  const token = createMediaToken(user.id, `${entityType}:${id}`);
+  return { url: `${basePath}?token=${encodeURIComponent(token)}`, expiresIn: MEDIA_TOKEN_TTL };
+}
+
+/**
+ * Stream an audio file (200, or 206 for a Range request)
+ * @param {import('express').Response} res
+ * @param {string} audioFilePath - audio_file_path of an authorized record/follow
+ */
+export function sendAudio(res, audioFilePath) {
+  const absolutePath = path.resolve(audioFilePath);
+
+  res.sendFile(absolutePath, {
+    acceptRanges: true,
+    headers: {
+      // Per-user access, never kept by shared caches
+      'Cache-Control': 'private, no-cache'
+    }
+  }, (error) => {
+    if (!error) return;
+
+    // Client stopped mid-stream (seek, pause, closed tab)
+    if (res.headersSent) {
+      logger.debug('Audio stream ended early', { file: path.basename(absolutePath), error: error.message });
+      return;
+    }
+
+    // Range outside the file; send already set Content-Range: bytes */<size>
+    if (error.status === 416) {
+      return res.status(416).end();
+    }
+
+    if (error.status === 404 || error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Audio file not found' });
+    }
+
+    logger.error('Error streaming audio', { file: path.basename(absolutePath), error: error.message });
+    res.status(500).json({ error: 'Failed to stream audio' });
+  });
+}
+
+export default {
+  hasAudioFile,
+  createAudioUrl,
+  sendAudio,
+};
@@ -0,0 +1,289 @@
+/**
+ * Auto-Delete Planner
+ *
+ * Selects what the auto-delete jobs remove, so that the jobs themselves, the dry-run
+ * preview and the "scheduled for deletion" list all share the same rules:
+ *   - records/follows older than the company's retention period (see retentionService)
+ *   - records/follows that have been in the trash longer than TRASH_RETENTION_DAYS
+ *   - raw audio of kept records older than the company's audio retention period
+ * Rows under a legal hold are returned with held = 1 so callers can skip and count them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pool } from '../config/database.js';
+import { getTrashRetentionDays } from '../utils/trash.js';
+import { effectiveRetentionSql } from './retentionService.js';
+import { activeHoldSql } from './legalHoldService.js';
+
+// Longest look-ahead accepted for previews
+export const MAX_DAYS_AHEAD = 365;
+
+const formatJst = (expression) => `DATE_FORMAT(CONVERT_TZ(${expression}, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s')`;
+
+// Reference time for the retention checks: now, or N days from now for previews
+const referenceTimeSql = (daysAhead) => {
+  const days = Math.min(Math.max(parseInt(daysAhead, 10) || 0, 0), MAX_DAYS_AHEAD);
+  return days > 0 ? `DATE_ADD(NOW(), INTERVAL ${days} DAY)` : 'NOW()';
+};
+
+/**
+ * Records/follows due for deletion (retention period or trash purge)
+ * @param {'record'|'follow'} entityType
+ * @param {object} connection - Database connection (pool or the job's lock connection)
+ * @param {Object} [options]
+ * @param {number|null} [options.companyId] - Restrict to a company
+ * @param {number|null} [options.userId] - Restrict to items uploaded by a user
+ * @param {number} [options.daysAhead] - Evaluate the rules N days from now (0 = now)
+ * @returns {Promise<Array>}
+ */
+const findDeletionCandidates = async (entityType, connection, { companyId = null, userId = null, daysAhead = 0 } = {}) => {
+  const isRecord = entityType === 'record';
+  const table = isRecord ? 'records' : 'follows';
+  const months = effectiveRetentionSql(isRecord ? 'recordsMonths' : 'followsMonths');
+  const trashDays = getTrashRetentionDays();
+  const ref = referenceTimeSql(daysAhead);
+
+  const retentionAt = `IF(${months} > 0, DATE_ADD(t.date, INTERVAL ${months} MONTH), NULL)`;
+  const purgeAt = `DATE_ADD(t.deleted_at, INTERVAL ${trashDays} DAY)`;
+
+  let query = `
+    SELECT
+      t.id,
+      t.company_id as companyId,
+      c.name as companyName,
+      t.user_id as userId,
+      t.file_id as fileId,
+      t.staff_id as staffId,
+      t.staff_name as staffName,
+      ${formatJst('t.date')} as date,
+      ${isRecord ? 't.audio_file_path' : 'NULL'} as audio_file_path,
+      ${isRecord ? 'NULL' : 't.salesforce_event_id'} as salesforce_event_id,
+      t.deleted_at IS NOT NULL as inTrash,
+      ${activeHoldSql(entityType, 't')} as held,
+      ${formatJst(`LEAST(COALESCE(${retentionAt}, ${purgeAt}), COALESCE(${purgeAt}, ${retentionAt}))`)} as scheduledAt
+    FROM ${table} t
+    LEFT JOIN companies c ON t.company_id = c.id
+    WHERE ((${months} > 0 AND t.date < DATE_SUB(${ref}, INTERVAL ${months} MONTH))
+      OR t.deleted_at < DATE_SUB(${ref}, INTERVAL ${trashDays} DAY))
+  `;
+  const params = [];
+  if (companyId !== null) {
+    query += ' AND t.company_id = ?';
+    params.push(companyId);
+  }
+  if (userId !== null) {
+    query += ' AND t.user_id = ?';
+    params.push(userId);
+  }
+  query += ' ORDER BY t.id';
+
+  const [rows] = await connection.query(query, params);
+  return rows;
+};
+
+/**
+ * Records due for deletion (see findDeletionCandidates)
+ */
+export function findRecordCandidates(connection, options) {
+  return findDeletionCandidates('record', connection, options);
+}
+
+/**
+ * Follows due for deletion (see findDeletionCandidates)
+ */
+export function findFollowCandidates(connection, options) {
+  return findDeletionCandidates('follow', connection, options);
+}
+
+/**
+ * Kept records whose raw audio is past the company's audio retention period
+ * @param {object} connection
+ * @param {Object} [options] - Same as findRecordCandidates
+ * @param {Array<number>} [options.excludeRecordIds] - Records already due for deletion, whose audio
+ *   goes with the record (or is held with it) and must not be counted again
+ * @returns {Promise<Array>}
+ */
+export async function findAudioCandidates(connection, { companyId = null, daysAhead = 0, excludeRecordIds = [] } = {}) {
+  const days = effectiveRetentionSql('audioDays');
+  const ref = referenceTimeSql(daysAhead);
+
+  let query = `
+    SELECT
+      r.id,
+      r.company_id as companyId,
+      c.name as companyName,
+      r.file_id as fileId,
+      r.staff_id as staffId,
+      r.staff_name as staffName,
+      ${formatJst('r.date')} as date,
+      r.audio_file_path,
+      ${activeHoldSql('record', 'r')} as held,
+      ${formatJst(`DATE_ADD(r.date, INTERVAL ${days} DAY)`)} as scheduledAt
+    FROM records r
+    LEFT JOIN companies c ON r.company_id = c.id
+    WHERE r.audio_file_path IS NOT NULL
+    AND ${days} > 0 AND r.date < DATE_SUB(${ref}, INTERVAL ${days} DAY)
+  `;
+  const params = [];
+  if (companyId !== null) {
+    query += ' AND r.company_id = ?';
+    params.push(companyId);
+  }
+  if (excludeRecordIds.length > 0) {
+    query += ' AND r.id NOT IN (?)';
+    params.push(excludeRecordIds);
+  }
+  query += ' ORDER BY r.id';
+
+  const [rows] = await connection.query(query, params);
+  return rows;
+}
+
+// Size of an audio file on disk (0 when it is already gone)
+const getFileSize = async (filePath) => {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return stats.size;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Dry-run report: what the auto-delete jobs would remove, grouped per company
+ * Nothing is deleted.
+ * @param {Object} [options]
+ * @param {number|null} [options.companyId] - Restrict to a company
+ * @param {number} [options.daysAhead] - Evaluate the rules N days from now (0 = what a run now would delete)
+ * @returns {Promise<Object>} { companies: [...], totals: {...} }
+ */
+export async function buildDeletionPlan({ companyId = null, daysAhead = 0 } = {}) {
+  const options = { companyId, daysAhead };
+  const [recordRows, followRows] = await Promise.all([
+    findRecordCandidates(pool, options),
+    findFollowCandidates(pool, options)
+  ]);
+  const audioRows = await findAudioCandidates(pool, { ...options, excludeRecordIds: recordRows.map(row => row.id) });
+
+  const companies = new Map();
+  const getCompany = (row) => {
+    const key = row.companyId ?? 'none';
+    if (!companies.has(key)) {
+      companies.set(key, {
+        companyId: row.companyId,
+        companyName: row.companyName,
+        records: [],
+        follows: [],
+        audioFiles: [],
+        skipped: { records: 0, follows: 0, audioFiles: 0 },
+        totals: { records: 0, follows: 0, audioFiles: 0, bytes: 0 }
+      });
+    }
+    return companies.get(key);
+  };
+
+  const toItem = ({ id, fileId, staffId, staffName, date, inTrash, scheduledAt }) => ({
+    id,
+    fileId,
+    staffId,
+    staffName,
+    date,
+    reason: inTrash ? 'trash' : 'retention',
+    scheduledAt
+  });
+
+  const addAudioFile = async (company, row, reason) => {
+    const bytes = await getFileSize(row.audio_file_path);
+    company.audioFiles.push({ recordId: row.id, fileName: path.basename(row.audio_file_path), bytes, reason });
+    company.totals.audioFiles++;
+    company.totals.bytes += bytes;
+  };
+
+  for (const row of recordRows) {
+    const company = getCompany(row);
+    if (row.held) {
+      company.skipped.records++;
+      continue;
+    }
+    company.records.push(toItem(row));
+    company.totals.records++;
+    if (row.audio_file_path) {
+      await addAudioFile(company, row, 'record');
+    }
+  }
+
+  for (const row of followRows) {
+    const company = getCompany(row);
+    if (row.held) {
+      company.skipped.follows++;
+      continue;
+    }
+    company.follows.push(toItem(row));
+    company.totals.follows++;
+  }
+
+  for (const row of audioRows) {
+    const company = getCompany(row);
+    if (row.held) {
+      company.skipped.audioFiles++;
+      continue;
+    }
+    await addAudioFile(company, row, 'audio_retention');
+  }
+
+  const companyList = [...companies.values()];
+  const totals = companyList.reduce((sum, company) => ({
+    records: sum.records + company.totals.records,
+    follows: sum.follows + company.totals.follows,
+    audioFiles: sum.audioFiles + company.totals.audioFiles,
+    bytes: sum.bytes + company.totals.bytes,
+    skipped: sum.skipped + company.skipped.records + company.skipped.follows + company.skipped.audioFiles
+  }), { records: 0, follows: 0, audioFiles: 0, bytes: 0, skipped: 0 });
+
+  return { dryRun: true, daysAhead, companies: companyList, totals };
+}
+
+/**
+ * Records and follows of a company that will be deleted within the next N days
+ * (held items excluded), soonest first
+ * @param {number|null} companyId
+ * @param {number} days
+ * @param {Object} [options]
+ * @param {number|null} [options.userId] - Only items uploaded by this user
+ * @param {boolean} [options.includeTrash] - Include items purged from the trash (default: true)
+ * @returns {Promise<Array>}
+ */
+export async function listUpcomingDeletions(companyId, days, { userId = null, includeTrash = true } = {}) {
+  const options = { companyId, userId, daysAhead: days };
+  const [recordRows, followRows] = await Promise.all([
+    findRecordCandidates(pool, options),
+    findFollowCandidates(pool, options)
+  ]);
+  const isListed = (row) => !row.held && (includeTrash || !row.inTrash);
+
+  const toItem = (type) => ({ id, fileId, staffId, staffName, date, inTrash, scheduledAt }) => ({
+    type,
+    id,
+    fileId,
+    staffId,
+    staffName,
+    date,
+    reason: inTrash ? 'trash' : 'retention',
+    scheduledAt
+  });
+
+  return [
+    ...recordRows.filter(isListed).map(toItem('record')),
+    ...followRows.filter(isListed).map(toItem('follow'))
+  ].sort((a, b) => (a.scheduledAt || '').localeCompare(b.scheduledAt || '') || a.id - b.id);
+}
+
+export default {
+  MAX_DAYS_AHEAD,
+  findRecordCandidates,
+  findFollowCandidates,
+  findAudioCandidates,
+  buildDeletionPlan,
+  listUpcomingDeletions,
+};
@@ -0,0 +1,245 @@
+/**
+ * Deletion Notice Service
+ *
+ * Warns uploaders before the auto-delete jobs remove their records and follows.
+ * Runs ahead of the auto-delete job: items due for deletion within DELETION_NOTICE_DAYS
+ * (default: 7, 0 = disabled) are noticed once per uploader (deletion_notices), by email
+ * through the configured mailer and as an in-app banner until the user dismisses it.
+ * Items under a legal hold and items the user already moved to the trash are not noticed.
+ * A notice is dropped when its item is no longer due (e.g. the retention was extended), so the
+ * item is noticed again if it becomes due later.
+ */
+
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { withLock, shouldRunJob, recordJobRun } from '../utils/jobLock.js';
+import { findRecordCandidates, findFollowCandidates, listUpcomingDeletions, MAX_DAYS_AHEAD } from './autoDeletePlanner.js';
+import { sendMail } from './mailer/index.js';
+
+const TYPE_LABELS = {
+  record: 'Records',
+  follow: 'Follow',
+};
+
+/**
+ * Days of warning before deletion (0 = notices disabled)
+ * @returns {number}
+ */
+export function getNoticeDays() {
+  const days = parseInt(process.env.DELETION_NOTICE_DAYS || '7', 10);
+  return isNaN(days) || days < 0 ? 7 : Math.min(days, MAX_DAYS_AHEAD);
+}
+
+// Frontend page listing the user's items with the download-all button
+const getNoticePageUrl = (user) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const slug = user.role === 'admin' ? 'admin' : user.companySlug;
+  return slug ? `${frontendUrl}/${slug}/deletion-notices` : frontendUrl;
+};
+
+const buildNoticeMail = (user, items, days) => {
+  const url = getNoticePageUrl(user);
+  const lines = items.map(item =>
+    `- [${TYPE_LABELS[item.type]}] ${item.date} ${item.staffName || item.staffId || ''} (${item.fileId || item.id}) 削除予定: ${item.scheduledAt}`
+  );
+
+  return {
+    to: user.email,
+    subject: `【自動削除のお知らせ】${items.length}件のデータが${days}日以内に削除されます`,
+    text: [
+      `${user.name} 様`,
+      '',
+      `アップロードされた以下のデータは保存期間を過ぎるため、${days}日以内に自動削除されます。`,
+      '必要なデータは削除前にダウンロードしてください。',
+      '',
+      ...lines,
+      '',
+      `一括ダウンロード: ${url}`,
+    ].join('\n'),
+  };
+};
+
+// Upcoming items keyed as "record:1" / "follow:2"
+const itemKey = (type, id) => `${type}:${id}`;
+
+/**
+ * Create notices for newly affected items and email each uploader
+ * Notices whose email failed are retried on the next run; notices of items that are no longer
+ * due are removed.
+ * @param {object} connection - Database connection (same connection as the job lock)
+ * @returns {Promise<{ noticedCount: number, clearedCount: number, emailedUsers: number, failedUsers: number }>}
+ */
+const _sendDeletionNoticesInternal = async (connection) => {
+  const days = getNoticeDays();
+  const options = { daysAhead: days };
+  const [recordRows, followRows] = await Promise.all([
+    findRecordCandidates(connection, options),
+    findFollowCandidates(connection, options)
+  ]);
+
+  const upcoming = new Map();
+  for (const [type, rows] of [['record', recordRows], ['follow', followRows]]) {
+    for (const row of rows) {
+      if (row.held || row.inTrash || !row.userId) continue;
+      upcoming.set(itemKey(type, row.id), { type, ...row });
+    }
+  }
+
+  let noticedCount = 0;
+  for (const item of upcoming.values()) {
+    const [result] = await connection.query(
+      `INSERT IGNORE INTO deletion_notices (user_id, company_id, ${item.type}_id) VALUES (?, ?, ?)`,
+      [item.userId, item.companyId, item.id]
+    );
+    noticedCount += result.affectedRows;
+  }
+
+  // Drop the notices of items that left the upcoming set (retention extended, held, trashed);
+  // the others still need an email when they are new or their email failed
+  const [notices] = await connection.query(
+    'SELECT id, user_id, record_id, follow_id, emailed_at FROM deletion_notices'
+  );
+  const staleIds = [];
+  const byUser = new Map();
+  for (const notice of notices) {
+    const item = notice.record_id
+      ? upcoming.get(itemKey('record', notice.record_id))
+      : upcoming.get(itemKey('follow', notice.follow_id));
+    if (!item) {
+      staleIds.push(notice.id);
+      continue;
+    }
+    if (notice.emailed_at) continue;
+    if (!byUser.has(notice.user_id)) byUser.set(notice.user_id, { noticeIds: [], items: [] });
+    byUser.get(notice.user_id).noticeIds.push(notice.id);
+    byUser.get(notice.user_id).items.push(item);
+  }
+
+  if (staleIds.length > 0) {
+    await connection.query('DELETE FROM deletion_notices WHERE id IN (?)', [staleIds]);
+  }
+
+  let emailedUsers = 0;
+  let failedUsers = 0;
+  if (byUser.size > 0) {
+    const [users] = await connection.query(
+      `SELECT u.id, u.name, u.email, u.role, c.slug as companySlug
+       FROM users u
+       LEFT JOIN companies c ON u.company_id = c.id
+       WHERE u.id IN (?)`,
+      [[...byUser.keys()]]
+    );
+
+    for (const user of users) {
+      const { noticeIds, items } = byUser.get(user.id);
+      try {
+        await sendMail(buildNoticeMail(user, items, days));
+        await connection.query('UPDATE deletion_notices SET emailed_at = NOW() WHERE id IN (?)', [noticeIds]);
+        emailedUsers++;
+      } catch (error) {
+        failedUsers++;
+        logger.error('Failed to send deletion notice email', { userId: user.id, error: error.message });
+      }
+    }
+  }
+
+  logger.info('Deletion notices processed', { days, noticedCount, clearedCount: staleIds.length, emailedUsers, failedUsers });
+  return { noticedCount, clearedCount: staleIds.length, emailedUsers, failedUsers };
+};
+
+/**
+ * Notification step that runs ahead of the auto-delete jobs
+ * Safe wrapper with distributed locking and idempotency (same interval as the auto-delete jobs)
+ * @returns {Promise<Object>}
+ */
+export async function sendDeletionNotices() {
+  const LOCK_NAME = 'deletion_notices';
+  const JOB_NAME = 'deletion_notices';
+  const LOCK_TIMEOUT = 30;
+  const intervalHours = parseInt(process.env.AUTO_DELETE_INTERVAL_HOURS || '24');
+
+  if (getNoticeDays() === 0) {
+    return { success: false, reason: 'disabled' };
+  }
+
+  try {
+    const idempotencyCheck = await shouldRunJob(JOB_NAME, intervalHours);
+    if (!idempotencyCheck.shouldRun) {
+      logger.info('Skipping deletion notices: sent recently');
+      return { success: false, reason: 'recently_executed', lastRun: idempotencyCheck.lastRun };
+    }
+
+    const lockResult = await withLock(LOCK_NAME, LOCK_TIMEOUT, async (connection) => {
+      const idempotencyCheckAfterLock = await shouldRunJob(JOB_NAME, intervalHours, connection);
+      if (!idempotencyCheckAfterLock.shouldRun) {
+        return { success: false, reason: 'recently_executed_after_lock' };
+      }
+
+      const result = await _sendDeletionNoticesInternal(connection);
+      await recordJobRun(JOB_NAME, connection);
+      return { success: true, ...result };
+    });
+
+    if (!lockResult.acquired) {
+      logger.warn('Deletion notices skipped: could not acquire lock (another instance may be running)');
+      return { success: false, reason: 'lock_not_acquired' };
+    }
+    return lockResult.result;
+  } catch (error) {
+    logger.error('Error sending deletion notices', error);
+    return { success: false, reason: 'error', error: error.message };
+  }
+}
+
+/**
+ * A user's records and follows due for deletion within the notice period, soonest first
+ * Each item carries notifiedAt/dismissedAt of its notice (null when not noticed yet).
+ * @param {number} userId
+ * @returns {Promise<{ days: number, items: Array }>}
+ */
+export async function getUserNotices(userId) {
+  const days = getNoticeDays();
+  if (days === 0) return { days, items: [] };
+
+  const [items, [notices]] = await Promise.all([
+    listUpcomingDeletions(null, days, { userId, includeTrash: false }),
+    pool.query(
+      `SELECT record_id, follow_id,
+        DATE_FORMAT(CONVERT_TZ(created_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as notifiedAt,
+        dismissed_at IS NOT NULL as dismissed
+       FROM deletion_notices WHERE user_id = ?`,
+      [userId]
+    )
+  ]);
+
+  const noticeMap = new Map(notices.map(notice => [
+    notice.record_id ? itemKey('record', notice.record_id) : itemKey('follow', notice.follow_id),
+    notice
+  ]));
+
+  return {
+    days,
+    items: items.map(item => {
+      const notice = noticeMap.get(itemKey(item.type, item.id));
+      return { ...item, notifiedAt: notice?.notifiedAt || null, dismissed: Boolean(notice?.dismissed) };
+    }),
+  };
+}
+
+/**
+ * Hide the banner for the user's current notices (new notices show it again)
+ * @param {number} userId
+ */
+export async function dismissNotices(userId) {
+  await pool.query(
+    'UPDATE deletion_notices SET dismissed_at = NOW() WHERE user_id = ? AND dismissed_at IS NULL',
+    [userId]
+  );
+}
+
+export default {
+  getNoticeDays,
+  sendDeletionNotices,
+  getUserNotices,
+  dismissNotices,
+};
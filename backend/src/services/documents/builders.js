@@ -0,0 +1,234 @@
+/**
+ * Document model builders
+ *
+ * Turn record data into the document model shared by the PDF, HTML and DOCX renderers:
+ *
+ *   {
+ *     title: string,                                  // document title (HTML <title>, DOCX metadata)
+ *     margins: { top, bottom, left, right },          // points
+ *     header: { text, logoPath, logoPosition } | null, // repeated on every page
+ *     blocks: [
+ *       { type: 'text', text, size?, align?, underline?, indent?, lineGap? },
+ *       { type: 'rule', weight: 'thin' | 'thick' },
+ *       { type: 'space', lines },
+ *       { type: 'pageBreak' },
+ *     ],
+ *   }
+ */
+
+import logger from '../../utils/logger.js';
+import { normalizeTemplate, SKILLS_SECTIONS } from '../skillSheetTemplate.js';
+
+const text = (value, options = {}) => ({ type: 'text', text: String(value ?? ''), ...options });
+const rule = (weight = 'thin') => ({ type: 'rule', weight });
+const space = (lines = 1) => ({ type: 'space', lines });
+const pageBreak = () => ({ type: 'pageBreak' });
+
+// Text that may be an array or a newline-separated string, one line each
+const toLines = (value) => {
+  if (Array.isArray(value)) return value.filter(item => item && String(item).trim()).map(item => String(item).trim());
+  if (typeof value === 'string') return value.split('\n').filter(item => item.trim()).map(item => item.trim());
+  return [];
+};
+
+// Parse a JSON column that may be wrapped in a ```json fence (skill_sheet, skills, salesforce)
+const parseJsonColumn = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value.replace(/```json\n?|\n?```/g, '').trim());
+  } catch (e) {
+    logger.error('Invalid JSON in record column', e);
+    return fallback;
+  }
+};
+
+/**
+ * STT transcript: one paragraph per non-empty line
+ * @param {string|null} stt - records.stt / follows.stt
+ * @returns {Object} Document model
+ */
+export function buildSttDocument(stt) {
+  const paragraphs = (stt || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n')
+    .split('\n')
+    .filter(p => p.trim() !== '');
+
+  const blocks = [];
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0) blocks.push(space());
+    blocks.push(text(paragraph, { lineGap: 5 }));
+  });
+
+  return {
+    title: 'STT',
+    margins: { top: 50, bottom: 50, left: 50, right: 50 },
+    header: null,
+    blocks,
+  };
+}
+
+/**
+ * Skill sheet data of a records row
+ * @param {Object} record - records row (staff_id, skill_sheet, skills)
+ * @returns {{ staffId: string, skillSheet: Object, skills: Object|null }}
+ */
+export function skillSheetDataFromRecord(record) {
+  return {
+    staffId: record.staff_id,
+    skillSheet: parseJsonColumn(record.skill_sheet, {}) || {},
+    skills: parseJsonColumn(record.skills, null)
+  };
+}
+
+const careerBlocks = (skillSheet) => Object.keys(skillSheet || {}).flatMap((key) => {
+  const c = skillSheet[key] || {};
+  const experiences = toLines(c['work content']);
+  return [
+    text(`[期間]${c.from ?? ''}～${c.to ?? ''}`),
+    text(`[雇用形態]${c['employee type'] ?? ''}`),
+    text('[経験職種]'),
+    ...(experiences.length > 0 ? experiences.map(exp => text(`  ${exp}`)) : [text('  なし')]),
+    rule('thick'),
+  ];
+});
+
+const skillsSectionBlocks = (key, label, skills) => {
+  const blocks = [text(label)];
+  if (key === 'languages') {
+    const languages = Array.isArray(skills['語学力'])
+      ? skills['語学力'].filter(lang => lang && (lang.言語 || lang.レベル))
+      : [];
+    blocks.push(...(languages.length > 0
+      ? languages.map(lang => text(`  ${lang.言語 ? '言語：' + lang.言語 : ''}${lang.レベル ? '　レベル：' + lang.レベル : ''}`))
+      : [text('  なし')]));
+  } else if (key === 'qualifications') {
+    const qualifications = Array.isArray(skills['資格'])
+      ? skills['資格'].filter(q => q && String(q).trim() !== '')
+      : [];
+    blocks.push(text(qualifications.length > 0 ? '  ' + qualifications.join('、') : '  なし'));
+  } else {
+    const skillLines = toLines(skills['スキル']);
+    blocks.push(...(skillLines.length > 0 ? skillLines.map(skill => text(`  ${skill}`)) : [text('  なし')]));
+  }
+  blocks.push(space(0.5));
+  return blocks;
+};
+
+/**
+ * Skill sheet (Personal Data Sheet) laid out with a company template
+ * Skills sections (languages, qualifications, skills) start a new page under the skills
+ * heading, unless nothing precedes them; they are skipped when the record has no skills.
+ * @param {Object} data - skillSheetDataFromRecord() result
+ * @param {Object} [options]
+ * @param {Object} [options.template] - Skill sheet template (default template when omitted)
+ * @param {string|null} [options.logoPath] - Absolute path of the company logo (PNG/JPEG)
+ * @returns {Object} Document model
+ */
+export function buildSkillSheetDocument({ staffId, skillSheet, skills }, { template, logoPath = null } = {}) {
+  const layout = normalizeTemplate(template);
+  const blocks = [];
+
+  // Title - Centered
+  if (layout.title) {
+    blocks.push(text(layout.title, { size: 16, align: 'center' }), space());
+  }
+
+  let skillsPageStarted = false;
+  let bodyStarted = false;
+  for (const section of layout.sections) {
+    if (!section.visible) continue;
+
+    if (SKILLS_SECTIONS.includes(section.key)) {
+      if (!skills) continue;
+      if (!skillsPageStarted) {
+        skillsPageStarted = true;
+        if (bodyStarted) blocks.push(pageBreak());
+        blocks.push(rule('thick'), text(layout.skillsHeading, { size: 14 }), rule(), space());
+      }
+      blocks.push(...skillsSectionBlocks(section.key, section.label, skills));
+    } else if (section.key === 'profile') {
+      blocks.push(rule(), text(section.label), rule(), text(`${layout.nameLabel}${staffId ?? ''}`), rule('thick'));
+    } else {
+      blocks.push(text(section.label), rule(), space(), ...careerBlocks(skillSheet));
+    }
+    bodyStarted = true;
+  }
+
+  // Footer note
+  if (layout.footerText) {
+    blocks.push(space(1.5), text(layout.footerText, { size: 10, align: 'center', indent: 10 }));
+  }
+
+  return {
+    title: layout.title || 'スキルシート',
+    margins: { top: 100, bottom: 100, left: 40, right: 40 },
+    header: layout.headerText || (logoPath && layout.logoPosition !== 'none')
+      ? { text: layout.headerText, logoPath, logoPosition: layout.logoPosition }
+      : null,
+    blocks,
+  };
+}
+
+/**
+ * Salesforce career entries and the staff's preferences (hope)
+ * @param {Object} data
+ * @param {string|null} data.salesforce - records.salesforce (JSON array of career texts)
+ * @param {string|null} data.hope - records.hope
+ * @returns {Object} Document model
+ */
+export function buildSalesforceDocument({ salesforce, hope }) {
+  const entries = parseJsonColumn(salesforce || '[]', []);
+  const blocks = [text('セールスフォース', { size: 16, align: 'center' }), space()];
+
+  // Career history
+  (Array.isArray(entries) ? entries : []).forEach((content, idx) => {
+    blocks.push(
+      text(`経歴 ${idx + 1}`, { underline: true }),
+      space(0.2),
+      text(content),
+      space()
+    );
+  });
+
+  // Staff preferences
+  if (hope) {
+    blocks.push(
+      text('スタッフ希望条件', { size: 14, underline: true }),
+      space(0.2),
+      text(hope),
+      space(2)
+    );
+  }
+
+  return {
+    title: 'セールスフォース',
+    margins: { top: 50, bottom: 50, left: 50, right: 50 },
+    header: null,
+    blocks,
+  };
+}
+
+// Sample record used by the template preview when no record is chosen
+export const SAMPLE_SKILL_SHEET = {
+  staffId: 'SAMPLE-0001',
+  skillSheet: {
+    1: {
+      from: '2019年4月',
+      to: '2022年3月',
+      'employee type': '正社員',
+      'work content': ['法人営業（既存顧客対応）', '新規顧客の開拓'],
+    },
+    2: {
+      from: '2022年4月',
+      to: '現在',
+      'employee type': '派遣社員',
+      'work content': '一般事務\nデータ入力',
+    },
+  },
+  skills: {
+    語学力: [{ 言語: '英語', レベル: '日常会話' }],
+    資格: ['普通自動車第一種運転免許', 'MOS Excel'],
+    スキル: 'Excel（VLOOKUP、ピボットテーブル）\nWord',
+  },
+};
@@ -0,0 +1,112 @@
+/**
+ * DOCX renderer for the document model (editable Word version, A4 with the PDF margins)
+ *
+ * Rules become paragraph borders, spaces become paragraph spacing. The header line is a
+ * Word page header; the logo is left to the PDF and HTML renderers.
+ */
+
+import { AlignmentType, BorderStyle, Document, Header, Packer, PageBreak, Paragraph, TextRun } from 'docx';
+
+const FONT = 'Yu Gothic';
+const DEFAULT_SIZE = 12;
+
+// Default paragraph spacing and one blank line (twips)
+const PARAGRAPH_AFTER = 80;
+const LINE_TWIPS = 240;
+
+const ALIGNMENTS = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+};
+
+const ruleBorder = (weight) => ({
+  bottom: { style: BorderStyle.SINGLE, size: weight === 'thick' ? 8 : 4, color: '000000', space: 4 },
+});
+
+const toParagraph = (entry) => {
+  if (entry.pageBreak) {
+    return new Paragraph({ children: [new PageBreak()] });
+  }
+  return new Paragraph({
+    children: entry.text !== undefined
+      ? [new TextRun({ text: entry.text, size: entry.size * 2, underline: entry.underline ? {} : undefined })]
+      : [],
+    alignment: ALIGNMENTS[entry.align],
+    border: entry.border,
+    indent: entry.indent ? { firstLine: entry.indent * 20 } : undefined,
+    spacing: { after: entry.after },
+  });
+};
+
+/**
+ * Render a document model as a .docx file
+ * @param {Object} model - Document model (see builders.js)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderDocx(model) {
+  const entries = [];
+  const last = () => entries[entries.length - 1];
+
+  for (const block of model.blocks) {
+    switch (block.type) {
+      case 'text':
+        entries.push({
+          text: block.text,
+          size: block.size || DEFAULT_SIZE,
+          align: block.align || 'left',
+          underline: block.underline,
+          indent: block.indent,
+          after: PARAGRAPH_AFTER,
+        });
+        break;
+      case 'rule':
+        // Border under the previous paragraph when it has none yet, an empty bordered paragraph otherwise
+        if (last() && !last().pageBreak && !last().border) {
+          last().border = ruleBorder(block.weight);
+        } else {
+          entries.push({ border: ruleBorder(block.weight), after: PARAGRAPH_AFTER });
+        }
+        break;
+      case 'space':
+        if (last() && !last().pageBreak) {
+          last().after += Math.round(block.lines * LINE_TWIPS);
+        }
+        break;
+      case 'pageBreak':
+        entries.push({ pageBreak: true });
+        break;
+      default:
+        break;
+    }
+  }
+
+  const { top, bottom, left, right } = model.margins;
+  const doc = new Document({
+    title: model.title,
+    styles: {
+      default: {
+        document: { run: { font: FONT, size: DEFAULT_SIZE * 2 } },
+      },
+    },
+    sections: [{
+      properties: {
+        page: {
+          // A4; 1pt = 20 twips
+          size: { width: 11906, height: 16838 },
+          margin: { top: top * 20, bottom: bottom * 20, left: left * 20, right: right * 20 },
+        },
+      },
+      headers: model.header?.text
+        ? { default: new Header({ children: [toParagraph({ text: model.header.text, size: 9, align: 'center', after: 0 })] }) }
+        : undefined,
+      children: entries.map(toParagraph),
+    }],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+export default {
+  renderDocx,
+};
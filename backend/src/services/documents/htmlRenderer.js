@@ -0,0 +1,117 @@
+/**
+ * HTML renderer for the document model
+ *
+ * Produces a standalone page (inline styles, logo embedded as a data URI) that mirrors the PDF:
+ * A4-width pages split at page breaks, the same margins, font sizes, rules and spacing,
+ * so the UI can show exactly what the PDF will contain (e.g. in an iframe srcdoc).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+
+const DEFAULT_SIZE = 12;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Logo file as a data URI (the preview does not depend on where /uploads is served)
+const logoDataUri = (logoPath) => {
+  if (!logoPath) return null;
+  try {
+    const mime = /\.png$/i.test(logoPath) ? 'image/png' : 'image/jpeg';
+    return `data:${mime};base64,${fs.readFileSync(logoPath).toString('base64')}`;
+  } catch (error) {
+    logger.warn('Could not read document logo', { logoPath: path.basename(logoPath), error: error.message });
+    return null;
+  }
+};
+
+const renderHeader = (header, logo, height) => {
+  const position = logo ? header.logoPosition : 'none';
+  const parts = [];
+  if (position !== 'none') {
+    parts.push(`<div class="logo" style="text-align:${position}"><img src="${logo}" alt=""></div>`);
+  }
+  if (header.text) {
+    const align = position === 'left' ? 'right' : position === 'right' ? 'left' : 'center';
+    const top = position === 'center' ? '80pt' : '45pt';
+    parts.push(`<div class="header-text" style="text-align:${align};top:${top}">${escapeHtml(header.text)}</div>`);
+  }
+  return `<div class="page-header" style="height:${height}pt">${parts.join('')}</div>`;
+};
+
+const renderBlock = (block) => {
+  switch (block.type) {
+    case 'text': {
+      const styles = [`font-size:${block.size || DEFAULT_SIZE}pt`, `text-align:${block.align || 'left'}`];
+      if (block.underline) styles.push('text-decoration:underline');
+      if (block.indent) styles.push(`text-indent:${block.indent}pt`);
+      if (block.lineGap) styles.push(`line-height:calc(1.45em + ${block.lineGap}pt)`);
+      return `<p style="${styles.join(';')}">${escapeHtml(block.text)}</p>`;
+    }
+    case 'rule':
+      return `<hr class="rule ${block.weight === 'thick' ? 'thick' : 'thin'}">`;
+    case 'space':
+      return `<div style="height:${block.lines * 1.45}em"></div>`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Render a document model as an HTML page
+ * @param {Object} model - Document model (see builders.js)
+ * @returns {string}
+ */
+export function renderHtml(model) {
+  const { top, bottom, left, right } = model.margins;
+  const logo = model.header ? logoDataUri(model.header.logoPath) : null;
+  const header = model.header ? renderHeader(model.header, logo, top) : '';
+
+  const pages = [[]];
+  for (const block of model.blocks) {
+    if (block.type === 'pageBreak') {
+      pages.push([]);
+    } else {
+      pages[pages.length - 1].push(renderBlock(block));
+    }
+  }
+
+  const pageStyle = `padding:${top}pt ${right}pt ${bottom}pt ${left}pt`;
+  const body = pages.map(blocks => (
+    `<section class="page" style="${pageStyle}">${header}${blocks.join('\n')}</section>`
+  )).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(model.title)}</title>
+<style>
+  body { margin: 0; padding: 16px 0; background: #f3f4f6; font-family: 'Noto Sans JP', 'Hiragino Sans', 'Yu Gothic', sans-serif; color: #000; font-size: ${DEFAULT_SIZE}pt; }
+  .page { position: relative; box-sizing: border-box; width: 595pt; min-height: 842pt; margin: 0 auto 16px; background: #fff; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.15); }
+  .page-header { position: absolute; top: 0; left: ${left}pt; right: ${right}pt; }
+  .page-header .logo { position: absolute; top: 30pt; left: 0; right: 0; height: 45pt; }
+  .page-header .logo img { max-width: 140pt; max-height: 45pt; }
+  .page-header .header-text { position: absolute; left: 0; right: 0; font-size: 9pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  p { margin: 0; line-height: 1.45; white-space: pre-wrap; word-break: break-word; }
+  hr.rule { border: 0; margin: 5pt 0 0.725em; }
+  hr.rule.thin { border-top: 0.5pt solid #000; }
+  hr.rule.thick { border-top: 1pt solid #000; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+export default {
+  renderHtml,
+};
@@ -0,0 +1,85 @@
+/**
+ * Document rendering
+ *
+ * One document model per record document (STT, skill sheet, Salesforce), rendered as PDF for
+ * downloads and ZIPs, as HTML for in-app previews and as DOCX for the editable skill sheet.
+ * Every output of a document comes from the same model, so the preview shows exactly what
+ * the PDF will contain.
+ */
+
+import { getRenderTemplate } from '../skillSheetTemplate.js';
+import {
+  buildSttDocument,
+  buildSkillSheetDocument,
+  buildSalesforceDocument,
+  skillSheetDataFromRecord,
+  SAMPLE_SKILL_SHEET
+} from './builders.js';
+import { renderPdf } from './pdfRenderer.js';
+import { renderHtml } from './htmlRenderer.js';
+import { renderDocx } from './docxRenderer.js';
+
+// Record documents (:doc in /api/records/:id/preview/:doc) and the records columns each needs
+export const RECORD_DOCUMENTS = {
+  stt: { columns: ['stt'], fileLabel: 'STT' },
+  'skill-sheet': { columns: ['staff_id', 'skill_sheet', 'skills', 'company_id'], fileLabel: 'スキルシート' },
+  salesforce: { columns: ['salesforce', 'hope'], fileLabel: 'セールスフォース' },
+};
+
+/**
+ * Build a record document's model
+ * @param {'stt'|'skill-sheet'|'salesforce'} type
+ * @param {Object} record - records row with RECORD_DOCUMENTS[type].columns
+ * @param {Object} [options]
+ * @param {Map} [options.templates] - Skill sheet templates by company_id, shared across the records of one ZIP
+ * @returns {Promise<Object>} Document model
+ */
+export async function buildRecordDocument(type, record, { templates } = {}) {
+  if (type === 'stt') return buildSttDocument(record.stt);
+  if (type === 'salesforce') return buildSalesforceDocument(record);
+
+  let render = templates?.get(record.company_id);
+  if (!render) {
+    render = await getRenderTemplate(record.company_id);
+    templates?.set(record.company_id, render);
+  }
+  return buildSkillSheetDocument(skillSheetDataFromRecord(record), render);
+}
+
+/**
+ * Send a document model as a PDF download
+ * @param {import('express').Response} res
+ * @param {Object} model - Document model
+ * @param {string} fileName - File name with extension
+ */
+export function sendPdf(res, model, fileName) {
+  res.setHeader('Content-Type', 'application/pdf');
+  // Encode the filename to handle special characters
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  renderPdf(model).pipe(res);
+}
+
+export {
+  buildSttDocument,
+  buildSkillSheetDocument,
+  buildSalesforceDocument,
+  skillSheetDataFromRecord,
+  SAMPLE_SKILL_SHEET,
+  renderPdf,
+  renderHtml,
+  renderDocx
+};
+
+export default {
+  RECORD_DOCUMENTS,
+  buildRecordDocument,
+  buildSttDocument,
+  buildSkillSheetDocument,
+  buildSalesforceDocument,
+  skillSheetDataFromRecord,
+  SAMPLE_SKILL_SHEET,
+  renderPdf,
+  renderHtml,
+  renderDocx,
+  sendPdf,
+};
@@ -0,0 +1,112 @@
+/**
+ * PDF renderer for the document model (pdfkit, A4, Noto Sans JP)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import logger from '../../utils/logger.js';
+
+const __dirname_pdf = path.dirname(fileURLToPath(import.meta.url));
+const FONT_PATH = path.join(__dirname_pdf, '../../../fonts/NotoSansJP-Regular.ttf');
+const FONT = 'NotoSansJP';
+const DEFAULT_SIZE = 12;
+
+// Logo box inside the top margin
+const LOGO_BOX = { y: 30, width: 140, height: 45 };
+
+// Horizontal line across the content area (thick = 1pt, thin = 0.5pt)
+const drawRule = (doc, weight) => {
+  const { left, right } = doc.page.margins;
+  const y = doc.y + 5;
+  doc.lineWidth(weight === 'thick' ? 1 : 0.5);
+  doc.moveTo(left, y).lineTo(doc.page.width - right, y).stroke();
+  doc.moveDown(0.5);
+};
+
+// Logo and header line in the top margin of the current page (cursor and font size are restored)
+const drawPageHeader = (doc, header) => {
+  const { left, right } = doc.page.margins;
+  const { x, y } = doc;
+  const position = header.logoPath ? header.logoPosition : 'none';
+
+  if (position !== 'none') {
+    const boxX = position === 'left'
+      ? left
+      : position === 'right'
+        ? doc.page.width - right - LOGO_BOX.width
+        : (doc.page.width - LOGO_BOX.width) / 2;
+    try {
+      doc.image(header.logoPath, boxX, LOGO_BOX.y, {
+        fit: [LOGO_BOX.width, LOGO_BOX.height],
+        align: position,
+        valign: 'center'
+      });
+    } catch (error) {
+      logger.warn('Could not draw document logo', { logoPath: header.logoPath, error: error.message });
+    }
+  }
+
+  if (header.text) {
+    // Opposite the logo; under it when the logo is centered
+    const align = position === 'left' ? 'right' : position === 'right' ? 'left' : 'center';
+    const textY = position === 'center' ? LOGO_BOX.y + LOGO_BOX.height + 5 : LOGO_BOX.y + 15;
+    doc.font(FONT).fontSize(9).text(header.text, left, textY, {
+      width: doc.page.width - left - right,
+      align,
+      lineBreak: false,
+      ellipsis: true
+    });
+  }
+
+  doc.fontSize(DEFAULT_SIZE);
+  doc.x = x;
+  doc.y = y;
+};
+
+/**
+ * Render a document model as PDF
+ * @param {Object} model - Document model (see builders.js)
+ * @returns {PDFDocument} Ended document stream (pipe it to the response or an archive)
+ */
+export function renderPdf(model) {
+  const doc = new PDFDocument({ size: 'A4', margins: model.margins });
+  doc.registerFont(FONT, FONT_PATH);
+  doc.font(FONT).fontSize(DEFAULT_SIZE);
+
+  if (model.header) {
+    drawPageHeader(doc, model.header);
+    doc.on('pageAdded', () => drawPageHeader(doc, model.header));
+  }
+
+  for (const block of model.blocks) {
+    switch (block.type) {
+      case 'text':
+        doc.font(FONT).fontSize(block.size || DEFAULT_SIZE).text(block.text, {
+          align: block.align || 'left',
+          underline: Boolean(block.underline),
+          indent: block.indent || 0,
+          lineGap: block.lineGap || 0
+        });
+        break;
+      case 'rule':
+        drawRule(doc, block.weight);
+        break;
+      case 'space':
+        doc.moveDown(block.lines);
+        break;
+      case 'pageBreak':
+        doc.addPage();
+        break;
+      default:
+        break;
+    }
+  }
+
+  doc.end();
+  return doc;
+}
+
+export default {
+  renderPdf,
+};
@@ -0,0 +1,216 @@
+/**
+ * Export Service
+ *
+ * Tabular exports of the records and follows lists (CSV and Excel).
+ * Columns are whitelisted per entity: each has a header label and the SQL expression that selects it
+ * (list aliases: records/follows `r`, uploader `u`). Callers pass the columns requested in the query
+ * string; the default is every column of the entity.
+ *
+ * CSV is UTF-8 with a BOM and CRLF line endings so that Excel opens Japanese text correctly.
+ */
+
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Upper bound for one export; narrower filters are needed beyond this
+export const MAX_EXPORT_ROWS = 10000;
+
+const formatJst = (column) => `DATE_FORMAT(CONVERT_TZ(${column}, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s')`;
+
+export const RECORD_EXPORT_COLUMNS = {
+  id: { label: 'ID', sql: 'r.id' },
+  fileId: { label: 'File ID', sql: 'r.file_id' },
+  staffId: { label: 'スタッフID', sql: 'r.staff_id' },
+  staffName: { label: 'スタッフ名', sql: 'r.staff_name' },
+  userName: { label: 'アップロード者', sql: 'u.name' },
+  date: { label: '日付', sql: formatJst('r.date') },
+  memo: { label: 'メモ', sql: 'r.memo' },
+  hope: { label: '希望条件', sql: 'r.hope' },
+  qualityStatus: { label: '品質ステータス', sql: 'r.quality_status' },
+};
+
+// Sections of the default follow summary prompt (【見出し】 blocks); summarySections pulls them apart
+export const FOLLOW_SUMMARY_SECTIONS = {
+  summaryOverview: 'サマリー',
+  summaryIssues: '主な課題',
+  summaryEnvironment: '職場環境',
+  summaryWorkload: '仕事ボリューム・内容',
+  summaryMotivation: 'モチベーション・メンタル面',
+};
+
+export const FOLLOW_EXPORT_COLUMNS = {
+  id: { label: 'ID', sql: 'r.id' },
+  fileId: { label: 'File ID', sql: 'r.file_id' },
+  staffId: { label: 'スタッフID', sql: 'r.staff_id' },
+  staffName: { label: 'スタッフ名', sql: 'r.staff_name' },
+  userName: { label: 'アップロード者', sql: 'u.name' },
+  date: { label: '日付', sql: formatJst('r.date') },
+  followDate: { label: 'フォロー日', sql: "DATE_FORMAT(r.follow_date, '%Y-%m-%d')" },
+  title: { label: 'タイトル', sql: 'r.title' },
+  summary: { label: '要約（全文）', sql: 'r.summary' },
+  ...Object.fromEntries(Object.entries(FOLLOW_SUMMARY_SECTIONS).map(([key, heading]) => (
+    [key, { label: `要約：${heading}`, sql: 'r.summary', section: heading }]
+  ))),
+};
+
+/**
+ * Resolve the requested export columns
+ * @param {string|string[]|undefined} requested - Comma-separated keys (query string) or an array
+ * @param {Object} available - RECORD_EXPORT_COLUMNS or FOLLOW_EXPORT_COLUMNS
+ * @returns {{ columns?: string[], error?: string }}
+ */
+export function resolveExportColumns(requested, available) {
+  if (requested === undefined || requested === '') {
+    return { columns: Object.keys(available) };
+  }
+  const columns = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map(column => column.trim())
+    .filter(Boolean);
+  const unknown = columns.filter(column => !Object.prototype.hasOwnProperty.call(available, column));
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `columns must be a comma-separated list of: ${Object.keys(available).join(', ')}` };
+  }
+  return { columns: [...new Set(columns)] };
+}
+
+/**
+ * SELECT list for the chosen columns (each aliased to its key; summary sections share r.summary)
+ * @param {string[]} columns
+ * @param {Object} available
+ * @returns {string}
+ */
+export function buildExportSelect(columns, available) {
+  const selects = new Map();
+  for (const column of columns) {
+    const { sql, section } = available[column];
+    if (section) {
+      selects.set('summary', `${sql} as summary`);
+    } else {
+      selects.set(column, `${sql} as ${column}`);
+    }
+  }
+  return [...selects.values()].join(', ');
+}
+
+/**
+ * Split a follow summary into its 【見出し】 sections
+ * @param {string|null} summary
+ * @returns {Object<string, string>} heading -> section text
+ */
+export function summarySections(summary) {
+  const sections = {};
+  if (!summary) return sections;
+  const pattern = /【([^】]+)】([\s\S]*?)(?=【[^】]+】|$)/g;
+  let match;
+  while ((match = pattern.exec(summary)) !== null) {
+    sections[match[1].trim()] = match[2].trim();
+  }
+  return sections;
+}
+
+/**
+ * Turn query rows into export rows (one value per column, in order)
+ * @param {Array} rows
+ * @param {string[]} columns
+ * @param {Object} available
+ * @returns {Array<Array>}
+ */
+export function toExportRows(rows, columns, available) {
+  return rows.map(row => {
+    const sections = columns.some(column => available[column].section) ? summarySections(row.summary) : {};
+    return columns.map(column => {
+      const { section } = available[column];
+      const value = section ? sections[section] : row[column];
+      return value ?? '';
+    });
+  });
+}
+
+// Values starting with these characters are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV field: formula-like values get a leading quote, values with quotes, commas or line
+ * breaks are quoted
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV (UTF-8 with BOM, CRLF)
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+  const lines = [headers, ...rows].map(values => values.map(escapeCsvValue).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Excel workbook with one sheet
+ * @param {string} sheetName
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @returns {Promise<Buffer>}
+ */
+export async function toXlsx(sheetName, headers, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.addRow(headers).font = { bold: true };
+  rows.forEach(values => sheet.addRow(values));
+  sheet.columns.forEach((column, index) => {
+    const longest = Math.max(...[headers[index], ...rows.map(values => values[index])].map(value => String(value ?? '').split('\n')[0].length));
+    column.width = Math.min(Math.max(longest + 2, 10), 60);
+  });
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Send an export as a file download
+ * @param {import('express').Response} res
+ * @param {Object} options
+ * @param {'csv'|'xlsx'} options.format
+ * @param {string} options.fileBaseName - File name without extension
+ * @param {string} options.sheetName - Excel sheet name
+ * @param {string[]} options.columns - Column keys
+ * @param {Object} options.available - Column definitions
+ * @param {Array} options.rows - Query rows
+ */
+export async function sendExport(res, { format, fileBaseName, sheetName, columns, available, rows }) {
+  const headers = columns.map(column => available[column].label);
+  const values = toExportRows(rows, columns, available);
+  const encodedFilename = encodeURIComponent(`${fileBaseName}.${format}`);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(await toXlsx(sheetName, headers, values));
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(toCsv(headers, values));
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  RECORD_EXPORT_COLUMNS,
+  FOLLOW_EXPORT_COLUMNS,
+  FOLLOW_SUMMARY_SECTIONS,
+  resolveExportColumns,
+  buildExportSelect,
+  summarySections,
+  toExportRows,
+  escapeCsvValue,
+  toCsv,
+  toXlsx,
+  sendExport,
+};
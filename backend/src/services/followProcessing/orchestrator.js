@@ -11,12 +11,14 @@ import logger from '../../utils/logger.js';
 import { ERROR_CODES } from '../../config/axiosConfig.js';
 
 // Reuse step modules from audioProcessing
-import { convertToMp3, needsConversion } from '../audioProcessing/audioConverter.js';
-import { splitAudioWithSilenceDetection, cleanupChunkFiles } from '../audioProcessing/audioSplitter.js';
-import { processAllChunks, calculateQuality, mergeResults } from '../audioProcessing/sttProcessor.js';
+import { convertToMp3, needsConversion, getConvertedPath, removeAudioFiles } from '../audioProcessing/audioConverter.js';
+import { splitAudioWithSilenceDetection, cleanupChunkFiles, cleanupAllChunkFiles } from '../audioProcessing/audioSplitter.js';
+import { processAllChunks, buildResumePlan, calculateQuality, mergeResults, buildSegments } from '../audioProcessing/sttProcessor.js';
+import { resolveSttProvider } from '../stt/index.js';
 
 // Follow-specific modules
 import { executeFollowSummaryWorkflow } from './difyWorkflow.js';
+import { getGenerationProvider } from '../generation/index.js';
 import { completeFollowPersistence } from './recordPersister.js';
 
 // Import job step service
@@ -26,6 +28,7 @@ import {
   completeStep,
   failStep,
   skipStep,
+  cancelSteps,
 } from '../jobStepService.js';
 
 // Import heartbeat functions
@@ -37,6 +40,15 @@ import {
   endJob as endJobHeartbeat,
 } from '../jobHeartbeat.js';
 
+// Import cancellation functions
+import {
+  throwIfCancelled,
+  isJobCancelled,
+  killJobProcesses,
+  startCancellationWatch,
+  stopCancellationWatch,
+} from '../jobCancellation.js';
+
 // Import pool for prompt lookup
 import { pool } from '../../config/database.js';
 import { DEFAULT_FOLLOW_SUMMARY_PROMPT } from './difyWorkflow.js';
@@ -59,7 +71,7 @@ const STEPS = {
  * @param {number} companyId - Company ID
  * @returns {Promise<string>} The prompt text
  */
-async function getFollowPrompt(companyId) {
+export async function getFollowPrompt(companyId) {
   try {
     if (companyId) {
       const [rows] = await pool.query(
@@ -91,7 +103,8 @@ async function getFollowPrompt(companyId) {
  * @param {function} updateJobStatus - Function to update job status
  * @param {function} registerChunks - Function to register chunks
  * @param {function} updateChunkStatus - Function to update chunk status
- * @returns {Promise<{success: boolean, recordId?: number, error?: string}>}
+ * @param {function} getJobChunks - Function to load the chunks stored by a previous attempt
+ * @returns {Promise<{success: boolean, cancelled?: boolean, recordId?: number, error?: string}>}
  */
 export async function processFollowAudioJob(
   jobId,
@@ -102,7 +115,8 @@ export async function processFollowAudioJob(
   staffId,
   updateJobStatus,
   registerChunks,
-  updateChunkStatus
+  updateChunkStatus,
+  getJobChunks
 ) {
   logger.info('Follow Orchestrator: Starting follow audio processing', { jobId, audioFilePath });
 
@@ -110,14 +124,19 @@ export async function processFollowAudioJob(
   const lockResult = await acquireJobLock(jobId);
   if (!lockResult.acquired) {
     logger.warn('Follow Orchestrator: Failed to acquire job lock', { jobId, reason: lockResult.reason });
-    return { success: false, error: `Failed to acquire job lock: ${lockResult.reason}` };
+    return {
+      success: false,
+      cancelled: lockResult.reason === 'cancelled',
+      error: `Failed to acquire job lock: ${lockResult.reason}`
+    };
   }
 
   // Initialize step tracking
   await initializeSteps(jobId);
 
-  // Start heartbeat interval
+  // Start heartbeat interval and the cancellation watch (kills ffmpeg of a cancelled job)
   startHeartbeatInterval(jobId);
+  startCancellationWatch(jobId);
 
   // Context for passing data between steps
   const context = {
@@ -143,9 +162,22 @@ export async function processFollowAudioJob(
     // Step 1: Convert audio (if needed)
     // ========================================
     currentStepName = STEPS.CONVERT;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 5, '音声変換中...');
 
-    if (needsConversion(audioFilePath)) {
+    // A retry resumes from the chunks of the previous attempt while their files are on disk:
+    // completed transcripts are reused and only the other chunks go through STT again
+    const resumePlan = buildResumePlan(jobId, await getJobChunks(jobId));
+    const convertedPath = getConvertedPath(audioFilePath);
+
+    if (resumePlan) {
+      context.processedFilePath = convertedPath;
+      await skipStep(jobId, STEPS.CONVERT, 'Resumed from previous attempt');
+    } else if (convertedPath !== audioFilePath && !fs.existsSync(audioFilePath) && fs.existsSync(convertedPath)) {
+      // The previous attempt converted (and removed) the upload before failing
+      context.processedFilePath = convertedPath;
+      await skipStep(jobId, STEPS.CONVERT, 'Converted in previous attempt');
+    } else if (needsConversion(audioFilePath)) {
       await startStep(jobId, STEPS.CONVERT);
 
       const conversionResult = await convertToMp3(jobId, audioFilePath);
@@ -164,32 +196,46 @@ export async function processFollowAudioJob(
     // Step 2: Split audio
     // ========================================
     currentStepName = STEPS.SPLIT;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 10, '音声ファイルを分割しています...');
-    await startStep(jobId, STEPS.SPLIT);
+    if (resumePlan) {
+      context.chunks = resumePlan.chunks;
+      await skipStep(jobId, STEPS.SPLIT, `Resumed with ${resumePlan.chunks.length} chunks from previous attempt`);
+    } else {
+      await startStep(jobId, STEPS.SPLIT);
 
-    context.chunks = await splitAudioWithSilenceDetection(jobId, context.processedFilePath);
+      context.chunks = await splitAudioWithSilenceDetection(jobId, context.processedFilePath);
 
-    // Register chunks in database
-    await registerChunks(jobId, context.chunks.length);
+      // Register chunks in database
+      await registerChunks(jobId, context.chunks);
 
-    await completeStep(jobId, STEPS.SPLIT, {
-      chunkCount: context.chunks.length,
-    });
+      await completeStep(jobId, STEPS.SPLIT, {
+        chunkCount: context.chunks.length,
+      });
+    }
     await updateHeartbeat(jobId);
 
     // ========================================
     // Step 3: STT processing
     // ========================================
     currentStepName = STEPS.STT;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 15, 'STT処理中...');
     await startStep(jobId, STEPS.STT);
 
+    context.sttProvider = await resolveSttProvider(companyId);
     context.chunkResults = await processAllChunks(
       jobId,
-      context.chunks,
+      resumePlan ? resumePlan.pendingChunks : context.chunks,
       updateChunkStatus,
-      updateJobStatus
+      updateJobStatus,
+      context.sttProvider
     );
+    if (resumePlan) {
+      for (const result of resumePlan.reusedResults) {
+        context.chunkResults[result.index] = result;
+      }
+    }
 
     // Calculate quality metrics
     context.qualityData = calculateQuality(jobId, context.chunkResults, context.chunks.length);
@@ -202,12 +248,20 @@ export async function processFollowAudioJob(
 
     // Merge successful results
     context.combinedText = mergeResults(context.chunkResults);
+    context.segments = buildSegments(context.chunkResults);
 
     await completeStep(jobId, STEPS.STT, {
+      provider: context.sttProvider.name,
       totalChunks: context.chunks.length,
       successCount: context.qualityData.successfulChunks.length,
       failedCount: context.qualityData.failedChunks.length,
       successRate: (context.qualityData.successRate * 100).toFixed(1) + '%',
+      attempt: lockResult.attempts,
+      ...(resumePlan && {
+        resumed: true,
+        reusedChunks: resumePlan.reusedResults.length,
+        retriedChunks: resumePlan.pendingChunks.length,
+      }),
     });
     await updateHeartbeat(jobId);
 
@@ -215,16 +269,19 @@ export async function processFollowAudioJob(
     // Step 4: Follow Summary Dify workflow
     // ========================================
     currentStepName = STEPS.DIFY_WORKFLOW;
+    await throwIfCancelled(jobId);
     await updateJobStatus(jobId, 'processing', 85, 'フォロー要約ワークフロー実行中...');
     await startStep(jobId, STEPS.DIFY_WORKFLOW);
 
     // Fetch per-company prompt (or default)
     const prompt = await getFollowPrompt(companyId);
 
-    const difyResult = await executeFollowSummaryWorkflow(jobId, context.combinedText, prompt);
+    context.generationProvider = getGenerationProvider();
+    const difyResult = await executeFollowSummaryWorkflow(jobId, context.combinedText, prompt, context.generationProvider);
     context.summary = difyResult.summary || '';
 
     await completeStep(jobId, STEPS.DIFY_WORKFLOW, {
+      provider: context.generationProvider.name,
       hasSummary: !!context.summary,
       summaryLength: context.summary.length,
     });
@@ -236,6 +293,8 @@ export async function processFollowAudioJob(
     currentStepName = STEPS.PERSIST;
     await updateJobStatus(jobId, 'processing', 95, 'データを保存しています...');
     await startStep(jobId, STEPS.PERSIST);
+    // Checked after the step has started: from here on cancelJob refuses the cancellation
+    await throwIfCancelled(jobId);
 
     const persistResult = await completeFollowPersistence(jobId, {
       fileId,
@@ -243,6 +302,7 @@ export async function processFollowAudioJob(
       companyId,
       staffId,
       sttText: context.combinedText,
+      sttSegments: context.segments,
       summary: context.summary,
     });
 
@@ -305,6 +365,25 @@ export async function processFollowAudioJob(
     };
 
   } catch (error) {
+    if (error.code === ERROR_CODES.JOB_CANCELLED || await isJobCancelled(jobId)) {
+      logger.info('Follow Orchestrator: Follow audio processing cancelled', { jobId, step: currentStepName });
+
+      killJobProcesses(jobId);
+      await cancelSteps(jobId);
+      stopHeartbeatInterval(jobId);
+
+      // A cancelled job is not retried: remove its chunks and audio
+      cleanupAllChunkFiles(jobId, context.processedFilePath);
+      removeAudioFiles(jobId, audioFilePath);
+
+      return {
+        success: false,
+        cancelled: true,
+        error: error.message,
+        cancelledStep: currentStepName,
+      };
+    }
+
     logger.error('Follow Orchestrator: Follow audio processing failed', {
       jobId,
       step: currentStepName,
@@ -329,8 +408,9 @@ export async function processFollowAudioJob(
     };
 
   } finally {
-    // Ensure heartbeat interval is always stopped
+    // Ensure heartbeat interval and cancellation watch are always stopped
     stopHeartbeatInterval(jobId);
+    stopCancellationWatch(jobId);
   }
 }
 
@@ -341,6 +421,7 @@ export const STEP_NAMES = Object.values(STEPS);
 
 export default {
   processFollowAudioJob,
+  getFollowPrompt,
   STEPS,
   STEP_NAMES,
 };
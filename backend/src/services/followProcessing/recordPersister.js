@@ -8,6 +8,8 @@
 import { pool } from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import cache from '../../utils/cache.js';
+import { resolveStaff } from '../staffService.js';
+import { recordRevisions } from '../revisionService.js';
 
 /**
  * Save follow record to database with idempotency (ON DUPLICATE KEY UPDATE on job_id)
@@ -19,6 +21,7 @@ import cache from '../../utils/cache.js';
  * @param {number} data.companyId - Company ID
  * @param {string} data.staffId - Staff ID
  * @param {string} data.sttText - Combined STT text
+ * @param {Array} [data.sttSegments] - Timed transcript segments ({start, end, text, chunk})
  * @param {string} data.summary - Follow summary text
  * @returns {Promise<{recordId: number, isNew: boolean}>}
  */
@@ -29,19 +32,24 @@ export async function saveFollowRecord(jobId, data) {
     companyId,
     staffId,
     sttText,
+    sttSegments,
     summary,
   } = data;
 
   logger.info('Saving follow record to database', { jobId });
 
   try {
+    // Link to the staff entity (created on first sight of this staff_id in the company)
+    const staffRefId = await resolveStaff(companyId, staffId);
+
     const [result] = await pool.query(
       `INSERT INTO follows 
-       (job_id, file_id, user_id, company_id, staff_id, follow_date, audio_file_path, stt, summary, date)
-       VALUES (?, ?, ?, ?, ?, CURDATE(), ?, ?, ?, NOW())
+       (job_id, file_id, user_id, company_id, staff_id, staff_ref_id, follow_date, audio_file_path, stt, stt_segments, summary, date)
+       VALUES (?, ?, ?, ?, ?, ?, CURDATE(), ?, ?, ?, ?, NOW())
        ON DUPLICATE KEY UPDATE 
          updated_at = NOW(),
          stt = VALUES(stt),
+         stt_segments = VALUES(stt_segments),
          summary = VALUES(summary),
          id = LAST_INSERT_ID(id)`,
       [
@@ -50,8 +58,10 @@ export async function saveFollowRecord(jobId, data) {
         userId,
         companyId,
         staffId,
+        staffRefId,
         null,
         sttText,
+        sttSegments ? JSON.stringify(sttSegments) : null,
         summary,
       ]
     );
@@ -66,6 +76,11 @@ export async function saveFollowRecord(jobId, data) {
       affectedRows: result.affectedRows,
     });
 
+    // Keep the AI output in the edit history (no-op when unchanged on a job retry)
+    await recordRevisions('follow', recordId, [
+      { field: 'summary', content: summary },
+    ], { source: 'ai' });
+
     return { recordId, isNew };
 
   } catch (error) {
@@ -0,0 +1,277 @@
+/**
+ * Dify Generation Provider
+ *
+ * Runs the hosted Dify workflows: the transcript is uploaded as a CSV document and the workflow
+ * returns the generated texts as outputs. The record workflow (DIFY_SECRET_KEY) receives the
+ * company's prompts as skillsheet_prompt, lor_prompt, skills_prompt and hope_prompt and returns
+ * skillsheet, lor, skills and hope; the follow summary workflow (DIFY_SECRET_KEY_FOLLOW_SUMMARY)
+ * receives the prompt as an input and returns summary.
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+import {
+  API_CONFIG,
+  isRetryableStatus,
+  categorizeError,
+  calculateBackoff,
+  sleep,
+} from '../../config/axiosConfig.js';
+import { DEFAULT_GENERATION_PROMPTS, GENERATION_PROMPT_COLUMNS } from './prompts.js';
+
+if (!process.env.DIFY_SECRET_KEY_FOLLOW_SUMMARY) {
+  console.warn('WARNING: DIFY_SECRET_KEY_FOLLOW_SUMMARY is not set. Follow summary workflow will fail.');
+}
+
+// Configuration
+const CONFIG = {
+  maxRetries: API_CONFIG.dify.maxRetries,
+  uploadTimeout: API_CONFIG.dify.uploadTimeout,
+  workflowTimeout: API_CONFIG.dify.workflowTimeout,
+  uploadDir: 'uploads/audio',
+};
+
+// Workflows by purpose (label is used in logs and error messages)
+const WORKFLOWS = {
+  record: {
+    label: 'Main workflow',
+    apiKey: () => process.env.DIFY_SECRET_KEY,
+    user: () => 'voldin012',
+    tempPrefix: 'temp',
+  },
+  followSummary: {
+    label: 'Follow summary workflow',
+    apiKey: () => process.env.DIFY_SECRET_KEY_FOLLOW_SUMMARY,
+    user: () => process.env.DIFY_USER || 'default-user',
+    tempPrefix: 'temp_follow',
+  },
+};
+
+/**
+ * Run a Dify workflow on a transcript
+ *
+ * @param {number} jobId - Job ID for logging
+ * @param {object} workflow - Entry of WORKFLOWS
+ * @param {string} text - Transcript (uploaded as the txtFile input)
+ * @param {object} [inputs] - Additional workflow inputs
+ * @returns {Promise<{outputs: object}>} Workflow result data
+ * @throws {Error} With standardized error code
+ */
+async function runDifyWorkflow(jobId, workflow, text, inputs = {}) {
+  // Ensure upload directory exists
+  if (!fs.existsSync(CONFIG.uploadDir)) {
+    fs.mkdirSync(CONFIG.uploadDir, { recursive: true });
+  }
+
+  // Save text to temp file
+  const tempFilePath = path.join(CONFIG.uploadDir, `${workflow.tempPrefix}_${jobId}_${Date.now()}.csv`);
+  fs.writeFileSync(tempFilePath, text);
+
+  try {
+    // Upload text file to Dify with retry
+    const txtFileId = await uploadTextFile(jobId, workflow, tempFilePath);
+
+    // Call the workflow with retry
+    return await runWorkflow(jobId, workflow, {
+      txtFile: {
+        transfer_method: 'local_file',
+        upload_file_id: txtFileId,
+        type: 'document',
+      },
+      ...inputs,
+    });
+
+  } finally {
+    // Clean up temp file
+    cleanupTempFile(jobId, tempFilePath);
+  }
+}
+
+/**
+ * Upload text file to Dify with retry
+ *
+ * @param {number} jobId - Job ID for logging
+ * @param {object} workflow - Entry of WORKFLOWS
+ * @param {string} filePath - Path to the text file
+ * @returns {Promise<string>} Dify file ID
+ */
+async function uploadTextFile(jobId, workflow, filePath) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
+    try {
+      const form = new FormData();
+      form.append('file', fs.createReadStream(filePath), {
+        filename: path.basename(filePath),
+        contentType: 'text/csv',
+      });
+      form.append('type', 'document');
+      form.append('purpose', 'workflow_input');
+      form.append('user', workflow.user());
+
+      const response = await axios.post(`${API_CONFIG.dify.baseUrl}/files/upload`, form, {
+        headers: {
+          Authorization: `Bearer ${workflow.apiKey()}`,
+          ...form.getHeaders()
+        },
+        timeout: CONFIG.uploadTimeout
+      });
+
+      logger.debug('Text file uploaded to Dify', { jobId, workflow: workflow.label, fileId: response.data.id });
+      return response.data.id;
+
+    } catch (error) {
+      lastError = error;
+      const errorCode = categorizeError(error, 'upload');
+      const httpStatus = error.response?.status;
+
+      logger.warn(`Dify text upload attempt ${attempt}/${CONFIG.maxRetries} failed`, {
+        jobId,
+        workflow: workflow.label,
+        errorCode,
+        httpStatus,
+        message: error.message
+      });
+
+      // Check if we should retry
+      const shouldRetry = attempt < CONFIG.maxRetries &&
+        (isRetryableStatus(httpStatus) || !error.response);
+
+      if (shouldRetry) {
+        const delay = calculateBackoff(attempt);
+        logger.debug(`Retrying text upload in ${delay}ms`, { jobId, attempt });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // All retries exhausted
+  const errorCode = categorizeError(lastError, 'upload');
+  const errorMessage = `${errorCode}: Text file upload failed - ${lastError.message}`;
+  logger.error('Dify text upload failed after all retries', { jobId, workflow: workflow.label, errorCode });
+
+  const error = new Error(errorMessage);
+  error.code = errorCode;
+  throw error;
+}
+
+/**
+ * Run a Dify workflow with retry
+ *
+ * @param {number} jobId - Job ID for logging
+ * @param {object} workflow - Entry of WORKFLOWS
+ * @param {object} inputs - Workflow inputs
+ * @returns {Promise<{outputs: object}>} Workflow result data
+ */
+async function runWorkflow(jobId, workflow, inputs) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.dify.baseUrl}/workflows/run`,
+        {
+          inputs,
+          user: workflow.user()
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${workflow.apiKey()}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: CONFIG.workflowTimeout
+        }
+      );
+
+      logger.debug('Dify workflow response received', { jobId, workflow: workflow.label });
+      return response.data.data;
+
+    } catch (error) {
+      lastError = error;
+      const errorCode = categorizeError(error, 'workflow');
+      const httpStatus = error.response?.status;
+
+      logger.warn(`Dify ${workflow.label} attempt ${attempt}/${CONFIG.maxRetries} failed`, {
+        jobId,
+        errorCode,
+        httpStatus,
+        message: error.message
+      });
+
+      // Check if we should retry
+      const shouldRetry = attempt < CONFIG.maxRetries &&
+        (isRetryableStatus(httpStatus) || !error.response);
+
+      if (shouldRetry) {
+        const delay = calculateBackoff(attempt);
+        logger.debug(`Retrying Dify workflow in ${delay}ms`, { jobId, attempt });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // All retries exhausted
+  const errorCode = categorizeError(lastError, 'workflow');
+  const errorMessage = `${errorCode}: ${workflow.label} failed - ${lastError.message}`;
+  logger.error('Dify workflow failed after all retries', { jobId, workflow: workflow.label, errorCode });
+
+  const error = new Error(errorMessage);
+  error.code = errorCode;
+  throw error;
+}
+
+/**
+ * Clean up temporary file
+ *
+ * @param {number} jobId - Job ID for logging
+ * @param {string} filePath - Path to temp file
+ */
+function cleanupTempFile(jobId, filePath) {
+  if (fs.existsSync(filePath)) {
+    try {
+      fs.unlinkSync(filePath);
+      logger.debug('Temp file deleted', { jobId, filePath });
+    } catch (error) {
+      logger.warn('Failed to delete temp file', {
+        jobId,
+        filePath,
+        error: error.message
+      });
+      // Continue - cleanup failure should not affect job status
+    }
+  }
+}
+
+/**
+ * @param {number} jobId - Job ID for logging
+ * @param {string} text - Combined STT text
+ * @param {Object<string, string>} [prompts] - Prompt per output (resolveGenerationPrompts)
+ * @returns {Promise<{outputs: {skillsheet: string, lor: string, skills: string, hope: string}}>}
+ */
+async function generateRecord(jobId, text, prompts = DEFAULT_GENERATION_PROMPTS) {
+  const inputs = Object.fromEntries(
+    Object.entries(GENERATION_PROMPT_COLUMNS).map(([key, input]) => [input, prompts[key]])
+  );
+  return runDifyWorkflow(jobId, WORKFLOWS.record, text, inputs);
+}
+
+/**
+ * @param {number} jobId - Job ID for logging
+ * @param {string} text - Combined STT text
+ * @param {string} prompt - Summary prompt
+ * @returns {Promise<{outputs: {summary: string}}>}
+ */
+async function generateFollowSummary(jobId, text, prompt) {
+  return runDifyWorkflow(jobId, WORKFLOWS.followSummary, text, { prompt });
+}
+
+export const difyProvider = {
+  name: 'dify',
+  generateRecord,
+  generateFollowSummary,
+};
+
+export default difyProvider;
@@ -0,0 +1,45 @@
+/**
+ * Generation Providers
+ *
+ * A provider turns a transcript into the generated texts of a record or a follow:
+ *   { name,
+ *     generateRecord(jobId, text, prompts) => Promise<{ outputs: { skillsheet, lor, skills, hope } }>,
+ *     generateFollowSummary(jobId, text, prompt) => Promise<{ outputs: { summary } }> }
+ * The results have the shape of a Dify workflow result, so parseOutputs and the follow
+ * output parser handle every provider alike. The record prompts are the company's
+ * (resolveGenerationPrompts in prompts.js).
+ *
+ * The provider is selected by GENERATION_PROVIDER (default dify).
+ */
+
+import logger from '../../utils/logger.js';
+import difyProvider from './difyProvider.js';
+import openaiProvider from './openaiProvider.js';
+
+export const GENERATION_PROVIDERS = {
+  dify: difyProvider,
+  openai: openaiProvider,
+};
+
+export const GENERATION_PROVIDER_NAMES = Object.keys(GENERATION_PROVIDERS);
+
+/**
+ * Provider by name
+ * @param {string} [name] - Provider name, GENERATION_PROVIDER (default dify) when omitted or unknown
+ * @returns {object}
+ */
+export function getGenerationProvider(name = process.env.GENERATION_PROVIDER) {
+  if (name && GENERATION_PROVIDERS[name]) {
+    return GENERATION_PROVIDERS[name];
+  }
+  if (name) {
+    logger.warn('Unknown generation provider, using dify', { name });
+  }
+  return difyProvider;
+}
+
+export default {
+  GENERATION_PROVIDERS,
+  GENERATION_PROVIDER_NAMES,
+  getGenerationProvider,
+};
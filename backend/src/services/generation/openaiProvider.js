@@ -0,0 +1,197 @@
+/**
+ * OpenAI-Compatible Generation Provider
+ *
+ * Generates the record outputs and follow summaries with our own prompts through a
+ * /chat/completions endpoint: OpenAI or a self-hosted server that speaks the same API
+ * (vLLM, Ollama, LM Studio, ...). Each record output is one completion with its prompt from
+ * DEFAULT_GENERATION_PROMPTS as the system message and the transcript as the user message.
+ *
+ * Environment:
+ *   LLM_BASE_URL    - API base URL including /v1 (default https://api.openai.com/v1)
+ *   LLM_API_KEY     - Bearer token (optional for servers without authentication)
+ *   LLM_MODEL       - Model name (required)
+ *   LLM_TEMPERATURE - Sampling temperature (default 0.2)
+ */
+
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import {
+  API_CONFIG,
+  ERROR_CODES,
+  isRetryableStatus,
+  isTimeoutError,
+  calculateBackoff,
+  sleep,
+} from '../../config/axiosConfig.js';
+import { DEFAULT_GENERATION_PROMPTS } from './prompts.js';
+
+// Configuration
+const CONFIG = {
+  baseUrl: (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  model: process.env.LLM_MODEL,
+  temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.2'),
+  maxRetries: API_CONFIG.llm.maxRetries,
+  timeout: API_CONFIG.llm.timeout,
+};
+
+// Record outputs, generated in this order
+const RECORD_OUTPUTS = ['skillsheet', 'lor', 'skills', 'hope'];
+
+/**
+ * Categorize a chat completion error into a standardized error code
+ * @param {Error} error - Axios error
+ * @returns {string}
+ */
+function categorizeLlmError(error) {
+  if (isTimeoutError(error)) {
+    return ERROR_CODES.LLM_TIMEOUT;
+  }
+  if (error.code === 'ECONNREFUSED') {
+    return ERROR_CODES.CONNECTION_REFUSED;
+  }
+  if (!error.response) {
+    return ERROR_CODES.NETWORK_ERROR;
+  }
+  return ERROR_CODES.LLM_REQUEST_FAILED;
+}
+
+/**
+ * Message text of a completion, without the <think> block reasoning models put before the answer
+ * @param {object} data - Chat completion response body
+ * @returns {string}
+ */
+function completionText(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    return '';
+  }
+  return content.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+}
+
+/**
+ * Run one chat completion with retry
+ *
+ * @param {number} jobId - Job ID for logging
+ * @param {string} label - Output being generated (logs and error messages)
+ * @param {string} systemPrompt - Instructions
+ * @param {string} text - Transcript
+ * @returns {Promise<string>} Completion text
+ * @throws {Error} With standardized error code
+ */
+async function runCompletion(jobId, label, systemPrompt, text) {
+  if (!CONFIG.model) {
+    const error = new Error(`${ERROR_CODES.LLM_REQUEST_FAILED}: LLM_MODEL is not set`);
+    error.code = ERROR_CODES.LLM_REQUEST_FAILED;
+    throw error;
+  }
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
+    try {
+      const response = await axios.post(
+        `${CONFIG.baseUrl}/chat/completions`,
+        {
+          model: CONFIG.model,
+          temperature: CONFIG.temperature,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: text },
+          ],
+        },
+        {
+          headers: {
+            ...(process.env.LLM_API_KEY && { Authorization: `Bearer ${process.env.LLM_API_KEY}` }),
+            'Content-Type': 'application/json',
+          },
+          timeout: CONFIG.timeout,
+        }
+      );
+
+      const content = completionText(response.data);
+      if (!content) {
+        // A well-formed but empty answer is not retried; the model would answer the same
+        const error = new Error(`${ERROR_CODES.LLM_EMPTY_RESPONSE}: Empty ${label} completion`);
+        error.code = ERROR_CODES.LLM_EMPTY_RESPONSE;
+        throw error;
+      }
+
+      logger.debug('Chat completion received', {
+        jobId,
+        output: label,
+        length: content.length,
+        usage: response.data.usage,
+      });
+      return content;
+
+    } catch (error) {
+      if (error.code === ERROR_CODES.LLM_EMPTY_RESPONSE) {
+        throw error;
+      }
+
+      lastError = error;
+      const errorCode = categorizeLlmError(error);
+      const httpStatus = error.response?.status;
+
+      logger.warn(`Chat completion (${label}) attempt ${attempt}/${CONFIG.maxRetries} failed`, {
+        jobId,
+        errorCode,
+        httpStatus,
+        message: error.message,
+      });
+
+      // Check if we should retry
+      const shouldRetry = attempt < CONFIG.maxRetries &&
+        (isRetryableStatus(httpStatus) || !error.response);
+
+      if (shouldRetry) {
+        const delay = calculateBackoff(attempt);
+        logger.debug(`Retrying chat completion in ${delay}ms`, { jobId, attempt });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // All retries exhausted
+  const errorCode = categorizeLlmError(lastError);
+  const errorMessage = `${errorCode}: Chat completion (${label}) failed - ${lastError.message}`;
+  logger.error('Chat completion failed after all retries', { jobId, output: label, errorCode });
+
+  const error = new Error(errorMessage);
+  error.code = errorCode;
+  throw error;
+}
+
+/**
+ * @param {number} jobId - Job ID for logging
+ * @param {string} text - Combined STT text
+ * @param {Object<string, string>} [prompts] - Prompt per output (resolveGenerationPrompts)
+ * @returns {Promise<{outputs: {skillsheet: string, lor: string, skills: string, hope: string}}>}
+ */
+async function generateRecord(jobId, text, prompts = DEFAULT_GENERATION_PROMPTS) {
+  const outputs = {};
+  // One at a time: self-hosted servers often serve a single request per GPU
+  for (const key of RECORD_OUTPUTS) {
+    outputs[key] = await runCompletion(jobId, key, prompts[key], text);
+  }
+  return { outputs };
+}
+
+/**
+ * @param {number} jobId - Job ID for logging
+ * @param {string} text - Combined STT text
+ * @param {string} prompt - Summary prompt
+ * @returns {Promise<{outputs: {summary: string}}>}
+ */
+async function generateFollowSummary(jobId, text, prompt) {
+  const summary = await runCompletion(jobId, 'summary', prompt, text);
+  return { outputs: { summary } };
+}
+
+export const openaiProvider = {
+  name: 'openai',
+  generateRecord,
+  generateFollowSummary,
+};
+
+export default openaiProvider;
@@ -0,0 +1,132 @@
+/**
+ * Generation Prompts
+ *
+ * System prompts of the record outputs for chat-completion providers. The hosted Dify workflow
+ * keeps its prompts in Dify; these reproduce its output formats so parseOutputs and the skill
+ * sheet / Salesforce documents read both the same way:
+ *   skillsheet - JSON object of careers keyed "1", "2", ... with from, to, employee type,
+ *                work content and summary
+ *   lor        - recommendation letter text
+ *   skills     - JSON object with 語学力, 資格 and スキル
+ *   hope       - text of the staff's preferences
+ *
+ * A company can replace any of them (companies.skillsheet_prompt, lor_prompt, skills_prompt,
+ * hope_prompt; NULL = default). The resolved prompts go to the Dify record workflow as the
+ * *_prompt inputs and to chat-completion providers as system messages.
+ */
+
+import { pool } from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+export const DEFAULT_GENERATION_PROMPTS = {
+  skillsheet: `あなたは人材派遣会社のキャリアアドバイザーです。
+以下の面談の文字起こしテキストから、スタッフの職務経歴を抽出してください。
+
+■ ルール
+- 面談で語られた職歴ごとに1項目とし、古い順に "1", "2", ... のキーを付けること
+- 面談内容に含まれない情報は推測せず空文字にすること
+- 出力はJSONのみとし、説明文やコードブロックを付けないこと
+
+■ 出力フォーマット
+{
+  "1": {
+    "from": "開始年月（例: 2019年4月）",
+    "to": "終了年月（在職中は「現在」）",
+    "employee type": "雇用形態（正社員、派遣社員、契約社員、アルバイト等）",
+    "work content": ["担当業務1", "担当業務2"],
+    "summary": "この職歴の業務内容を2〜3文でまとめた文章"
+  }
+}`,
+
+  lor: `あなたは人材派遣会社のキャリアアドバイザーです。
+以下の面談の文字起こしテキストをもとに、派遣先企業へスタッフを紹介する推薦文を作成してください。
+
+■ ルール
+- 400〜600字程度の自然な文章にすること
+- 経験・スキル・人柄・仕事への姿勢を、面談内容に基づいて具体的に記述すること
+- 面談内容にない経歴や資格を書かないこと
+- 見出しや箇条書きを使わず、推薦文の本文のみを出力すること`,
+
+  skills: `あなたは人材派遣会社のキャリアアドバイザーです。
+以下の面談の文字起こしテキストから、スタッフの語学力・資格・スキルを抽出してください。
+
+■ ルール
+- 面談で語られた内容のみを記載し、該当がない項目は空の配列または空文字にすること
+- 出力はJSONのみとし、説明文やコードブロックを付けないこと
+
+■ 出力フォーマット
+{
+  "語学力": [{ "言語": "英語", "レベル": "日常会話" }],
+  "資格": ["資格名"],
+  "スキル": "業務で使えるスキル（1行に1つ、改行区切り）"
+}`,
+
+  hope: `あなたは人材派遣会社のキャリアアドバイザーです。
+以下の面談の文字起こしテキストから、スタッフの希望条件をまとめてください。
+
+■ ルール
+- 希望職種、勤務地、勤務時間・曜日、時給、開始時期、その他の要望を項目ごとに記載すること
+- 面談で触れられなかった項目は「言及なし」と記載すること
+- 面談内容に基づく事実のみを簡潔に記述すること`,
+};
+
+// companies column of each prompt
+export const GENERATION_PROMPT_COLUMNS = {
+  skillsheet: 'skillsheet_prompt',
+  lor: 'lor_prompt',
+  skills: 'skills_prompt',
+  hope: 'hope_prompt',
+};
+
+export const GENERATION_PROMPT_KEYS = Object.keys(GENERATION_PROMPT_COLUMNS);
+
+/**
+ * Prompts a company has replaced
+ *
+ * @param {number} companyId
+ * @returns {Promise<Object<string, string|null>>} Prompt per key, null when the default is used
+ */
+export async function getCompanyPrompts(companyId) {
+  const [rows] = await pool.query(
+    `SELECT ${Object.values(GENERATION_PROMPT_COLUMNS).join(', ')} FROM companies WHERE id = ?`,
+    [companyId]
+  );
+  const row = rows[0] || {};
+  return Object.fromEntries(
+    GENERATION_PROMPT_KEYS.map(key => [key, row[GENERATION_PROMPT_COLUMNS[key]] || null])
+  );
+}
+
+/**
+ * Prompts of a company's record generation, with the defaults where it has none
+ *
+ * @param {number|null} companyId
+ * @returns {Promise<Object<string, string>>} Prompt per key of DEFAULT_GENERATION_PROMPTS
+ */
+export async function resolveGenerationPrompts(companyId) {
+  const prompts = { ...DEFAULT_GENERATION_PROMPTS };
+  try {
+    if (companyId) {
+      const companyPrompts = await getCompanyPrompts(companyId);
+      for (const key of GENERATION_PROMPT_KEYS) {
+        if (companyPrompts[key]) {
+          prompts[key] = companyPrompts[key];
+        }
+      }
+    }
+  } catch (error) {
+    logger.warn('Failed to fetch company generation prompts, using defaults', {
+      companyId,
+      error: error.message,
+    });
+  }
+  return prompts;
+}
+
+export default {
+  DEFAULT_GENERATION_PROMPTS,
+  GENERATION_PROMPT_COLUMNS,
+  GENERATION_PROMPT_KEYS,
+  getCompanyPrompts,
+  resolveGenerationPrompts,
+};
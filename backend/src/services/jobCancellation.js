@@ -0,0 +1,209 @@
+/**
+ * Job Cancellation Service
+ *
+ * A job is cancelled by setting its status to 'cancelled' (cancelJob in asyncProcessingService),
+ * usually from the API server while the job runs in the worker process. The orchestrators check
+ * the status between steps and chunks (throwIfCancelled), and a watch started next to the
+ * heartbeat kills the ffmpeg processes of the job, which can run for minutes on long audio.
+ */
+
+import { pool } from '../config/database.js';
+import { ERROR_CODES } from '../config/axiosConfig.js';
+import logger from '../utils/logger.js';
+
+const CONFIG = {
+  watchIntervalMs: parseInt(process.env.JOB_CANCEL_WATCH_INTERVAL_MS || '5000'), // 5 seconds
+};
+
+// Running ffmpeg commands by jobId
+const activeProcesses = new Map();
+
+// Cancellation watch intervals by jobId
+const activeWatches = new Map();
+
+// Jobs whose processes were killed for a cancellation
+const killedJobs = new Set();
+
+/**
+ * Create the error thrown when a job is cancelled
+ *
+ * @param {number} jobId - The job ID
+ * @returns {Error} Error with code JOB_CANCELLED
+ */
+export function createCancelledError(jobId) {
+  const error = new Error(`Job ${jobId} was cancelled`);
+  error.code = ERROR_CODES.JOB_CANCELLED;
+  return error;
+}
+
+/**
+ * Check whether a job has been cancelled
+ *
+ * @param {number} jobId - The job ID
+ * @returns {Promise<boolean>}
+ */
+export async function isJobCancelled(jobId) {
+  try {
+    const [rows] = await pool.query('SELECT status FROM processing_jobs WHERE id = ?', [jobId]);
+    return rows.length > 0 && rows[0].status === 'cancelled';
+  } catch (error) {
+    logger.error('Error checking job cancellation', { jobId, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Throw the cancellation error when a job has been cancelled
+ * Call this before each step and chunk
+ *
+ * @param {number} jobId - The job ID
+ * @returns {Promise<void>}
+ */
+export async function throwIfCancelled(jobId) {
+  if (killedJobs.has(jobId) || await isJobCancelled(jobId)) {
+    throw createCancelledError(jobId);
+  }
+}
+
+/**
+ * Track a fluent-ffmpeg command of a job so that a cancellation can kill it
+ * Register before run()/save(); the command is untracked when it ends or fails.
+ * A command of a job that was already killed is killed as soon as it starts.
+ *
+ * @param {number} jobId - The job ID
+ * @param {object} command - fluent-ffmpeg command
+ * @returns {object} The command
+ */
+export function trackProcess(jobId, command) {
+  if (!activeProcesses.has(jobId)) {
+    activeProcesses.set(jobId, new Set());
+  }
+  activeProcesses.get(jobId).add(command);
+
+  const untrack = () => {
+    const commands = activeProcesses.get(jobId);
+    if (commands) {
+      commands.delete(command);
+      if (commands.size === 0) {
+        activeProcesses.delete(jobId);
+      }
+    }
+  };
+
+  command
+    .on('start', () => {
+      if (killedJobs.has(jobId)) {
+        command.kill('SIGKILL');
+      }
+    })
+    .on('end', untrack)
+    .on('error', untrack);
+
+  return command;
+}
+
+/**
+ * Kill the running ffmpeg processes of a job
+ *
+ * @param {number} jobId - The job ID
+ * @returns {number} Number of processes killed
+ */
+export function killJobProcesses(jobId) {
+  killedJobs.add(jobId);
+
+  const commands = activeProcesses.get(jobId);
+  if (!commands) return 0;
+
+  let killed = 0;
+  for (const command of commands) {
+    try {
+      command.kill('SIGKILL');
+      killed++;
+    } catch (error) {
+      logger.warn('Failed to kill ffmpeg process', { jobId, error: error.message });
+    }
+  }
+  activeProcesses.delete(jobId);
+
+  logger.info('Killed ffmpeg processes of cancelled job', { jobId, killed });
+  return killed;
+}
+
+/**
+ * Whether the processes of a job were killed for a cancellation
+ * ffmpeg error handlers use it to report the cancellation instead of a failure.
+ *
+ * @param {number} jobId - The job ID
+ * @returns {boolean}
+ */
+export function wasKilledForCancellation(jobId) {
+  return killedJobs.has(jobId);
+}
+
+/**
+ * Start watching a job for a cancellation
+ * The status is only polled while ffmpeg processes of the job run; between them the
+ * orchestrator checks it itself.
+ *
+ * @param {number} jobId - The job ID
+ * @returns {NodeJS.Timeout} The interval ID
+ */
+export function startCancellationWatch(jobId) {
+  stopCancellationWatch(jobId);
+
+  const intervalId = setInterval(async () => {
+    if (!activeProcesses.has(jobId)) return;
+    if (await isJobCancelled(jobId)) {
+      killJobProcesses(jobId);
+    }
+  }, CONFIG.watchIntervalMs);
+
+  activeWatches.set(jobId, intervalId);
+  logger.debug('Started cancellation watch', { jobId, intervalMs: CONFIG.watchIntervalMs });
+
+  return intervalId;
+}
+
+/**
+ * Stop watching a job for a cancellation and forget its processes
+ *
+ * @param {number} jobId - The job ID
+ */
+export function stopCancellationWatch(jobId) {
+  const intervalId = activeWatches.get(jobId);
+  if (intervalId) {
+    clearInterval(intervalId);
+    activeWatches.delete(jobId);
+    logger.debug('Stopped cancellation watch', { jobId });
+  }
+  activeProcesses.delete(jobId);
+  killedJobs.delete(jobId);
+}
+
+/**
+ * Stop all cancellation watches
+ * Call this during graceful shutdown
+ */
+export function stopAllCancellationWatches() {
+  for (const intervalId of activeWatches.values()) {
+    clearInterval(intervalId);
+  }
+  activeWatches.clear();
+  activeProcesses.clear();
+  killedJobs.clear();
+}
+
+export const CANCELLATION_CONFIG = CONFIG;
+
+export default {
+  createCancelledError,
+  isJobCancelled,
+  throwIfCancelled,
+  trackProcess,
+  killJobProcesses,
+  wasKilledForCancellation,
+  startCancellationWatch,
+  stopCancellationWatch,
+  stopAllCancellationWatches,
+  CANCELLATION_CONFIG,
+};
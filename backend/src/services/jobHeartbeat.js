@@ -61,16 +61,19 @@ export async function acquireJobLock(jobId) {
       }
       
       const currentStatus = rows[0].status;
+      const reason = currentStatus === 'processing'
+        ? 'already_processing'
+        : currentStatus === 'cancelled' ? 'cancelled' : 'invalid_status';
       logger.warn('Failed to acquire job lock', { 
         jobId, 
         currentStatus,
-        reason: currentStatus === 'processing' ? 'already_processing' : 'invalid_status'
+        reason
       });
       
       return { 
         acquired: false, 
         attempts: rows[0].attempts || 0, 
-        reason: currentStatus === 'processing' ? 'already_processing' : 'invalid_status'
+        reason
       };
     }
     
@@ -135,7 +138,7 @@ export async function updateHeartbeat(jobId) {
 
 /**
  * End a job - clears timeout fields and sets final status
- * Call this when job completes or fails
+ * Call this when job completes or fails; a cancelled job keeps its status
  * 
  * @param {number} jobId - The job ID
  * @param {string} status - Final status ('completed' or 'failed')
@@ -164,7 +167,7 @@ export async function endJob(jobId, status, timeoutReason = 'none', errorMessage
     params.push(jobId);
     
     await pool.query(
-      `UPDATE processing_jobs SET ${updates.join(', ')} WHERE id = ?`,
+      `UPDATE processing_jobs SET ${updates.join(', ')} WHERE id = ? AND status <> 'cancelled'`,
       params
     );
     
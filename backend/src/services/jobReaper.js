@@ -37,6 +37,8 @@ export async function findStalledJobs() {
         company_id,
         staff_id,
         local_file_path,
+        job_type,
+        regenerate_fields,
         status,
         progress,
         current_step,
@@ -80,16 +82,22 @@ async function markJobAsFailed(job, reason) {
       ? `ジョブがタイムアウトしました（ハートビート応答なし: ${job.minutes_since_heartbeat}分）`
       : `ジョブがタイムアウトしました（最大実行時間超過）`;
     
-    await pool.query(`
+    // Status check - a job cancelled since it was found stalled is left cancelled
+    const [result] = await pool.query(`
       UPDATE processing_jobs 
       SET status = 'failed',
           timeout_reason = ?,
           error_message = ?,
           completed_at = NOW(),
           updated_at = NOW()
-      WHERE id = ?
+      WHERE id = ? AND status = 'processing'
     `, [reason, errorMessage, job.id]);
     
+    if (result.affectedRows === 0) {
+      logger.info('Stalled job is no longer processing, not marked as failed', { jobId: job.id });
+      return false;
+    }
+    
     logger.warn('Job marked as failed due to timeout', {
       jobId: job.id,
       reason,
@@ -138,13 +146,13 @@ async function requeueJob(job) {
       return false;
     }
     
-    // Reset chunk statuses
+    // Reset unfinished chunks; completed chunks are reused by the retry
     await pool.query(`
       UPDATE chunk_processing 
       SET status = 'pending', 
           error_message = NULL,
           updated_at = NOW()
-      WHERE job_id = ?
+      WHERE job_id = ? AND status <> 'completed'
     `, [job.id]);
     
     // Add to BullMQ queue
@@ -155,6 +163,8 @@ async function requeueJob(job) {
       userId: job.user_id,
       companyId: job.company_id,
       staffId: job.staff_id,
+      jobType: job.job_type || 'record',
+      regenerate: !!job.regenerate_fields,
     });
     
     logger.info('Stalled job re-queued for retry', {
@@ -213,6 +213,31 @@ export async function skipStep(jobId, stepName, reason = null) {
   }
 }
 
+/**
+ * Cancel the steps that did not finish - marks the running and pending steps as cancelled
+ * Call this when the job is cancelled
+ * 
+ * @param {number} jobId - The job ID
+ * @returns {Promise<boolean>}
+ */
+export async function cancelSteps(jobId) {
+  try {
+    const [result] = await pool.query(
+      `UPDATE job_steps 
+       SET status = 'cancelled', 
+           completed_at = NOW()
+       WHERE job_id = ? AND status IN ('pending', 'running')`,
+      [jobId]
+    );
+
+    logger.info('Steps cancelled', { jobId, stepCount: result.affectedRows });
+    return true;
+  } catch (error) {
+    logger.error('Failed to cancel steps', { jobId, error: error.message });
+    return false;
+  }
+}
+
 /**
  * Get all steps for a job
  * 
@@ -264,11 +289,11 @@ export async function getCurrentStep(jobId) {
       return { ...running[0], isRunning: true };
     }
 
-    // If no running step, get the last completed/failed step
+    // If no running step, get the last completed/failed/cancelled step
     const [last] = await pool.query(
       `SELECT step_name, step_order, status, completed_at
        FROM job_steps 
-       WHERE job_id = ? AND status IN ('completed', 'failed')
+       WHERE job_id = ? AND status IN ('completed', 'failed', 'cancelled')
        ORDER BY step_order DESC
        LIMIT 1`,
       [jobId]
@@ -302,6 +327,7 @@ export async function getStepsSummary(jobId) {
       running: 0,
       pending: 0,
       skipped: 0,
+      cancelled: 0,
       failedStep: null,
       totalDurationMs: 0,
     };
@@ -335,6 +361,7 @@ export default {
   completeStep,
   failStep,
   skipStep,
+  cancelSteps,
   getJobSteps,
   getCurrentStep,
   getStepsSummary,
@@ -0,0 +1,147 @@
+/**
+ * Legal Hold Service
+ *
+ * A legal hold preserves a record, a follow or every record/follow of a staff member
+ * (e.g. during a labour dispute). Held items are skipped by the auto-delete jobs,
+ * including the retention policy, raw audio expiry and the trash purge.
+ * Holds are never deleted; releasing one sets released_at so the history stays auditable.
+ * A hold keeps target_id and staff_id of its target, so it still reads right after a released
+ * target has been purged (the record_id/follow_id/staff_ref_id link is then NULL).
+ */
+
+import { pool } from '../config/database.js';
+
+export const LEGAL_HOLD_TARGETS = {
+  record: { table: 'records', column: 'record_id' },
+  follow: { table: 'follows', column: 'follow_id' },
+  staff: { table: 'staff', column: 'staff_ref_id' },
+};
+
+/**
+ * SQL condition that is true when the row is under an active legal hold
+ * (held directly or through its staff member)
+ * @param {'record'|'follow'} entityType
+ * @param {string} alias - Table alias of records/follows in the surrounding query
+ * @returns {string}
+ */
+export function activeHoldSql(entityType, alias) {
+  const { column } = LEGAL_HOLD_TARGETS[entityType];
+  return `EXISTS (
+    SELECT 1 FROM legal_holds lh
+    WHERE lh.released_at IS NULL
+    AND (lh.${column} = ${alias}.id OR (${alias}.staff_ref_id IS NOT NULL AND lh.staff_ref_id = ${alias}.staff_ref_id))
+  )`;
+}
+
+/**
+ * Load the hold target (record, follow or staff) with its company
+ * Soft-deleted records/follows can be held too, so that the trash purge skips them.
+ * @param {'record'|'follow'|'staff'} targetType
+ * @param {number} targetId
+ * @returns {Promise<{ id: number, companyId: number|null, staffId: string|null }|null>}
+ */
+export async function findHoldTarget(targetType, targetId) {
+  const { table } = LEGAL_HOLD_TARGETS[targetType];
+  const [rows] = await pool.query(
+    `SELECT id, company_id as companyId, staff_id as staffId FROM ${table} WHERE id = ?`,
+    [targetId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * List legal holds (newest first)
+ * @param {Object} options
+ * @param {number|null} options.companyId - Restrict to a company (null = all companies)
+ * @param {number} [options.staffRefId] - Holds on the staff member and on any of their records/follows
+ * @param {number} [options.holdId] - A single hold
+ * @param {boolean} [options.includeReleased] - Include released holds
+ * @returns {Promise<Array>}
+ */
+export async function listHolds({ companyId = null, staffRefId, holdId, includeReleased = false }) {
+  const conditions = [];
+  const params = [];
+
+  if (holdId) {
+    conditions.push('lh.id = ?');
+    params.push(holdId);
+  }
+  if (companyId !== null) {
+    conditions.push('lh.company_id = ?');
+    params.push(companyId);
+  }
+  if (staffRefId) {
+    conditions.push(`(lh.staff_ref_id = ?
+      OR lh.record_id IN (SELECT id FROM records WHERE staff_ref_id = ?)
+      OR lh.follow_id IN (SELECT id FROM follows WHERE staff_ref_id = ?))`);
+    params.push(staffRefId, staffRefId, staffRefId);
+  }
+  if (!includeReleased) {
+    conditions.push('lh.released_at IS NULL');
+  }
+
+  const [rows] = await pool.query(
+    `SELECT
+      lh.id,
+      lh.company_id as companyId,
+      lh.target_type as targetType,
+      lh.target_id as targetId,
+      COALESCE(r.staff_id, f.staff_id, s.staff_id, lh.staff_id) as staffId,
+      lh.reason,
+      cu.name as createdByName,
+      DATE_FORMAT(CONVERT_TZ(lh.created_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as createdAt,
+      ru.name as releasedByName,
+      DATE_FORMAT(CONVERT_TZ(lh.released_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as releasedAt
+    FROM legal_holds lh
+    LEFT JOIN records r ON lh.record_id = r.id
+    LEFT JOIN follows f ON lh.follow_id = f.id
+    LEFT JOIN staff s ON lh.staff_ref_id = s.id
+    LEFT JOIN users cu ON lh.created_by = cu.id
+    LEFT JOIN users ru ON lh.released_by = ru.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY lh.id DESC`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Place a legal hold
+ * @param {'record'|'follow'|'staff'} targetType
+ * @param {{ id: number, companyId: number|null, staffId: string|null }} target - From findHoldTarget
+ * @param {string} reason
+ * @param {number} userId - users.id of the manager setting the hold
+ * @returns {Promise<number>} legal_holds.id
+ */
+export async function createHold(targetType, target, reason, userId) {
+  const { column } = LEGAL_HOLD_TARGETS[targetType];
+  const [result] = await pool.query(
+    `INSERT INTO legal_holds (company_id, target_type, target_id, staff_id, ${column}, reason, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [target.companyId, targetType, target.id, target.staffId, target.id, reason, userId]
+  );
+  return result.insertId;
+}
+
+/**
+ * Release an active legal hold
+ * @param {number} holdId
+ * @param {number} userId - users.id of the manager releasing the hold
+ * @returns {Promise<boolean>} false when the hold was not active
+ */
+export async function releaseHold(holdId, userId) {
+  const [result] = await pool.query(
+    'UPDATE legal_holds SET released_at = NOW(), released_by = ? WHERE id = ? AND released_at IS NULL',
+    [userId, holdId]
+  );
+  return result.affectedRows > 0;
+}
+
+export default {
+  LEGAL_HOLD_TARGETS,
+  activeHoldSql,
+  findHoldTarget,
+  listHolds,
+  createHold,
+  releaseHold,
+};
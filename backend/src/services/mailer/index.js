@@ -0,0 +1,84 @@
+/**
+ * Mailer
+ *
+ * Pluggable outgoing mail. MAIL_DRIVER selects the transport:
+ *   - local (default): stores messages in MAIL_OUTBOX_DIR (default: <tmp>/mail-outbox) instead of sending them
+ *   - smtp: SMTP_HOST, SMTP_PORT (default: 587), SMTP_SECURE (true = TLS on connect), SMTP_USER, SMTP_PASS
+ * MAIL_FROM: sender address for every driver
+ */
+
+import os from 'os';
+import path from 'path';
+import { createSmtpMailer } from './smtpMailer.js';
+import { createLocalMailer } from './localMailer.js';
+
+export const MAIL_DRIVERS = ['local', 'smtp'];
+
+let mailer = null;
+
+const createMailer = () => {
+  const driver = (process.env.MAIL_DRIVER || 'local').toLowerCase();
+  const from = process.env.MAIL_FROM || 'no-reply@localhost';
+
+  if (driver === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required when MAIL_DRIVER=smtp');
+    }
+    return createSmtpMailer({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from,
+    });
+  }
+  if (driver !== 'local') {
+    throw new Error(`Unknown MAIL_DRIVER: ${driver} (expected one of: ${MAIL_DRIVERS.join(', ')})`);
+  }
+  return createLocalMailer({
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'mail-outbox'),
+    from,
+  });
+};
+
+/**
+ * The configured mailer (created on first use)
+ * @returns {{ name: string, send: Function }}
+ */
+export function getMailer() {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+  return mailer;
+}
+
+/**
+ * Replace the mailer (tests), or pass null to re-read the environment on next use
+ * @param {{ name: string, send: Function }|null} instance
+ */
+export function setMailer(instance) {
+  mailer = instance;
+}
+
+/**
+ * Send a mail through the configured mailer
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<{ messageId: string }>}
+ */
+export function sendMail(message) {
+  return getMailer().send(message);
+}
+
+export { createSmtpMailer, createLocalMailer };
+
+export default {
+  MAIL_DRIVERS,
+  getMailer,
+  setMailer,
+  sendMail,
+};
@@ -0,0 +1,51 @@
+/**
+ * Local Mailer
+ *
+ * Stand-in for SMTP in development and tests: nothing leaves the machine.
+ * Each message is written as JSON to the outbox directory and kept in memory (sentMessages),
+ * so tests can assert on what would have been sent.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+
+/**
+ * Create a local mailer
+ * @param {Object} config
+ * @param {string|null} config.outboxDir - Directory for message files (null = memory only)
+ * @param {string} config.from - Sender address
+ * @returns {{ name: string, sentMessages: Array, send: Function, clear: Function }}
+ */
+export function createLocalMailer({ outboxDir, from }) {
+  const sentMessages = [];
+
+  return {
+    name: 'local',
+    sentMessages,
+    async send({ to, subject, text, html }) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}@local`;
+      const message = { messageId, from, to, subject, text, html, sentAt: new Date().toISOString() };
+      sentMessages.push(message);
+
+      if (outboxDir) {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        await fs.promises.writeFile(
+          path.join(outboxDir, `${messageId.replace('@local', '')}.json`),
+          JSON.stringify(message, null, 2)
+        );
+      }
+
+      logger.info('Mail stored in local outbox', { to, subject, outboxDir });
+      return { messageId };
+    },
+    clear() {
+      sentMessages.length = 0;
+    },
+  };
+}
+
+export default {
+  createLocalMailer,
+};
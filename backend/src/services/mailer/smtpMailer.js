@@ -0,0 +1,39 @@
+/**
+ * SMTP Mailer
+ *
+ * Sends mail through an SMTP server (nodemailer).
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Create an SMTP mailer
+ * @param {Object} config
+ * @param {string} config.host - SMTP server host
+ * @param {number} config.port - SMTP server port
+ * @param {boolean} config.secure - Use TLS from the start (port 465)
+ * @param {string} [config.user] - Auth user (no auth when empty)
+ * @param {string} [config.pass] - Auth password
+ * @param {string} config.from - Sender address
+ * @returns {{ name: string, send: Function }}
+ */
+export function createSmtpMailer({ host, port, secure, user, pass, from }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+export default {
+  createSmtpMailer,
+};
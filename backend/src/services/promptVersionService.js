@@ -0,0 +1,155 @@
+/**
+ * Prompt Version Service
+ *
+ * Keeps the history of the per-company prompts (follow summary and the record generation
+ * prompts) so that a bad edit can be rolled back. Every write to one of the prompt columns of
+ * companies should go through savePrompts; a version with content NULL means the company was
+ * set back to the default prompt.
+ */
+
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { GENERATION_PROMPT_COLUMNS } from './generation/prompts.js';
+import { appendVersions } from './versionHistory.js';
+
+// Versioned prompts (API key -> companies column)
+export const PROMPT_COLUMNS = {
+  follow_summary: 'follow_summary_prompt',
+  ...GENERATION_PROMPT_COLUMNS,
+};
+
+const toContent = (value) => (typeof value === 'string' && value.trim() !== '' ? value : null);
+
+/**
+ * Store new versions for changed prompts (see appendVersions)
+ *
+ * @param {object} executor - pool, or the connection of the transaction that updates the prompts
+ * @param {number} companyId
+ * @param {Array<{key: string, content: string|null, previous?: string|null}>} changes - New values (and previous column values)
+ * @param {object} options
+ * @param {number|null} options.editorId - users.id of the editor
+ * @param {number|null} [options.restoredFrom] - prompt_versions.id the content was rolled back from
+ * @returns {Promise<number>} Number of versions written
+ */
+export async function recordPromptVersions(executor, companyId, changes, { editorId, restoredFrom = null }) {
+  const knownChanges = changes.filter(({ key }) => {
+    if (!PROMPT_COLUMNS[key]) {
+      logger.warn('Skipping version for unknown prompt', { companyId, key });
+      return false;
+    }
+    return true;
+  });
+
+  return appendVersions(
+    executor,
+    { table: 'prompt_versions', ownerColumn: 'company_id', ownerId: companyId, keyColumn: 'prompt_key' },
+    knownChanges.map(({ key, content, previous }) => ({
+      key,
+      content: toContent(content),
+      previous: toContent(previous),
+    })),
+    {
+      version: { editor_id: editorId, restored_from: restoredFrom },
+      baseline: () => ({ editor_id: null }),
+    }
+  );
+}
+
+/**
+ * Save prompts of a company and record their versions
+ * The prompts and their versions are written in one transaction, so the history always
+ * matches the saved prompts.
+ *
+ * @param {number} companyId
+ * @param {Object<string, string|null>} prompts - Prompt per key; empty or null reverts to the default
+ * @param {object} options
+ * @param {number|null} options.editorId - users.id of the editor
+ * @param {number|null} [options.restoredFrom] - prompt_versions.id of a rollback
+ * @returns {Promise<void>}
+ */
+export async function savePrompts(companyId, prompts, { editorId, restoredFrom = null }) {
+  const keys = Object.keys(prompts).filter(key => PROMPT_COLUMNS[key]);
+  if (keys.length === 0) return;
+
+  const columns = keys.map(key => PROMPT_COLUMNS[key]);
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT ${columns.join(', ')} FROM companies WHERE id = ? FOR UPDATE`,
+      [companyId]
+    );
+    const previous = rows[0] || {};
+
+    await connection.query(
+      `UPDATE companies SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...keys.map(key => toContent(prompts[key])), companyId]
+    );
+
+    await recordPromptVersions(connection, companyId, keys.map(key => ({
+      key,
+      content: prompts[key],
+      previous: previous[PROMPT_COLUMNS[key]],
+    })), { editorId, restoredFrom });
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    logger.error('Failed to save prompts', { companyId, error: error.message });
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * List versions of a company's prompts, newest first
+ * @param {number} companyId
+ * @param {string[]} keys - Prompts to include
+ * @returns {Promise<Array>}
+ */
+export async function listPromptVersions(companyId, keys) {
+  if (keys.length === 0) return [];
+
+  const [rows] = await pool.query(
+    `SELECT
+      pv.id,
+      pv.prompt_key as promptKey,
+      pv.content,
+      pv.editor_id as editorId,
+      u.name as editorName,
+      pv.restored_from as restoredFrom,
+      DATE_FORMAT(CONVERT_TZ(pv.created_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as createdAt
+    FROM prompt_versions pv
+    LEFT JOIN users u ON pv.editor_id = u.id
+    WHERE pv.company_id = ? AND pv.prompt_key IN (?)
+    ORDER BY pv.id DESC`,
+    [companyId, keys]
+  );
+  return rows;
+}
+
+/**
+ * Get a single version of a company's prompt
+ * @param {number} companyId
+ * @param {number} versionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getPromptVersion(companyId, versionId) {
+  const [rows] = await pool.query(
+    `SELECT id, prompt_key as promptKey, content
+    FROM prompt_versions
+    WHERE id = ? AND company_id = ?`,
+    [versionId, companyId]
+  );
+  return rows[0] || null;
+}
+
+export default {
+  PROMPT_COLUMNS,
+  recordPromptVersions,
+  savePrompts,
+  listPromptVersions,
+  getPromptVersion,
+};
@@ -0,0 +1,278 @@
+/**
+ * Regeneration Service
+ *
+ * Regenerates the AI outputs of a record or follow from its stored transcript, without the
+ * audio. A regeneration is a processing job (record_id = target, regenerate_fields = fields to
+ * overwrite) that runs through the queue and the job_steps tracking like an upload; the audio
+ * steps are skipped. Overwritten outputs stay in the revision history.
+ */
+
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import cache from '../utils/cache.js';
+import { updateJobStatus } from './asyncProcessingService.js';
+import { ERROR_CODES } from '../config/axiosConfig.js';
+import { executeMainWorkflow, parseOutputs } from './audioProcessing/difyWorkflow.js';
+import { executeFollowSummaryWorkflow } from './followProcessing/difyWorkflow.js';
+import { getFollowPrompt } from './followProcessing/orchestrator.js';
+import { getGenerationProvider } from './generation/index.js';
+import { resolveGenerationPrompts } from './generation/prompts.js';
+import { recordRevisions } from './revisionService.js';
+import {
+  initializeSteps,
+  startStep,
+  completeStep,
+  failStep,
+  skipStep,
+  cancelSteps,
+} from './jobStepService.js';
+import {
+  acquireJobLock,
+  startHeartbeatInterval,
+  stopHeartbeatInterval,
+  updateHeartbeat,
+  endJob as endJobHeartbeat,
+} from './jobHeartbeat.js';
+import { throwIfCancelled, isJobCancelled } from './jobCancellation.js';
+
+// Fields a regeneration can overwrite, per job type (same names as the revision history)
+export const REGENERATE_FIELDS = {
+  record: ['skill_sheet', 'lor', 'salesforce', 'skills', 'hope'],
+  follow: ['summary'],
+};
+
+const TARGET_TABLES = {
+  record: 'records',
+  follow: 'follows',
+};
+
+/**
+ * Validate the fields of a regeneration request
+ *
+ * @param {'record'|'follow'} jobType
+ * @param {*} fields - Requested fields; every field of the job type when undefined
+ * @returns {string[]|null} Fields in REGENERATE_FIELDS order, or null when invalid
+ */
+export function resolveRegenerateFields(jobType, fields) {
+  const allowed = REGENERATE_FIELDS[jobType];
+  if (fields === undefined) {
+    return [...allowed];
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => !allowed.includes(field))) {
+    return null;
+  }
+  return allowed.filter(field => fields.includes(field));
+}
+
+/**
+ * Create a regeneration job for a record or follow
+ *
+ * @param {'record'|'follow'} jobType
+ * @param {object} target - records / follows row
+ * @param {number} userId - User who asked for the regeneration
+ * @param {string[]} fields - Fields to overwrite (validated against REGENERATE_FIELDS)
+ * @returns {Promise<number>} Job ID
+ */
+export async function createRegenerateJob(jobType, target, userId, fields) {
+  const [result] = await pool.query(
+    `INSERT INTO processing_jobs
+     (file_id, user_id, company_id, staff_id, local_file_path, job_type, record_id, regenerate_fields, status, current_step)
+     VALUES (?, ?, ?, ?, NULL, ?, ?, ?, 'pending', '再生成ジョブ作成完了')`,
+    [target.file_id, userId, target.company_id, target.staff_id, jobType, target.id, JSON.stringify(fields)]
+  );
+
+  logger.info('Regeneration job created', { jobId: result.insertId, jobType, targetId: target.id, fields });
+  return result.insertId;
+}
+
+/**
+ * Find a pending or running regeneration of a record or follow
+ *
+ * @param {'record'|'follow'} jobType
+ * @param {number} targetId - records.id / follows.id
+ * @returns {Promise<number|null>} Job ID
+ */
+export async function findActiveRegenerateJob(jobType, targetId) {
+  const [rows] = await pool.query(
+    `SELECT id FROM processing_jobs
+     WHERE job_type = ? AND record_id = ? AND regenerate_fields IS NOT NULL
+       AND status IN ('pending', 'processing')
+     ORDER BY id DESC LIMIT 1`,
+    [jobType, targetId]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+/**
+ * Generate the outputs of a job type from a transcript, keyed by field name
+ *
+ * @param {number} jobId
+ * @param {'record'|'follow'} jobType
+ * @param {object} target - records / follows row
+ * @param {object} provider - Generation provider
+ * @returns {Promise<Object<string, string>>}
+ */
+async function generateOutputs(jobId, jobType, target, provider) {
+  if (jobType === 'follow') {
+    const prompt = await getFollowPrompt(target.company_id);
+    const { summary } = await executeFollowSummaryWorkflow(jobId, target.stt, prompt, provider);
+    return { summary };
+  }
+
+  const prompts = await resolveGenerationPrompts(target.company_id);
+  const outputs = parseOutputs(jobId, await executeMainWorkflow(jobId, target.stt, provider, prompts));
+  return {
+    skill_sheet: outputs.skillsheet,
+    lor: outputs.lor,
+    salesforce: JSON.stringify(outputs.workContent || []),
+    skills: outputs.skills,
+    hope: outputs.hope,
+  };
+}
+
+/**
+ * Process a regeneration job
+ *
+ * @param {number} jobId - Job ID
+ * @returns {Promise<{success: boolean, cancelled?: boolean, recordId?: number, error?: string}>}
+ */
+export async function processRegenerateJob(jobId) {
+  logger.info('Starting regeneration job', { jobId });
+
+  const [jobs] = await pool.query(
+    'SELECT job_type, record_id, company_id, regenerate_fields FROM processing_jobs WHERE id = ?',
+    [jobId]
+  );
+  if (jobs.length === 0 || !jobs[0].regenerate_fields) {
+    throw new Error(`Regeneration job ${jobId} not found`);
+  }
+
+  const job = jobs[0];
+  const jobType = job.job_type;
+  const table = TARGET_TABLES[jobType];
+  const fields = typeof job.regenerate_fields === 'string'
+    ? JSON.parse(job.regenerate_fields)
+    : job.regenerate_fields;
+
+  const lockResult = await acquireJobLock(jobId);
+  if (!lockResult.acquired) {
+    logger.warn('Regeneration: Failed to acquire job lock', { jobId, reason: lockResult.reason });
+    return {
+      success: false,
+      cancelled: lockResult.reason === 'cancelled',
+      error: `Failed to acquire job lock: ${lockResult.reason}`,
+    };
+  }
+
+  await initializeSteps(jobId);
+  startHeartbeatInterval(jobId);
+
+  let currentStepName = null;
+
+  try {
+    for (const stepName of ['convert', 'split', 'stt']) {
+      await skipStep(jobId, stepName, 'Regenerating from stored transcript');
+    }
+
+    // ========================================
+    // Generation workflow
+    // ========================================
+    currentStepName = 'dify_workflow';
+    await throwIfCancelled(jobId);
+    await updateJobStatus(jobId, 'processing', 20, '文字起こしから再生成中...');
+    await startStep(jobId, currentStepName);
+
+    const [targets] = await pool.query(
+      `SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL`,
+      [job.record_id]
+    );
+    if (targets.length === 0) {
+      throw new Error(`${jobType} ${job.record_id} not found`);
+    }
+    const target = targets[0];
+    if (!target.stt || !target.stt.trim()) {
+      throw new Error(`${jobType} ${target.id} has no stored transcript`);
+    }
+
+    const provider = getGenerationProvider();
+    const outputs = await generateOutputs(jobId, jobType, target, provider);
+
+    await completeStep(jobId, currentStepName, {
+      provider: provider.name,
+      regenerated: true,
+      fields,
+    });
+    await updateHeartbeat(jobId);
+
+    // ========================================
+    // Overwrite the selected fields
+    // ========================================
+    currentStepName = 'persist';
+    await updateJobStatus(jobId, 'processing', 90, 'データを保存しています...');
+    await startStep(jobId, currentStepName);
+    // Checked after the step has started: from here on cancelJob refuses the cancellation
+    await throwIfCancelled(jobId);
+
+    await pool.query(
+      `UPDATE ${table} SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...fields.map(field => outputs[field]), target.id]
+    );
+
+    // The previous values become the baseline of fields without history, so nothing is lost
+    const revisionCount = await recordRevisions(jobType, target.id, fields.map(field => ({
+      field,
+      content: outputs[field],
+      previous: target[field],
+    })), { source: 'ai' });
+
+    if (target.company_id) {
+      cache.invalidatePattern(`${table}:company:${target.company_id}:*`);
+      cache.invalidatePattern(`${table}:detail:${target.id}:*`);
+    }
+
+    await completeStep(jobId, currentStepName, {
+      recordId: target.id,
+      fields,
+      revisions: revisionCount,
+    });
+    await skipStep(jobId, 'cleanup', 'No audio files');
+
+    stopHeartbeatInterval(jobId);
+    await endJobHeartbeat(jobId, 'completed', 'none');
+    await updateJobStatus(jobId, 'completed', 100, '再生成完了');
+
+    logger.info('Regeneration job completed', { jobId, jobType, recordId: target.id, fields });
+    return { success: true, recordId: target.id };
+
+  } catch (error) {
+    if (error.code === ERROR_CODES.JOB_CANCELLED || await isJobCancelled(jobId)) {
+      logger.info('Regeneration job cancelled', { jobId, step: currentStepName });
+      await cancelSteps(jobId);
+      stopHeartbeatInterval(jobId);
+      return { success: false, cancelled: true, error: error.message, cancelledStep: currentStepName };
+    }
+
+    logger.error('Regeneration job failed', { jobId, step: currentStepName, error: error.message });
+
+    if (currentStepName) {
+      await failStep(jobId, currentStepName, error);
+    }
+
+    stopHeartbeatInterval(jobId);
+    await endJobHeartbeat(jobId, 'failed', error.message);
+    await updateJobStatus(jobId, 'failed', null, `失敗: ${currentStepName}`, error.message);
+
+    return { success: false, error: error.message, failedStep: currentStepName };
+
+  } finally {
+    stopHeartbeatInterval(jobId);
+  }
+}
+
+export default {
+  REGENERATE_FIELDS,
+  resolveRegenerateFields,
+  createRegenerateJob,
+  findActiveRegenerateJob,
+  processRegenerateJob,
+};
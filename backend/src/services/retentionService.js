@@ -0,0 +1,129 @@
+/**
+ * Retention Service
+ *
+ * Per-company retention policies used by the auto-delete jobs.
+ * Each company can set separate periods for records, follows and raw audio:
+ *   - NULL: use the system default (environment variables below)
+ *   - 0: never delete
+ *   - N > 0: delete after N months (records, follows) / N days (raw audio)
+ *
+ * System defaults:
+ *   - AUTO_DELETE_RETENTION_MONTHS: records and follows (default: 2)
+ *   - AUTO_DELETE_AUDIO_RETENTION_DAYS: raw audio files of records (default: 0 = kept until the record is deleted)
+ */
+
+import { pool } from '../config/database.js';
+
+// Upper bounds keep DATE_SUB intervals sane (10 years)
+export const RETENTION_LIMITS = {
+  recordsMonths: 120,
+  followsMonths: 120,
+  audioDays: 3650,
+};
+
+// API field -> companies column
+const RETENTION_COLUMNS = {
+  recordsMonths: 'records_retention_months',
+  followsMonths: 'follows_retention_months',
+  audioDays: 'audio_retention_days',
+};
+
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * System default retention (used when a company has no value of its own)
+ * @returns {{ recordsMonths: number, followsMonths: number, audioDays: number }}
+ */
+export function getDefaultRetention() {
+  const months = parseNonNegativeInt(process.env.AUTO_DELETE_RETENTION_MONTHS || '2', 2);
+  return {
+    recordsMonths: months,
+    followsMonths: months,
+    audioDays: parseNonNegativeInt(process.env.AUTO_DELETE_AUDIO_RETENTION_DAYS || '0', 0),
+  };
+}
+
+/**
+ * Get a company's retention settings together with the effective values
+ * @param {number} companyId - companies.id
+ * @returns {Promise<Object|null>} null when the company does not exist
+ */
+export async function getCompanyRetention(companyId) {
+  const [rows] = await pool.query(
+    `SELECT id, name, ${Object.values(RETENTION_COLUMNS).join(', ')} FROM companies WHERE id = ?`,
+    [companyId]
+  );
+  if (rows.length === 0) return null;
+
+  const defaults = getDefaultRetention();
+  const settings = {};
+  const effective = {};
+  for (const [field, column] of Object.entries(RETENTION_COLUMNS)) {
+    settings[field] = rows[0][column];
+    effective[field] = rows[0][column] ?? defaults[field];
+  }
+
+  return { companyId: rows[0].id, companyName: rows[0].name, settings, effective, defaults };
+}
+
+/**
+ * Validate a retention update payload
+ * Each field may be null (system default), 0 (never delete) or a positive integer within RETENTION_LIMITS.
+ * Fields that are not present are left unchanged.
+ * @param {Object} body - { recordsMonths?, followsMonths?, audioDays? }
+ * @returns {{ values?: Object, error?: string }}
+ */
+export function validateRetentionInput(body) {
+  const values = {};
+  for (const field of Object.keys(RETENTION_COLUMNS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      values[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0 || value > RETENTION_LIMITS[field]) {
+      return { error: `${field} must be null or an integer between 0 and ${RETENTION_LIMITS[field]}` };
+    }
+    values[field] = value;
+  }
+  if (Object.keys(values).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { values };
+}
+
+/**
+ * Update a company's retention settings
+ * @param {number} companyId - companies.id
+ * @param {Object} values - Validated values from validateRetentionInput
+ */
+export async function updateCompanyRetention(companyId, values) {
+  const fields = Object.keys(values);
+  await pool.query(
+    `UPDATE companies SET ${fields.map(field => `${RETENTION_COLUMNS[field]} = ?`).join(', ')} WHERE id = ?`,
+    [...fields.map(field => values[field]), companyId]
+  );
+}
+
+/**
+ * SQL expression for a company's effective retention value (joined companies alias `c`)
+ * The system default is inlined (always a non-negative integer); rows without a company use it.
+ * @param {'recordsMonths'|'followsMonths'|'audioDays'} field
+ * @returns {string}
+ */
+export function effectiveRetentionSql(field) {
+  return `COALESCE(c.${RETENTION_COLUMNS[field]}, ${Number(getDefaultRetention()[field])})`;
+}
+
+export default {
+  RETENTION_LIMITS,
+  getDefaultRetention,
+  getCompanyRetention,
+  validateRetentionInput,
+  updateCompanyRetention,
+  effectiveRetentionSql,
+};
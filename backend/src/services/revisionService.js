@@ -0,0 +1,159 @@
+/**
+ * Revision Service
+ *
+ * Keeps the version history of editable AI outputs and user edits
+ * (skill sheet, LoR, Salesforce items, hope, memo on records; summary on follows).
+ * Every write to one of these columns should go through recordRevisions so that
+ * the original AI output can always be diffed against and restored.
+ */
+
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { appendVersions } from './versionHistory.js';
+
+// Versioned fields per entity type (API field name -> column name)
+export const REVISION_FIELDS = {
+  record: {
+    skill_sheet: 'skill_sheet',
+    skills: 'skills',
+    lor: 'lor',
+    salesforce: 'salesforce',
+    hope: 'hope',
+    memo: 'memo',
+  },
+  follow: {
+    summary: 'summary',
+  },
+};
+
+// Fields whose first value comes from the AI workflow (memo is always user-entered)
+const AI_GENERATED_FIELDS = new Set(['skill_sheet', 'skills', 'lor', 'salesforce', 'hope', 'summary']);
+
+const ENTITY_TABLES = {
+  record: { table: 'records', foreignKey: 'record_id' },
+  follow: { table: 'follows', foreignKey: 'follow_id' },
+};
+
+const toContent = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Resolve table/foreign key info for an entity type
+ * @param {'record'|'follow'} entityType
+ * @returns {{ table: string, foreignKey: string }}
+ */
+export function getEntityTable(entityType) {
+  const entity = ENTITY_TABLES[entityType];
+  if (!entity) {
+    throw new Error(`Unknown revision entity type: ${entityType}`);
+  }
+  return entity;
+}
+
+/**
+ * Store new revisions for changed fields (see appendVersions)
+ * Failures are logged and swallowed so that history never blocks the edit itself.
+ *
+ * @param {'record'|'follow'} entityType
+ * @param {number} entityId - records.id / follows.id
+ * @param {Array<{field: string, content: *, previous?: *}>} changes - New values (and previous column values when known)
+ * @param {object} options
+ * @param {'ai'|'user'} options.source - Who produced the new values
+ * @param {number|null} options.editorId - users.id of the editor (null for AI output)
+ * @returns {Promise<number>} Number of revisions written
+ */
+export async function recordRevisions(entityType, entityId, changes, { source, editorId = null }) {
+  try {
+    const { foreignKey } = getEntityTable(entityType);
+
+    const knownChanges = changes.filter(({ field }) => {
+      if (!REVISION_FIELDS[entityType][field]) {
+        logger.warn('Skipping revision for unknown field', { entityType, field });
+        return false;
+      }
+      return true;
+    });
+
+    return await appendVersions(
+      pool,
+      { table: 'revisions', ownerColumn: foreignKey, ownerId: entityId, keyColumn: 'field' },
+      knownChanges.map(({ field, content, previous }) => ({
+        key: field,
+        content: toContent(content),
+        previous: toContent(previous),
+      })),
+      {
+        version: { source, editor_id: editorId },
+        baseline: (field) => ({ source: AI_GENERATED_FIELDS.has(field) ? 'ai' : 'user', editor_id: null }),
+      }
+    );
+  } catch (error) {
+    logger.error('Failed to record revisions', { entityType, entityId, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * List revisions (without content) for an entity, newest first
+ * @param {'record'|'follow'} entityType
+ * @param {number} entityId
+ * @param {string[]} fields - Fields to include
+ * @returns {Promise<Array>}
+ */
+export async function listRevisions(entityType, entityId, fields) {
+  const { foreignKey } = getEntityTable(entityType);
+  if (fields.length === 0) return [];
+
+  const [rows] = await pool.query(
+    `SELECT
+      rv.id,
+      rv.field,
+      rv.source,
+      rv.editor_id as editorId,
+      u.name as editorName,
+      CHAR_LENGTH(rv.content) as length,
+      DATE_FORMAT(CONVERT_TZ(rv.created_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as createdAt
+    FROM revisions rv
+    LEFT JOIN users u ON rv.editor_id = u.id
+    WHERE rv.${foreignKey} = ? AND rv.field IN (?)
+    ORDER BY rv.id DESC`,
+    [entityId, fields]
+  );
+  return rows;
+}
+
+/**
+ * Get a single revision with content
+ * @param {'record'|'follow'} entityType
+ * @param {number} entityId
+ * @param {number} revisionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getRevision(entityType, entityId, revisionId) {
+  const { foreignKey } = getEntityTable(entityType);
+  const [rows] = await pool.query(
+    `SELECT
+      rv.id,
+      rv.field,
+      rv.content,
+      rv.source,
+      rv.editor_id as editorId,
+      u.name as editorName,
+      DATE_FORMAT(CONVERT_TZ(rv.created_at, '+00:00', '+09:00'), '%Y-%m-%d %H:%i:%s') as createdAt
+    FROM revisions rv
+    LEFT JOIN users u ON rv.editor_id = u.id
+    WHERE rv.id = ? AND rv.${foreignKey} = ?`,
+    [revisionId, entityId]
+  );
+  return rows[0] || null;
+}
+
+export default {
+  REVISION_FIELDS,
+  getEntityTable,
+  recordRevisions,
+  listRevisions,
+  getRevision,
+};
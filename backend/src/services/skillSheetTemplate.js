@@ -0,0 +1,210 @@
+/**
+ * Skill Sheet Template Service
+ *
+ * Per-company layout of the skill sheet (Personal Data Sheet) documents.
+ * A template controls the title, a header line printed on every page, the footer note,
+ * where the company logo goes, and the order, labels and visibility of the sections.
+ * Stored as JSON in companies.skill_sheet_template; NULL means DEFAULT_SKILL_SHEET_TEMPLATE,
+ * which reproduces the original fixed layout.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pool } from '../config/database.js';
+
+const __dirname_sst = path.dirname(fileURLToPath(import.meta.url));
+// Same directory that index.js serves as /uploads
+const BACKEND_ROOT = path.join(__dirname_sst, '../..');
+
+export const SKILL_SHEET_SECTIONS = ['profile', 'career', 'languages', 'qualifications', 'skills'];
+export const LOGO_POSITIONS = ['none', 'left', 'center', 'right'];
+
+// Sections taken from records.skills; they start on a new page under skillsHeading
+export const SKILLS_SECTIONS = ['languages', 'qualifications', 'skills'];
+
+// Longest accepted text per field (labels are single lines, header/footer may wrap)
+const TEXT_LIMITS = {
+  title: 100,
+  headerText: 200,
+  footerText: 200,
+  nameLabel: 50,
+  skillsHeading: 100,
+  sectionLabel: 50,
+};
+
+export const DEFAULT_SKILL_SHEET_TEMPLATE = {
+  title: 'Personal Data Sheet',
+  headerText: '',
+  footerText: '株式会社レゾナゲート',
+  logoPosition: 'none',
+  nameLabel: '■氏名：',
+  skillsHeading: '＋＋語学力・資格・スキル＋＋',
+  sections: [
+    { key: 'profile', label: '＋＋プロフィール＋＋', visible: true },
+    { key: 'career', label: '■経歴詳細', visible: true },
+    { key: 'languages', label: '■語学力', visible: true },
+    { key: 'qualifications', label: '■資格', visible: true },
+    { key: 'skills', label: '■スキル', visible: true },
+  ],
+};
+
+const defaultSection = (key) => DEFAULT_SKILL_SHEET_TEMPLATE.sections.find(section => section.key === key);
+
+/**
+ * Fill a stored template up to a complete one
+ * Missing fields take the default; sections keep their stored order and any
+ * section missing from it is appended with its default label.
+ * @param {Object|null} stored - Parsed companies.skill_sheet_template
+ * @returns {Object}
+ */
+export function normalizeTemplate(stored) {
+  const template = { ...DEFAULT_SKILL_SHEET_TEMPLATE, ...(stored || {}) };
+  const storedSections = Array.isArray(stored?.sections) ? stored.sections : [];
+  const sections = storedSections
+    .filter(section => SKILL_SHEET_SECTIONS.includes(section?.key))
+    .map(section => ({ ...defaultSection(section.key), ...section }));
+  for (const key of SKILL_SHEET_SECTIONS) {
+    if (!sections.some(section => section.key === key)) sections.push({ ...defaultSection(key) });
+  }
+  template.sections = sections;
+  return template;
+}
+
+const checkText = (value, field, limit) => {
+  if (typeof value !== 'string') return `${field} must be a string`;
+  if (value.length > limit) return `${field} must be at most ${limit} characters`;
+  return null;
+};
+
+/**
+ * Validate a template payload
+ * Every field is optional (missing fields take the default). sections, when present,
+ * must list each of SKILL_SHEET_SECTIONS exactly once, in the order they are printed.
+ * @param {Object} body - { title?, headerText?, footerText?, logoPosition?, nameLabel?, skillsHeading?, sections? }
+ * @returns {{ template?: Object, error?: string }}
+ */
+export function validateTemplateInput(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'template must be an object' };
+  }
+
+  const template = {};
+  for (const field of ['title', 'headerText', 'footerText', 'nameLabel', 'skillsHeading']) {
+    if (body[field] === undefined) continue;
+    const error = checkText(body[field], field, TEXT_LIMITS[field]);
+    if (error) return { error };
+    template[field] = body[field];
+  }
+
+  if (body.logoPosition !== undefined) {
+    if (!LOGO_POSITIONS.includes(body.logoPosition)) {
+      return { error: `logoPosition must be one of: ${LOGO_POSITIONS.join(', ')}` };
+    }
+    template.logoPosition = body.logoPosition;
+  }
+
+  if (body.sections !== undefined) {
+    if (!Array.isArray(body.sections)) {
+      return { error: 'sections must be an array' };
+    }
+    const keys = body.sections.map(section => section?.key);
+    if (keys.length !== SKILL_SHEET_SECTIONS.length || SKILL_SHEET_SECTIONS.some(key => !keys.includes(key))) {
+      return { error: `sections must list each of: ${SKILL_SHEET_SECTIONS.join(', ')}` };
+    }
+    const sections = [];
+    for (const section of body.sections) {
+      const label = section.label ?? defaultSection(section.key).label;
+      const error = checkText(label, `sections.${section.key}.label`, TEXT_LIMITS.sectionLabel);
+      if (error) return { error };
+      if (section.visible !== undefined && typeof section.visible !== 'boolean') {
+        return { error: `sections.${section.key}.visible must be a boolean` };
+      }
+      sections.push({ key: section.key, label, visible: section.visible ?? true });
+    }
+    template.sections = sections;
+  }
+
+  return { template };
+}
+
+/**
+ * Absolute path of a company logo that the PDF renderer can embed (PNG or JPEG only)
+ * @param {string|null} logo - companies.logo (/uploads/logos/...)
+ * @returns {string|null} null when there is no usable logo file
+ */
+export function resolveLogoPath(logo) {
+  if (!logo || !/\.(png|jpe?g)$/i.test(logo)) return null;
+  const logoPath = path.join(BACKEND_ROOT, logo);
+  if (!logoPath.startsWith(path.join(BACKEND_ROOT, 'uploads'))) return null;
+  return fs.existsSync(logoPath) ? logoPath : null;
+}
+
+/**
+ * Get a company's skill sheet template (always complete) and its logo
+ * @param {number} companyId - companies.id
+ * @returns {Promise<Object|null>} null when the company does not exist
+ */
+export async function getCompanyTemplate(companyId) {
+  const [rows] = await pool.query(
+    'SELECT id, name, logo, skill_sheet_template FROM companies WHERE id = ?',
+    [companyId]
+  );
+  if (rows.length === 0) return null;
+
+  let stored = null;
+  if (rows[0].skill_sheet_template) {
+    try {
+      stored = JSON.parse(rows[0].skill_sheet_template);
+    } catch (e) {
+      stored = null;
+    }
+  }
+
+  return {
+    companyId: rows[0].id,
+    companyName: rows[0].name,
+    logo: rows[0].logo,
+    logoPath: resolveLogoPath(rows[0].logo),
+    isDefault: stored === null,
+    template: normalizeTemplate(stored),
+  };
+}
+
+/**
+ * Template and logo for rendering a record's skill sheet
+ * Records without a company (or with a deleted one) use the default template.
+ * @param {number|null} companyId - records.company_id
+ * @returns {Promise<{ template: Object, logoPath: string|null }>}
+ */
+export async function getRenderTemplate(companyId) {
+  const company = companyId ? await getCompanyTemplate(companyId) : null;
+  return company
+    ? { template: company.template, logoPath: company.logoPath }
+    : { template: normalizeTemplate(null), logoPath: null };
+}
+
+/**
+ * Save a company's template
+ * @param {number} companyId - companies.id
+ * @param {Object|null} template - Validated template from validateTemplateInput (null = back to the default)
+ */
+export async function updateCompanyTemplate(companyId, template) {
+  await pool.query(
+    'UPDATE companies SET skill_sheet_template = ? WHERE id = ?',
+    [template ? JSON.stringify(normalizeTemplate(template)) : null, companyId]
+  );
+}
+
+export default {
+  SKILL_SHEET_SECTIONS,
+  SKILLS_SECTIONS,
+  LOGO_POSITIONS,
+  DEFAULT_SKILL_SHEET_TEMPLATE,
+  normalizeTemplate,
+  validateTemplateInput,
+  resolveLogoPath,
+  getCompanyTemplate,
+  getRenderTemplate,
+  updateCompanyTemplate,
+};
@@ -0,0 +1,80 @@
+/**
+ * Staff Service
+ *
+ * Manages the per-company staff table that ties records (registration interviews)
+ * and follows (follow-ups) for the same person together.
+ * records.staff_id / follows.staff_id stay as the human-facing ID; staff_ref_id links to staff.id.
+ */
+
+import { pool } from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find or create the staff row for (companyId, staffId)
+ * An existing empty name is filled in, but a non-empty name is never overwritten here.
+ *
+ * @param {number} companyId - Company ID
+ * @param {string} staffId - Human-facing staff ID
+ * @param {string} staffName - Staff name (optional)
+ * @param {object} conn - Connection or pool to run the query on (default: pool)
+ * @returns {Promise<number|null>} staff.id, or null when companyId/staffId is missing
+ */
+export async function resolveStaff(companyId, staffId, staffName = '', conn = pool) {
+  const normalizedStaffId = typeof staffId === 'string' ? staffId.trim() : String(staffId ?? '').trim();
+  if (!companyId || !normalizedStaffId) {
+    return null;
+  }
+
+  const [result] = await conn.query(
+    `INSERT INTO staff (company_id, staff_id, name)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       name = IF(name = '', VALUES(name), name),
+       id = LAST_INSERT_ID(id)`,
+    [companyId, normalizedStaffId, staffName || '']
+  );
+
+  return result.insertId;
+}
+
+/**
+ * Update the staff name (latest edit wins)
+ *
+ * @param {number} staffRefId - staff.id
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+export async function updateStaffName(staffRefId, name) {
+  if (!staffRefId) return;
+  await pool.query('UPDATE staff SET name = ? WHERE id = ?', [name || '', staffRefId]);
+}
+
+/**
+ * Remember the Salesforce Account Id found for a staff member
+ * Failures are logged and swallowed so Salesforce syncs are never blocked by it.
+ *
+ * @param {number} companyId - Company ID
+ * @param {string} staffId - Human-facing staff ID (StaffID__c)
+ * @param {string} accountId - Salesforce Account Id
+ * @returns {Promise<void>}
+ */
+export async function saveSalesforceAccountId(companyId, staffId, accountId) {
+  try {
+    const staffRefId = await resolveStaff(companyId, staffId);
+    if (!staffRefId || !accountId) return;
+
+    await pool.query(
+      'UPDATE staff SET salesforce_account_id = ? WHERE id = ?',
+      [accountId, staffRefId]
+    );
+    logger.debug('Staff Salesforce Account Id saved', { companyId, staffId, accountId });
+  } catch (error) {
+    logger.warn('Failed to save staff Salesforce Account Id', { companyId, staffId, error: error.message });
+  }
+}
+
+export default {
+  resolveStaff,
+  updateStaffName,
+  saveSalesforceAccountId,
+};
@@ -0,0 +1,200 @@
+/**
+ * Dify STT Provider
+ *
+ * Transcribes a chunk with the Dify STT workflow: the audio is uploaded as a workflow file and
+ * the workflow returns the text as outputs.stt. Dify returns no timing, so segments are left
+ * to buildSegments (proportional within the chunk).
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+import {
+  API_CONFIG,
+  isRetryableStatus,
+  categorizeError,
+  calculateBackoff,
+  sleep,
+} from '../../config/axiosConfig.js';
+
+// Configuration
+const CONFIG = {
+  maxConcurrency: parseInt(process.env.CHUNK_CONCURRENCY || '10'),
+  maxRetries: API_CONFIG.dify.maxRetries,
+  difyTimeout: API_CONFIG.dify.workflowTimeout,
+  uploadTimeout: API_CONFIG.dify.uploadTimeout,
+};
+
+/**
+ * Upload audio file to Dify with retry logic
+ * 
+ * @param {number} jobId - Job ID for logging
+ * @param {string} filePath - Path to the file to upload
+ * @returns {Promise<string>} - Dify file ID
+ * @throws {Error} - With standardized error code
+ */
+export async function uploadFileToDify(jobId, filePath) {
+  let lastError = null;
+  
+  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
+    try {
+      const form = new FormData();
+      form.append('file', fs.createReadStream(filePath), {
+        filename: path.basename(filePath),
+        contentType: 'audio/mpeg',
+      });
+      form.append('type', 'audio');
+      form.append('purpose', 'workflow_input');
+      form.append('user', 'voldin012');
+
+      const response = await axios.post(`${API_CONFIG.dify.baseUrl}/files/upload`, form, {
+        headers: {
+          Authorization: `Bearer ${process.env.DIFY_SECRET_KEY}`,
+          ...form.getHeaders()
+        },
+        timeout: CONFIG.uploadTimeout
+      });
+
+      logger.debug('File uploaded to Dify', { jobId, fileId: response.data.id });
+      return response.data.id;
+    } catch (error) {
+      lastError = error;
+      const errorCode = categorizeError(error, 'upload');
+      const httpStatus = error.response?.status;
+      
+      logger.warn(`Dify upload attempt ${attempt}/${CONFIG.maxRetries} failed`, {
+        jobId,
+        filePath,
+        errorCode,
+        httpStatus,
+        message: error.message
+      });
+      
+      // Check if we should retry
+      const shouldRetry = attempt < CONFIG.maxRetries && 
+        (isRetryableStatus(httpStatus) || !error.response);
+      
+      if (shouldRetry) {
+        const delay = calculateBackoff(attempt);
+        logger.debug(`Retrying upload in ${delay}ms`, { jobId, filePath, attempt });
+        await sleep(delay);
+      }
+    }
+  }
+  
+  // All retries exhausted
+  const errorCode = categorizeError(lastError, 'upload');
+  const errorMessage = `${errorCode}: ${lastError.message}`;
+  logger.error('Dify upload failed after all retries', { jobId, filePath, errorCode });
+  
+  const error = new Error(errorMessage);
+  error.code = errorCode;
+  error.httpStatus = lastError.response?.status;
+  throw error;
+}
+
+/**
+ * Process chunk with Dify STT workflow
+ * 
+ * @param {number} jobId - Job ID for logging
+ * @param {string} chunkPath - Path to the audio chunk
+ * @returns {Promise<string>} - STT result text
+ * @throws {Error} - With standardized error code
+ */
+export async function processChunkWithDify(jobId, chunkPath) {
+  // Upload file to Dify (has its own retry logic)
+  const fileId = await uploadFileToDify(jobId, chunkPath);
+  
+  // Call STT workflow with retry
+  let lastError = null;
+  
+  for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.dify.baseUrl}/workflows/run`,
+        {
+          inputs: {
+            "audioFile": {
+              "transfer_method": "local_file",
+              "upload_file_id": fileId,
+              "type": "audio"
+            }
+          },
+          user: 'voldin012'
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.DIFY_SECRET_KEY_STT}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: CONFIG.difyTimeout
+        }
+      );
+      
+      const outputs = response.data?.data?.outputs;
+      if (!outputs || typeof outputs !== 'object') {
+        // Keep the response so a malformed answer counts as a workflow failure, not a network error
+        const error = new Error('Workflow response has no outputs');
+        error.response = response;
+        throw error;
+      }
+
+      const sttResult = outputs.stt;
+      logger.debug('STT processing completed', { jobId, chunkPath, resultLength: sttResult?.length });
+      return sttResult;
+    } catch (error) {
+      lastError = error;
+      const errorCode = categorizeError(error, 'workflow');
+      const httpStatus = error.response?.status;
+      
+      logger.warn(`Dify STT workflow attempt ${attempt}/${CONFIG.maxRetries} failed`, {
+        jobId,
+        chunkPath,
+        errorCode,
+        httpStatus,
+        message: error.message
+      });
+      
+      // Check if we should retry
+      const shouldRetry = attempt < CONFIG.maxRetries && 
+        (isRetryableStatus(httpStatus) || !error.response);
+      
+      if (shouldRetry) {
+        const delay = calculateBackoff(attempt);
+        logger.debug(`Retrying STT workflow in ${delay}ms`, { jobId, chunkPath, attempt });
+        await sleep(delay);
+      }
+    }
+  }
+  
+  // All retries exhausted
+  const errorCode = categorizeError(lastError, 'workflow');
+  const errorMessage = `${errorCode}: ${lastError.message}`;
+  logger.error('Dify STT workflow failed after all retries', { jobId, chunkPath, errorCode });
+  
+  const error = new Error(errorMessage);
+  error.code = errorCode;
+  error.httpStatus = lastError.response?.status;
+  throw error;
+}
+
+/**
+ * @param {number} jobId - Job ID for logging
+ * @param {string} chunkPath - Path to the audio chunk
+ * @returns {Promise<{text: string, segments: null}>}
+ */
+async function transcribe(jobId, chunkPath) {
+  const text = await processChunkWithDify(jobId, chunkPath);
+  // A workflow answering without a string stt counts as an empty chunk
+  return { text: typeof text === 'string' ? text : '', segments: null };
+}
+
+export const difyProvider = {
+  name: 'dify',
+  maxConcurrency: CONFIG.maxConcurrency,
+  transcribe,
+};
+
+export default difyProvider;
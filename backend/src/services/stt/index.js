@@ -0,0 +1,58 @@
+/**
+ * STT Providers
+ *
+ * A provider transcribes one audio chunk:
+ *   { name, maxConcurrency, transcribe(jobId, chunkPath) => Promise<{ text, segments }> }
+ * where segments are [{ start, end, text }] in seconds from the chunk start, or null when the
+ * provider returns plain text.
+ *
+ * The provider of a job is the company's companies.stt_provider, else STT_PROVIDER (default dify).
+ */
+
+import { pool } from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import difyProvider from './difyProvider.js';
+import whisperProvider from './whisperProvider.js';
+
+export const STT_PROVIDERS = {
+  dify: difyProvider,
+  whisper: whisperProvider,
+};
+
+export const STT_PROVIDER_NAMES = Object.keys(STT_PROVIDERS);
+
+/**
+ * Provider by name
+ * @param {string} [name] - Provider name, STT_PROVIDER (default dify) when omitted or unknown
+ * @returns {object}
+ */
+export function getSttProvider(name) {
+  if (name && STT_PROVIDERS[name]) {
+    return STT_PROVIDERS[name];
+  }
+  if (name) {
+    logger.warn('Unknown STT provider, using the default', { name });
+  }
+  const fallback = process.env.STT_PROVIDER;
+  return STT_PROVIDERS[fallback] || difyProvider;
+}
+
+/**
+ * Provider for a company's jobs
+ * @param {number|null} companyId
+ * @returns {Promise<object>}
+ */
+export async function resolveSttProvider(companyId) {
+  if (!companyId) {
+    return getSttProvider();
+  }
+  const [rows] = await pool.query('SELECT stt_provider FROM companies WHERE id = ?', [companyId]);
+  return getSttProvider(rows[0]?.stt_provider || undefined);
+}
+
+export default {
+  STT_PROVIDERS,
+  STT_PROVIDER_NAMES,
+  getSttProvider,
+  resolveSttProvider,
+};
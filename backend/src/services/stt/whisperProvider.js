@@ -0,0 +1,98 @@
+/**
+ * Local Whisper STT Provider
+ *
+ * Transcribes a chunk on this machine with whisper.cpp (nodejs-whisper), so processing works
+ * offline and while Dify is unavailable. The model must be present in the nodejs-whisper
+ * install (npx nodejs-whisper download) unless WHISPER_AUTO_DOWNLOAD=true.
+ *
+ * Env: WHISPER_MODEL (default medium), WHISPER_LANGUAGE (default ja), WHISPER_CUDA=true,
+ * WHISPER_CONCURRENCY (default 1; whisper.cpp already uses every core).
+ */
+
+import pkg from 'nodejs-whisper';
+import logger from '../../utils/logger.js';
+import { ERROR_CODES } from '../../config/axiosConfig.js';
+
+const { nodewhisper } = pkg;
+
+// Configuration
+const CONFIG = {
+  modelName: process.env.WHISPER_MODEL || 'medium',
+  language: process.env.WHISPER_LANGUAGE || 'ja',
+  autoDownload: process.env.WHISPER_AUTO_DOWNLOAD === 'true',
+  withCuda: process.env.WHISPER_CUDA === 'true',
+  maxConcurrency: parseInt(process.env.WHISPER_CONCURRENCY || '1'),
+};
+
+// whisper-cli prints one line per segment: [00:00:01.230 --> 00:00:04.560]   text
+const SEGMENT_LINE = /^\[(\d{2}):(\d{2}):(\d{2})\.(\d{3}) --> (\d{2}):(\d{2}):(\d{2})\.(\d{3})\]\s*(.*)$/;
+
+const toSeconds = (h, m, s, ms) => Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms) / 1000;
+
+/**
+ * Parse whisper-cli output into text and chunk-relative segments
+ * @param {string} output - Transcript printed by whisper-cli
+ * @returns {{text: string, segments: Array<{start: number, end: number, text: string}>|null}}
+ */
+export function parseWhisperOutput(output) {
+  const segments = [];
+  const untimed = [];
+
+  for (const line of String(output || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const match = trimmed.match(SEGMENT_LINE);
+    if (!match) {
+      untimed.push(trimmed);
+      continue;
+    }
+    const text = match[9].trim();
+    if (!text) continue;
+    segments.push({
+      start: toSeconds(match[1], match[2], match[3], match[4]),
+      end: toSeconds(match[5], match[6], match[7], match[8]),
+      text
+    });
+  }
+
+  if (segments.length === 0) {
+    return { text: untimed.join('\n'), segments: null };
+  }
+  return { text: segments.map(segment => segment.text).join('\n'), segments };
+}
+
+/**
+ * @param {number} jobId - Job ID for logging
+ * @param {string} chunkPath - Path to the audio chunk
+ * @returns {Promise<{text: string, segments: Array|null}>}
+ * @throws {Error} - With code WHISPER_FAILED
+ */
+async function transcribe(jobId, chunkPath) {
+  try {
+    const output = await nodewhisper(chunkPath, {
+      modelName: CONFIG.modelName,
+      autoDownloadModelName: CONFIG.autoDownload ? CONFIG.modelName : undefined,
+      removeWavFileAfterTranscription: true,
+      withCuda: CONFIG.withCuda,
+      logger: { debug: () => {}, log: () => {}, error: (...args) => logger.warn('Whisper', { jobId, message: args.join(' ') }) },
+      whisperOptions: { language: CONFIG.language }
+    });
+
+    const result = parseWhisperOutput(output);
+    logger.debug('Whisper transcription completed', { jobId, chunkPath, resultLength: result.text.length });
+    return result;
+  } catch (error) {
+    logger.error('Whisper transcription failed', { jobId, chunkPath, error: error.message });
+    const wrapped = new Error(`${ERROR_CODES.WHISPER_FAILED}: ${error.message}`);
+    wrapped.code = ERROR_CODES.WHISPER_FAILED;
+    throw wrapped;
+  }
+}
+
+export const whisperProvider = {
+  name: 'whisper',
+  maxConcurrency: CONFIG.maxConcurrency,
+  transcribe,
+};
+
+export default whisperProvider;
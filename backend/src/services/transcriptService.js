@@ -0,0 +1,116 @@
+/**
+ * Transcript Service
+ *
+ * Formats of the STT of records and follows: the PDF document, SRT and WebVTT subtitles and JSON.
+ * Timing comes from stt_segments, the JSON array of {start, end, text, chunk} (seconds from the
+ * start of the audio) kept by the processing pipeline. Records processed before segments were
+ * stored have no stt_segments and only offer the untimed formats.
+ */
+
+import { buildSttDocument, sendPdf } from './documents/index.js';
+
+export const TRANSCRIPT_FORMATS = ['pdf', 'srt', 'vtt', 'json'];
+
+// Subtitle formats that cannot be produced without segment timing
+export const TIMED_FORMATS = ['srt', 'vtt'];
+
+/**
+ * Parse the stt_segments column
+ * @param {string|null} value - JSON text
+ * @returns {Array<{start: number|null, end: number|null, text: string, chunk: number}>|null}
+ */
+export function parseSegments(value) {
+  if (!value) return null;
+  try {
+    const segments = JSON.parse(value);
+    return Array.isArray(segments) ? segments : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether every segment has a start and end time
+ * @param {Array|null} segments
+ * @returns {boolean}
+ */
+export function hasTiming(segments) {
+  return Array.isArray(segments) && segments.length > 0
+    && segments.every(s => Number.isFinite(s.start) && Number.isFinite(s.end));
+}
+
+// HH:MM:SS,mmm (SRT) / HH:MM:SS.mmm (VTT)
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * SubRip subtitles
+ * @param {Array<{start: number, end: number, text: string}>} segments - Timed segments
+ * @returns {string}
+ */
+export function toSrt(segments) {
+  return segments
+    .map((segment, i) => [
+      String(i + 1),
+      `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+      segment.text
+    ].join('\r\n'))
+    .join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * WebVTT subtitles
+ * @param {Array<{start: number, end: number, text: string}>} segments - Timed segments
+ * @returns {string}
+ */
+export function toVtt(segments) {
+  const cues = segments.map(segment => (
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${segment.text}`
+  ));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Send a transcript in the requested format
+ * @param {import('express').Response} res
+ * @param {string} format - One of TRANSCRIPT_FORMATS (timed formats need hasTiming(segments))
+ * @param {Object} transcript
+ * @param {string} transcript.fileId - file_id of the record/follow (used in file names)
+ * @param {string|null} transcript.stt - Combined STT text
+ * @param {Array|null} transcript.segments - Parsed stt_segments
+ */
+export function sendTranscript(res, format, { fileId, stt, segments }) {
+  if (format === 'json') {
+    return res.json({ fileId, stt: stt || '', timed: hasTiming(segments), segments: segments || [] });
+  }
+
+  if (format === 'pdf') {
+    return sendPdf(res, buildSttDocument(stt), `STT-${fileId}.pdf`);
+  }
+
+  const encodedFilename = encodeURIComponent(`STT-${fileId}.${format}`);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
+  if (format === 'srt') {
+    res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+    return res.send(toSrt(segments));
+  }
+  res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+  return res.send(toVtt(segments));
+}
+
+export default {
+  TRANSCRIPT_FORMATS,
+  TIMED_FORMATS,
+  parseSegments,
+  hasTiming,
+  toSrt,
+  toVtt,
+  sendTranscript,
+};
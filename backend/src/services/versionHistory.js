@@ -0,0 +1,77 @@
+/**
+ * Version History
+ *
+ * Append-only history tables shared by the revisions of AI outputs (revisionService) and the
+ * versions of company prompts (promptVersionService). Each row holds the full content of one
+ * value after a change; the newest row per owner and key is the current value.
+ */
+
+import logger from '../utils/logger.js';
+
+const insertVersion = (executor, table, values) => {
+  const columns = Object.keys(values);
+  return executor.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(values)
+  );
+};
+
+/**
+ * Append a version for each changed value
+ * When a value has no history yet (set before the history existed), its previous value is
+ * stored first as the baseline so the original is never lost. A version is only written when
+ * the content differs from the newest stored one.
+ *
+ * @param {object} executor - pool, or a connection inside a transaction
+ * @param {object} history
+ * @param {string} history.table - History table (revisions, prompt_versions)
+ * @param {string} history.ownerColumn - Column of the versioned row (record_id, company_id, ...)
+ * @param {number} history.ownerId - ID of the versioned row
+ * @param {string} history.keyColumn - Column naming the versioned value (field, prompt_key)
+ * @param {Array<{key: string, content: string|null, previous?: string|null}>} changes - Serialized new and previous values
+ * @param {object} columns
+ * @param {object} columns.version - Other columns of a new version
+ * @param {function(string): object} columns.baseline - Other columns of the baseline of a key
+ * @returns {Promise<number>} Number of versions written
+ */
+export async function appendVersions(executor, { table, ownerColumn, ownerId, keyColumn }, changes, { version, baseline }) {
+  let written = 0;
+
+  for (const { key, content, previous = null } of changes) {
+    const [latestRows] = await executor.query(
+      `SELECT content FROM ${table} WHERE ${ownerColumn} = ? AND ${keyColumn} = ? ORDER BY id DESC LIMIT 1`,
+      [ownerId, key]
+    );
+
+    if (latestRows.length === 0) {
+      if (previous !== null && previous !== content) {
+        await insertVersion(executor, table, {
+          [ownerColumn]: ownerId,
+          [keyColumn]: key,
+          content: previous,
+          ...baseline(key),
+        });
+        written++;
+      }
+    } else if (latestRows[0].content === content) {
+      continue;
+    }
+
+    await insertVersion(executor, table, {
+      [ownerColumn]: ownerId,
+      [keyColumn]: key,
+      content,
+      ...version,
+    });
+    written++;
+  }
+
+  if (written > 0) {
+    logger.debug('Versions recorded', { table, ownerId, written });
+  }
+  return written;
+}
+
+export default {
+  appendVersions,
+};
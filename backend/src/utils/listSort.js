@@ -0,0 +1,39 @@
+/**
+ * List Sort Helper
+ *
+ * Resolves whitelisted `sort` / `order` query parameters into a safe ORDER BY clause
+ * for paginated list endpoints (records, follows).
+ */
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Build an ORDER BY clause from query parameters
+ * Only columns present in sortColumns can be used; a stable id tie-breaker is always appended
+ * so that OFFSET pagination does not skip or repeat rows with equal sort values.
+ * @param {Object} query - req.query ({ sort, order })
+ * @param {Object<string, string>} sortColumns - Map of API sort field -> SQL column expression
+ * @param {Object} options
+ * @param {string} options.defaultSort - Sort field used when none is given
+ * @param {string} options.defaultOrder - 'asc' or 'desc' (default: 'desc')
+ * @param {string} options.tieBreaker - Column used to break ties (default: 'r.id')
+ * @returns {{ orderBy?: string, sort?: string, order?: string, error?: string }}
+ */
+export function resolveSort(query, sortColumns, { defaultSort, defaultOrder = 'desc', tieBreaker = 'r.id' } = {}) {
+  const sort = query.sort || defaultSort;
+  const order = (query.order || defaultOrder).toString().toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(sortColumns, sort)) {
+    return { error: `sort must be one of: ${Object.keys(sortColumns).join(', ')}` };
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: `order must be one of: ${SORT_ORDERS.join(', ')}` };
+  }
+
+  const direction = order.toUpperCase();
+  return {
+    orderBy: ` ORDER BY ${sortColumns[sort]} ${direction}, ${tieBreaker} ${direction}`,
+    sort,
+    order
+  };
+}
@@ -0,0 +1,36 @@
+import jwt from 'jsonwebtoken';
+import { jwtSecret } from './jwtSecret.js';
+
+// Media tokens are signed with their own key so they can never be used as a login token
+const MEDIA_SECRET = `${jwtSecret}:media`;
+
+// Lifetime of a media URL (seconds); the player asks for a new one when it expires
+export const MEDIA_TOKEN_TTL = 10 * 60;
+
+/**
+ * Short-lived token for one media resource, passed as ?token= by <audio> elements
+ * (they cannot send an Authorization header)
+ * @param {number} userId - User the token acts for (permissions are re-checked on every request)
+ * @param {string} resource - Resource the token is limited to, e.g. 'record:12'
+ * @returns {string}
+ */
+export const createMediaToken = (userId, resource) => jwt.sign(
+  { sub: String(userId), media: resource },
+  MEDIA_SECRET,
+  { expiresIn: MEDIA_TOKEN_TTL }
+);
+
+/**
+ * Verify a media token for a resource
+ * @param {string} token
+ * @param {string} resource - Resource being requested, e.g. 'record:12'
+ * @returns {number} User ID
+ * @throws {Error} When the token is invalid, expired or for another resource
+ */
+export const verifyMediaToken = (token, resource) => {
+  const decoded = jwt.verify(token, MEDIA_SECRET);
+  if (decoded.media !== resource) {
+    throw new Error('Media token is for another resource');
+  }
+  return parseInt(decoded.sub, 10);
+};
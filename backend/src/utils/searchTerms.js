@@ -0,0 +1,89 @@
+/**
+ * Search Terms Helper
+ *
+ * Turns the raw query of /api/search into FULLTEXT (ngram) BOOLEAN MODE terms and cuts the
+ * highlighted snippets shown under each result.
+ */
+
+// ngram_token_size defaults to 2, so shorter terms never match the FULLTEXT index
+export const MIN_TERM_LENGTH = 2;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Split the raw query into search terms
+ * Double quotes and boolean operators are stripped so user input cannot alter the MATCH syntax.
+ * @param {string} q - Raw query string
+ * @returns {string[]}
+ */
+export function parseTerms(q) {
+  return q
+    .replace(/["+\-<>()~*@]/g, ' ')
+    .split(/\s+/)
+    .map(term => term.trim())
+    .filter(term => term.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Build a BOOLEAN MODE query requiring every term as a phrase (ngram-friendly)
+ * @param {string[]} terms
+ * @returns {string}
+ */
+export function toBooleanQuery(terms) {
+  return terms.map(term => `+"${term}"`).join(' ');
+}
+
+/**
+ * Extract a snippet around the first term occurrence, split into highlight segments
+ * @param {string} text - Full field text
+ * @param {string[]} terms - Search terms
+ * @returns {Array<{text: string, match: boolean}>|null} null when no term occurs in text
+ */
+export function buildSnippet(text, terms) {
+  if (!text) return null;
+
+  const lowerText = text.toLowerCase();
+  const lowerTerms = terms.map(term => term.toLowerCase());
+
+  let firstIndex = -1;
+  for (const term of lowerTerms) {
+    const index = lowerText.indexOf(term);
+    if (index !== -1 && (firstIndex === -1 || index < firstIndex)) {
+      firstIndex = index;
+    }
+  }
+  if (firstIndex === -1) return null;
+
+  const start = Math.max(0, firstIndex - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstIndex + SNIPPET_RADIUS * 2);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+  const lowerExcerpt = excerpt.toLowerCase();
+
+  const segments = [];
+  if (start > 0) segments.push({ text: '…', match: false });
+
+  let cursor = 0;
+  while (cursor < excerpt.length) {
+    let nextIndex = -1;
+    let nextTerm = '';
+    for (const term of lowerTerms) {
+      const index = lowerExcerpt.indexOf(term, cursor);
+      if (index !== -1 && (nextIndex === -1 || index < nextIndex || (index === nextIndex && term.length > nextTerm.length))) {
+        nextIndex = index;
+        nextTerm = term;
+      }
+    }
+    if (nextIndex === -1) {
+      segments.push({ text: excerpt.slice(cursor), match: false });
+      break;
+    }
+    if (nextIndex > cursor) {
+      segments.push({ text: excerpt.slice(cursor, nextIndex), match: false });
+    }
+    segments.push({ text: excerpt.slice(nextIndex, nextIndex + nextTerm.length), match: true });
+    cursor = nextIndex + nextTerm.length;
+  }
+
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
@@ -0,0 +1,83 @@
+/**
+ * Text Diff Helper
+ *
+ * Line-based diff (LCS) used to compare two revisions of an editable field.
+ * Inputs are small (a few thousand lines at most), so the O(n*m) table is acceptable.
+ */
+
+// Guard against pathological inputs: beyond this many cells the diff falls back to replace-all
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Normalize content for diffing
+ * JSON documents (skill sheet, Salesforce items) are pretty-printed so changes show up per line.
+ * @param {string|null} content
+ * @returns {string}
+ */
+export function normalizeForDiff(content) {
+  if (content === null || content === undefined) return '';
+  const text = String(content);
+  const trimmed = text.replace(/```json\n?|\n?```/g, '').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.stringify(JSON.parse(trimmed), null, 2);
+    } catch {
+      // Not JSON after all - diff as plain text
+    }
+  }
+  return text;
+}
+
+/**
+ * Compute a line diff between two texts
+ * Consecutive lines of the same type are merged into one hunk.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'equal'|'added'|'removed', lines: string[]}>}
+ */
+export function diffLines(before, after) {
+  const a = before === '' ? [] : before.split('\n');
+  const b = after === '' ? [] : after.split('\n');
+  const hunks = [];
+
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  };
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    a.forEach(line => push('removed', line));
+    b.forEach(line => push('added', line));
+    return hunks;
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return hunks;
+}
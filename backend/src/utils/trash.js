@@ -0,0 +1,18 @@
+/**
+ * Trash Helper
+ *
+ * Soft-deleted records and follows stay in the trash for a grace period before
+ * the auto-delete job purges them permanently.
+ */
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Grace period (days) between soft delete and permanent purge
+ * Configured with TRASH_RETENTION_DAYS (default: 30)
+ * @returns {number}
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS || String(DEFAULT_TRASH_RETENTION_DAYS));
+  return isNaN(days) || days < 0 ? DEFAULT_TRASH_RETENTION_DAYS : days;
+}
@@ -2,8 +2,10 @@ import 'dotenv/config';
 import { Worker } from 'bullmq';
 import { createRedisConnection } from '../config/redis.js';
 import { processAudioJob, processFollowJob, updateJobStatus } from '../services/asyncProcessingService.js';
+import { processRegenerateJob } from '../services/regenerationService.js';
 import { startReaper, stopReaper, REAPER_CONFIG } from '../services/jobReaper.js';
 import { stopAllHeartbeats, HEARTBEAT_CONFIG } from '../services/jobHeartbeat.js';
+import { stopAllCancellationWatches } from '../services/jobCancellation.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -37,7 +39,7 @@ let isShuttingDown = false;
  * Process an audio job from the queue
  */
 const processJob = async (job) => {
-  const { jobId, audioFilePath, fileId, userId, companyId, staffId, jobType } = job.data;
+  const { jobId, audioFilePath, fileId, userId, companyId, staffId, jobType, regenerate } = job.data;
   
   logger.info('Worker: Starting audio processing job', {
     bullmqJobId: job.id,
@@ -45,15 +47,33 @@ const processJob = async (job) => {
     fileId,
     userId,
     jobType: jobType || 'record',
+    regenerate: !!regenerate,
     attempt: job.attemptsMade + 1,
   });
 
   try {
     // Route to the appropriate processing function based on jobType
-    if (jobType === 'follow') {
-      await processFollowJob(jobId, audioFilePath, fileId, userId, companyId, staffId);
+    let result;
+    if (regenerate) {
+      result = await processRegenerateJob(jobId);
+      if (!result.success && !result.cancelled) {
+        throw new Error(result.error || 'Regeneration failed');
+      }
+    } else if (jobType === 'follow') {
+      result = await processFollowJob(jobId, audioFilePath, fileId, userId, companyId, staffId);
     } else {
-      await processAudioJob(jobId, audioFilePath, fileId, userId, companyId, staffId);
+      result = await processAudioJob(jobId, audioFilePath, fileId, userId, companyId, staffId);
+    }
+    
+    // A cancelled job ends here: returning (not throwing) keeps BullMQ from retrying it
+    if (result.cancelled) {
+      logger.info('Worker: Audio processing job cancelled', {
+        bullmqJobId: job.id,
+        dbJobId: jobId,
+        jobType: jobType || 'record',
+      });
+      
+      return { success: false, cancelled: true, jobId };
     }
     
     logger.info('Worker: Audio processing job completed successfully', {
@@ -162,8 +182,9 @@ const shutdown = async (signal) => {
   // Stop the job reaper
   stopReaper();
   
-  // Stop all active heartbeat intervals
+  // Stop all active heartbeat intervals and cancellation watches
   stopAllHeartbeats();
+  stopAllCancellationWatches();
   
   if (worker) {
     try {
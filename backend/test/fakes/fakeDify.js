@@ -0,0 +1,202 @@
+/**
+ * Fake Dify API
+ *
+ * Serves the two Dify endpoints the pipeline uses, under /v1 like the hosted API
+ * (set DIFY_API_BASE_URL to `${baseUrl}`):
+ *   POST /v1/files/upload  - multipart upload, answers { id, name, size, ... }
+ *   POST /v1/workflows/run - answers { data: { status: 'succeeded', outputs } }
+ *
+ * The workflow is told apart by its inputs, as the real workflows are by their API key:
+ *   audioFile           - STT workflow, outputs { stt }
+ *   txtFile + prompt    - follow summary workflow, outputs { summary }
+ *   txtFile (+ skillsheet_prompt, lor_prompt, skills_prompt, hope_prompt)
+ *                       - record workflow, outputs { skillsheet, lor, skills, hope }
+ *
+ * Every request is kept in state.requests so tests can assert on what the pipeline sent, and
+ * failNext() makes the next calls of an endpoint answer with an error status to exercise retries.
+ * state.recordOutputs and state.summary can be replaced to tell a regeneration from the first run,
+ * and state.workflowDelay (ms) holds the workflow answers to keep a job running, e.g. to cancel it.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { randomUUID } from 'crypto';
+
+// Record workflow outputs in the formats the real workflow returns (skillsheet and skills
+// come back as fenced JSON)
+export const DEFAULT_RECORD_OUTPUTS = {
+  skillsheet: '```json\n' + JSON.stringify({
+    1: {
+      from: '2019年4月',
+      to: '2022年3月',
+      'employee type': '正社員',
+      'work content': ['法人営業（既存顧客対応）', '新規顧客の開拓'],
+      summary: '法人向けの既存顧客対応と新規開拓を担当。',
+    },
+    2: {
+      from: '2022年4月',
+      to: '現在',
+      'employee type': '派遣社員',
+      'work content': ['一般事務', 'データ入力'],
+      summary: '一般事務とデータ入力を担当。',
+    },
+  }) + '\n```',
+  lor: '誠実で丁寧な対応ができる方です。',
+  skills: '```json\n' + JSON.stringify({
+    語学力: [{ 言語: '英語', レベル: '日常会話' }],
+    資格: ['普通自動車第一種運転免許'],
+    スキル: 'Excel\nWord',
+  }) + '\n```',
+  hope: '希望職種：一般事務\n勤務地：東京都内',
+};
+
+export const DEFAULT_SUMMARY = '【サマリー】\n順調に就業中。対応は不要。';
+
+/**
+ * Start a fake Dify server
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port (0 picks a free one)
+ * @param {(file: object, index: number) => string} [options.stt] - STT text of an uploaded audio file
+ * @param {object} [options.recordOutputs] - Outputs of the record workflow
+ * @param {string} [options.summary] - Output of the follow summary workflow
+ * @returns {Promise<{baseUrl: string, state: object, failNext: Function, reset: Function, close: Function}>}
+ */
+export async function startFakeDify(options = {}) {
+  const {
+    port = 0,
+    stt = (file, index) => `これはチャンク${index + 1}の文字起こしです。よろしくお願いします。`,
+    recordOutputs = DEFAULT_RECORD_OUTPUTS,
+    summary = DEFAULT_SUMMARY,
+  } = options;
+
+  const state = {
+    files: new Map(),
+    requests: [],
+    failures: { upload: [], workflow: [] },
+    sttCount: 0,
+    // Outputs of the next workflow runs; tests may replace them between runs
+    recordOutputs,
+    summary,
+    workflowDelay: 0,
+  };
+
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  // Every call needs an API key, like the hosted API
+  app.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return res.status(401).json({ code: 'unauthorized', message: 'Access token is invalid', status: 401 });
+    }
+    next();
+  });
+
+  // Injected failures, consumed in order
+  const takeFailure = (endpoint) => state.failures[endpoint].shift();
+
+  app.post('/v1/files/upload', upload.single('file'), (req, res) => {
+    const failure = takeFailure('upload');
+    state.requests.push({ endpoint: 'upload', apiKey: req.headers.authorization.slice(7), body: req.body, failed: !!failure });
+    if (failure) {
+      return res.status(failure).json({ code: 'fake_failure', message: 'Injected failure', status: failure });
+    }
+    if (!req.file) {
+      return res.status(400).json({ code: 'no_file_uploaded', message: 'Please upload your file.', status: 400 });
+    }
+
+    const file = {
+      id: randomUUID(),
+      name: req.file.originalname,
+      size: req.file.size,
+      extension: req.file.originalname.split('.').pop(),
+      mime_type: req.file.mimetype,
+      created_by: req.body.user,
+      created_at: Math.floor(Date.now() / 1000),
+      content: req.file.buffer,
+    };
+    state.files.set(file.id, file);
+
+    const { content, ...response } = file;
+    res.status(201).json(response);
+  });
+
+  app.post('/v1/workflows/run', express.json({ limit: '10mb' }), async (req, res) => {
+    const failure = takeFailure('workflow');
+    const inputs = req.body?.inputs || {};
+    state.requests.push({ endpoint: 'workflow', apiKey: req.headers.authorization.slice(7), inputs, failed: !!failure });
+    if (failure) {
+      return res.status(failure).json({ code: 'fake_failure', message: 'Injected failure', status: failure });
+    }
+
+    const input = inputs.audioFile || inputs.txtFile;
+    const file = input && state.files.get(input.upload_file_id);
+    if (!file) {
+      return res.status(400).json({ code: 'invalid_param', message: 'File not found', status: 400 });
+    }
+
+    let outputs;
+    if (inputs.audioFile) {
+      outputs = { stt: stt(file, state.sttCount++) };
+    } else if (typeof inputs.prompt === 'string') {
+      outputs = { summary: state.summary };
+    } else {
+      outputs = { ...state.recordOutputs };
+    }
+
+    if (state.workflowDelay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, state.workflowDelay));
+    }
+
+    res.json({
+      workflow_run_id: randomUUID(),
+      task_id: randomUUID(),
+      data: {
+        id: randomUUID(),
+        status: 'succeeded',
+        outputs,
+        error: null,
+        elapsed_time: 0.01,
+        total_tokens: 0,
+        total_steps: 1,
+        created_at: Math.floor(Date.now() / 1000),
+        finished_at: Math.floor(Date.now() / 1000),
+      },
+    });
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(port, '127.0.0.1', () => resolve(s));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    state,
+    /**
+     * Answer the next `count` calls of an endpoint with `status`
+     * @param {'upload'|'workflow'} endpoint
+     * @param {number} [count=1]
+     * @param {number} [status=503]
+     */
+    failNext(endpoint, count = 1, status = 503) {
+      state.failures[endpoint].push(...Array(count).fill(status));
+    },
+    reset() {
+      state.files.clear();
+      state.requests.length = 0;
+      state.failures.upload.length = 0;
+      state.failures.workflow.length = 0;
+      state.sttCount = 0;
+      state.recordOutputs = recordOutputs;
+      state.summary = summary;
+      state.workflowDelay = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export default {
+  startFakeDify,
+  DEFAULT_RECORD_OUTPUTS,
+  DEFAULT_SUMMARY,
+};
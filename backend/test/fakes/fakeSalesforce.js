@@ -0,0 +1,309 @@
+/**
+ * Fake Salesforce API
+ *
+ * Enough of Salesforce for the jsforce calls of the app, with the login URL as the base URL
+ * (store `baseUrl` as the salesforce.base_url of the company):
+ *   POST   /services/Soap/u/:version                   - SOAP username/password login
+ *   GET    /services/data/:version/sobjects            - describeGlobal
+ *   GET    /services/data/:version/sobjects/:type/describe
+ *   GET    /services/data/:version/query?q=            - SELECT ... FROM ... [WHERE f = 'v' [AND ...]] [LIMIT n]
+ *   GET    /services/data/:version/sobjects/:type/:id
+ *   POST   /services/data/:version/sobjects/:type      - create
+ *   PATCH  /services/data/:version/sobjects/:type/:id  - update
+ *   DELETE /services/data/:version/sobjects/:type/:id  - destroy
+ *
+ * Records live in memory in state.sobjects (type -> Map of Id -> record); tests seed Accounts
+ * and assert on the fields the app wrote.
+ */
+
+import express from 'express';
+import { randomBytes } from 'crypto';
+
+// Key prefixes of generated Ids, per object
+const KEY_PREFIXES = { Account: '001', Contact: '003', Event: '00U', Task: '00T' };
+
+// Fields of the objects the app describes; custom long text fields are added per test
+const STANDARD_FIELDS = {
+  Account: [
+    { name: 'Id', type: 'id', length: 18 },
+    { name: 'Name', type: 'string', length: 255 },
+    { name: 'StaffID__c', type: 'string', length: 50 },
+  ],
+  Event: [
+    { name: 'Id', type: 'id', length: 18 },
+    { name: 'Subject', type: 'combobox', length: 255 },
+    { name: 'StartDateTime', type: 'datetime', length: 0 },
+    { name: 'EndDateTime', type: 'datetime', length: 0 },
+    { name: 'Description', type: 'textarea', length: 32000 },
+    { name: 'WhatId', type: 'reference', length: 18 },
+  ],
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const unescapeXml = (value) => String(value)
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+/**
+ * Parse the subset of SOQL jsforce generates for find(conditions).limit(n)
+ * @param {string} soql
+ * @returns {{fields: string[], type: string, conditions: Array<[string, string]>, limit: number|null}|null}
+ */
+function parseSoql(soql) {
+  const match = soql.match(/^SELECT\s+(.+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+LIMIT\s+(\d+))?\s*$/is);
+  if (!match) return null;
+
+  const conditions = [];
+  if (match[3]) {
+    for (const part of match[3].split(/\s+AND\s+/i)) {
+      const condition = part.match(/^\(?\s*(\w+)\s*=\s*'((?:[^'\\]|\\.)*)'\s*\)?$/);
+      if (!condition) return null;
+      conditions.push([condition[1], condition[2].replace(/\\(.)/g, '$1')]);
+    }
+  }
+
+  return {
+    fields: match[1].split(',').map(f => f.trim()),
+    type: match[2],
+    conditions,
+    limit: match[4] ? parseInt(match[4], 10) : null,
+  };
+}
+
+/**
+ * Start a fake Salesforce server
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port (0 picks a free one)
+ * @param {string} [options.username='integration@example.com']
+ * @param {string} [options.password='password'] - Password without the security token
+ * @param {string} [options.securityToken='token']
+ * @param {Object<string, Array<object>>} [options.fields] - Extra describe fields per object,
+ *   e.g. { Account: [{ name: 'Career1__c', type: 'textarea', length: 32768 }] }
+ * @param {Object<string, Array<object>>} [options.records] - Seed records per object (Id generated when missing)
+ * @returns {Promise<{baseUrl: string, state: object, insert: Function, close: Function}>}
+ */
+export async function startFakeSalesforce(options = {}) {
+  const {
+    port = 0,
+    username = 'integration@example.com',
+    password = 'password',
+    securityToken = 'token',
+    fields = {},
+    records = {},
+  } = options;
+
+  const state = {
+    sobjects: new Map(),
+    sessions: new Set(),
+    logins: 0,
+    requests: [],
+  };
+
+  const describeFields = (type) => [...(STANDARD_FIELDS[type] || [{ name: 'Id', type: 'id', length: 18 }]), ...(fields[type] || [])];
+
+  const table = (type) => {
+    if (!state.sobjects.has(type)) state.sobjects.set(type, new Map());
+    return state.sobjects.get(type);
+  };
+
+  let sequence = 0;
+  const newId = (type) => {
+    sequence += 1;
+    const prefix = KEY_PREFIXES[type] || 'a00';
+    return (prefix + '5g000000' + String(sequence).padStart(4, '0') + 'AAA').slice(0, 18);
+  };
+
+  const insert = (type, record) => {
+    const Id = record.Id || newId(type);
+    table(type).set(Id, { ...record, Id });
+    return Id;
+  };
+
+  for (const [type, list] of Object.entries(records)) {
+    list.forEach(record => insert(type, record));
+  }
+
+  const app = express();
+  let baseUrl = '';
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path });
+    next();
+  });
+
+  // SOAP login: the password is the account password followed by the security token
+  app.post('/services/Soap/u/:version', express.text({ type: '*/*' }), (req, res) => {
+    const body = req.body || '';
+    const user = unescapeXml(body.match(/<username>([^<]*)<\/username>/)?.[1] || '');
+    const pass = unescapeXml(body.match(/<password>([^<]*)<\/password>/)?.[1] || '');
+
+    res.type('text/xml');
+    if (user !== username || pass !== password + securityToken) {
+      return res.status(500).send(
+        '<?xml version="1.0" encoding="UTF-8"?><soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">' +
+        '<soapenv:Body><soapenv:Fault><faultcode>INVALID_LOGIN</faultcode>' +
+        '<faultstring>INVALID_LOGIN: Invalid username, password, security token; or user locked out.</faultstring>' +
+        '</soapenv:Fault></soapenv:Body></soapenv:Envelope>'
+      );
+    }
+
+    state.logins += 1;
+    const sessionId = '00D5g000000FAKE!' + randomBytes(24).toString('hex');
+    state.sessions.add(sessionId);
+
+    res.send(
+      '<?xml version="1.0" encoding="UTF-8"?><soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soapenv:Body><loginResponse><result>' +
+      '<metadataServerUrl>' + escapeXml(`${baseUrl}/services/Soap/m/${req.params.version}/00D5g000000FAKE`) + '</metadataServerUrl>' +
+      '<passwordExpired>false</passwordExpired><sandbox>true</sandbox>' +
+      '<serverUrl>' + escapeXml(`${baseUrl}/services/Soap/u/${req.params.version}/00D5g000000FAKE`) + '</serverUrl>' +
+      '<sessionId>' + escapeXml(sessionId) + '</sessionId>' +
+      '<userId>0055g000000FAKEAAA</userId>' +
+      '<userInfo><organizationId>00D5g000000FAKEEAA</organizationId>' +
+      '<userName>' + escapeXml(username) + '</userName></userInfo>' +
+      '</result></loginResponse></soapenv:Body></soapenv:Envelope>'
+    );
+  });
+
+  const api = express.Router({ mergeParams: true });
+
+  // REST calls need a session from the login
+  api.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^(Bearer|OAuth) /, '');
+    if (!state.sessions.has(token)) {
+      return res.status(401).json([{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+    }
+    next();
+  });
+
+  const notFound = (res, type, id) => res.status(404).json([{
+    errorCode: 'NOT_FOUND',
+    message: `Provided external ID field does not exist or is not accessible: ${id}`,
+    fields: [],
+  }]);
+
+  const withAttributes = (type, record, version) => ({
+    attributes: { type, url: `/services/data/${version}/sobjects/${type}/${record.Id}` },
+    ...record,
+  });
+
+  api.get('/sobjects', (req, res) => {
+    const types = new Set([...Object.keys(STANDARD_FIELDS), ...Object.keys(fields), ...state.sobjects.keys()]);
+    res.json({
+      encoding: 'UTF-8',
+      maxBatchSize: 200,
+      sobjects: [...types].map(name => ({
+        name,
+        label: name,
+        labelPlural: name,
+        keyPrefix: KEY_PREFIXES[name] || null,
+        custom: name.endsWith('__c'),
+        queryable: true,
+        createable: true,
+        updateable: true,
+        deletable: true,
+      })),
+    });
+  });
+
+  api.get('/sobjects/:type/describe', (req, res) => {
+    const { type } = req.params;
+    res.json({
+      name: type,
+      label: type,
+      labelPlural: type,
+      keyPrefix: KEY_PREFIXES[type] || null,
+      custom: type.endsWith('__c'),
+      queryable: true,
+      createable: true,
+      updateable: true,
+      fields: describeFields(type).map(field => ({
+        label: field.name,
+        nillable: field.name !== 'Id',
+        createable: field.name !== 'Id',
+        updateable: field.name !== 'Id',
+        custom: field.name.endsWith('__c'),
+        referenceTo: [],
+        relationshipName: null,
+        ...field,
+      })),
+    });
+  });
+
+  api.get('/query', (req, res) => {
+    const query = parseSoql(String(req.query.q || ''));
+    if (!query) {
+      return res.status(400).json([{ message: `Unsupported query: ${req.query.q}`, errorCode: 'MALFORMED_QUERY' }]);
+    }
+
+    let rows = [...table(query.type).values()]
+      .filter(record => query.conditions.every(([field, value]) => String(record[field] ?? '') === value));
+    if (query.limit !== null) rows = rows.slice(0, query.limit);
+
+    const selected = rows.map(record => {
+      const row = {};
+      for (const field of query.fields) row[field] = record[field] ?? null;
+      return withAttributes(query.type, row, req.params.version);
+    });
+    res.json({ totalSize: selected.length, done: true, records: selected });
+  });
+
+  api.get('/sobjects/:type/:id', (req, res) => {
+    const record = table(req.params.type).get(req.params.id);
+    if (!record) return notFound(res, req.params.type, req.params.id);
+    res.json(withAttributes(req.params.type, record, req.params.version));
+  });
+
+  api.post('/sobjects/:type', express.json(), (req, res) => {
+    const { attributes, Id, ...fieldsToSet } = req.body || {};
+    const id = insert(req.params.type, fieldsToSet);
+    res.status(201).json({ id, success: true, errors: [] });
+  });
+
+  api.patch('/sobjects/:type/:id', express.json(), (req, res) => {
+    const records = table(req.params.type);
+    const record = records.get(req.params.id);
+    if (!record) return notFound(res, req.params.type, req.params.id);
+    const { attributes, Id, ...fieldsToSet } = req.body || {};
+    records.set(req.params.id, { ...record, ...fieldsToSet });
+    res.status(204).end();
+  });
+
+  api.delete('/sobjects/:type/:id', (req, res) => {
+    const records = table(req.params.type);
+    if (!records.delete(req.params.id)) return notFound(res, req.params.type, req.params.id);
+    res.status(204).end();
+  });
+
+  app.use('/services/data/:version', api);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(port, '127.0.0.1', () => resolve(s));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    state,
+    /**
+     * Seed a record
+     * @param {string} type - sObject type
+     * @param {object} record - Fields (Id generated when missing)
+     * @returns {string} Id
+     */
+    insert,
+    /**
+     * @param {string} type - sObject type
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    get: (type, id) => table(type).get(id),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export default {
+  startFakeSalesforce,
+};
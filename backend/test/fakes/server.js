@@ -0,0 +1,36 @@
+/**
+ * Run the fake Dify and Salesforce servers for a manual end-to-end run
+ *
+ *   npm run fakes
+ *
+ * then start the backend with DIFY_API_BASE_URL set to the printed Dify URL and save the
+ * printed Salesforce URL as the Salesforce base URL in the settings screen (any Account with
+ * StaffID__c = FAKE_STAFF_ID exists).
+ *
+ * Environment: FAKE_DIFY_PORT (5101), FAKE_SALESFORCE_PORT (5102), FAKE_STAFF_ID (STAFF-0001)
+ */
+
+import { startFakeDify } from './fakeDify.js';
+import { startFakeSalesforce } from './fakeSalesforce.js';
+
+const dify = await startFakeDify({ port: parseInt(process.env.FAKE_DIFY_PORT || '5101') });
+const salesforce = await startFakeSalesforce({
+  port: parseInt(process.env.FAKE_SALESFORCE_PORT || '5102'),
+  fields: {
+    Account: [1, 2, 3, 4, 5].map(n => ({ name: `Career${n}__c`, type: 'textarea', length: 32768 }))
+      .concat({ name: 'StaffMemo__c', type: 'textarea', length: 32768 }),
+  },
+  records: {
+    Account: [{ Name: 'テスト スタッフ', StaffID__c: process.env.FAKE_STAFF_ID || 'STAFF-0001' }],
+  },
+});
+
+console.log(`Fake Dify:       DIFY_API_BASE_URL=${dify.baseUrl}`);
+console.log(`Fake Salesforce: base URL ${salesforce.baseUrl} (user integration@example.com, password "password", security token "token")`);
+
+const shutdown = async () => {
+  await Promise.all([dify.close(), salesforce.close()]);
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
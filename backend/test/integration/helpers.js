@@ -0,0 +1,273 @@
+/**
+ * Integration test harness
+ *
+ * Runs the real API server and audio worker as child processes against a throwaway MySQL
+ * database, a Redis database index and the fake Dify / Salesforce servers, so a test drives
+ * the pipeline the way the frontend does: upload, poll the job, read the result, sync.
+ *
+ * Environment (defaults in parentheses):
+ *   DB_HOST, DB_USER, DB_PASSWORD        - MySQL server (localhost, root, 1234)
+ *   TEST_DB_NAME                         - Database created and dropped by the suite (voicerecord_integration_test)
+ *   TEST_REDIS_URL                       - Redis database flushed by the suite (redis://127.0.0.1:6379/15)
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mysql from 'mysql2/promise';
+import Redis from 'ioredis';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.resolve(__dirname, '../..');
+
+export const TEST_DB_NAME = process.env.TEST_DB_NAME || 'voicerecord_integration_test';
+export const TEST_REDIS_URL = process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379/15';
+
+// The suite drops its database; refuse names that do not look like a test database
+if (!/test/i.test(TEST_DB_NAME)) {
+  throw new Error(`TEST_DB_NAME must contain "test" (got "${TEST_DB_NAME}")`);
+}
+
+const dbConfig = {
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '1234',
+};
+
+/**
+ * Drop and recreate the test database (the server creates the tables on start)
+ */
+export async function resetDatabase() {
+  const connection = await mysql.createConnection(dbConfig);
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${TEST_DB_NAME}\``);
+    await connection.query(`CREATE DATABASE \`${TEST_DB_NAME}\``);
+  } finally {
+    await connection.end();
+  }
+}
+
+export async function dropDatabase() {
+  const connection = await mysql.createConnection(dbConfig);
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${TEST_DB_NAME}\``);
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Connection pool on the test database, for assertions
+ * @returns {import('mysql2/promise').Pool}
+ */
+export function createTestPool() {
+  return mysql.createPool({ ...dbConfig, database: TEST_DB_NAME, connectionLimit: 2 });
+}
+
+/**
+ * Empty the Redis database of the queue
+ */
+export async function flushRedis() {
+  const redis = new Redis(TEST_REDIS_URL, { maxRetriesPerRequest: 1, lazyConnect: true, retryStrategy: () => null });
+  try {
+    await redis.connect();
+    await redis.flushdb();
+  } finally {
+    redis.disconnect();
+  }
+}
+
+/**
+ * Write a mono 16-bit PCM WAV of alternating tone and silence
+ * @param {string} filePath
+ * @param {number} [seconds=6]
+ */
+export function writeToneWav(filePath, seconds = 6) {
+  const sampleRate = 16000;
+  const samples = sampleRate * seconds;
+  const data = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    // 1 s of 440 Hz, then 1 s of silence, so silence detection has something to find
+    const audible = Math.floor(i / sampleRate) % 2 === 0;
+    const value = audible ? Math.round(Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 12000) : 0;
+    data.writeInt16LE(value, i * 2);
+  }
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+}
+
+/**
+ * Start a backend process (API server or worker)
+ *
+ * Output is kept and printed when the process exits unexpectedly, so a failing run shows
+ * the server log.
+ * @param {string} script - Path relative to the backend directory, e.g. src/index.js
+ * @param {object} options
+ * @param {string} options.cwd - Working directory (uploads/ is created here)
+ * @param {object} options.env - Environment on top of process.env
+ * @returns {{child: import('child_process').ChildProcess, output: () => string, stop: () => Promise<void>}}
+ */
+export function startBackendProcess(script, { cwd, env }) {
+  const child = spawn(process.execPath, [path.join(BACKEND_DIR, script)], {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const chunks = [];
+  child.stdout.on('data', (chunk) => chunks.push(chunk));
+  child.stderr.on('data', (chunk) => chunks.push(chunk));
+  const output = () => Buffer.concat(chunks).toString('utf8');
+
+  let stopping = false;
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  exited.then((code) => {
+    if (!stopping) {
+      process.stderr.write(`\n--- ${script} exited with code ${code} ---\n${output()}\n`);
+    }
+  });
+
+  return {
+    child,
+    output,
+    async stop() {
+      stopping = true;
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+        await exited;
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/**
+ * Run a backend script to completion, e.g. a maintenance job
+ * @param {string} script - Path relative to the backend directory
+ * @param {object} options
+ * @param {string} options.cwd - Working directory
+ * @param {object} options.env - Environment on top of process.env
+ * @param {number} [options.timeout=60000] - Kill the script after this many ms
+ * @returns {Promise<{code: number|null, output: string}>}
+ */
+export function runBackendScript(script, { cwd, env, timeout = 60000 }) {
+  const child = spawn(process.execPath, [path.join(BACKEND_DIR, script)], {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const chunks = [];
+  child.stdout.on('data', (chunk) => chunks.push(chunk));
+  child.stderr.on('data', (chunk) => chunks.push(chunk));
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      resolve({ code, output: Buffer.concat(chunks).toString('utf8') });
+    });
+  });
+}
+
+/**
+ * Poll until fn returns a truthy value
+ * @param {() => Promise<any>} fn
+ * @param {object} [options]
+ * @param {number} [options.timeout=60000]
+ * @param {number} [options.interval=500]
+ * @param {string} [options.message] - Error message on timeout
+ * @returns {Promise<any>} The truthy value
+ */
+export async function waitFor(fn, { timeout = 60000, interval = 500, message = 'Timed out' } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    try {
+      const value = await fn();
+      if (value) return value;
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  throw new Error(`${message}${lastError ? ` (last error: ${lastError.message})` : ''}`);
+}
+
+/**
+ * Small JSON client for the API
+ * @param {string} baseUrl - e.g. http://127.0.0.1:5099
+ * @returns {{token: string|null, request: Function, upload: Function}}
+ */
+export function createApiClient(baseUrl) {
+  const client = {
+    token: null,
+
+    async request(method, url, body) {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+          ...(client.token && { Authorization: `Bearer ${client.token}` }),
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      const text = await response.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        // Not JSON
+      }
+      return { status: response.status, data };
+    },
+
+    /**
+     * Multipart audio upload
+     * @param {string} url - e.g. /api/records/upload
+     * @param {string} filePath - Audio file
+     * @param {object} fields - Other form fields
+     */
+    async upload(url, filePath, fields) {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(fields)) {
+        form.append(key, value);
+      }
+      form.append('audio', new Blob([fs.readFileSync(filePath)], { type: 'audio/wav' }), path.basename(filePath));
+
+      const response = await fetch(`${baseUrl}${url}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${client.token}` },
+        body: form,
+      });
+      return { status: response.status, data: await response.json() };
+    },
+  };
+  return client;
+}
+
+/**
+ * Temporary working directory of the backend processes
+ * @returns {string}
+ */
+export function createWorkDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'backend-integration-'));
+}
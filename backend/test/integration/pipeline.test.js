@@ -0,0 +1,1197 @@
+/**
+ * End-to-end pipeline: upload → split → STT → workflow → persist → Salesforce sync
+ *
+ * Runs the real API server and worker (BullMQ on Redis, MySQL) with Dify and Salesforce
+ * replaced by the fakes in test/fakes. Needs a MySQL server, a Redis server and ffmpeg
+ * (ffmpeg-static); see helpers.js for the environment.
+ *
+ *   npm run test:integration
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+
+import { startFakeDify, DEFAULT_RECORD_OUTPUTS, DEFAULT_SUMMARY } from '../fakes/fakeDify.js';
+import { startFakeSalesforce } from '../fakes/fakeSalesforce.js';
+import {
+  TEST_DB_NAME,
+  TEST_REDIS_URL,
+  resetDatabase,
+  dropDatabase,
+  createTestPool,
+  flushRedis,
+  writeToneWav,
+  startBackendProcess,
+  runBackendScript,
+  waitFor,
+  createApiClient,
+  createWorkDir,
+} from './helpers.js';
+
+const STAFF_ID = 'STAFF-0001';
+
+// Failed Dify STT calls that make a chunk fail: sttProcessor and difyProvider each try DIFY_MAX_RETRIES (3) times
+const STT_CALLS_PER_FAILED_CHUNK = 3 * 3;
+
+const SALESFORCE_CREDENTIALS = {
+  username: 'integration@example.com',
+  password: 'password',
+  securityToken: 'token',
+};
+
+// Free TCP port for the API server
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+describe('audio processing pipeline', () => {
+  let dify;
+  let salesforce;
+  let accountId;
+  let workDir;
+  let audioPath;
+  let server;
+  let worker;
+  let baseUrl;
+  let api;
+  let db;
+  let env;
+
+  /**
+   * Wait until a processing job has finished
+   * @param {'records'|'follow'} resource
+   * @param {number} jobId
+   * @returns {Promise<object>} Job
+   */
+  const waitForJob = (resource, jobId) => waitFor(async () => {
+    const { status, data } = await api.request('GET', `/api/${resource}/processing/jobs/${jobId}`);
+    assert.equal(status, 200);
+    return ['completed', 'failed', 'cancelled'].includes(data.status) ? data : null;
+  }, { timeout: 120000, interval: 1000, message: `Job ${jobId} did not finish` });
+
+  const jobSteps = async (jobId) => {
+    const [rows] = await db.query(
+      'SELECT step_name, status, metadata FROM job_steps WHERE job_id = ? ORDER BY step_order',
+      [jobId]
+    );
+    return rows;
+  };
+
+  /**
+   * Insert a record or follow dated in the past
+   * @param {'records'|'follows'} table
+   * @param {object} values - Column values
+   * @param {number} daysAgo - Age of the item (date)
+   * @param {number|null} [deletedDaysAgo] - Days since it was moved to the trash
+   * @returns {Promise<number>} Row ID
+   */
+  const insertAgedRow = async (table, values, daysAgo, deletedDaysAgo = null) => {
+    const [result] = await db.query(
+      `INSERT INTO ${table} SET ?,
+        date = DATE_SUB(NOW(), INTERVAL ? DAY),
+        deleted_at = IF(? IS NULL, NULL, DATE_SUB(NOW(), INTERVAL ? DAY))`,
+      [values, daysAgo, deletedDaysAgo, deletedDaysAgo]
+    );
+    return result.insertId;
+  };
+
+  /**
+   * Create a user in a new company and log in as them
+   * @param {string} slug - Company slug, also used for the user's email
+   * @param {'member'|'company-manager'} [role='member']
+   * @returns {Promise<{client: object, companyId: number}>}
+   */
+  const loginAs = async (slug, role = 'member') => {
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', [`${slug} 株式会社`, slug]);
+    const email = `${slug}@example.com`;
+    const created = await api.request('POST', '/api/users', {
+      name: `${slug} ユーザー`,
+      email,
+      password: 'password123',
+      role,
+      company_id: company.insertId,
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+
+    const client = createApiClient(baseUrl);
+    const login = await client.request('POST', '/api/auth/login', { email, password: 'password123' });
+    assert.equal(login.status, 200);
+    client.token = login.data.token;
+    return { client, companyId: company.insertId };
+  };
+
+  // Audio file of an inserted record
+  const writeAudioFile = (name, bytes = 1024) => {
+    const filePath = path.join(workDir, `${name}.mp3`);
+    fs.writeFileSync(filePath, Buffer.alloc(bytes));
+    return filePath;
+  };
+
+  before(async () => {
+    dify = await startFakeDify();
+    salesforce = await startFakeSalesforce({
+      ...SALESFORCE_CREDENTIALS,
+      fields: {
+        Account: [
+          { name: 'Career1__c', type: 'textarea', length: 32768 },
+          { name: 'Career2__c', type: 'textarea', length: 32768 },
+          { name: 'StaffMemo__c', type: 'textarea', length: 32768 },
+        ],
+      },
+    });
+    accountId = salesforce.insert('Account', { Name: '統合 太郎', StaffID__c: STAFF_ID });
+
+    await resetDatabase();
+    await flushRedis();
+
+    workDir = createWorkDir();
+    audioPath = path.join(workDir, 'interview.wav');
+    writeToneWav(audioPath);
+
+    const port = await freePort();
+    env = {
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DB_NAME: TEST_DB_NAME,
+      ENABLE_AUTO_MIGRATIONS: 'true',
+      REDIS_URL: TEST_REDIS_URL,
+      JWT_SECRET: 'integration-test-secret-0123456789abcdef0123456789',
+      ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
+      DIFY_API_BASE_URL: dify.baseUrl,
+      DIFY_SECRET_KEY: 'app-main',
+      DIFY_SECRET_KEY_STT: 'app-stt',
+      DIFY_SECRET_KEY_FOLLOW_SUMMARY: 'app-follow-summary',
+      DIFY_RETRY_DELAY: '50',
+      STT_PROVIDER: 'dify',
+      GENERATION_PROVIDER: 'dify',
+      WORKER_CONCURRENCY: '1',
+      CHUNK_CONCURRENCY: '1',
+      MAIL_DRIVER: 'local',
+      MAIL_OUTBOX_DIR: path.join(workDir, 'outbox'),
+    };
+
+    baseUrl = `http://127.0.0.1:${port}`;
+    api = createApiClient(baseUrl);
+
+    // The server creates the schema; the worker starts once it is there
+    server = startBackendProcess('src/index.js', { cwd: workDir, env });
+    await waitFor(async () => {
+      const { status, data } = await api.request('POST', '/api/auth/login', {
+        email: 'admin@example.com',
+        password: 'admin123',
+      });
+      if (status === 200) api.token = data.token;
+      return status === 200;
+    }, { timeout: 60000, message: 'API server did not start' });
+
+    worker = startBackendProcess('src/workers/audioWorker.js', { cwd: workDir, env });
+    db = createTestPool();
+  });
+
+  after(async () => {
+    await worker?.stop();
+    await server?.stop();
+    await db?.end();
+    await dify?.close();
+    await salesforce?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    await dropDatabase().catch(() => undefined);
+    await flushRedis().catch(() => undefined);
+  });
+
+  test('record: upload, split, STT, workflow and persist', async () => {
+    // One transient Dify failure is absorbed by the retry
+    dify.failNext('workflow', 1);
+
+    const upload = await api.upload('/api/records/upload', audioPath, { staffId: STAFF_ID, fileId: 'IT-RECORD-1' });
+    assert.equal(upload.status, 200);
+    assert.ok(upload.data.jobId);
+
+    const job = await waitForJob('records', upload.data.jobId);
+    assert.equal(job.status, 'completed', job.error_message || '');
+
+    const steps = await jobSteps(upload.data.jobId);
+    assert.deepEqual(
+      steps.map(s => s.step_name),
+      ['convert', 'split', 'stt', 'dify_workflow', 'persist', 'cleanup']
+    );
+    for (const step of steps) {
+      assert.ok(['completed', 'skipped'].includes(step.status), `${step.step_name} is ${step.status}`);
+    }
+
+    const [records] = await db.query('SELECT * FROM records WHERE job_id = ?', [upload.data.jobId]);
+    assert.equal(records.length, 1);
+    const record = records[0];
+    assert.equal(record.staff_id, STAFF_ID);
+    assert.match(record.stt, /チャンク1の文字起こし/);
+    assert.match(record.skill_sheet, /法人営業（既存顧客対応）/);
+    assert.equal(record.hope, '希望職種：一般事務\n勤務地：東京都内');
+    assert.deepEqual(JSON.parse(record.salesforce), [
+      '法人向けの既存顧客対応と新規開拓を担当。',
+      '一般事務とデータ入力を担当。',
+    ]);
+    assert.ok(JSON.parse(record.stt_segments).length > 0);
+
+    // STT went to the STT workflow, generation to the main workflow
+    const workflowKeys = dify.state.requests.filter(r => r.endpoint === 'workflow').map(r => r.apiKey);
+    assert.ok(workflowKeys.includes('app-stt'));
+    assert.ok(workflowKeys.includes('app-main'));
+    assert.ok(dify.state.requests.some(r => r.failed));
+
+    // The main workflow receives the company prompts (the defaults for an admin upload)
+    const mainRun = dify.state.requests.find(r => r.endpoint === 'workflow' && r.apiKey === 'app-main' && !r.failed);
+    for (const input of ['skillsheet_prompt', 'lor_prompt', 'skills_prompt', 'hope_prompt']) {
+      assert.ok(mainRun?.inputs[input], `${input} is missing`);
+    }
+  });
+
+  test('record: Salesforce sync writes the careers and the hope to the Account', async () => {
+    const settings = await api.request('PUT', '/api/salesforce/settings', {
+      base_url: salesforce.baseUrl,
+      username: SALESFORCE_CREDENTIALS.username,
+      password: SALESFORCE_CREDENTIALS.password,
+      security_token: SALESFORCE_CREDENTIALS.securityToken,
+    });
+    assert.equal(settings.status, 200);
+
+    const mappings = await api.request('POST', '/api/salesforce/career-mappings', {
+      careerMappings: [
+        { careerNumber: 1, fields: { jobDescription: 'Career1__c' } },
+        { careerNumber: 2, fields: { jobDescription: 'Career2__c' } },
+      ],
+      staffMemo: 'StaffMemo__c',
+    });
+    assert.equal(mappings.status, 200);
+
+    const [[record]] = await db.query(
+      'SELECT skill_sheet, hope FROM records WHERE file_id = ?',
+      ['IT-RECORD-1']
+    );
+
+    const sync = await api.request('POST', '/api/salesforce/sync-account', {
+      staffId: STAFF_ID,
+      type: 'skillSheet',
+      skillSheet: record.skill_sheet,
+      hope: record.hope,
+    });
+    assert.equal(sync.status, 200, JSON.stringify(sync.data));
+
+    const account = salesforce.get('Account', accountId);
+    assert.match(account.Career1__c, /法人営業（既存顧客対応）/);
+    assert.match(account.Career2__c, /データ入力/);
+    assert.match(account.StaffMemo__c, /勤務地：東京都内/);
+  });
+
+  test('record: regenerate overwrites the selected fields and keeps the previous output', async () => {
+    const [[record]] = await db.query('SELECT id, lor, hope FROM records WHERE file_id = ?', ['IT-RECORD-1']);
+    dify.state.recordOutputs = { ...DEFAULT_RECORD_OUTPUTS, lor: '再生成された推薦文です。', hope: '希望職種：営業' };
+
+    const invalid = await api.request('POST', `/api/records/${record.id}/regenerate`, { fields: ['memo'] });
+    assert.equal(invalid.status, 400);
+
+    const regenerate = await api.request('POST', `/api/records/${record.id}/regenerate`, { fields: ['lor'] });
+    assert.equal(regenerate.status, 200, JSON.stringify(regenerate.data));
+    assert.deepEqual(regenerate.data.fields, ['lor']);
+
+    const job = await waitForJob('records', regenerate.data.jobId);
+    assert.equal(job.status, 'completed', job.error_message || '');
+
+    const steps = await jobSteps(regenerate.data.jobId);
+    assert.deepEqual(
+      steps.map(s => [s.step_name, s.status]),
+      [
+        ['convert', 'skipped'],
+        ['split', 'skipped'],
+        ['stt', 'skipped'],
+        ['dify_workflow', 'completed'],
+        ['persist', 'completed'],
+        ['cleanup', 'skipped'],
+      ]
+    );
+
+    // Only the selected field is overwritten
+    const [[updated]] = await db.query('SELECT lor, hope FROM records WHERE id = ?', [record.id]);
+    assert.equal(updated.lor, '再生成された推薦文です。');
+    assert.equal(updated.hope, record.hope);
+
+    // The previous LoR stays in the history
+    const [revisions] = await db.query(
+      'SELECT content, source FROM revisions WHERE record_id = ? AND field = ? ORDER BY id',
+      [record.id, 'lor']
+    );
+    assert.deepEqual(revisions.map(r => r.content), [record.lor, '再生成された推薦文です。']);
+    assert.ok(revisions.every(r => r.source === 'ai'));
+
+    dify.state.recordOutputs = DEFAULT_RECORD_OUTPUTS;
+  });
+
+  test('record: an orphaned regeneration is recovered as a regeneration', async () => {
+    const [[record]] = await db.query('SELECT id, file_id, company_id, staff_id, lor FROM records WHERE file_id = ?', ['IT-RECORD-1']);
+    dify.state.recordOutputs = { ...DEFAULT_RECORD_OUTPUTS, hope: '希望職種：経理（復旧）' };
+
+    // A regeneration left in 'processing' by a crashed worker
+    const [inserted] = await db.query(
+      `INSERT INTO processing_jobs
+       (file_id, user_id, company_id, staff_id, local_file_path, job_type, record_id, regenerate_fields, status, current_step, updated_at)
+       VALUES (?, 1, ?, ?, NULL, 'record', ?, ?, 'processing', '生成中', DATE_SUB(NOW(), INTERVAL 60 MINUTE))`,
+      [record.file_id, record.company_id, record.staff_id, record.id, JSON.stringify(['hope'])]
+    );
+
+    const recovery = await runBackendScript('src/scripts/recoverOrphanedJobs.js', {
+      cwd: workDir,
+      env: { ...env, ORPHAN_REQUEUE: 'true', ORPHAN_THRESHOLD_MINUTES: '30' },
+    });
+    assert.equal(recovery.code, 0, recovery.output);
+    assert.match(recovery.output, /Successfully re-queued: 1/);
+
+    const job = await waitForJob('records', inserted.insertId);
+    assert.equal(job.status, 'completed', job.error_message || '');
+
+    const steps = await jobSteps(inserted.insertId);
+    assert.equal(steps.find(s => s.step_name === 'convert')?.status, 'skipped');
+
+    const [[updated]] = await db.query('SELECT lor, hope FROM records WHERE id = ?', [record.id]);
+    assert.equal(updated.hope, '希望職種：経理（復旧）');
+    assert.equal(updated.lor, record.lor);
+
+    dify.state.recordOutputs = DEFAULT_RECORD_OUTPUTS;
+  });
+
+  test('record: retry resends only the failed chunks to STT', async () => {
+    // Two chunks: the split happens at the first silence past MAX_CHUNK_DURATION (180 s)
+    const longAudioPath = path.join(workDir, 'long-interview.wav');
+    writeToneWav(longAudioPath, 200);
+
+    const sttRuns = () => dify.state.requests.filter(r => r.endpoint === 'workflow' && r.apiKey === 'app-stt');
+    const chunkIndexOf = (run) => {
+      const file = dify.state.files.get(run.inputs.audioFile.upload_file_id);
+      return Number(file.name.match(/_chunk_(\d+)\./)[1]);
+    };
+
+    // Chunks go through STT one at a time (CHUNK_CONCURRENCY=1): every call for the first one fails
+    dify.failNext('workflow', STT_CALLS_PER_FAILED_CHUNK);
+    const firstRunsBefore = sttRuns().length;
+
+    const upload = await api.upload('/api/records/upload', longAudioPath, { staffId: STAFF_ID, fileId: 'IT-RECORD-RESUME' });
+    assert.equal(upload.status, 200);
+    const { jobId } = upload.data;
+
+    const failed = await waitForJob('records', jobId);
+    assert.equal(failed.status, 'failed');
+    assert.match(failed.error_message, /INSUFFICIENT_SUCCESS_RATE/);
+
+    const [chunks] = await db.query(
+      'SELECT chunk_index, status FROM chunk_processing WHERE job_id = ? ORDER BY chunk_index',
+      [jobId]
+    );
+    assert.deepEqual(chunks.map(c => [c.chunk_index, c.status]), [[0, 'failed'], [1, 'completed']]);
+    assert.deepEqual([...new Set(sttRuns().slice(firstRunsBefore).map(chunkIndexOf))], [0, 1]);
+
+    const retryRunsBefore = sttRuns().length;
+    const retry = await api.request('POST', `/api/records/processing/jobs/${jobId}/retry`);
+    assert.equal(retry.status, 200, JSON.stringify(retry.data));
+
+    const job = await waitForJob('records', jobId);
+    assert.equal(job.status, 'completed', job.error_message || '');
+
+    // Only the failed chunk went to STT again
+    assert.deepEqual(sttRuns().slice(retryRunsBefore).map(chunkIndexOf), [0]);
+
+    const steps = await jobSteps(jobId);
+    const byName = Object.fromEntries(steps.map(s => [s.step_name, s]));
+    assert.equal(byName.convert.status, 'skipped');
+    assert.equal(byName.split.status, 'skipped');
+    assert.equal(byName.stt.status, 'completed');
+    const sttMetadata = typeof byName.stt.metadata === 'string' ? JSON.parse(byName.stt.metadata) : byName.stt.metadata;
+    assert.equal(sttMetadata.resumed, true);
+    assert.equal(sttMetadata.reusedChunks, 1);
+    assert.equal(sttMetadata.retriedChunks, 1);
+
+    const [[record]] = await db.query('SELECT stt FROM records WHERE job_id = ?', [jobId]);
+    assert.ok(record);
+  });
+
+  test('follow: upload, summary and Salesforce Event', async () => {
+    const upload = await api.upload('/api/follow/upload', audioPath, { staffId: STAFF_ID, fileId: 'IT-FOLLOW-1' });
+    assert.equal(upload.status, 200);
+
+    const job = await waitForJob('follow', upload.data.jobId);
+    assert.equal(job.status, 'completed', job.error_message || '');
+
+    const [[follow]] = await db.query('SELECT * FROM follows WHERE job_id = ?', [upload.data.jobId]);
+    assert.equal(follow.summary, DEFAULT_SUMMARY);
+
+    // The summary workflow receives the company prompt (the default for an admin upload)
+    const summaryRun = dify.state.requests.find(r => r.endpoint === 'workflow' && r.apiKey === 'app-follow-summary');
+    assert.ok(summaryRun?.inputs.prompt);
+
+    const sync = await api.request('POST', '/api/follow/sync-salesforce', {
+      followId: follow.id,
+      staffId: STAFF_ID,
+      title: '定期フォロー',
+      followDate: '2026-01-15',
+      summary: follow.summary,
+    });
+    assert.equal(sync.status, 200, JSON.stringify(sync.data));
+    assert.ok(sync.data.eventId);
+
+    const event = salesforce.get('Event', sync.data.eventId);
+    assert.equal(event.WhatId, accountId);
+    assert.equal(event.Subject, '定期フォロー');
+    assert.equal(event.Description, DEFAULT_SUMMARY);
+    assert.match(event.StartDateTime, /^2026-01-15T/);
+
+    const [[synced]] = await db.query('SELECT salesforce_event_id FROM follows WHERE id = ?', [follow.id]);
+    assert.equal(synced.salesforce_event_id, sync.data.eventId);
+  });
+
+  test('follow: prompt versions, rollback and test run', async () => {
+    // Company prompts belong to a company: edit them as its manager
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['統合テスト株式会社', 'integration']);
+    const created = await api.request('POST', '/api/users', {
+      name: '統合 管理者',
+      email: 'manager@example.com',
+      password: 'manager123',
+      role: 'company-manager',
+      company_id: company.insertId,
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+
+    const manager = createApiClient(baseUrl);
+    const login = await manager.request('POST', '/api/auth/login', { email: 'manager@example.com', password: 'manager123' });
+    assert.equal(login.status, 200);
+    manager.token = login.data.token;
+
+    for (const prompt of ['要約プロンプト v1', '要約プロンプト v2']) {
+      const update = await manager.request('PUT', '/api/follow/prompt', { prompt });
+      assert.equal(update.status, 200);
+    }
+
+    let versions = (await manager.request('GET', '/api/follow/prompt/versions')).data.versions;
+    assert.deepEqual(versions.map(v => v.content), ['要約プロンプト v2', '要約プロンプト v1']);
+    assert.ok(versions.every(v => v.editorName === '統合 管理者'));
+
+    const rollback = await manager.request('POST', `/api/follow/prompt/versions/${versions[1].id}/rollback`);
+    assert.equal(rollback.status, 200);
+    assert.equal((await manager.request('GET', '/api/follow/prompt')).data.prompt, '要約プロンプト v1');
+
+    versions = (await manager.request('GET', '/api/follow/prompt/versions')).data.versions;
+    assert.equal(versions.length, 3);
+    assert.equal(versions[0].restoredFrom, versions[2].id);
+
+    // A test run uses the draft prompt and leaves the follow and the saved prompt alone
+    const [[follow]] = await db.query('SELECT id, summary FROM follows WHERE file_id = ?', ['IT-FOLLOW-1']);
+    await db.query('UPDATE follows SET company_id = ? WHERE id = ?', [company.insertId, follow.id]);
+    dify.state.summary = '下書きプロンプトの要約です。';
+
+    const test = await manager.request('POST', '/api/follow/prompt/test', { prompt: '下書きプロンプト', followId: follow.id });
+    assert.equal(test.status, 200, JSON.stringify(test.data));
+    assert.equal(test.data.summary, '下書きプロンプトの要約です。');
+    assert.equal(test.data.currentSummary, follow.summary);
+
+    const summaryRuns = dify.state.requests.filter(r => r.endpoint === 'workflow' && r.apiKey === 'app-follow-summary');
+    assert.equal(summaryRuns.at(-1).inputs.prompt, '下書きプロンプト');
+
+    const [[unchanged]] = await db.query('SELECT summary FROM follows WHERE id = ?', [follow.id]);
+    assert.equal(unchanged.summary, follow.summary);
+    assert.equal((await manager.request('GET', '/api/follow/prompt')).data.prompt, '要約プロンプト v1');
+
+    dify.state.summary = DEFAULT_SUMMARY;
+  });
+
+  test('record: cancel stops a running job and removes its files', async () => {
+    // Delaying every Dify workflow answer (STT runs as a workflow too) keeps the job in the STT step long enough to cancel it
+    dify.state.workflowDelay = 2000;
+    const mainRuns = () => dify.state.requests.filter(r => r.endpoint === 'workflow' && r.apiKey === 'app-main').length;
+    const mainRunsBefore = mainRuns();
+
+    const upload = await api.upload('/api/records/upload', audioPath, { staffId: STAFF_ID, fileId: 'IT-RECORD-CANCEL' });
+    assert.equal(upload.status, 200);
+    const { jobId } = upload.data;
+
+    await waitFor(async () => {
+      const [[stt]] = await db.query('SELECT status FROM job_steps WHERE job_id = ? AND step_name = ?', [jobId, 'stt']);
+      return stt?.status === 'running';
+    }, { timeout: 60000, interval: 200, message: `Job ${jobId} did not reach the STT step` });
+
+    const cancel = await api.request('POST', `/api/records/processing/jobs/${jobId}/cancel`);
+    assert.equal(cancel.status, 200, JSON.stringify(cancel.data));
+
+    // The orchestrator stops at the next chunk and marks the unfinished steps
+    await waitFor(async () => {
+      const steps = await jobSteps(jobId);
+      return steps.length > 0 && steps.every(s => !['pending', 'running'].includes(s.status));
+    }, { timeout: 60000, interval: 500, message: `Job ${jobId} did not stop` });
+    dify.state.workflowDelay = 0;
+
+    const { data: job } = await api.request('GET', `/api/records/processing/jobs/${jobId}`);
+    assert.equal(job.status, 'cancelled');
+
+    const steps = await jobSteps(jobId);
+    assert.deepEqual(
+      steps.filter(s => s.status === 'cancelled').map(s => s.step_name),
+      ['stt', 'dify_workflow', 'persist', 'cleanup']
+    );
+    assert.equal(mainRuns(), mainRunsBefore);
+
+    const [records] = await db.query('SELECT id FROM records WHERE job_id = ?', [jobId]);
+    assert.equal(records.length, 0);
+
+    // Neither the upload, its MP3 nor its chunks are left
+    const uploadPath = path.resolve(workDir, job.localFilePath);
+    const baseName = path.basename(uploadPath, path.extname(uploadPath));
+    assert.deepEqual(fs.readdirSync(path.dirname(uploadPath)).filter(name => name.startsWith(baseName)), []);
+
+    const again = await api.request('POST', `/api/records/processing/jobs/${jobId}/cancel`);
+    assert.equal(again.status, 409);
+  });
+
+  test('record: cancel removes a queued job and its upload', async () => {
+    // With one worker slot, a second upload waits in the queue while the first is in STT
+    dify.state.workflowDelay = 2000;
+
+    const running = await api.upload('/api/records/upload', audioPath, { staffId: STAFF_ID, fileId: 'IT-RECORD-RUNNING' });
+    assert.equal(running.status, 200);
+    await waitFor(async () => {
+      const [[stt]] = await db.query('SELECT status FROM job_steps WHERE job_id = ? AND step_name = ?', [running.data.jobId, 'stt']);
+      return stt?.status === 'running';
+    }, { timeout: 60000, interval: 200, message: `Job ${running.data.jobId} did not reach the STT step` });
+
+    const queued = await api.upload('/api/records/upload', audioPath, { staffId: STAFF_ID, fileId: 'IT-RECORD-QUEUED' });
+    assert.equal(queued.status, 200);
+    const { jobId } = queued.data;
+    const { data: pending } = await api.request('GET', `/api/records/processing/jobs/${jobId}`);
+    assert.equal(pending.status, 'pending');
+    const uploadPath = path.resolve(workDir, pending.localFilePath);
+    assert.ok(fs.existsSync(uploadPath));
+
+    // A record job cannot be cancelled through the follow endpoint
+    const wrongType = await api.request('POST', `/api/follow/processing/jobs/${jobId}/cancel`);
+    assert.equal(wrongType.status, 404);
+
+    const cancel = await api.request('POST', `/api/records/processing/jobs/${jobId}/cancel`);
+    assert.equal(cancel.status, 200, JSON.stringify(cancel.data));
+    assert.equal(fs.existsSync(uploadPath), false);
+
+    const stop = await api.request('POST', `/api/records/processing/jobs/${running.data.jobId}/cancel`);
+    assert.equal(stop.status, 200, JSON.stringify(stop.data));
+    await waitForJob('records', running.data.jobId);
+    dify.state.workflowDelay = 0;
+
+    // The worker never picks up the cancelled job
+    const { data: job } = await api.request('GET', `/api/records/processing/jobs/${jobId}`);
+    assert.equal(job.status, 'cancelled');
+    assert.deepEqual(await jobSteps(jobId), []);
+  });
+
+  test('trash: delete moves records and follows to the trash and restore brings them back', async () => {
+    const [[admin]] = await db.query('SELECT id FROM users WHERE email = ?', ['admin@example.com']);
+    const [[record]] = await db.query('SELECT id, audio_file_path FROM records WHERE file_id = ?', ['IT-RECORD-1']);
+    const [[follow]] = await db.query('SELECT id, salesforce_event_id FROM follows WHERE file_id = ?', ['IT-FOLLOW-1']);
+
+    const deleteRecord = await api.request('DELETE', `/api/records/${record.id}`);
+    assert.equal(deleteRecord.status, 200, JSON.stringify(deleteRecord.data));
+    const deleteFollow = await api.request('DELETE', `/api/follow/${follow.id}`);
+    assert.equal(deleteFollow.status, 200, JSON.stringify(deleteFollow.data));
+
+    // Soft delete: the rows, the audio and the Salesforce Event stay until the trash is purged
+    const [[deletedRecord]] = await db.query('SELECT deleted_at, deleted_by FROM records WHERE id = ?', [record.id]);
+    assert.ok(deletedRecord.deleted_at);
+    assert.equal(deletedRecord.deleted_by, admin.id);
+    assert.ok(fs.existsSync(path.resolve(workDir, record.audio_file_path)));
+    assert.ok(salesforce.get('Event', follow.salesforce_event_id));
+
+    assert.equal((await api.request('GET', `/api/records/${record.id}`)).status, 404);
+    assert.equal((await api.request('GET', `/api/follow/${follow.id}`)).status, 404);
+
+    const recordTrash = await api.request('GET', '/api/records/trash');
+    assert.equal(recordTrash.status, 200);
+    assert.deepEqual(recordTrash.data.records.map(r => r.id), [record.id]);
+    assert.ok(recordTrash.data.records[0].purgeAt);
+    const followTrash = await api.request('GET', '/api/follow/trash');
+    assert.deepEqual(followTrash.data.records.map(r => r.id), [follow.id]);
+
+    const restoreRecord = await api.request('POST', `/api/records/${record.id}/restore`);
+    assert.equal(restoreRecord.status, 200, JSON.stringify(restoreRecord.data));
+    const restoreFollow = await api.request('POST', `/api/follow/${follow.id}/restore`);
+    assert.equal(restoreFollow.status, 200, JSON.stringify(restoreFollow.data));
+
+    assert.equal((await api.request('GET', `/api/records/${record.id}`)).status, 200);
+    assert.equal((await api.request('GET', `/api/follow/${follow.id}`)).status, 200);
+    assert.deepEqual((await api.request('GET', '/api/records/trash')).data.records, []);
+    assert.deepEqual((await api.request('GET', '/api/follow/trash')).data.records, []);
+
+    // Only items in the trash can be restored
+    assert.equal((await api.request('POST', `/api/records/${record.id}/restore`)).status, 404);
+  });
+
+  test('auto-delete: the retention policy skips items under a legal hold', async () => {
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['保持期間テスト株式会社', 'retention']);
+    const companyId = company.insertId;
+    const retention = await api.request('PUT', `/api/companies/${companyId}/retention`, {
+      recordsMonths: 1,
+      followsMonths: 1,
+      audioDays: 7,
+    });
+    assert.equal(retention.status, 200, JSON.stringify(retention.data));
+
+    const [staff] = await db.query('INSERT INTO staff (company_id, staff_id, name) VALUES (?, ?, ?)', [companyId, 'STAFF-HOLD', '係争 花子']);
+    const heldStaff = { company_id: companyId, staff_id: 'STAFF-HOLD', staff_ref_id: staff.insertId };
+    const other = { company_id: companyId, staff_id: 'STAFF-0002' };
+
+    const audio = {
+      expired: writeAudioFile('retention-expired'),
+      held: writeAudioFile('retention-held'),
+      audioExpired: writeAudioFile('retention-audio-expired'),
+      audioHeld: writeAudioFile('retention-audio-held'),
+      recent: writeAudioFile('retention-recent'),
+    };
+    const records = {
+      expired: await insertAgedRow('records', { ...other, file_id: 'RT-EXPIRED', audio_file_path: audio.expired }, 100),
+      held: await insertAgedRow('records', { ...other, file_id: 'RT-HELD', audio_file_path: audio.held }, 100),
+      staffHeld: await insertAgedRow('records', { ...heldStaff, file_id: 'RT-STAFF-HELD' }, 100),
+      audioExpired: await insertAgedRow('records', { ...other, file_id: 'RT-AUDIO', audio_file_path: audio.audioExpired }, 10),
+      audioHeld: await insertAgedRow('records', { ...heldStaff, file_id: 'RT-AUDIO-HELD', audio_file_path: audio.audioHeld }, 10),
+      trashed: await insertAgedRow('records', { ...other, file_id: 'RT-TRASHED' }, 0, 40),
+      recent: await insertAgedRow('records', { ...other, file_id: 'RT-RECENT', audio_file_path: audio.recent }, 0),
+    };
+    const follows = {
+      expired: await insertAgedRow('follows', { ...other, file_id: 'RT-FOLLOW-EXPIRED' }, 100),
+      held: await insertAgedRow('follows', { ...other, file_id: 'RT-FOLLOW-HELD' }, 100),
+    };
+
+    for (const [targetType, targetId] of [['record', records.held], ['follow', follows.held], ['staff', staff.insertId]]) {
+      const hold = await api.request('POST', '/api/legal-holds', { targetType, targetId, reason: '労働紛争のため保全' });
+      assert.equal(hold.status, 201, JSON.stringify(hold.data));
+      assert.equal(hold.data.hold.reason, '労働紛争のため保全');
+    }
+
+    const run = await api.request('POST', '/api/jobs/auto-delete');
+    assert.equal(run.status, 200, JSON.stringify(run.data));
+    assert.equal(run.data.records.deletedCount, 2);
+    assert.equal(run.data.records.purgedCount, 1);
+    assert.equal(run.data.records.audioExpiredCount, 1);
+    // The held records and the held audio, each counted once
+    assert.equal(run.data.records.skippedCount, 3);
+    assert.equal(run.data.follows.deletedCount, 1);
+    assert.equal(run.data.follows.skippedCount, 1);
+
+    const [remainingRecords] = await db.query(
+      'SELECT id, audio_file_path FROM records WHERE company_id = ? ORDER BY id',
+      [companyId]
+    );
+    assert.deepEqual(remainingRecords.map(r => r.id), [records.held, records.staffHeld, records.audioExpired, records.audioHeld, records.recent]);
+    const audioPaths = Object.fromEntries(remainingRecords.map(r => [r.id, r.audio_file_path]));
+    assert.equal(audioPaths[records.audioExpired], null);
+    assert.equal(audioPaths[records.audioHeld], audio.audioHeld);
+    assert.equal(audioPaths[records.held], audio.held);
+
+    assert.equal(fs.existsSync(audio.expired), false);
+    assert.equal(fs.existsSync(audio.audioExpired), false);
+    for (const kept of [audio.held, audio.audioHeld, audio.recent]) {
+      assert.ok(fs.existsSync(kept), `${kept} was deleted`);
+    }
+
+    const [remainingFollows] = await db.query('SELECT id FROM follows WHERE company_id = ?', [companyId]);
+    assert.deepEqual(remainingFollows.map(f => f.id), [follows.held]);
+  });
+
+  test('auto-delete: the dry run lists exactly what the real run deletes', async () => {
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['削除予定テスト株式会社', 'dry-run']);
+    const companyId = company.insertId;
+    const retention = await api.request('PUT', `/api/companies/${companyId}/retention`, {
+      recordsMonths: 1,
+      followsMonths: 1,
+      audioDays: 7,
+    });
+    assert.equal(retention.status, 200, JSON.stringify(retention.data));
+
+    const owner = { company_id: companyId, staff_id: 'STAFF-0003' };
+    const audio = {
+      expired: writeAudioFile('dry-run-expired', 2048),
+      held: writeAudioFile('dry-run-held', 1024),
+      audioExpired: writeAudioFile('dry-run-audio-expired', 4096),
+    };
+    const records = {
+      expired: await insertAgedRow('records', { ...owner, file_id: 'DR-EXPIRED', audio_file_path: audio.expired }, 100),
+      held: await insertAgedRow('records', { ...owner, file_id: 'DR-HELD', audio_file_path: audio.held }, 100),
+      audioExpired: await insertAgedRow('records', { ...owner, file_id: 'DR-AUDIO', audio_file_path: audio.audioExpired }, 10),
+    };
+    const follows = {
+      expired: await insertAgedRow('follows', { ...owner, file_id: 'DR-FOLLOW-EXPIRED' }, 100),
+      trashed: await insertAgedRow('follows', { ...owner, file_id: 'DR-FOLLOW-TRASHED' }, 0, 40),
+    };
+    const hold = await api.request('POST', '/api/legal-holds', { targetType: 'record', targetId: records.held, reason: '監査対応' });
+    assert.equal(hold.status, 201, JSON.stringify(hold.data));
+
+    const countRows = async () => {
+      const [[counts]] = await db.query(
+        `SELECT
+          (SELECT COUNT(*) FROM records) as records,
+          (SELECT COUNT(*) FROM follows) as follows,
+          (SELECT COUNT(*) FROM records WHERE audio_file_path IS NOT NULL) as audioFiles`
+      );
+      return counts;
+    };
+    const countsBefore = await countRows();
+
+    const dryRun = await api.request('POST', '/api/jobs/auto-delete?dryRun=1');
+    assert.equal(dryRun.status, 200, JSON.stringify(dryRun.data));
+    assert.equal(dryRun.data.dryRun, true);
+
+    // Nothing is deleted by a dry run
+    assert.deepEqual(await countRows(), countsBefore);
+    assert.ok(Object.values(audio).every(filePath => fs.existsSync(filePath)));
+
+    const plan = dryRun.data.companies.find(c => c.companyId === companyId);
+    assert.deepEqual(plan.records.map(r => [r.id, r.reason]), [[records.expired, 'retention']]);
+    assert.deepEqual(plan.follows.map(f => [f.id, f.reason]), [[follows.expired, 'retention'], [follows.trashed, 'trash']]);
+    assert.deepEqual(
+      plan.audioFiles.map(a => [a.recordId, a.reason, a.bytes]),
+      [[records.expired, 'record', 2048], [records.audioExpired, 'audio_retention', 4096]]
+    );
+    // The held record is skipped once, not again for its expired audio
+    assert.deepEqual(plan.skipped, { records: 1, follows: 0, audioFiles: 0 });
+    assert.equal(plan.totals.bytes, 2048 + 4096);
+
+    // A preview for one company has the same entry
+    const scoped = await api.request('POST', '/api/jobs/auto-delete', { dryRun: true, companyId });
+    assert.deepEqual(scoped.data.companies, [plan]);
+
+    // The jobs run at most once per AUTO_DELETE_INTERVAL_HOURS; the previous test already ran them
+    await db.query('DELETE FROM job_runs');
+    const run = await api.request('POST', '/api/jobs/auto-delete');
+    assert.equal(run.status, 200, JSON.stringify(run.data));
+
+    const { companies, totals } = dryRun.data;
+    const sum = (pick) => companies.reduce((total, c) => total + pick(c), 0);
+    assert.equal(run.data.records.deletedCount, totals.records);
+    assert.equal(run.data.follows.deletedCount, totals.follows);
+    assert.equal(run.data.records.filesDeleted, totals.audioFiles);
+    assert.equal(
+      run.data.records.audioExpiredCount,
+      sum(c => c.audioFiles.filter(a => a.reason === 'audio_retention').length)
+    );
+    assert.equal(run.data.records.skippedCount, sum(c => c.skipped.records + c.skipped.audioFiles));
+    assert.equal(run.data.follows.skippedCount, sum(c => c.skipped.follows));
+    assert.equal(run.data.records.skippedCount + run.data.follows.skippedCount, totals.skipped);
+
+    // The listed items are the ones that are gone
+    const plannedRecordIds = companies.flatMap(c => c.records.map(r => r.id));
+    const plannedFollowIds = companies.flatMap(c => c.follows.map(f => f.id));
+    const [[gone]] = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM records WHERE id IN (?)) as records,
+        (SELECT COUNT(*) FROM follows WHERE id IN (?)) as follows`,
+      [plannedRecordIds, plannedFollowIds]
+    );
+    assert.equal(gone.records, 0);
+    assert.equal(gone.follows, 0);
+
+    const [[audioExpired]] = await db.query('SELECT audio_file_path FROM records WHERE id = ?', [records.audioExpired]);
+    assert.equal(audioExpired.audio_file_path, null);
+    assert.equal(fs.existsSync(audio.expired), false);
+    assert.equal(fs.existsSync(audio.audioExpired), false);
+    assert.ok(fs.existsSync(audio.held));
+  });
+
+  test('retention: a company value overrides the default, 0 keeps items and only its managers change it', async () => {
+    const { client: manager, companyId } = await loginAs('retention-manager', 'company-manager');
+    const { client: otherManager } = await loginAs('retention-other', 'company-manager');
+    const { client: member } = await loginAs('retention-member');
+    await db.query('UPDATE users SET company_id = ? WHERE email = ?', [companyId, 'retention-member@example.com']);
+
+    const url = `/api/companies/${companyId}/retention`;
+    for (const client of [member, otherManager]) {
+      assert.equal((await client.request('GET', url)).status, 403);
+      assert.equal((await client.request('PUT', url, { recordsMonths: 1 })).status, 403);
+    }
+
+    // Records are never deleted, follows take the system default (2 months)
+    const saved = await manager.request('PUT', url, { recordsMonths: 0, followsMonths: null });
+    assert.equal(saved.status, 200, JSON.stringify(saved.data));
+    assert.deepEqual(saved.data.settings, { recordsMonths: 0, followsMonths: null, audioDays: null });
+    assert.deepEqual(saved.data.effective, { ...saved.data.defaults, recordsMonths: 0 });
+    assert.equal(saved.data.defaults.followsMonths, 2);
+
+    const owner = { company_id: companyId, staff_id: 'STAFF-KEEP' };
+    await insertAgedRow('records', { ...owner, file_id: 'KEEP-RECORD' }, 400);
+    const followId = await insertAgedRow('follows', { ...owner, file_id: 'KEEP-FOLLOW' }, 100);
+    await insertAgedRow('follows', { ...owner, file_id: 'KEEP-FOLLOW-RECENT' }, 10);
+
+    const preview = async () => {
+      const response = await manager.request('POST', '/api/jobs/auto-delete', { dryRun: true });
+      assert.equal(response.status, 200, JSON.stringify(response.data));
+      return response.data.companies;
+    };
+    const [plan, ...others] = await preview();
+    assert.deepEqual(others, []);
+    assert.equal(plan.companyId, companyId);
+    assert.deepEqual(plan.records, []);
+    assert.deepEqual(plan.follows.map(f => [f.id, f.reason]), [[followId, 'retention']]);
+
+    // 0 for the follows as well leaves nothing to delete
+    assert.equal((await manager.request('PUT', url, { followsMonths: 0 })).status, 200);
+    assert.deepEqual(await preview(), []);
+  });
+
+  test('legal holds: a released hold stays in the history after its record is purged', async () => {
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['保全履歴テスト株式会社', 'hold-history']);
+    const recordId = await insertAgedRow('records', { company_id: company.insertId, staff_id: 'STAFF-PURGE', file_id: 'LH-PURGED' }, 1);
+
+    const hold = await api.request('POST', '/api/legal-holds', { targetType: 'record', targetId: recordId, reason: '監査のため保全' });
+    assert.equal(hold.status, 201, JSON.stringify(hold.data));
+    const holdId = hold.data.hold.id;
+    assert.equal((await api.request('POST', `/api/legal-holds/${holdId}/release`)).status, 200);
+
+    // The trash purge deletes the row
+    await db.query('DELETE FROM records WHERE id = ?', [recordId]);
+
+    const [[row]] = await db.query('SELECT record_id FROM legal_holds WHERE id = ?', [holdId]);
+    assert.equal(row.record_id, null);
+
+    const { data } = await api.request('GET', '/api/legal-holds?includeReleased=1');
+    const released = data.holds.find(h => h.id === holdId);
+    assert.equal(released.targetType, 'record');
+    assert.equal(released.targetId, recordId);
+    assert.equal(released.staffId, 'STAFF-PURGE');
+    assert.equal(released.reason, '監査のため保全');
+    assert.ok(released.releasedAt);
+  });
+
+  test('deletion notices: one email per uploader, retried after a failure and sent again when due again', async () => {
+    const { companyId } = await loginAs('notice-uploader');
+    const email = 'notice-uploader@example.com';
+    const [[uploader]] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+    const setRetention = async (recordsMonths) => {
+      const retention = await api.request('PUT', `/api/companies/${companyId}/retention`, { recordsMonths, followsMonths: 0, audioDays: 0 });
+      assert.equal(retention.status, 200, JSON.stringify(retention.data));
+    };
+    await setRetention(1);
+
+    // Due within DELETION_NOTICE_DAYS (7): 27 days old under a one-month retention
+    const owner = { company_id: companyId, user_id: uploader.id, staff_id: 'STAFF-NOTICE' };
+    const due = [
+      await insertAgedRow('records', { ...owner, file_id: 'DN-DUE-1' }, 27),
+      await insertAgedRow('records', { ...owner, file_id: 'DN-DUE-2' }, 27),
+    ];
+    const held = await insertAgedRow('records', { ...owner, file_id: 'DN-HELD' }, 27);
+    await insertAgedRow('records', { ...owner, file_id: 'DN-TRASHED' }, 27, 1);
+    const hold = await api.request('POST', '/api/legal-holds', { targetType: 'record', targetId: held, reason: '保全' });
+    assert.equal(hold.status, 201, JSON.stringify(hold.data));
+
+    const outbox = env.MAIL_OUTBOX_DIR;
+    const mails = () => (fs.existsSync(outbox) && fs.statSync(outbox).isDirectory() ? fs.readdirSync(outbox) : [])
+      .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+      .filter(mail => mail.to === email);
+    const run = async () => {
+      await db.query('DELETE FROM job_runs');
+      const { status, data } = await api.request('POST', '/api/jobs/auto-delete');
+      assert.equal(status, 200, JSON.stringify(data));
+      return data.notices;
+    };
+    const noticedIds = async () => {
+      const [rows] = await db.query('SELECT record_id FROM deletion_notices WHERE user_id = ? ORDER BY record_id', [uploader.id]);
+      return rows.map(r => r.record_id);
+    };
+
+    // The mailer cannot write its outbox: the notices are kept for the next run
+    fs.rmSync(outbox, { recursive: true, force: true });
+    fs.writeFileSync(outbox, '');
+    let notices = await run();
+    assert.equal(notices.noticedCount, 2);
+    assert.equal(notices.failedUsers, 1);
+    assert.deepEqual(await noticedIds(), due);
+    fs.rmSync(outbox);
+
+    notices = await run();
+    assert.equal(notices.noticedCount, 0);
+    assert.equal(notices.emailedUsers, 1);
+    let sent = mails();
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].text, /DN-DUE-1/);
+    assert.match(sent[0].text, /DN-DUE-2/);
+    assert.doesNotMatch(sent[0].text, /DN-HELD|DN-TRASHED/);
+
+    // Once per uploader
+    notices = await run();
+    assert.equal(notices.emailedUsers, 0);
+    assert.equal(mails().length, 1);
+
+    // Extending the retention clears the notices; the items are noticed again once due again
+    await setRetention(12);
+    notices = await run();
+    assert.equal(notices.clearedCount, 2);
+    assert.deepEqual(await noticedIds(), []);
+
+    await setRetention(1);
+    notices = await run();
+    assert.equal(notices.noticedCount, 2);
+    assert.equal(notices.emailedUsers, 1);
+    sent = mails();
+    assert.equal(sent.length, 2);
+  });
+
+  test('staff: records and follows of a staff ID share a timeline that company members can edit', async () => {
+    const { client: member, companyId } = await loginAs('staff-team');
+    const { client: outsider } = await loginAs('staff-outsider');
+    const owner = { company_id: companyId, staff_name: 'タイムライン 太郎' };
+    const recordId = await insertAgedRow('records', { ...owner, staff_id: 'OLD-ID', file_id: 'ST-RECORD' }, 10);
+    const followId = await insertAgedRow('follows', { ...owner, staff_id: 'OLD-ID', file_id: 'ST-FOLLOW' }, 5);
+
+    // Both re-link to the same staff row
+    assert.equal((await member.request('PUT', `/api/records/${recordId}/staff-id`, { staffId: 'STAFF-TL' })).status, 200);
+    assert.equal((await member.request('PUT', `/api/follow/${followId}/staff-id`, { staffId: 'STAFF-TL' })).status, 200);
+    const [[record]] = await db.query('SELECT staff_ref_id FROM records WHERE id = ?', [recordId]);
+    const [[follow]] = await db.query('SELECT staff_ref_id FROM follows WHERE id = ?', [followId]);
+    assert.ok(record.staff_ref_id);
+    assert.equal(follow.staff_ref_id, record.staff_ref_id);
+
+    const list = await member.request('GET', '/api/staff?q=STAFF-TL');
+    assert.equal(list.status, 200);
+    assert.deepEqual(
+      list.data.staff.map(s => [s.staffId, s.name, s.recordCount, s.followCount]),
+      [['STAFF-TL', 'タイムライン 太郎', 1, 1]]
+    );
+    const staffId = list.data.staff[0].id;
+
+    const profile = await member.request('GET', `/api/staff/${staffId}`);
+    assert.equal(profile.status, 200);
+    assert.deepEqual(profile.data.timeline.map(item => [item.type, item.fileId]), [['record', 'ST-RECORD'], ['follow', 'ST-FOLLOW']]);
+
+    // Members of the company may edit the staff row, other companies cannot see it
+    const update = await member.request('PUT', `/api/staff/${staffId}`, { name: 'タイムライン 次郎', salesforceAccountId: '0015g00000ABCDEAAA' });
+    assert.equal(update.status, 200, JSON.stringify(update.data));
+    assert.equal(update.data.staff.name, 'タイムライン 次郎');
+    assert.equal(update.data.staff.salesforceAccountId, '0015g00000ABCDEAAA');
+    assert.equal((await member.request('PUT', `/api/staff/${staffId}`, { salesforceAccountId: 'not-an-id' })).status, 400);
+
+    assert.equal((await outsider.request('PUT', `/api/staff/${staffId}`, { name: '他社' })).status, 403);
+    assert.equal((await outsider.request('GET', `/api/staff/${staffId}`)).status, 404);
+    assert.deepEqual((await outsider.request('GET', '/api/staff?q=STAFF-TL')).data.staff, []);
+  });
+
+  test('search: results are scoped to the company and leave out the trash', async () => {
+    const { client: member, companyId } = await loginAs('search-team');
+    const [otherCompany] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['検索他社株式会社', 'search-other']);
+    const stt = '本日は倉庫管理システムの導入経験について伺いました。';
+    await insertAgedRow('records', { company_id: companyId, staff_id: 'STAFF-SEARCH', file_id: 'SR-OWN', stt }, 1);
+    await insertAgedRow('records', { company_id: companyId, staff_id: 'STAFF-SEARCH', file_id: 'SR-TRASHED', stt }, 1, 0);
+    await insertAgedRow('records', { company_id: otherCompany.insertId, staff_id: 'STAFF-SEARCH', file_id: 'SR-OTHER', stt }, 1);
+    await insertAgedRow('follows', { company_id: companyId, staff_id: 'STAFF-SEARCH', file_id: 'SR-FOLLOW', summary: stt }, 1);
+
+    const search = async (client, query) => {
+      const { status, data } = await client.request('GET', `/api/search?${new URLSearchParams(query)}`);
+      assert.equal(status, 200, JSON.stringify(data));
+      return data;
+    };
+
+    const own = await search(member, { q: '倉庫管理 "導入"' });
+    assert.deepEqual(own.terms, ['倉庫管理', '導入']);
+    assert.deepEqual(own.results.map(r => [r.type, r.fileId]).sort(), [['follow', 'SR-FOLLOW'], ['record', 'SR-OWN']]);
+    assert.equal(own.pagination.total, 2);
+    const record = own.results.find(r => r.type === 'record');
+    assert.deepEqual(record.snippets.map(snippet => snippet.field), ['stt']);
+    assert.ok(record.snippets[0].segments.some(segment => segment.match && segment.text === '倉庫管理'));
+
+    assert.deepEqual((await search(member, { q: '倉庫管理', type: 'follows' })).results.map(r => r.fileId), ['SR-FOLLOW']);
+
+    // The admin sees every company, but never the trash
+    const all = await search(api, { q: '倉庫管理', type: 'records' });
+    assert.deepEqual(all.results.map(r => r.fileId).sort(), ['SR-OTHER', 'SR-OWN']);
+
+    assert.equal((await member.request('GET', '/api/search?q=a')).status, 400);
+  });
+
+  test('revisions: edits are versioned and an old version can be restored', async () => {
+    const [[record]] = await db.query('SELECT id FROM records WHERE file_id = ?', ['IT-RECORD-1']);
+
+    for (const memo of ['面談メモ\n希望：事務職', '面談メモ\n希望：営業職']) {
+      const update = await api.request('PUT', `/api/records/${record.id}/memo`, { memo });
+      assert.equal(update.status, 200, JSON.stringify(update.data));
+    }
+
+    // Saving the same memo again adds no version
+    await api.request('PUT', `/api/records/${record.id}/memo`, { memo: '面談メモ\n希望：営業職' });
+
+    let revisions = (await api.request('GET', `/api/records/${record.id}/revisions?field=memo`)).data.revisions;
+    assert.equal(revisions.length, 2);
+    assert.ok(revisions.every(r => r.field === 'memo' && r.source === 'user'));
+    const [second, first] = revisions;
+
+    const diff = await api.request('GET', `/api/records/${record.id}/revisions/diff?from=${first.id}&to=${second.id}`);
+    assert.equal(diff.status, 200, JSON.stringify(diff.data));
+    assert.deepEqual(diff.data.hunks, [
+      { type: 'equal', lines: ['面談メモ'] },
+      { type: 'removed', lines: ['希望：事務職'] },
+      { type: 'added', lines: ['希望：営業職'] },
+    ]);
+
+    const restore = await api.request('POST', `/api/records/${record.id}/revisions/${first.id}/restore`);
+    assert.equal(restore.status, 200, JSON.stringify(restore.data));
+    assert.equal((await api.request('GET', `/api/records/${record.id}`)).data.memo, '面談メモ\n希望：事務職');
+
+    // The restore is a new version on top of the history
+    revisions = (await api.request('GET', `/api/records/${record.id}/revisions?field=memo`)).data.revisions;
+    assert.deepEqual(revisions.map(r => r.id).slice(1), [second.id, first.id]);
+    const [[restored]] = await db.query('SELECT content FROM revisions WHERE id = ?', [revisions[0].id]);
+    assert.equal(restored.content, '面談メモ\n希望：事務職');
+  });
+
+  test('records list: filters, memo search and sorting', async () => {
+    const list = async (query) => {
+      const { status, data } = await api.request('GET', `/api/records?${new URLSearchParams(query)}`);
+      assert.equal(status, 200, JSON.stringify(data));
+      return data;
+    };
+
+    // staffId is a prefix match
+    const byStaff = await list({ staffId: 'STAFF-HO', sort: 'fileId', order: 'asc' });
+    assert.deepEqual(byStaff.records.map(r => r.fileId), ['RT-AUDIO-HELD', 'RT-STAFF-HELD']);
+    assert.equal(byStaff.pagination.total, 2);
+
+    const descending = await list({ staffId: 'STAFF-HOLD', sort: 'fileId', order: 'desc' });
+    assert.deepEqual(descending.records.map(r => r.fileId), ['RT-STAFF-HELD', 'RT-AUDIO-HELD']);
+
+    const byMemo = await list({ memo: '事務職' });
+    assert.deepEqual(byMemo.records.map(r => r.fileId), ['IT-RECORD-1']);
+
+    // LIKE wildcards in the search are matched literally
+    assert.equal((await list({ memo: '%' })).pagination.total, 0);
+
+    assert.equal((await api.request('GET', '/api/records?dateFrom=2026/01/01')).status, 400);
+    assert.equal((await api.request('GET', '/api/records?sort=password')).status, 400);
+  });
+
+  test('records list: date filters match the JST day shown in the list', async () => {
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['日付テスト株式会社', 'date-filter']);
+    // 00:30 JST on April 1st is still March 31st in UTC
+    await db.query(
+      `INSERT INTO records SET ?, date = CONVERT_TZ('2026-04-01 00:30:00', '+09:00', '+00:00')`,
+      [{ company_id: company.insertId, staff_id: 'STAFF-DATE', file_id: 'DF-MIDNIGHT' }]
+    );
+
+    const list = async (query) => {
+      const { status, data } = await api.request('GET', `/api/records?${new URLSearchParams({ staffId: 'STAFF-DATE', ...query })}`);
+      assert.equal(status, 200, JSON.stringify(data));
+      return data.records;
+    };
+
+    const [record] = await list({});
+    assert.equal(record.date, '2026-04-01 00:30:00');
+    assert.deepEqual((await list({ dateFrom: '2026-04-01', dateTo: '2026-04-01' })).map(r => r.fileId), ['DF-MIDNIGHT']);
+    assert.deepEqual(await list({ dateTo: '2026-03-31' }), []);
+    assert.deepEqual(await list({ dateFrom: '2026-04-02' }), []);
+  });
+
+  test('audio: a signed URL streams the record audio with Range support', async () => {
+    const [[record]] = await db.query('SELECT id, audio_file_path FROM records WHERE file_id = ?', ['IT-RECORD-1']);
+    const [[other]] = await db.query('SELECT id FROM records WHERE file_id = ?', ['IT-RECORD-RESUME']);
+    const size = fs.statSync(path.resolve(workDir, record.audio_file_path)).size;
+
+    const signed = await api.request('GET', `/api/records/${record.id}/audio-url`);
+    assert.equal(signed.status, 200, JSON.stringify(signed.data));
+
+    // The URL works without the Authorization header, e.g. in an <audio> element
+    const partial = await fetch(`${baseUrl}${signed.data.url}`, { headers: { Range: 'bytes=0-99' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 0-99/${size}`);
+    assert.equal((await partial.arrayBuffer()).byteLength, 100);
+
+    const full = await fetch(`${baseUrl}${signed.data.url}`);
+    assert.equal(full.status, 200);
+    assert.equal((await full.arrayBuffer()).byteLength, size);
+
+    // The token is bound to its record
+    const token = new URL(signed.data.url, baseUrl).searchParams.get('token');
+    const otherRecord = await fetch(`${baseUrl}/api/records/${other.id}/audio?token=${encodeURIComponent(token)}`);
+    assert.equal(otherRecord.status, 401);
+    assert.equal((await fetch(`${baseUrl}/api/records/${record.id}/audio`)).status, 401);
+  });
+
+  test('bulk ZIP: a download closed by the client stops the archive', async () => {
+    const [company] = await db.query('INSERT INTO companies (name, slug) VALUES (?, ?)', ['一括ZIPテスト株式会社', 'bulk-zip']);
+    const ids = [];
+    for (let i = 1; i <= 6; i++) {
+      // Incompressible audio, so the archive is far larger than the socket buffers
+      const audioFile = path.join(workDir, `bulk-zip-${i}.mp3`);
+      fs.writeFileSync(audioFile, randomBytes(4 * 1024 * 1024));
+      ids.push(await insertAgedRow('records', {
+        company_id: company.insertId,
+        staff_id: 'STAFF-ZIP',
+        file_id: `ZIP-${i}`,
+        audio_file_path: audioFile,
+      }, 1));
+    }
+
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/records/bulk-download`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${api.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids, includeAudio: true }),
+      signal: controller.signal,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+
+    // Read the start of the ZIP, then go away
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    assert.equal(Buffer.from(value.subarray(0, 2)).toString('latin1'), 'PK');
+    controller.abort();
+
+    await waitFor(() => server.output().includes('Bulk ZIP download aborted by client'), {
+      timeout: 30000,
+      message: 'The server did not stop the aborted archive',
+    });
+    assert.ok(!server.output().includes('Bulk ZIP downloaded'));
+    assert.equal((await api.request('GET', '/api/records?limit=1')).status, 200);
+  });
+
+  test('transcripts: the export is scoped to the company of the user', async () => {
+    const [[record]] = await db.query('SELECT id FROM records WHERE file_id = ?', ['IT-RECORD-1']);
+    const [[follow]] = await db.query('SELECT id, company_id FROM follows WHERE file_id = ?', ['IT-FOLLOW-1']);
+    const { client: outsider } = await loginAs('transcript-outsider');
+
+    for (const format of ['srt', 'vtt', 'json', 'pdf']) {
+      assert.equal((await api.request('GET', `/api/records/${record.id}/stt?format=${format}`)).status, 200, format);
+      assert.equal((await outsider.request('GET', `/api/records/${record.id}/stt?format=${format}`)).status, 404, format);
+      assert.equal((await outsider.request('GET', `/api/follow/${follow.id}/stt?format=${format}`)).status, 404, format);
+    }
+
+    // A member of the follow's company can export it
+    await db.query('UPDATE users SET company_id = ? WHERE email = ?', [follow.company_id, 'transcript-outsider@example.com']);
+    assert.equal((await outsider.request('GET', `/api/follow/${follow.id}/stt?format=json`)).status, 200);
+  });
+
+  test('skill sheet template: only the managers of the company can change it', async () => {
+    const { client: manager, companyId } = await loginAs('template-manager', 'company-manager');
+    const { client: member } = await loginAs('template-member');
+    const { client: otherManager } = await loginAs('template-other', 'company-manager');
+    await db.query('UPDATE users SET company_id = ? WHERE email = ?', [companyId, 'template-member@example.com']);
+
+    const sections = ['skills', 'career', 'profile', 'languages', 'qualifications'].map(key => ({ key }));
+    const url = `/api/companies/${companyId}/skill-sheet-template`;
+    assert.equal((await member.request('PUT', url, { title: '職務経歴書' })).status, 403);
+    assert.equal((await member.request('GET', url)).status, 403);
+    assert.equal((await otherManager.request('PUT', url, { title: '職務経歴書' })).status, 403);
+
+    const invalid = await manager.request('PUT', url, { logoPosition: 'top' });
+    assert.equal(invalid.status, 400);
+
+    const saved = await manager.request('PUT', url, { title: '職務経歴書', sections });
+    assert.equal(saved.status, 200, JSON.stringify(saved.data));
+    assert.equal(saved.data.isDefault, false);
+    assert.deepEqual(saved.data.template.sections.map(section => section.key), sections.map(section => section.key));
+    assert.equal((await api.request('GET', url)).data.template.title, '職務経歴書');
+  });
+});
@@ -0,0 +1,212 @@
+import './env.js';
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import PDFDocument from 'pdfkit';
+import { pool } from '../../src/config/database.js';
+import {
+  buildSkillSheetDocument,
+  skillSheetDataFromRecord,
+  renderPdf,
+  renderHtml,
+  renderDocx,
+  SAMPLE_SKILL_SHEET,
+} from '../../src/services/documents/index.js';
+import { previewDocument } from '../../src/controllers/recordsController.js';
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Text lines and page count of each output, in document order
+const htmlOutline = (html) => {
+  const body = html.slice(html.indexOf('<body>'));
+  return {
+    lines: [...body.matchAll(/<p[^>]*>([\s\S]*?)<\/p>/g)].map(match => decodeEntities(match[1])),
+    pages: body.match(/<section class="page"/g).length,
+  };
+};
+
+const docxOutline = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file('word/document.xml').async('string');
+  return {
+    lines: [...xml.matchAll(/<w:t(?: [^>]*)?>([\s\S]*?)<\/w:t>/g)].map(match => decodeEntities(match[1])),
+    pages: (xml.match(/<w:br w:type="page"\/>/g) || []).length + 1,
+  };
+};
+
+// The renderer's calls to text() and addPage(); the Japanese font is swapped for a
+// standard one since only the layout calls are compared, not the glyphs
+const pdfOutline = async (model) => {
+  const registerFont = PDFDocument.prototype.registerFont;
+  mock.method(PDFDocument.prototype, 'registerFont', function (name) {
+    return registerFont.call(this, name, 'Helvetica');
+  });
+  const text = mock.method(PDFDocument.prototype, 'text');
+  const addPage = mock.method(PDFDocument.prototype, 'addPage');
+  try {
+    const doc = renderPdf(model);
+    await new Promise((resolve, reject) => {
+      doc.on('end', resolve);
+      doc.on('error', reject);
+      doc.resume();
+    });
+    return {
+      lines: text.mock.calls.map(call => String(call.arguments[0])),
+      pages: addPage.mock.callCount(),
+    };
+  } finally {
+    mock.restoreAll();
+  }
+};
+
+const outlines = async (model) => ({
+  pdf: await pdfOutline(model),
+  html: htmlOutline(renderHtml(model)),
+  docx: await docxOutline(await renderDocx(model)),
+});
+
+const assertSameOutline = ({ pdf, html, docx }) => {
+  assert.deepEqual(html, pdf);
+  assert.deepEqual(docx, pdf);
+};
+
+describe('skill sheet documents', () => {
+  it('renders the same sections as PDF, HTML and DOCX', async () => {
+    const model = buildSkillSheetDocument(SAMPLE_SKILL_SHEET);
+    const result = await outlines(model);
+    assertSameOutline(result);
+
+    const { lines, pages } = result.pdf;
+    // Profile and career on the first page, the skills sections on the second
+    assert.equal(pages, 2);
+    const labels = ['＋＋プロフィール＋＋', '■経歴詳細', '＋＋語学力・資格・スキル＋＋', '■語学力', '■資格', '■スキル'];
+    const positions = labels.map(label => lines.indexOf(label));
+    assert.ok(positions.every(position => position >= 0), `missing section in ${lines.join(' / ')}`);
+    assert.deepEqual([...positions].sort((a, b) => a - b), positions);
+    assert.equal(lines[0], 'Personal Data Sheet');
+    assert.equal(lines.at(-1), '株式会社レゾナゲート');
+  });
+
+  it('lists work content given as an array or as lines of text', async () => {
+    const model = buildSkillSheetDocument(SAMPLE_SKILL_SHEET);
+    const result = await outlines(model);
+    assertSameOutline(result);
+    for (const line of ['  法人営業（既存顧客対応）', '  新規顧客の開拓', '  一般事務', '  データ入力']) {
+      assert.ok(result.pdf.lines.includes(line), `missing ${line}`);
+    }
+    assert.ok(result.docx.lines.includes('[期間]2019年4月～2022年3月'));
+  });
+
+  it('follows the order and visibility of the company template', async () => {
+    const template = {
+      title: '職務経歴書',
+      sections: [
+        { key: 'skills', label: '◆スキル', visible: true },
+        { key: 'career', label: '◆職歴', visible: true },
+        { key: 'profile', label: '◆プロフィール', visible: false },
+      ],
+    };
+    const record = {
+      staff_id: 'S-1',
+      skill_sheet: '```json\n' + JSON.stringify({ 1: { from: '2020', to: '2021', 'work content': ['受付'] } }) + '\n```',
+      skills: JSON.stringify({ スキル: ['Excel'] }),
+    };
+    const result = await outlines(buildSkillSheetDocument(skillSheetDataFromRecord(record), { template }));
+    assertSameOutline(result);
+
+    const { lines } = result.pdf;
+    assert.equal(lines[0], '職務経歴書');
+    assert.ok(!lines.includes('◆プロフィール'));
+    assert.ok(lines.indexOf('◆スキル') < lines.indexOf('◆職歴'));
+    assert.ok(lines.includes('  受付') && lines.includes('  Excel'));
+    // The skills come first, so nothing precedes them that needs a page break
+    assert.equal(result.pdf.pages, 1);
+  });
+
+  it('leaves out the skills sections of a record without skills', async () => {
+    const result = await outlines(buildSkillSheetDocument(skillSheetDataFromRecord({ staff_id: 'S-2', skill_sheet: '{}', skills: null })));
+    assertSameOutline(result);
+    assert.equal(result.pdf.pages, 1);
+    assert.ok(!result.pdf.lines.includes('■語学力'));
+  });
+});
+
+describe('GET /api/records/:id/preview/:doc', () => {
+  const member = { id: 3, role: 'member', company_id: 7 };
+
+  const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('renders the skill sheet of a company record with the company template', async () => {
+    const template = { title: '株式会社テスト スキルシート', headerText: '社外秘' };
+    const query = mock.method(pool, 'query', async (sql) => {
+      if (sql.includes('FROM companies')) {
+        return [[{ id: 7, name: 'テスト', logo: null, skill_sheet_template: JSON.stringify(template) }]];
+      }
+      return [[{
+        staff_id: 'S-7',
+        skill_sheet: JSON.stringify(SAMPLE_SKILL_SHEET.skillSheet),
+        skills: JSON.stringify(SAMPLE_SKILL_SHEET.skills),
+        company_id: 7,
+      }]];
+    });
+    const res = createResponse();
+    await previewDocument({ params: { recordId: '42', doc: 'skill-sheet' }, user: member }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    const [sql, params] = query.mock.calls[0].arguments;
+    assert.match(sql, /r\.company_id = \?/);
+    assert.deepEqual(params, [7, 42]);
+
+    const { lines } = htmlOutline(res.body);
+    assert.equal(lines[0], '株式会社テスト スキルシート');
+    assert.ok(lines.includes('■氏名：S-7'));
+    assert.ok(lines.includes('  新規顧客の開拓'));
+    assert.match(res.body, /社外秘/);
+  });
+
+  it('answers 404 for a record outside the company', async () => {
+    mock.method(pool, 'query', async () => [[]]);
+    const res = createResponse();
+    await previewDocument({ params: { recordId: '42', doc: 'stt' }, user: member }, res);
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('answers 400 for an unknown document or record ID', async () => {
+    const query = mock.method(pool, 'query', async () => [[]]);
+    for (const params of [{ recordId: '42', doc: 'resume' }, { recordId: 'x', doc: 'stt' }]) {
+      const res = createResponse();
+      await previewDocument({ params, user: member }, res);
+      assert.equal(res.statusCode, 400);
+    }
+    assert.equal(query.mock.callCount(), 0);
+  });
+});
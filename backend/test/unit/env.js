@@ -0,0 +1,18 @@
+/**
+ * Environment of the unit tests
+ *
+ * Import first: modules that share the database pool need DB_NAME (and the controllers
+ * JWT_SECRET and ENCRYPTION_KEY) at import time. The pool connects lazily, so nothing here
+ * needs MySQL or Redis; tests that reach a query replace pool.query with a mock.
+ */
+
+process.env.DB_NAME ||= 'unit_test';
+process.env.JWT_SECRET ||= 'unit-test-secret-0123456789abcdef0123456789';
+process.env.ENCRYPTION_KEY ||= '0'.repeat(64);
+process.env.LOG_LEVEL ||= 'error';
+// Providers: no backoff between retries, and a model so chat completions are attempted
+process.env.DIFY_RETRY_DELAY ||= '1';
+process.env.DIFY_SECRET_KEY_FOLLOW_SUMMARY ||= 'app-unit-test';
+process.env.LLM_MODEL ||= 'unit-test-model';
+// The response cache sweeps on an interval that would keep the test process alive
+process.env.CACHE_ENABLED = 'false';
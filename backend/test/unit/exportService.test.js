@@ -0,0 +1,122 @@
+import './env.js';
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../../src/config/database.js';
+import {
+  MAX_EXPORT_ROWS,
+  RECORD_EXPORT_COLUMNS,
+  FOLLOW_EXPORT_COLUMNS,
+  resolveExportColumns,
+  summarySections,
+  toExportRows,
+  escapeCsvValue,
+  toCsv,
+} from '../../src/services/exportService.js';
+import { exportRecords } from '../../src/controllers/recordsController.js';
+import { exportRecords as exportFollows } from '../../src/controllers/followController.js';
+
+describe('CSV', () => {
+  it('starts with a BOM and ends every line with CRLF', () => {
+    assert.equal(toCsv(['ID', '名前'], [[1, '山田'], [2, '']]), '﻿ID,名前\r\n1,山田\r\n2,\r\n');
+  });
+
+  it('quotes values with commas, quotes and line breaks', () => {
+    assert.equal(escapeCsvValue('a,b'), '"a,b"');
+    assert.equal(escapeCsvValue('彼は"はい"と'), '"彼は""はい""と"');
+    assert.equal(escapeCsvValue('一行目\n二行目'), '"一行目\n二行目"');
+    assert.equal(escapeCsvValue('plain'), 'plain');
+  });
+
+  it('neutralizes values a spreadsheet would run as a formula', () => {
+    for (const value of ['=SUM(A1:A2)', '+81', '-1', '@cmd', '\tTAB']) {
+      assert.equal(escapeCsvValue(value), `'${value}`);
+    }
+    assert.equal(escapeCsvValue('=A1,B1'), `"'=A1,B1"`);
+    assert.equal(escapeCsvValue('1-2'), '1-2');
+  });
+});
+
+describe('summarySections', () => {
+  it('splits a follow summary into its 【見出し】 sections', () => {
+    const summary = '【サマリー】\n順調に就業中。\n【主な課題】\n残業が多い。\n\n【職場環境】良好';
+    assert.deepEqual(summarySections(summary), {
+      サマリー: '順調に就業中。',
+      主な課題: '残業が多い。',
+      職場環境: '良好',
+    });
+  });
+
+  it('returns no sections for a summary without headings', () => {
+    assert.deepEqual(summarySections('見出しなしの要約'), {});
+    assert.deepEqual(summarySections(null), {});
+  });
+
+  it('fills the section columns of a follow export from the summary', () => {
+    const rows = [{ id: 1, summary: '【サマリー】順調\n【主な課題】なし' }];
+    assert.deepEqual(
+      toExportRows(rows, ['id', 'summaryOverview', 'summaryIssues', 'summaryWorkload'], FOLLOW_EXPORT_COLUMNS),
+      [[1, '順調', 'なし', '']]
+    );
+  });
+});
+
+describe('resolveExportColumns', () => {
+  it('defaults to every column of the entity', () => {
+    assert.deepEqual(resolveExportColumns(undefined, RECORD_EXPORT_COLUMNS).columns, Object.keys(RECORD_EXPORT_COLUMNS));
+    assert.deepEqual(resolveExportColumns('', RECORD_EXPORT_COLUMNS).columns, Object.keys(RECORD_EXPORT_COLUMNS));
+  });
+
+  it('keeps the requested order and drops duplicates', () => {
+    assert.deepEqual(resolveExportColumns(' staffId,id,staffId ', RECORD_EXPORT_COLUMNS).columns, ['staffId', 'id']);
+    assert.deepEqual(resolveExportColumns(['hope', 'memo'], RECORD_EXPORT_COLUMNS).columns, ['hope', 'memo']);
+  });
+
+  it('rejects unknown columns', () => {
+    assert.match(resolveExportColumns('id,password', RECORD_EXPORT_COLUMNS).error, /^columns must be/);
+    assert.match(resolveExportColumns(',', RECORD_EXPORT_COLUMNS).error, /^columns must be/);
+    assert.match(resolveExportColumns('summaryOverview', RECORD_EXPORT_COLUMNS).error, /^columns must be/);
+  });
+});
+
+describe('export endpoints', () => {
+  const admin = { id: 1, role: 'admin', company_id: null };
+
+  const createResponse = () => ({
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  for (const [name, handler] of [['records', exportRecords], ['follows', exportFollows]]) {
+    it(`${name}: answers 400 for unknown columns without querying`, async () => {
+      const query = mock.method(pool, 'query', async () => [[]]);
+      const res = createResponse();
+      await handler({ query: { columns: 'id,password' }, user: admin }, res);
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, /^columns must be/);
+      assert.equal(query.mock.callCount(), 0);
+    });
+
+    it(`${name}: answers 400 above MAX_EXPORT_ROWS`, async () => {
+      const query = mock.method(pool, 'query', async () => [[{ total: MAX_EXPORT_ROWS + 1 }]]);
+      const res = createResponse();
+      await handler({ query: { format: 'csv' }, user: admin }, res);
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, /^Too many records to export/);
+      // Only the COUNT ran
+      assert.equal(query.mock.callCount(), 1);
+      assert.match(query.mock.calls[0].arguments[0], /SELECT COUNT\(\*\)/);
+    });
+  }
+});
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jsforce from 'jsforce';
+import { startFakeDify, DEFAULT_SUMMARY } from '../fakes/fakeDify.js';
+import { startFakeSalesforce } from '../fakes/fakeSalesforce.js';
+
+describe('fake Dify', () => {
+  let dify;
+
+  before(async () => {
+    dify = await startFakeDify();
+  });
+
+  after(async () => {
+    await dify.close();
+  });
+
+  const upload = async (name) => {
+    const form = new FormData();
+    form.append('file', new Blob([Buffer.from('audio')]), name);
+    form.append('user', 'unit-test');
+    return fetch(`${dify.baseUrl}/files/upload`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer app-key' },
+      body: form,
+    });
+  };
+
+  const runWorkflow = (inputs) => fetch(`${dify.baseUrl}/workflows/run`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer app-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ inputs, response_mode: 'blocking', user: 'unit-test' }),
+  });
+
+  it('rejects calls without an API key', async () => {
+    const response = await fetch(`${dify.baseUrl}/workflows/run`, { method: 'POST' });
+    assert.equal(response.status, 401);
+  });
+
+  it('tells the workflows apart by their inputs', async () => {
+    dify.reset();
+    const file = await (await upload('chunk.mp3')).json();
+    const fileInput = { transfer_method: 'local_file', upload_file_id: file.id, type: 'document' };
+
+    const stt = await (await runWorkflow({ audioFile: fileInput })).json();
+    assert.match(stt.data.outputs.stt, /チャンク1/);
+
+    const summary = await (await runWorkflow({ txtFile: fileInput, prompt: 'p' })).json();
+    assert.equal(summary.data.outputs.summary, DEFAULT_SUMMARY);
+
+    const record = await (await runWorkflow({ txtFile: fileInput })).json();
+    assert.deepEqual(Object.keys(record.data.outputs).sort(), ['hope', 'lor', 'skills', 'skillsheet']);
+  });
+
+  it('answers injected failures in order, then recovers', async () => {
+    dify.reset();
+    dify.failNext('upload', 2, 500);
+
+    assert.equal((await upload('a.mp3')).status, 500);
+    assert.equal((await upload('a.mp3')).status, 500);
+    assert.equal((await upload('a.mp3')).status, 201);
+    assert.deepEqual(dify.state.requests.map(r => r.failed), [true, true, false]);
+  });
+
+  it('answers an unknown file with 400', async () => {
+    dify.reset();
+    const response = await runWorkflow({ audioFile: { upload_file_id: 'missing' } });
+    assert.equal(response.status, 400);
+  });
+});
+
+describe('fake Salesforce', () => {
+  let salesforce;
+
+  before(async () => {
+    salesforce = await startFakeSalesforce({
+      fields: { Account: [{ name: 'Career1__c', type: 'textarea', length: 32768 }] },
+      records: { Account: [{ Name: 'テスト スタッフ', StaffID__c: 'STAFF-0001' }] },
+    });
+  });
+
+  after(async () => {
+    await salesforce.close();
+  });
+
+  it('refuses a login without the security token', async () => {
+    const conn = new jsforce.Connection({ loginUrl: salesforce.baseUrl });
+    await assert.rejects(conn.login('integration@example.com', 'password'), /INVALID_LOGIN/);
+  });
+
+  it('serves the jsforce calls of the app after a login', async () => {
+    const conn = new jsforce.Connection({ loginUrl: salesforce.baseUrl });
+    await conn.login('integration@example.com', 'passwordtoken');
+
+    const describe = await conn.sobject('Account').describe();
+    assert.ok(describe.fields.some(field => field.name === 'Career1__c'));
+
+    const [account] = await conn.sobject('Account').find({ StaffID__c: 'STAFF-0001' }, ['Id', 'Name']).limit(1);
+    assert.equal(account.Name, 'テスト スタッフ');
+
+    await conn.sobject('Account').update({ Id: account.Id, Career1__c: '職歴' });
+    assert.equal(salesforce.get('Account', account.Id).Career1__c, '職歴');
+
+    const created = await conn.sobject('Event').create({ Subject: '面談', WhatId: account.Id });
+    assert.ok(created.success);
+    assert.equal(salesforce.get('Event', created.id).Subject, '面談');
+  });
+});
@@ -0,0 +1,102 @@
+import './env.js';
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import difyGenerationProvider from '../../src/services/generation/difyProvider.js';
+import openaiProvider from '../../src/services/generation/openaiProvider.js';
+import { parseOutputs } from '../../src/services/audioProcessing/difyWorkflow.js';
+import { executeFollowSummaryWorkflow } from '../../src/services/followProcessing/difyWorkflow.js';
+
+// axios.post answering Dify uploads with a file ID and workflow runs with `workflow(attempt)`
+const mockDify = (workflow) => {
+  let attempt = 0;
+  return mock.method(axios, 'post', async (url) => {
+    if (url.endsWith('/files/upload')) return { data: { id: 'file-1' } };
+    return { data: await workflow(++attempt) };
+  });
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('generation providers', () => {
+  const skillsheet = JSON.stringify({ 1: { summary: '営業を担当。' }, 2: { from: '2022年4月' } });
+
+  it('dify: parses the record outputs, with fenced JSON in the skill sheet', async () => {
+    mockDify(() => ({ data: { outputs: { skillsheet: '```json\n' + skillsheet + '\n```', lor: '推薦文', skills: '{}', hope: '希望' } } }));
+    const result = await difyGenerationProvider.generateRecord(1, '文字起こし');
+    assert.deepEqual(parseOutputs(1, result), {
+      skillsheet: '```json\n' + skillsheet + '\n```',
+      lor: '推薦文',
+      workContent: ['営業を担当。', ''],
+      skills: '{}',
+      hope: '希望',
+    });
+  });
+
+  it('dify: parses missing, partial or malformed outputs as empty', async () => {
+    const empty = { skillsheet: '', lor: '', workContent: [], skills: '', hope: '' };
+    for (const body of [{}, { data: {} }, { data: { outputs: null } }]) {
+      mockDify(() => body);
+      assert.deepEqual(parseOutputs(1, await difyGenerationProvider.generateRecord(1, '文字起こし')), empty, JSON.stringify(body));
+      mock.restoreAll();
+    }
+
+    mockDify(() => ({ data: { outputs: { skillsheet: '経歴は以下の通りです', lor: '推薦文' } } }));
+    assert.deepEqual(parseOutputs(1, await difyGenerationProvider.generateRecord(1, '文字起こし')), {
+      ...empty,
+      skillsheet: '経歴は以下の通りです',
+      lor: '推薦文',
+    });
+  });
+
+  it('dify: reads the follow summary, or an empty one', async () => {
+    mockDify(() => ({ data: { outputs: { summary: '【サマリー】順調' } } }));
+    assert.deepEqual(await executeFollowSummaryWorkflow(1, '文字起こし', 'p', difyGenerationProvider), { summary: '【サマリー】順調' });
+
+    mock.restoreAll();
+    mockDify(() => ({}));
+    assert.deepEqual(await executeFollowSummaryWorkflow(1, '文字起こし', 'p', difyGenerationProvider), { summary: '' });
+  });
+
+  // axios.post answering chat completions with `answer(call)` as the message content
+  const mockCompletions = (answer) => {
+    let call = 0;
+    return mock.method(axios, 'post', async () => ({ data: answer(++call) }));
+  };
+  const message = (content) => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+  it('openai: puts each completion into the record outputs without the reasoning', async () => {
+    const answers = [`<think>職歴を整理する</think>\n${skillsheet}`, '推薦文', '{"スキル":"Excel"}', '希望'];
+    const post = mockCompletions((call) => message(answers[call - 1]));
+    const result = await openaiProvider.generateRecord(1, '文字起こし');
+
+    assert.deepEqual(Object.keys(result.outputs), ['skillsheet', 'lor', 'skills', 'hope']);
+    assert.deepEqual(parseOutputs(1, result), {
+      skillsheet,
+      lor: '推薦文',
+      workContent: ['営業を担当。', ''],
+      skills: '{"スキル":"Excel"}',
+      hope: '希望',
+    });
+    assert.equal(post.mock.calls[0].arguments[1].messages[1].content, '文字起こし');
+  });
+
+  it('openai: fails an empty answer without retrying it', async () => {
+    for (const body of [message(''), message('<think>…</think>  '), message(null), { choices: [] }, {}]) {
+      const post = mockCompletions(() => body);
+      await assert.rejects(openaiProvider.generateFollowSummary(1, '文字起こし', 'p'), (error) => {
+        assert.equal(error.code, 'LLM_EMPTY_RESPONSE');
+        return true;
+      }, JSON.stringify(body));
+      assert.equal(post.mock.callCount(), 1);
+      mock.restoreAll();
+    }
+  });
+
+  it('openai: returns the follow summary in the workflow shape', async () => {
+    mockCompletions(() => message('【サマリー】順調'));
+    assert.deepEqual(await executeFollowSummaryWorkflow(1, '文字起こし', 'p', openaiProvider), { summary: '【サマリー】順調' });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSort } from '../../src/utils/listSort.js';
+
+const SORT_COLUMNS = {
+  date: 'r.date',
+  fileId: 'r.file_id',
+  userName: 'u.name',
+};
+
+describe('resolveSort', () => {
+  it('uses the default sort and order when none are given', () => {
+    assert.deepEqual(resolveSort({}, SORT_COLUMNS, { defaultSort: 'date' }), {
+      orderBy: ' ORDER BY r.date DESC, r.id DESC',
+      sort: 'date',
+      order: 'desc',
+    });
+  });
+
+  it('maps the sort field to its column and accepts the order in any case', () => {
+    assert.deepEqual(resolveSort({ sort: 'userName', order: 'ASC' }, SORT_COLUMNS, { defaultSort: 'date' }), {
+      orderBy: ' ORDER BY u.name ASC, r.id ASC',
+      sort: 'userName',
+      order: 'asc',
+    });
+  });
+
+  it('always breaks ties on the id in the same direction', () => {
+    assert.match(resolveSort({ sort: 'fileId', order: 'desc' }, SORT_COLUMNS, { defaultSort: 'date' }).orderBy, /, r\.id DESC$/);
+    assert.equal(
+      resolveSort({ order: 'asc' }, SORT_COLUMNS, { defaultSort: 'date', tieBreaker: 'f.id' }).orderBy,
+      ' ORDER BY r.date ASC, f.id ASC'
+    );
+  });
+
+  it('rejects a sort field outside the whitelist', () => {
+    for (const sort of ['password', 'r.date', 'date; DROP TABLE records', 'constructor', '__proto__']) {
+      assert.deepEqual(
+        resolveSort({ sort }, SORT_COLUMNS, { defaultSort: 'date' }),
+        { error: 'sort must be one of: date, fileId, userName' },
+        sort
+      );
+    }
+  });
+
+  it('rejects an unknown order', () => {
+    for (const order of ['up', 'desc, r.id', 'DESC NULLS LAST']) {
+      assert.deepEqual(
+        resolveSort({ sort: 'date', order }, SORT_COLUMNS, { defaultSort: 'date' }),
+        { error: 'order must be one of: asc, desc' },
+        order
+      );
+    }
+  });
+});
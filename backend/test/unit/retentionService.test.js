@@ -0,0 +1,113 @@
+import './env.js';
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../../src/config/database.js';
+import {
+  getDefaultRetention,
+  getCompanyRetention,
+  validateRetentionInput,
+  effectiveRetentionSql,
+} from '../../src/services/retentionService.js';
+
+// Set environment variables until fn has finished
+const withEnv = async (values, fn) => {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+const retentionEnv = { AUTO_DELETE_RETENTION_MONTHS: '6', AUTO_DELETE_AUDIO_RETENTION_DAYS: '30' };
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('default retention', () => {
+  it('comes from the environment', async () => {
+    await withEnv(retentionEnv, () => {
+      assert.deepEqual(getDefaultRetention(), { recordsMonths: 6, followsMonths: 6, audioDays: 30 });
+    });
+  });
+
+  it('falls back to two months and keeping the audio for invalid values', async () => {
+    await withEnv({ AUTO_DELETE_RETENTION_MONTHS: '-1', AUTO_DELETE_AUDIO_RETENTION_DAYS: 'never' }, () => {
+      assert.deepEqual(getDefaultRetention(), { recordsMonths: 2, followsMonths: 2, audioDays: 0 });
+    });
+  });
+});
+
+describe('company retention', () => {
+  const companyRow = (columns) => ({
+    id: 5,
+    name: '保持期間株式会社',
+    records_retention_months: null,
+    follows_retention_months: null,
+    audio_retention_days: null,
+    ...columns,
+  });
+
+  it('overrides the default per field and keeps 0 (never delete)', async () => {
+    const query = mock.method(pool, 'query', async () => [[companyRow({ records_retention_months: 12, follows_retention_months: 0 })]]);
+    const retention = await withEnv(retentionEnv, () => getCompanyRetention(5));
+
+    assert.deepEqual(query.mock.calls[0].arguments[1], [5]);
+    assert.deepEqual(retention, {
+      companyId: 5,
+      companyName: '保持期間株式会社',
+      settings: { recordsMonths: 12, followsMonths: 0, audioDays: null },
+      effective: { recordsMonths: 12, followsMonths: 0, audioDays: 30 },
+      defaults: { recordsMonths: 6, followsMonths: 6, audioDays: 30 },
+    });
+  });
+
+  it('is null for an unknown company', async () => {
+    mock.method(pool, 'query', async () => [[]]);
+    assert.equal(await getCompanyRetention(404), null);
+  });
+
+  it('is resolved in SQL as the company value, else the default', async () => {
+    await withEnv(retentionEnv, () => {
+      assert.equal(effectiveRetentionSql('recordsMonths'), 'COALESCE(c.records_retention_months, 6)');
+      assert.equal(effectiveRetentionSql('followsMonths'), 'COALESCE(c.follows_retention_months, 6)');
+      assert.equal(effectiveRetentionSql('audioDays'), 'COALESCE(c.audio_retention_days, 30)');
+    });
+  });
+});
+
+describe('validateRetentionInput', () => {
+  it('accepts null or an empty value (default), 0 (never delete) and periods within the limits', () => {
+    assert.deepEqual(
+      validateRetentionInput({ recordsMonths: null, followsMonths: 0, audioDays: '3650' }),
+      { values: { recordsMonths: null, followsMonths: 0, audioDays: 3650 } }
+    );
+    assert.deepEqual(validateRetentionInput({ followsMonths: '' }), { values: { followsMonths: null } });
+  });
+
+  it('leaves out the fields that are not sent', () => {
+    assert.deepEqual(validateRetentionInput({ audioDays: 7, other: 1 }), { values: { audioDays: 7 } });
+    assert.equal(validateRetentionInput({}).error, 'No fields to update');
+  });
+
+  it('rejects negative, fractional, too long and non-numeric periods', () => {
+    for (const [field, value, limit] of [
+      ['recordsMonths', -1, 120],
+      ['followsMonths', 1.5, 120],
+      ['recordsMonths', 121, 120],
+      ['audioDays', 3651, 3650],
+      ['audioDays', 'week', 3650],
+    ]) {
+      assert.equal(
+        validateRetentionInput({ [field]: value }).error,
+        `${field} must be null or an integer between 0 and ${limit}`,
+        `${field}=${value}`
+      );
+    }
+  });
+});
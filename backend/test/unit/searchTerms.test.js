@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTerms, toBooleanQuery, buildSnippet } from '../../src/utils/searchTerms.js';
+
+describe('parseTerms', () => {
+  it('strips quotes and boolean operators so the input cannot change the MATCH syntax', () => {
+    assert.deepEqual(parseTerms('"営業" +経験 -(事務)  ~Excel* @東京<大阪>'), ['営業', '経験', '事務', 'Excel', '東京', '大阪']);
+  });
+
+  it('drops terms shorter than the ngram token size', () => {
+    assert.deepEqual(parseTerms('a 営 営業 b'), ['営業']);
+    assert.deepEqual(parseTerms('+ - "'), []);
+  });
+});
+
+describe('toBooleanQuery', () => {
+  it('requires every term as a quoted phrase', () => {
+    assert.equal(toBooleanQuery(['営業', 'Excel']), '+"営業" +"Excel"');
+  });
+});
+
+describe('buildSnippet', () => {
+  it('splits the text into matching and plain segments, ignoring case', () => {
+    assert.deepEqual(buildSnippet('EXCELで営業資料を作成', ['excel', '資料']), [
+      { text: 'EXCEL', match: true },
+      { text: 'で営業', match: false },
+      { text: '資料', match: true },
+      { text: 'を作成', match: false },
+    ]);
+  });
+
+  it('cuts the text around the first match and marks the cuts', () => {
+    const text = 'あ'.repeat(100) + 'テスト' + 'い'.repeat(200);
+    assert.deepEqual(buildSnippet(text, ['テスト']), [
+      { text: '…', match: false },
+      { text: 'あ'.repeat(60), match: false },
+      { text: 'テスト', match: true },
+      { text: 'い'.repeat(117), match: false },
+      { text: '…', match: false },
+    ]);
+  });
+
+  it('prefers the longer term when two terms start at the same offset', () => {
+    assert.deepEqual(buildSnippet('営業職です', ['営業', '営業職']), [
+      { text: '営業職', match: true },
+      { text: 'です', match: false },
+    ]);
+  });
+
+  it('collapses whitespace and returns null without a match', () => {
+    assert.deepEqual(buildSnippet('面談\n\n  営業', ['営業']), [
+      { text: '面談 ', match: false },
+      { text: '営業', match: true },
+    ]);
+    assert.equal(buildSnippet('面談メモ', ['営業']), null);
+    assert.equal(buildSnippet(null, ['営業']), null);
+  });
+});
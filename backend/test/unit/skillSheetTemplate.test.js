@@ -0,0 +1,93 @@
+import './env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SKILL_SHEET_TEMPLATE,
+  SKILL_SHEET_SECTIONS,
+  normalizeTemplate,
+  validateTemplateInput,
+} from '../../src/services/skillSheetTemplate.js';
+
+const sections = (keys, overrides = {}) => keys.map(key => ({ key, ...overrides[key] }));
+
+describe('validateTemplateInput', () => {
+  it('accepts an empty template and keeps only the given fields', () => {
+    assert.deepEqual(validateTemplateInput({}), { template: {} });
+    assert.deepEqual(validateTemplateInput({ title: '職務経歴書', unknown: 'x' }), { template: { title: '職務経歴書' } });
+  });
+
+  it('rejects anything but an object', () => {
+    for (const body of [null, 'title', ['title']]) {
+      assert.equal(validateTemplateInput(body).error, 'template must be an object');
+    }
+  });
+
+  it('limits the length of each text', () => {
+    assert.ok(validateTemplateInput({ title: 'あ'.repeat(100) }).template);
+    assert.equal(validateTemplateInput({ title: 'あ'.repeat(101) }).error, 'title must be at most 100 characters');
+    assert.equal(validateTemplateInput({ headerText: 'x'.repeat(201) }).error, 'headerText must be at most 200 characters');
+    assert.equal(validateTemplateInput({ nameLabel: 'x'.repeat(51) }).error, 'nameLabel must be at most 50 characters');
+    assert.equal(validateTemplateInput({ footerText: 1 }).error, 'footerText must be a string');
+  });
+
+  it('accepts only the known logo positions', () => {
+    for (const logoPosition of ['none', 'left', 'center', 'right']) {
+      assert.deepEqual(validateTemplateInput({ logoPosition }).template, { logoPosition });
+    }
+    assert.match(validateTemplateInput({ logoPosition: 'top' }).error, /^logoPosition must be one of: none, left, center, right$/);
+  });
+
+  it('keeps the section order and fills in default labels', () => {
+    const order = ['skills', 'career', 'profile', 'qualifications', 'languages'];
+    const { template } = validateTemplateInput({
+      sections: sections(order, { career: { label: '◆職歴' }, profile: { visible: false } }),
+    });
+    assert.deepEqual(template.sections.map(section => section.key), order);
+    assert.deepEqual(template.sections[1], { key: 'career', label: '◆職歴', visible: true });
+    assert.deepEqual(template.sections[2], { key: 'profile', label: '＋＋プロフィール＋＋', visible: false });
+  });
+
+  it('requires every section exactly once and nothing else', () => {
+    const error = `sections must list each of: ${SKILL_SHEET_SECTIONS.join(', ')}`;
+    assert.equal(validateTemplateInput({ sections: sections(SKILL_SHEET_SECTIONS.slice(1)) }).error, error);
+    assert.equal(validateTemplateInput({ sections: sections([...SKILL_SHEET_SECTIONS.slice(1), 'photo']) }).error, error);
+    assert.equal(validateTemplateInput({ sections: sections([...SKILL_SHEET_SECTIONS.slice(1), 'career']) }).error, error);
+    assert.equal(validateTemplateInput({ sections: sections([...SKILL_SHEET_SECTIONS, 'photo']) }).error, error);
+    assert.equal(validateTemplateInput({ sections: 'profile' }).error, 'sections must be an array');
+  });
+
+  it('checks the label and visibility of each section', () => {
+    assert.equal(
+      validateTemplateInput({ sections: sections(SKILL_SHEET_SECTIONS, { skills: { label: 'x'.repeat(51) } }) }).error,
+      'sections.skills.label must be at most 50 characters'
+    );
+    assert.equal(
+      validateTemplateInput({ sections: sections(SKILL_SHEET_SECTIONS, { career: { visible: 'no' } }) }).error,
+      'sections.career.visible must be a boolean'
+    );
+  });
+});
+
+describe('normalizeTemplate', () => {
+  it('returns the default layout for a company without a template', () => {
+    assert.deepEqual(normalizeTemplate(null), DEFAULT_SKILL_SHEET_TEMPLATE);
+  });
+
+  it('fills in missing fields and keeps the stored section order', () => {
+    const template = normalizeTemplate({
+      title: '職務経歴書',
+      sections: [{ key: 'career', label: '◆職歴' }, { key: 'profile', visible: false }],
+    });
+    assert.equal(template.title, '職務経歴書');
+    assert.equal(template.footerText, DEFAULT_SKILL_SHEET_TEMPLATE.footerText);
+    // Sections missing from the stored order follow it in their default order
+    assert.deepEqual(template.sections.map(section => section.key), ['career', 'profile', 'languages', 'qualifications', 'skills']);
+    assert.deepEqual(template.sections[0], { key: 'career', label: '◆職歴', visible: true });
+    assert.deepEqual(template.sections[1], { key: 'profile', label: '＋＋プロフィール＋＋', visible: false });
+  });
+
+  it('drops unknown sections from a stored template', () => {
+    const template = normalizeTemplate({ sections: [{ key: 'photo', label: '写真' }, null, { key: 'skills' }] });
+    assert.deepEqual(template.sections.map(section => section.key), ['skills', 'profile', 'career', 'languages', 'qualifications']);
+  });
+});
@@ -0,0 +1,87 @@
+import './env.js';
+import { describe, it, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import difySttProvider from '../../src/services/stt/difyProvider.js';
+import { parseWhisperOutput } from '../../src/services/stt/whisperProvider.js';
+
+// axios.post answering Dify uploads with a file ID and workflow runs with `workflow(attempt)`
+const mockDify = (workflow) => {
+  let attempt = 0;
+  return mock.method(axios, 'post', async (url) => {
+    if (url.endsWith('/files/upload')) return { data: { id: 'file-1' } };
+    return { data: await workflow(++attempt) };
+  });
+};
+
+const workflowCalls = (post) => post.mock.calls.filter(call => call.arguments[0].endsWith('/workflows/run'));
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('STT providers', () => {
+  let chunkPath;
+
+  before(() => {
+    chunkPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stt-')), 'chunk_0.mp3');
+    fs.writeFileSync(chunkPath, Buffer.alloc(16));
+  });
+
+  after(() => {
+    fs.rmSync(path.dirname(chunkPath), { recursive: true, force: true });
+  });
+
+  it('dify: returns the workflow text without timing', async () => {
+    mockDify(() => ({ data: { outputs: { stt: 'こんにちは' } } }));
+    assert.deepEqual(await difySttProvider.transcribe(1, chunkPath), { text: 'こんにちは', segments: null });
+  });
+
+  it('dify: reads a missing, empty or non-text stt output as an empty chunk', async () => {
+    for (const outputs of [{}, { stt: '' }, { stt: null }, { stt: { text: 'x' } }]) {
+      mockDify(() => ({ data: { outputs } }));
+      assert.deepEqual(await difySttProvider.transcribe(1, chunkPath), { text: '', segments: null }, JSON.stringify(outputs));
+      mock.restoreAll();
+    }
+  });
+
+  it('dify: fails a body without outputs with a workflow error code', async () => {
+    for (const body of [{ error: 'upstream' }, { data: {} }, '<html>Bad Gateway</html>']) {
+      mockDify(() => body);
+      await assert.rejects(difySttProvider.transcribe(1, chunkPath), (error) => {
+        assert.equal(error.code, 'DIFY_WORKFLOW_FAILED');
+        assert.match(error.message, /no outputs/);
+        return true;
+      }, JSON.stringify(body));
+      mock.restoreAll();
+    }
+  });
+
+  it('dify: recovers when a retry answers', async () => {
+    const post = mockDify((attempt) => (attempt === 1 ? {} : { data: { outputs: { stt: '二回目' } } }));
+    assert.equal((await difySttProvider.transcribe(1, chunkPath)).text, '二回目');
+    assert.equal(workflowCalls(post).length, 2);
+  });
+
+  it('whisper: parses timed lines into chunk-relative segments', () => {
+    const output = '\n[00:00:00.000 --> 00:00:02.500]   こんにちは\r\n[00:00:02.500 --> 00:01:03.250]  よろしくお願いします\n';
+    assert.deepEqual(parseWhisperOutput(output), {
+      text: 'こんにちは\nよろしくお願いします',
+      segments: [
+        { start: 0, end: 2.5, text: 'こんにちは' },
+        { start: 2.5, end: 63.25, text: 'よろしくお願いします' },
+      ],
+    });
+  });
+
+  it('whisper: skips empty segments and keeps untimed output as plain text', () => {
+    assert.deepEqual(parseWhisperOutput('[00:00:00.000 --> 00:00:01.000]   \n'), { text: '', segments: null });
+    assert.deepEqual(parseWhisperOutput('plain\ntext'), { text: 'plain\ntext', segments: null });
+    for (const output of ['', null, undefined]) {
+      assert.deepEqual(parseWhisperOutput(output), { text: '', segments: null });
+    }
+  });
+});
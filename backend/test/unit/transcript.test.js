@@ -0,0 +1,77 @@
+import './env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSegments, hasTiming, toSrt, toVtt } from '../../src/services/transcriptService.js';
+import { buildSegments } from '../../src/services/audioProcessing/sttProcessor.js';
+
+describe('transcript formats', () => {
+  const segments = [
+    { start: 0, end: 1.5, text: 'こんにちは。', chunk: 0 },
+    { start: 3599.9996, end: 3725.25, text: 'よろしくお願いします。', chunk: 1 },
+  ];
+
+  it('writes SRT cues with comma milliseconds, CRLF and hour rollover', () => {
+    assert.equal(
+      toSrt(segments),
+      '1\r\n00:00:00,000 --> 00:00:01,500\r\nこんにちは。\r\n\r\n' +
+      '2\r\n01:00:00,000 --> 01:02:05,250\r\nよろしくお願いします。\r\n'
+    );
+  });
+
+  it('writes WebVTT cues with dot milliseconds after the header', () => {
+    assert.equal(
+      toVtt(segments),
+      'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nこんにちは。\n\n' +
+      '01:00:00.000 --> 01:02:05.250\nよろしくお願いします。\n'
+    );
+  });
+
+  it('offers the timed formats only when every cue has a start and an end', () => {
+    assert.equal(hasTiming(segments), true);
+    assert.equal(hasTiming([...segments, { start: null, end: null, text: '時刻なし', chunk: 2 }]), false);
+    assert.equal(hasTiming([]), false);
+    assert.equal(hasTiming(null), false);
+  });
+
+  it('reads stt_segments, ignoring missing and malformed values', () => {
+    assert.deepEqual(parseSegments(JSON.stringify(segments)), segments);
+    assert.equal(parseSegments(null), null);
+    assert.equal(parseSegments('{"start": 0}'), null);
+    assert.equal(parseSegments('not json'), null);
+  });
+});
+
+describe('buildSegments', () => {
+  it('spreads a plain text chunk over its sentences in proportion to their length', () => {
+    const result = buildSegments([
+      { index: 0, success: true, stt: 'あいう。かきくけこさし。\nたちつ', segments: null, startTime: 10, endTime: 25 },
+    ]);
+    // 4 + 8 + 3 characters over 15 seconds
+    assert.deepEqual(result, [
+      { start: 10, end: 14, text: 'あいう。', chunk: 0 },
+      { start: 14, end: 22, text: 'かきくけこさし。', chunk: 0 },
+      { start: 22, end: 25, text: 'たちつ', chunk: 0 },
+    ]);
+  });
+
+  it('shifts provider segments by the chunk start', () => {
+    const result = buildSegments([
+      { index: 1, success: true, stt: 'b', segments: [{ start: 0.25, end: 2, text: '二つ目' }], startTime: 180.5, endTime: 300 },
+      { index: 0, success: true, stt: 'a', segments: [{ start: 1.23, end: 4.56, text: '一つ目' }], startTime: 0, endTime: 180.5 },
+    ]);
+    assert.deepEqual(result, [
+      { start: 1.23, end: 4.56, text: '一つ目', chunk: 0 },
+      { start: 180.75, end: 182.5, text: '二つ目', chunk: 1 },
+    ]);
+  });
+
+  it('keeps untimed chunks with null timing and skips failed and empty chunks', () => {
+    const result = buildSegments([
+      { index: 0, success: true, stt: '時刻なし。', segments: null, startTime: null, endTime: null },
+      { index: 1, success: false, stt: '', segments: null, startTime: 60, endTime: 120 },
+      { index: 2, success: true, stt: '  \n', segments: null, startTime: 120, endTime: 180 },
+    ]);
+    assert.deepEqual(result, [{ start: null, end: null, text: '時刻なし。', chunk: 0 }]);
+    assert.equal(hasTiming(result), false);
+  });
+});
@@ -12,19 +12,29 @@ import { useRecords } from "@/hooks/useRecords";
 import { useRecordDetail } from "@/hooks/useRecordDetail";
 import { generateFileId } from "@/lib/utils";
 import { convertToArray } from "@/lib/utils";
-import { UploadStatus, Record as RecordType, RecordSummary, AlertMessage, ProcessingJob } from "@/lib/types";
+import { UploadStatus, Record as RecordType, RecordSummary, RecordFilters, SortField, SortOrder, AlertMessage, ProcessingJob, GenerationPromptKey, GenerationPrompts, PromptVersion } from "@/lib/types";
 import { recordsService } from "@/services/recordsService";
 import DashboardHeader from "@/components/dashboard/DashboardHeader";
 import AlertMessageComp from "@/components/dashboard/AlertMessage";
 import UploadModal from "@/components/dashboard/UploadModal";
 import DeleteModal from "@/components/dashboard/DeleteModal";
+import PromptEditModal from "@/components/dashboard/PromptEditModal";
 import SalesforceSyncModal from "@/components/dashboard/SalesforceSyncModal";
 import RecordsTable from "@/components/dashboard/RecordsTable";
+import UpcomingDeletions from "@/components/dashboard/UpcomingDeletions";
 
 // localStorage keys for persisting active jobs across page navigations
 const ACTIVE_JOB_KEY = 'smartstaff_active_job';
 const ACTIVE_FOLLOW_JOB_KEY = 'smartstaff_active_follow_job';
 
+// Tabs of the generation prompt modal
+const PROMPT_TABS: { key: GenerationPromptKey; label: string }[] = [
+  { key: 'skillsheet', label: 'スキルシート' },
+  { key: 'lor', label: '推薦文' },
+  { key: 'skills', label: 'スキル' },
+  { key: 'hope', label: '希望条件' },
+];
+
 const isOtherJobActive = (ownKey: string): boolean => {
   if (typeof window === 'undefined') return false;
   const otherKey = ownKey === ACTIVE_JOB_KEY ? ACTIVE_FOLLOW_JOB_KEY : ACTIVE_JOB_KEY;
@@ -42,7 +52,10 @@ export default function DashboardPage() {
   const { user } = useAuth();
   const [currentPage, setCurrentPage] = useState(1);
   const [rowsPerPage, setRowsPerPage] = useState(10);
-  const { records, pagination, loading, refetch } = useRecords(currentPage, rowsPerPage);
+  const [filters, setFilters] = useState<RecordFilters>({});
+  const [sortField, setSortField] = useState<SortField>('date');
+  const [sortOrder, setSortOrder] = useState<SortOrder>('desc');
+  const { records, pagination, loading, refetch } = useRecords(currentPage, rowsPerPage, filters, sortField, sortOrder);
   
   const [alertMessage, setAlertMessage] = useState<AlertMessage | null>(null);
   const [isSkillSheetOpen, setIsSkillSheetOpen] = useState(false);
@@ -55,6 +68,7 @@ export default function DashboardPage() {
     message: '',
   });
   const [isUploadModalVisible, setIsUploadModalVisible] = useState(false);
+  const [isCancellingJob, setIsCancellingJob] = useState(false);
   const [isLoROpen, setIsLoROpen] = useState(false);
   const [selectedLoRRecord, setSelectedLoRRecord] = useState<RecordType | null>(null);
   const [showSalesforceModal, setShowSalesforceModal] = useState(false);
@@ -67,7 +81,18 @@ export default function DashboardPage() {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [recordToDelete, setRecordToDelete] = useState<RecordType | null>(null);
   const [detailRecordId, setDetailRecordId] = useState<number | null>(null);
-  const { record: detailRecord, loading: detailLoading } = useRecordDetail(detailRecordId);
+  const { record: detailRecord, loading: detailLoading, refetch: refetchDetail } = useRecordDetail(detailRecordId);
+
+  // Prompt edit states
+  const [showPromptModal, setShowPromptModal] = useState(false);
+  const [prompts, setPrompts] = useState<GenerationPrompts | null>(null);
+  const [savedPrompts, setSavedPrompts] = useState<GenerationPrompts | null>(null);
+  const [activePromptTab, setActivePromptTab] = useState<GenerationPromptKey>('skillsheet');
+  const [promptLoading, setPromptLoading] = useState(false);
+  const [promptSaving, setPromptSaving] = useState(false);
+  const [promptVersions, setPromptVersions] = useState<PromptVersion[]>([]);
+  const [promptRollingBack, setPromptRollingBack] = useState(false);
+  const canEditPrompt = user?.role === 'admin' || user?.role === 'company-manager';
 
   const notify = (type: 'success' | 'error', message: string) => {
     setAlertMessage({ type, message });
@@ -133,7 +158,8 @@ export default function DashboardPage() {
             jobId,
             handleProgressUpdate,
             handleJobComplete,
-            handleJobError
+            handleJobError,
+            handleJobCancelled
           );
           setPollCleanup(() => cleanup);
         } else if (job.status === 'completed') {
@@ -160,6 +186,9 @@ export default function DashboardPage() {
           });
           setIsUploadModalVisible(true);
           notify('error', job.errorMessage || '処理に失敗しました。');
+        } else if (job.status === 'cancelled') {
+          // Job cancelled from elsewhere - nothing to resume
+          localStorage.removeItem(ACTIVE_JOB_KEY);
         }
       } catch (error) {
         // If we can't fetch job status, clear storage
@@ -178,12 +207,13 @@ export default function DashboardPage() {
       'pending': 'uploading',
       'processing': 'transcribing',
       'completed': 'complete',
-      'failed': 'error'
+      'failed': 'error',
+      'cancelled': 'cancelled'
     };
 
     setUploadStatus(prev => ({
       ...prev,
-      isUploading: job.status !== 'completed' && job.status !== 'failed',
+      isUploading: job.status !== 'completed' && job.status !== 'failed' && job.status !== 'cancelled',
       progress: progressMap[job.status] || 'processing',
       message: job.currentStep || '処理中...',
       progressPercent: job.progress,
@@ -221,6 +251,34 @@ export default function DashboardPage() {
     setPollCleanup(null);
   };
 
+  // Handle job cancellation
+  const handleJobCancelled = () => {
+    localStorage.removeItem(ACTIVE_JOB_KEY); // Clear persisted job
+    setUploadStatus(prev => ({
+      ...prev,
+      isUploading: false,
+      progress: 'cancelled',
+      message: '処理をキャンセルしました。'
+    }));
+    setPollCleanup(null);
+  };
+
+  // Cancel the running job from the upload modal
+  const handleCancelJob = async () => {
+    if (!uploadStatus.jobId) return;
+    setIsCancellingJob(true);
+    try {
+      await recordsService.cancelJob(uploadStatus.jobId);
+      pollCleanup?.();
+      handleJobCancelled();
+      notify('success', '処理をキャンセルしました。');
+    } catch (error) {
+      notify('error', (error as Error).message || 'ジョブのキャンセルに失敗しました。');
+    } finally {
+      setIsCancellingJob(false);
+    }
+  };
+
   // File upload handler (async with polling)
   const handleFileChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
@@ -287,7 +345,8 @@ export default function DashboardPage() {
         response.jobId,
         handleProgressUpdate,
         handleJobComplete,
-        handleJobError
+        handleJobError,
+        handleJobCancelled
       );
       
       setPollCleanup(() => cleanup);
@@ -387,6 +446,15 @@ export default function DashboardPage() {
     }
   };
 
+  // A restored revision is already saved server-side; reload the open sidebar and the list
+  const handleRevisionRestored = () => {
+    if (detailRecordId) {
+      refetchDetail(detailRecordId);
+    }
+    refetch();
+    notify('success', '以前のバージョンに戻しました。');
+  };
+
   const handleLoRCopy = async (record: RecordSummary) => {
     try {
       // Need to fetch detail for LoR
@@ -411,6 +479,65 @@ export default function DashboardPage() {
     }
   };
 
+  // ---- Prompt handlers ----
+
+  const handleOpenPrompt = async () => {
+    setPromptLoading(true);
+    setShowPromptModal(true);
+    try {
+      const [data, history] = await Promise.all([
+        recordsService.getPrompts(),
+        recordsService.getPromptVersions(),
+      ]);
+      setPrompts(data.prompts);
+      setSavedPrompts(data.prompts);
+      setPromptVersions(history.versions);
+    } catch (error) {
+      toast.error((error as Error).message || 'プロンプトの取得に失敗しました。');
+      setShowPromptModal(false);
+    } finally {
+      setPromptLoading(false);
+    }
+  };
+
+  const handleSavePrompt = async () => {
+    if (!prompts) return;
+    // Only the edited prompts, so untouched ones keep following the default
+    const changed = PROMPT_TABS
+      .filter(({ key }) => prompts[key] !== savedPrompts?.[key])
+      .reduce<Partial<GenerationPrompts>>((acc, { key }) => ({ ...acc, [key]: prompts[key] }), {});
+    if (Object.keys(changed).length === 0) {
+      setShowPromptModal(false);
+      return;
+    }
+    setPromptSaving(true);
+    try {
+      await recordsService.updatePrompts(changed);
+      toast.success('プロンプトを保存しました。');
+      setShowPromptModal(false);
+    } catch (error) {
+      toast.error((error as Error).message || 'プロンプトの保存に失敗しました。');
+    } finally {
+      setPromptSaving(false);
+    }
+  };
+
+  const handleRollbackPrompt = async (versionId: number) => {
+    setPromptRollingBack(true);
+    try {
+      const data = await recordsService.rollbackPrompt(versionId);
+      setPrompts((prev) => (prev ? { ...prev, [data.key]: data.prompt } : prev));
+      setSavedPrompts((prev) => (prev ? { ...prev, [data.key]: data.prompt } : prev));
+      const history = await recordsService.getPromptVersions();
+      setPromptVersions(history.versions);
+      toast.success('プロンプトを復元しました。');
+    } catch (error) {
+      toast.error((error as Error).message || 'プロンプトの復元に失敗しました。');
+    } finally {
+      setPromptRollingBack(false);
+    }
+  };
+
   const handleBulkDownload = async (record: RecordSummary) => {
     try {
       await recordsService.downloadBulk(record.id, record.fileId);
@@ -432,6 +559,25 @@ export default function DashboardPage() {
     }
   };
 
+  // Open a sidebar directly from a deep link (e.g. search results: ?recordId=1&panel=lor)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const recordId = parseInt(params.get('recordId') || '', 10);
+    if (!recordId) return;
+
+    const record = { id: recordId } as RecordSummary;
+    const panel = params.get('panel');
+    if (panel === 'lor') {
+      handleLoREdit(record);
+    } else if (panel === 'salesforce') {
+      handleSalesforceEdit(record);
+    } else {
+      handleSkillSheetEdit(record);
+    }
+    window.history.replaceState(null, '', window.location.pathname);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // Run only on mount
+
   // Update Salesforce modal when detail loads
   useEffect(() => {
     if (detailRecord && detailRecordId === detailRecord.id && modalType && !showSalesforceModal) {
@@ -508,6 +654,8 @@ export default function DashboardPage() {
           uploadStatus={uploadStatus} 
           isVisible={isUploadModalVisible}
           onClose={() => setIsUploadModalVisible(false)} 
+          onCancel={handleCancelJob}
+          isCancelling={isCancellingJob}
         />
 
         {/* Skill Sheet Sidebar */}
@@ -521,6 +669,8 @@ export default function DashboardPage() {
           skillSheetData={selectedRecord?.skillSheet}
           skills={selectedRecord?.skills}
           onSave={handleSkillSheetSave}
+          recordId={selectedRecord?.id}
+          onRevisionRestored={handleRevisionRestored}
         />
 
         {/* Salesforce Sidebar */}
@@ -535,6 +685,7 @@ export default function DashboardPage() {
           initialLor={selectedSalesforceRecord?.hope}
           onSave={handleSalesforceSave}
           staffId={selectedSalesforceRecord?.staffId}
+          recordId={selectedSalesforceRecord?.id}
         />
 
         {/* LoR Sidebar */}
@@ -548,6 +699,8 @@ export default function DashboardPage() {
           lorData={selectedLoRRecord?.lor || null}
           onSave={handleLoRSave}
           staffId={selectedLoRRecord?.staffId}
+          recordId={selectedLoRRecord?.id}
+          onRevisionRestored={handleRevisionRestored}
         />
 
         <SalesforceSyncModal
@@ -570,10 +723,29 @@ export default function DashboardPage() {
           onConfirm={handleDeleteConfirm}
         />
 
+        {/* Prompt Edit Modal */}
+        <PromptEditModal
+          isVisible={showPromptModal}
+          title="生成プロンプト"
+          tabs={PROMPT_TABS}
+          activeTab={activePromptTab}
+          onTabChange={(key) => setActivePromptTab(key as GenerationPromptKey)}
+          isLoading={promptLoading}
+          promptText={prompts?.[activePromptTab] ?? ''}
+          onPromptChange={(text) => setPrompts((prev) => (prev ? { ...prev, [activePromptTab]: text } : prev))}
+          onSave={handleSavePrompt}
+          onClose={() => setShowPromptModal(false)}
+          isSaving={promptSaving}
+          versions={promptVersions.filter((version) => version.promptKey === activePromptTab)}
+          onRollback={handleRollbackPrompt}
+          isRollingBack={promptRollingBack}
+        />
+
         <DashboardHeader
           userName={user?.name || 'User'}
           onFileChange={handleFileChange}
           isProcessing={uploadStatus.isUploading || isOtherJobActive(ACTIVE_JOB_KEY)}
+          onPromptClick={canEditPrompt ? handleOpenPrompt : undefined}
           onProcessingClick={() => {
             if (uploadStatus.isUploading) {
               setIsUploadModalVisible(true);
@@ -583,6 +755,11 @@ export default function DashboardPage() {
           }}
         />
 
+        {/* Scheduled deletions (retention policy / trash) */}
+        {(user?.role === 'admin' || user?.role === 'company-manager') && (
+          <UpcomingDeletions baseSlug={user.role === 'admin' ? 'admin' : (user.company?.slug || 'default')} />
+        )}
+
         {/* Records Section */}
         <div className="bg-white rounded-[5px] shadow">
           <RecordsTable
@@ -591,6 +768,18 @@ export default function DashboardPage() {
             loading={loading}
             currentPage={currentPage}
             rowsPerPage={rowsPerPage}
+            filters={filters}
+            onFiltersChange={(newFilters) => {
+              setFilters(newFilters);
+              setCurrentPage(1);
+            }}
+            sortField={sortField}
+            sortOrder={sortOrder}
+            onSortChange={(field, order) => {
+              setSortField(field);
+              setSortOrder(order);
+              setCurrentPage(1);
+            }}
             onPageChange={setCurrentPage}
             onRowsPerPageChange={setRowsPerPage}
             onSkillSheetEdit={handleSkillSheetEdit}
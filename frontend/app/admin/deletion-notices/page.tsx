@@ -0,0 +1,14 @@
+"use client";
+
+import Layout from "@/components/Layout";
+import DeletionNoticeList from "@/components/notifications/DeletionNoticeList";
+
+export default function AdminDeletionNoticesPage() {
+  return (
+    <Layout>
+      <div className="min-h-screen bg-[#f8fafd] px-4 sm:px-6 lg:px-8 py-6 rounded-[5px]">
+        <DeletionNoticeList />
+      </div>
+    </Layout>
+  );
+}
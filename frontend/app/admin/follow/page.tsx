@@ -1,7 +1,8 @@
 "use client";
 
-import { useState, useEffect, useRef, useMemo } from "react";
+import { useState, useEffect, useRef } from "react";
 import Image from "next/image";
+import Link from "next/link";
 import Layout from "@/components/Layout";
 import Pagination from "@/components/molecules/pagination";
 import { useAuth } from "@/contexts/AuthContext";
@@ -11,7 +12,8 @@ import PromptEditModal from "@/components/dashboard/PromptEditModal";
 import FollowSummarySidebar from "@/components/FollowSummarySidebar";
 import SalesforceSyncModal from "@/components/dashboard/SalesforceSyncModal";
 import FollowSkeletonRow from "@/components/dashboard/FollowSkeletonRow";
-import { UploadStatus, ProcessingJob } from "@/lib/types";
+import ExportMenu, { FOLLOW_EXPORT_COLUMNS } from "@/components/dashboard/ExportMenu";
+import { UploadStatus, ProcessingJob, FollowRecord, RevisionField, SubtitleFormat, PromptVersion } from "@/lib/types";
 import { followService } from "@/services/followService";
 import { generateFileId } from "@/lib/utils";
 
@@ -32,21 +34,6 @@ const isAllowedAudioFile = (file: File): boolean => {
   return file.type.startsWith('audio/') || ALLOWED_AUDIO_EXTENSIONS.includes(extension);
 };
 
-interface FollowRecord {
-  id: number;
-  ownerId?: number;
-  date: string;
-  fileId: string;
-  staffId: string;
-  staffName: string;
-  followDate: string | null;
-  title: string;
-  summary: string | null;
-  salesforceEventId: string | null;
-  companyId?: number;
-  userName?: string;
-}
-
 interface PaginationInfo {
   total: number;
   limit: number;
@@ -61,6 +48,7 @@ type SortOrder = 'asc' | 'desc';
 
 export default function AdminFollowPage() {
   const { user } = useAuth();
+  const staffBaseSlug = user?.role === 'admin' ? 'admin' : (user?.company?.slug || 'default');
   const [records, setRecords] = useState<FollowRecord[]>([]);
   const [pagination, setPagination] = useState<PaginationInfo | null>(null);
   const [loading, setLoading] = useState(true);
@@ -100,12 +88,15 @@ export default function AdminFollowPage() {
     message: '',
   });
   const [isUploadModalVisible, setIsUploadModalVisible] = useState(false);
+  const [isCancellingJob, setIsCancellingJob] = useState(false);
 
   // Prompt edit states
   const [showPromptModal, setShowPromptModal] = useState(false);
   const [promptText, setPromptText] = useState('');
   const [promptLoading, setPromptLoading] = useState(false);
   const [promptSaving, setPromptSaving] = useState(false);
+  const [promptVersions, setPromptVersions] = useState<PromptVersion[]>([]);
+  const [promptRollingBack, setPromptRollingBack] = useState(false);
   const canEditPrompt = user?.role === 'company-manager';
 
   // Polling cleanup reference
@@ -117,7 +108,7 @@ export default function AdminFollowPage() {
 
   useEffect(() => {
     fetchRecords();
-  }, [currentPage, rowsPerPage]);
+  }, [currentPage, rowsPerPage, sortField, sortOrder]);
 
   // Cleanup polling on unmount
   useEffect(() => {
@@ -164,7 +155,8 @@ export default function AdminFollowPage() {
             jobId,
             handleProgressUpdate,
             handleJobComplete,
-            handleJobError
+            handleJobError,
+            handleJobCancelled
           );
           setPollCleanup(() => cleanup);
         } else if (job.status === 'completed') {
@@ -191,6 +183,9 @@ export default function AdminFollowPage() {
           });
           setIsUploadModalVisible(true);
           toast.error(job.errorMessage || '処理に失敗しました。');
+        } else if (job.status === 'cancelled') {
+          // Job cancelled from elsewhere - nothing to resume
+          localStorage.removeItem(ACTIVE_FOLLOW_JOB_KEY);
         }
       } catch (error) {
         localStorage.removeItem(ACTIVE_FOLLOW_JOB_KEY);
@@ -214,11 +209,13 @@ export default function AdminFollowPage() {
       progressState = 'complete';
     } else if (job.status === 'failed') {
       progressState = 'error';
+    } else if (job.status === 'cancelled') {
+      progressState = 'cancelled';
     }
 
     setUploadStatus(prev => ({
       ...prev,
-      isUploading: job.status !== 'completed' && job.status !== 'failed',
+      isUploading: job.status !== 'completed' && job.status !== 'failed' && job.status !== 'cancelled',
       progress: progressState,
       message: job.currentStep || '処理中...',
       progressPercent: job.progress,
@@ -256,14 +253,46 @@ export default function AdminFollowPage() {
     setPollCleanup(null);
   };
 
+  // Handle job cancellation
+  const handleJobCancelled = () => {
+    localStorage.removeItem(ACTIVE_FOLLOW_JOB_KEY);
+    setUploadStatus(prev => ({
+      ...prev,
+      isUploading: false,
+      progress: 'cancelled',
+      message: '処理をキャンセルしました。',
+    }));
+    setPollCleanup(null);
+  };
+
+  // Cancel the running job from the upload modal
+  const handleCancelJob = async () => {
+    if (!uploadStatus.jobId) return;
+    setIsCancellingJob(true);
+    try {
+      await followService.cancelJob(uploadStatus.jobId);
+      pollCleanup?.();
+      handleJobCancelled();
+      toast.success('処理をキャンセルしました。');
+    } catch (error) {
+      toast.error((error as Error).message || 'ジョブのキャンセルに失敗しました。');
+    } finally {
+      setIsCancellingJob(false);
+    }
+  };
+
   // ---- Prompt handlers ----
 
   const handleOpenPrompt = async () => {
     setPromptLoading(true);
     setShowPromptModal(true);
     try {
-      const data = await followService.getPrompt();
+      const [data, history] = await Promise.all([
+        followService.getPrompt(),
+        followService.getPromptVersions(),
+      ]);
       setPromptText(data.prompt);
+      setPromptVersions(history.versions);
     } catch (error) {
       toast.error((error as Error).message || 'プロンプトの取得に失敗しました。');
       setShowPromptModal(false);
@@ -285,12 +314,38 @@ export default function AdminFollowPage() {
     }
   };
 
+  const handleRollbackPrompt = async (versionId: number) => {
+    setPromptRollingBack(true);
+    try {
+      const data = await followService.rollbackPrompt(versionId);
+      setPromptText(data.prompt);
+      const history = await followService.getPromptVersions();
+      setPromptVersions(history.versions);
+      toast.success('プロンプトを復元しました。');
+    } catch (error) {
+      toast.error((error as Error).message || 'プロンプトの復元に失敗しました。');
+    } finally {
+      setPromptRollingBack(false);
+    }
+  };
+
+  // Follows with a summary to compare a draft prompt against
+  const promptTestTargets = records
+    .filter(rec => rec.summary)
+    .map(rec => ({ id: rec.id, label: `${rec.date} ${rec.staffName || rec.staffId}（${rec.fileId}）` }));
+
   const fetchRecords = async () => {
     setLoading(true);
     try {
       const token = localStorage.getItem("token");
       const offset = (currentPage - 1) * rowsPerPage;
-      const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/follow?limit=${rowsPerPage}&offset=${offset}`, {
+      const params = new URLSearchParams({
+        limit: rowsPerPage.toString(),
+        offset: offset.toString(),
+        sort: sortField,
+        order: sortOrder,
+      });
+      const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/follow?${params.toString()}`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       if (res.ok) {
@@ -370,6 +425,19 @@ export default function AdminFollowPage() {
     setIsSummarySidebarOpen(true);
   };
 
+  // Open the summary sidebar directly from a deep link (e.g. search results: ?followId=1)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const followId = parseInt(params.get('followId') || '', 10);
+    if (!followId) return;
+
+    followService.getRecordDetail(followId)
+      .then(handleSummaryEdit)
+      .catch((e) => toast.error((e as Error).message));
+    window.history.replaceState(null, '', window.location.pathname);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // Run only on mount
+
   const handleSummarySave = async (data: { followDate: string; title: string; summary: string }) => {
     if (!selectedSummaryRecord) return;
     try {
@@ -397,6 +465,15 @@ export default function AdminFollowPage() {
     }
   };
 
+  // A restored revision is already saved server-side; show it in the open sidebar and reload the list
+  const handleRevisionRestored = (field: RevisionField, content: string | null) => {
+    if (field === 'summary') {
+      setSelectedSummaryRecord(prev => (prev ? { ...prev, summary: content } : prev));
+    }
+    fetchRecords();
+    toast.success('以前のバージョンに戻しました。');
+  };
+
   const handleCopySummary = async (summary: string | null) => {
     if (!summary) {
       toast.error('要約がありません。');
@@ -537,7 +614,8 @@ export default function AdminFollowPage() {
         response.jobId,
         handleProgressUpdate,
         handleJobComplete,
-        handleJobError
+        handleJobError,
+        handleJobCancelled
       );
 
       setPollCleanup(() => cleanup);
@@ -581,6 +659,14 @@ export default function AdminFollowPage() {
     }
   };
 
+  const handleTranscriptDownload = async (record: FollowRecord, format: SubtitleFormat) => {
+    try {
+      await followService.downloadTranscript(record.id, record.fileId, format);
+    } catch (error) {
+      toast.error((error as Error).message);
+    }
+  };
+
   // ---- Delete handlers ----
 
   const handleDeleteClick = (record: FollowRecord) => {
@@ -615,14 +701,6 @@ export default function AdminFollowPage() {
 
   // ---- Sorting & filtering ----
 
-  const parseDate = (dateString: string) => {
-    try {
-      return new Date(dateString).getTime();
-    } catch {
-      return 0;
-    }
-  };
-
   const formatDate = (dateString: string) => {
     try {
       const date = new Date(dateString);
@@ -639,6 +717,7 @@ export default function AdminFollowPage() {
     }
   };
 
+  // Sorting is done server-side; the search box only narrows the current page
   const filteredRecords = records.filter(rec =>
     (rec.date || '').includes(searchTerm) ||
     (rec.staffId || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -646,24 +725,11 @@ export default function AdminFollowPage() {
     (rec.userName || '').toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  const sortedRecords = useMemo(() => {
-    return [...filteredRecords].sort((a, b) => {
-      if (sortField === 'date') {
-        const dateA = parseDate(a.date);
-        const dateB = parseDate(b.date);
-        return sortOrder === 'desc' ? dateB - dateA : dateA - dateB;
-      } else {
-        const valA = (a.staffId || '').toLowerCase();
-        const valB = (b.staffId || '').toLowerCase();
-        return sortOrder === 'desc' ? valB.localeCompare(valA) : valA.localeCompare(valB);
-      }
-    });
-  }, [filteredRecords, sortField, sortOrder]);
-
   const handleColumnSort = (field: SortField) => {
     const newOrder = field === sortField && sortOrder === 'desc' ? 'asc' : 'desc';
     setSortField(field);
     setSortOrder(newOrder);
+    setCurrentPage(1);
 
     if (field === 'date') {
       setSortIconDate(newOrder === 'asc' ? '↑' : '↓');
@@ -696,6 +762,8 @@ export default function AdminFollowPage() {
           uploadStatus={uploadStatus}
           isVisible={isUploadModalVisible}
           onClose={() => setIsUploadModalVisible(false)}
+          onCancel={handleCancelJob}
+          isCancelling={isCancellingJob}
         />
 
         {/* Follow Summary Sidebar */}
@@ -706,6 +774,8 @@ export default function AdminFollowPage() {
           title={selectedSummaryRecord?.title || ''}
           summary={selectedSummaryRecord?.summary || ''}
           onSave={handleSummarySave}
+          followId={selectedSummaryRecord?.id}
+          onRevisionRestored={handleRevisionRestored}
         />
 
         {/* Salesforce Sync Confirmation Modal */}
@@ -733,9 +803,12 @@ export default function AdminFollowPage() {
                     <div className="text-sm text-gray-500">しばらくお待ちください</div>
                   </div>
                 ) : (
-                  <div className="text-lg mb-2">
-                    スタッフID：{recordToDelete?.staffId || '(未設定)'} のレコードを削除しますか？
-                  </div>
+                  <>
+                    <div className="text-lg mb-2">
+                      スタッフID：{recordToDelete?.staffId || '(未設定)'} のレコードを削除しますか？
+                    </div>
+                    <div className="text-sm text-gray-600 mt-4">削除したレコードはゴミ箱から復元できます（一定期間後に完全に削除されます）。</div>
+                  </>
                 )}
               </div>
               {!isDeleting && (
@@ -767,6 +840,11 @@ export default function AdminFollowPage() {
           onSave={handleSavePrompt}
           onClose={() => setShowPromptModal(false)}
           isSaving={promptSaving}
+          versions={promptVersions}
+          onRollback={handleRollbackPrompt}
+          isRollingBack={promptRollingBack}
+          testTargets={promptTestTargets}
+          onTestRun={(followId) => followService.testPrompt(promptText, followId)}
         />
 
         {/* Header */}
@@ -823,6 +901,10 @@ export default function AdminFollowPage() {
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-lg sm:text-xl font-semibold rounded-[5px]">Follow</h2>
               <div className="flex items-center gap-4">
+                <ExportMenu
+                  columns={FOLLOW_EXPORT_COLUMNS}
+                  onExport={(format, columns) => followService.exportRecords(format, columns, sortField, sortOrder)}
+                />
                 <div className="relative w-56">
                   <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
                     <Image src="/search.svg" alt="Search" width={16} height={16} className="text-gray-400" />
@@ -857,7 +939,7 @@ export default function AdminFollowPage() {
                       <th className="py-3 px-4 font-medium text-center min-w-[100px] rounded-[5px]">Staff Name</th>
                       <th className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px]">User</th>
                       <th className="py-3 px-4 font-medium text-center min-w-[200px] rounded-[5px]">Summary</th>
-                      <th className="py-3 px-4 font-medium text-center min-w-[60px] max-w-[80px] rounded-[5px]">STT</th>
+                      <th className="py-3 px-4 font-medium text-center min-w-[110px] max-w-[130px] rounded-[5px]">STT</th>
                       <th className="py-3 px-4 font-medium text-center min-w-[60px] max-w-[80px] rounded-[5px]"></th>
                     </tr>
                   </thead>
@@ -866,10 +948,10 @@ export default function AdminFollowPage() {
                       Array.from({ length: rowsPerPage || 10 }).map((_, index) => (
                         <FollowSkeletonRow key={`skeleton-${index}`} />
                       ))
-                    ) : sortedRecords.length === 0 ? (
+                    ) : filteredRecords.length === 0 ? (
                       <tr><td colSpan={7} className="text-center py-8">No records found</td></tr>
                     ) : (
-                      sortedRecords.map((rec) => (
+                      filteredRecords.map((rec) => (
                         <tr key={rec.id} className="border-b border-gray-100 hover:bg-gray-50 transition text-left align-middle rounded-[5px]">
                           {/* Date */}
                           <td className="py-5 px-4 whitespace-nowrap align-middle text-center rounded-[5px] truncate">
@@ -892,7 +974,13 @@ export default function AdminFollowPage() {
                                   <button className="hover:scale-110 transition rounded-[5px] w-5 h-5 flex items-center flex-shrink-0" title="Edit Staff ID" onClick={() => handleEditStaffId(rec.id, rec.staffId)}>
                                     <Image src="/edit1.svg" alt="Edit Staff ID" width={20} height={20} className="rounded-[5px]" />
                                   </button>
-                                  <span className="truncate">{rec.staffId}</span>
+                                  {rec.staffRefId ? (
+                                    <Link href={`/${staffBaseSlug}/staff/${rec.staffRefId}`} className="truncate text-indigo-600 hover:underline" title="スタッフのタイムラインを表示">
+                                      {rec.staffId}
+                                    </Link>
+                                  ) : (
+                                    <span className="truncate">{rec.staffId}</span>
+                                  )}
                                 </>
                               )}
                             </div>
@@ -953,7 +1041,7 @@ export default function AdminFollowPage() {
                             </div>
                           </td>
                           {/* STT */}
-                          <td className="py-5 px-2 align-middle min-w-[60px] max-w-[80px] rounded-[5px]">
+                          <td className="py-5 px-2 align-middle min-w-[110px] max-w-[130px] rounded-[5px]">
                             <div className="flex items-center justify-center rounded-[5px]">
                               <button
                                 className="hover:scale-110 transition rounded-[5px] w-5 h-5 flex items-center justify-center flex-shrink-0"
@@ -962,6 +1050,16 @@ export default function AdminFollowPage() {
                               >
                                 <Image src="/download1.svg" alt="download" width={16} height={16} className="rounded-[5px]" />
                               </button>
+                              {(['srt', 'vtt'] as SubtitleFormat[]).map(format => (
+                                <button
+                                  key={format}
+                                  className="hover:scale-110 transition rounded-[5px] h-5 px-1 ml-1 flex items-center justify-center flex-shrink-0 text-[10px] font-semibold text-blue-700 border border-blue-200 uppercase"
+                                  title={`Download ${format.toUpperCase()}`}
+                                  onClick={() => handleTranscriptDownload(rec, format)}
+                                >
+                                  {format}
+                                </button>
+                              ))}
                             </div>
                           </td>
                           {/* Delete */}
@@ -1002,7 +1100,7 @@ export default function AdminFollowPage() {
             </div>
           </div>
           <Pagination
-            totalItems={pagination?.total || sortedRecords.length}
+            totalItems={pagination?.total || filteredRecords.length}
             currentPage={currentPage}
             rowsPerPage={rowsPerPage}
             onPageChange={handlePageChange}
@@ -0,0 +1,22 @@
+"use client";
+
+import { useParams } from "next/navigation";
+import Layout from "@/components/Layout";
+import StaffProfile from "@/components/staff/StaffProfile";
+
+export default function AdminStaffProfilePage() {
+  const params = useParams<{ id: string }>();
+  const staffRefId = parseInt(params.id, 10);
+
+  return (
+    <Layout>
+      <div className="min-h-screen bg-[#f8fafd] px-4 sm:px-6 lg:px-8 py-6 rounded-[5px]">
+        {isNaN(staffRefId) ? (
+          <div className="text-center py-8 text-red-500">スタッフが見つかりません</div>
+        ) : (
+          <StaffProfile staffRefId={staffRefId} />
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,14 @@
+"use client";
+
+import Layout from "@/components/Layout";
+import TrashBin from "@/components/trash/TrashBin";
+
+export default function AdminTrashPage() {
+  return (
+    <Layout>
+      <div className="min-h-screen bg-[#f8fafd] px-4 sm:px-6 lg:px-8 py-6 rounded-[5px]">
+        <TrashBin />
+      </div>
+    </Layout>
+  );
+}
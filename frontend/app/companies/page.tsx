@@ -4,11 +4,21 @@ import { useState, useEffect } from 'react';
 import Layout from '@/components/Layout';
 import { useAuth } from '@/contexts/AuthContext';
 
+// Speech-to-text engine of the company's jobs ('' = server default, STT_PROVIDER)
+type SttProvider = 'dify' | 'whisper';
+
+const STT_PROVIDER_OPTIONS: { value: SttProvider | ''; label: string }[] = [
+  { value: '', label: 'システム既定' },
+  { value: 'dify', label: 'Dify' },
+  { value: 'whisper', label: 'Whisper（ローカル）' },
+];
+
 interface Company {
   id: number;
   name: string;
   slug: string;
   logo: string | null;
+  stt_provider: SttProvider | null;
   created_at: string;
   updated_at: string;
 }
@@ -23,6 +33,7 @@ export default function CompaniesPage() {
   const [formData, setFormData] = useState({ name: '', slug: '' });
   const [logoFile, setLogoFile] = useState<File | null>(null);
   const [logoPreview, setLogoPreview] = useState<string | null>(null);
+  const [sttProvider, setSttProvider] = useState<SttProvider | ''>('');
   const { user } = useAuth();
 
   useEffect(() => {
@@ -61,6 +72,9 @@ export default function CompaniesPage() {
       const formDataToSend = new FormData();
       formDataToSend.append('name', formData.name);
       formDataToSend.append('slug', formData.slug);
+      if (selectedCompany) {
+        formDataToSend.append('sttProvider', sttProvider);
+      }
       
       if (logoFile) {
         formDataToSend.append('logo', logoFile);
@@ -124,6 +138,7 @@ export default function CompaniesPage() {
   const openEditModal = (company: Company) => {
     setSelectedCompany(company);
     setFormData({ name: company.name, slug: company.slug });
+    setSttProvider(company.stt_provider ?? '');
     setLogoFile(null);
     setLogoPreview(company.logo ? `${process.env.NEXT_PUBLIC_API_URL}${company.logo}` : null);
     setShowEditModal(true);
@@ -411,6 +426,28 @@ export default function CompaniesPage() {
                       </div>
                     )}
                   </div>
+
+                  {selectedCompany && (
+                    <div className="mb-4">
+                      <label
+                        htmlFor="sttProvider"
+                        className="block text-sm font-medium text-gray-700 mb-2"
+                      >
+                        文字起こしエンジン
+                      </label>
+                      <select
+                        name="sttProvider"
+                        id="sttProvider"
+                        value={sttProvider}
+                        onChange={(e) => setSttProvider(e.target.value as SttProvider | '')}
+                        className="p-2 shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md"
+                      >
+                        {STT_PROVIDER_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
                 <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
                   <button
@@ -0,0 +1,195 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import Layout from '@/components/Layout';
+import { useAuth } from '@/contexts/AuthContext';
+import { apiRequest } from '@/lib/api';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+import { RetentionPolicy, RetentionValues } from '@/lib/types';
+import { retentionService } from '@/services/retentionService';
+
+type RetentionField = keyof RetentionValues;
+type RetentionMode = 'default' | 'never' | 'custom';
+
+interface CompanyOption {
+  id: number;
+  name: string;
+}
+
+const FIELDS: { field: RetentionField; label: string; unit: string; description: string }[] = [
+  { field: 'recordsMonths', label: 'Records', unit: 'ヶ月', description: 'スキルシート・文字起こしなどのレコード' },
+  { field: 'followsMonths', label: 'Follow', unit: 'ヶ月', description: 'フォロー面談のレコード' },
+  { field: 'audioDays', label: '音声ファイル', unit: '日', description: 'Records の元音声（レコード削除時には常に削除されます）' },
+];
+
+const toMode = (value: number | null): RetentionMode => (value === null ? 'default' : value === 0 ? 'never' : 'custom');
+
+export default function RetentionSettingsPage() {
+  const { user } = useAuth();
+  const [companies, setCompanies] = useState<CompanyOption[]>([]);
+  const [companyId, setCompanyId] = useState<number | null>(null);
+  const [policy, setPolicy] = useState<RetentionPolicy | null>(null);
+  const [modes, setModes] = useState<{ [key in RetentionField]: RetentionMode }>({
+    recordsMonths: 'default',
+    followsMonths: 'default',
+    audioDays: 'default',
+  });
+  const [values, setValues] = useState<{ [key in RetentionField]: string }>({
+    recordsMonths: '',
+    followsMonths: '',
+    audioDays: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    if (user.role === 'admin') {
+      apiRequest<CompanyOption[]>(`${getApiBaseUrl()}/api/companies`)
+        .then(data => {
+          setCompanies(data);
+          if (data.length > 0) setCompanyId(data[0].id);
+        })
+        .catch(() => toast.error('会社一覧の取得に失敗しました'));
+    } else {
+      setCompanyId(user.company_id);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (companyId === null) return;
+    setLoading(true);
+    retentionService
+      .getPolicy(companyId)
+      .then(applyPolicy)
+      .catch(error => toast.error((error as Error).message))
+      .finally(() => setLoading(false));
+  }, [companyId]);
+
+  const applyPolicy = (data: RetentionPolicy) => {
+    setPolicy(data);
+    setModes({
+      recordsMonths: toMode(data.settings.recordsMonths),
+      followsMonths: toMode(data.settings.followsMonths),
+      audioDays: toMode(data.settings.audioDays),
+    });
+    setValues({
+      recordsMonths: data.settings.recordsMonths ? String(data.settings.recordsMonths) : '',
+      followsMonths: data.settings.followsMonths ? String(data.settings.followsMonths) : '',
+      audioDays: data.settings.audioDays ? String(data.settings.audioDays) : '',
+    });
+  };
+
+  const handleSave = async () => {
+    if (companyId === null) return;
+
+    const payload = {} as RetentionValues;
+    for (const { field, label } of FIELDS) {
+      if (modes[field] === 'default') {
+        payload[field] = null;
+      } else if (modes[field] === 'never') {
+        payload[field] = 0;
+      } else {
+        const value = parseInt(values[field], 10);
+        if (isNaN(value) || value < 1) {
+          toast.error(`${label}の保存期間を1以上の数値で入力してください`);
+          return;
+        }
+        payload[field] = value;
+      }
+    }
+
+    try {
+      setSaving(true);
+      applyPolicy(await retentionService.updatePolicy(companyId, payload));
+      toast.success('保存期間設定の保存が完了しました');
+    } catch (error) {
+      toast.error((error as Error).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describeDefault = (field: RetentionField, unit: string) => {
+    const value = policy?.defaults[field];
+    if (value === undefined) return 'システム既定';
+    return value === 0 ? 'システム既定（削除しない）' : `システム既定（${value}${unit}）`;
+  };
+
+  return (
+    <Layout>
+      <div className="container mx-auto px-4 py-8">
+        <h1 className="text-2xl font-bold mb-6">保存期間設定</h1>
+        <div className="bg-white rounded-lg shadow p-6 max-w-4xl">
+          <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              {user?.role === 'admin' ? (
+                <select
+                  value={companyId ?? ''}
+                  onChange={e => setCompanyId(Number(e.target.value))}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>
+                      {company.name}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <div className="text-gray-700">{policy?.companyName}</div>
+              )}
+              <button
+                onClick={handleSave}
+                disabled={saving || loading || !policy}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50"
+              >
+                {saving ? '保存中...' : '保存'}
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-500">
+              保存期間を過ぎたデータは自動削除ジョブによって完全に削除されます。ゴミ箱に移動したレコードはこの設定に関わらず一定期間後に削除されます。
+            </p>
+
+            {loading ? (
+              <div className="flex justify-center items-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+              </div>
+            ) : (
+              FIELDS.map(({ field, label, unit, description }) => (
+                <div key={field} className="border rounded-lg p-4">
+                  <h2 className="text-md font-medium">{label}</h2>
+                  <p className="text-sm text-gray-500 mb-3">{description}</p>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <select
+                      value={modes[field]}
+                      onChange={e => setModes(prev => ({ ...prev, [field]: e.target.value as RetentionMode }))}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      <option value="default">{describeDefault(field, unit)}</option>
+                      <option value="custom">期間を指定</option>
+                      <option value="never">削除しない</option>
+                    </select>
+                    {modes[field] === 'custom' && (
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          min={1}
+                          value={values[field]}
+                          onChange={e => setValues(prev => ({ ...prev, [field]: e.target.value }))}
+                          className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                        <span className="text-sm text-gray-700">{unit}</span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
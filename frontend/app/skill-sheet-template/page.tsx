@@ -0,0 +1,327 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import Layout from '@/components/Layout';
+import { useAuth } from '@/contexts/AuthContext';
+import { apiRequest } from '@/lib/api';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+import { SkillSheetLogoPosition, SkillSheetTemplate, SkillSheetTemplateSettings } from '@/lib/types';
+import { skillSheetTemplateService } from '@/services/skillSheetTemplateService';
+
+interface CompanyOption {
+  id: number;
+  name: string;
+}
+
+type TextField = 'title' | 'headerText' | 'footerText' | 'nameLabel' | 'skillsHeading';
+
+const TEXT_FIELDS: { field: TextField; label: string; description: string }[] = [
+  { field: 'title', label: 'タイトル', description: '1ページ目の上部中央（空欄で非表示）' },
+  { field: 'headerText', label: 'ヘッダー', description: '各ページの上部余白に表示（空欄で非表示）' },
+  { field: 'footerText', label: 'フッター', description: '最後のページの末尾に表示（空欄で非表示）' },
+  { field: 'nameLabel', label: '氏名ラベル', description: 'プロフィール欄でスタッフIDの前に表示' },
+  { field: 'skillsHeading', label: 'スキル欄見出し', description: '語学力・資格・スキルの前（改ページ後）に表示' },
+];
+
+const LOGO_POSITIONS: { value: SkillSheetLogoPosition; label: string }[] = [
+  { value: 'none', label: '表示しない' },
+  { value: 'left', label: '左' },
+  { value: 'center', label: '中央' },
+  { value: 'right', label: '右' },
+];
+
+const SECTION_NAMES: { [key: string]: string } = {
+  profile: 'プロフィール',
+  career: '経歴詳細',
+  languages: '語学力',
+  qualifications: '資格',
+  skills: 'スキル',
+};
+
+export default function SkillSheetTemplatePage() {
+  const { user } = useAuth();
+  const [companies, setCompanies] = useState<CompanyOption[]>([]);
+  const [companyId, setCompanyId] = useState<number | null>(null);
+  const [settings, setSettings] = useState<SkillSheetTemplateSettings | null>(null);
+  const [template, setTemplate] = useState<SkillSheetTemplate | null>(null);
+  const [previewRecordId, setPreviewRecordId] = useState('');
+  const [previewUrl, setPreviewUrl] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    if (user.role === 'admin') {
+      apiRequest<CompanyOption[]>(`${getApiBaseUrl()}/api/companies`)
+        .then(data => {
+          setCompanies(data);
+          if (data.length > 0) setCompanyId(data[0].id);
+        })
+        .catch(() => toast.error('会社一覧の取得に失敗しました'));
+    } else {
+      setCompanyId(user.company_id);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (companyId === null) return;
+    setLoading(true);
+    setPreviewUrl(null);
+    skillSheetTemplateService
+      .getTemplate(companyId)
+      .then(applySettings)
+      .catch(error => toast.error((error as Error).message))
+      .finally(() => setLoading(false));
+  }, [companyId]);
+
+  // Release the previous preview PDF
+  useEffect(() => {
+    return () => {
+      if (previewUrl) window.URL.revokeObjectURL(previewUrl);
+    };
+  }, [previewUrl]);
+
+  const applySettings = (data: SkillSheetTemplateSettings) => {
+    setSettings(data);
+    setTemplate(data.template);
+  };
+
+  const updateField = (field: TextField | 'logoPosition', value: string) => {
+    setTemplate(prev => (prev ? { ...prev, [field]: value } : prev));
+  };
+
+  const updateSection = (index: number, changes: { label?: string; visible?: boolean }) => {
+    setTemplate(prev => prev && {
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, ...changes } : section)),
+    });
+  };
+
+  const moveSection = (index: number, offset: -1 | 1) => {
+    setTemplate(prev => {
+      if (!prev) return prev;
+      const target = index + offset;
+      if (target < 0 || target >= prev.sections.length) return prev;
+      const sections = [...prev.sections];
+      [sections[index], sections[target]] = [sections[target], sections[index]];
+      return { ...prev, sections };
+    });
+  };
+
+  const handlePreview = async () => {
+    if (companyId === null || !template) return;
+    const recordId = previewRecordId.trim() ? parseInt(previewRecordId, 10) : undefined;
+    if (recordId !== undefined && isNaN(recordId)) {
+      toast.error('レコードIDは数値で入力してください');
+      return;
+    }
+
+    try {
+      setPreviewing(true);
+      const blob = await skillSheetTemplateService.preview(companyId, template, recordId);
+      setPreviewUrl(window.URL.createObjectURL(blob));
+    } catch (error) {
+      toast.error((error as Error).message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (companyId === null || !template) return;
+    try {
+      setSaving(true);
+      applySettings(await skillSheetTemplateService.updateTemplate(companyId, template));
+      toast.success('スキルシートテンプレートの保存が完了しました');
+    } catch (error) {
+      toast.error((error as Error).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (companyId === null) return;
+    if (!confirm('テンプレートを初期設定に戻しますか？')) return;
+    try {
+      setSaving(true);
+      applySettings(await skillSheetTemplateService.resetTemplate(companyId));
+      toast.success('テンプレートを初期設定に戻しました');
+    } catch (error) {
+      toast.error((error as Error).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <Layout>
+      <div className="container mx-auto px-4 py-8">
+        <h1 className="text-2xl font-bold mb-6">スキルシートテンプレート</h1>
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="space-y-6">
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                {user?.role === 'admin' ? (
+                  <select
+                    value={companyId ?? ''}
+                    onChange={e => setCompanyId(Number(e.target.value))}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {companies.map(company => (
+                      <option key={company.id} value={company.id}>
+                        {company.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <div className="text-gray-700">{settings?.companyName}</div>
+                )}
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleReset}
+                    disabled={saving || loading || !settings || settings.isDefault}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50"
+                  >
+                    初期設定に戻す
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={saving || loading || !template}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50"
+                  >
+                    {saving ? '保存中...' : '保存'}
+                  </button>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-500">
+                スキルシートPDF（個別ダウンロード・一括ダウンロード）とWord版のレイアウトを会社ごとに設定できます。
+              </p>
+
+              {loading || !template ? (
+                <div className="flex justify-center items-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+                </div>
+              ) : (
+                <>
+                  {TEXT_FIELDS.map(({ field, label, description }) => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-gray-700">{label}</label>
+                      <p className="text-xs text-gray-500 mb-1">{description}</p>
+                      <input
+                        type="text"
+                        value={template[field]}
+                        onChange={e => updateField(field, e.target.value)}
+                        placeholder={settings?.defaults[field]}
+                        className={inputClass}
+                      />
+                    </div>
+                  ))}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">ロゴの位置</label>
+                    <p className="text-xs text-gray-500 mb-1">
+                      {settings?.hasUsableLogo
+                        ? '会社ロゴを各ページの上部余白に表示します'
+                        : '会社ロゴ（PNG/JPEG）が登録されていないため、ロゴは表示されません'}
+                    </p>
+                    <select
+                      value={template.logoPosition}
+                      onChange={e => updateField('logoPosition', e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {LOGO_POSITIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <h2 className="text-md font-medium mb-2">セクション（表示順・見出し）</h2>
+                    <div className="space-y-2">
+                      {template.sections.map((section, index) => (
+                        <div key={section.key} className="flex items-center gap-3 border rounded-lg p-3">
+                          <input
+                            type="checkbox"
+                            checked={section.visible}
+                            onChange={e => updateSection(index, { visible: e.target.checked })}
+                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                            title="表示する"
+                          />
+                          <span className="w-24 text-sm text-gray-700 shrink-0">{SECTION_NAMES[section.key]}</span>
+                          <input
+                            type="text"
+                            value={section.label}
+                            onChange={e => updateSection(index, { label: e.target.value })}
+                            disabled={!section.visible}
+                            className={`${inputClass} disabled:bg-gray-100`}
+                          />
+                          <div className="flex gap-1">
+                            <button
+                              onClick={() => moveSection(index, -1)}
+                              disabled={index === 0}
+                              className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-30"
+                              title="上へ"
+                            >
+                              ↑
+                            </button>
+                            <button
+                              onClick={() => moveSection(index, 1)}
+                              disabled={index === template.sections.length - 1}
+                              className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-30"
+                              title="下へ"
+                            >
+                              ↓
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      語学力・資格・スキルは最初に出てくる位置で改ページし、スキル欄見出しの下に表示されます。
+                    </p>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6 flex flex-col">
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+              <h2 className="text-md font-medium mr-auto">プレビュー</h2>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={previewRecordId}
+                onChange={e => setPreviewRecordId(e.target.value)}
+                placeholder="レコードID（空欄でサンプル）"
+                className="w-56 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <button
+                onClick={handlePreview}
+                disabled={previewing || loading || !template}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50"
+              >
+                {previewing ? '作成中...' : 'プレビュー'}
+              </button>
+            </div>
+            {previewUrl ? (
+              <iframe src={previewUrl} title="スキルシートプレビュー" className="w-full flex-1 min-h-[700px] border rounded" />
+            ) : (
+              <div className="flex-1 min-h-[300px] flex items-center justify-center text-sm text-gray-500 border border-dashed rounded">
+                未保存の変更もプレビューに反映されます
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
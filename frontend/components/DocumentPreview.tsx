@@ -0,0 +1,67 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { RecordDocumentType } from '@/lib/types';
+import { recordsService } from '@/services/recordsService';
+
+interface DocumentPreviewProps {
+  recordId: number;
+  documentType: RecordDocumentType;
+  // Unsaved edits are not part of the preview, so the sidebar tells the user
+  hasUnsavedChanges?: boolean;
+}
+
+// Saved state of a record document, rendered by the same code as its PDF download
+const DocumentPreview: React.FC<DocumentPreviewProps> = ({ recordId, documentType, hasUnsavedChanges = false }) => {
+  const [html, setHtml] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    recordsService
+      .getDocumentPreview(recordId, documentType)
+      .then(content => {
+        if (!cancelled) setHtml(content);
+      })
+      .catch(err => {
+        if (!cancelled) setError((err as Error).message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [recordId, documentType]);
+
+  return (
+    <div className="flex flex-col h-full">
+      {hasUnsavedChanges && (
+        <div className="mb-2 px-3 py-2 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded">
+          未保存の変更はプレビューに反映されていません。保存後に表示されます。
+        </div>
+      )}
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : error ? (
+        <div className="text-sm text-red-600">{error}</div>
+      ) : (
+        html && (
+          <iframe
+            srcDoc={html}
+            sandbox=""
+            title="PDFプレビュー"
+            className="w-full flex-1 min-h-[600px] border rounded bg-gray-100"
+          />
+        )
+      )}
+    </div>
+  );
+};
+
+export default DocumentPreview;
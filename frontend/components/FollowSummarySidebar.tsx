@@ -1,6 +1,8 @@
 'use client';
 
 import React, { useState, useEffect } from 'react';
+import RevisionHistoryPanel from './RevisionHistoryPanel';
+import { RevisionField } from '@/lib/types';
 
 const MAX_TITLE_LENGTH = 1000;
 const MAX_SUMMARY_LENGTH = 3000;
@@ -12,6 +14,8 @@ interface FollowSummarySidebarProps {
   title: string;
   summary: string;
   onSave: (data: { followDate: string; title: string; summary: string }) => void;
+  followId?: number;
+  onRevisionRestored?: (field: RevisionField, content: string | null) => void;
 }
 
 const FollowSummarySidebar: React.FC<FollowSummarySidebarProps> = ({
@@ -21,6 +25,8 @@ const FollowSummarySidebar: React.FC<FollowSummarySidebarProps> = ({
   title: initialTitle,
   summary: initialSummary,
   onSave,
+  followId,
+  onRevisionRestored,
 }) => {
   const [localFollowDate, setLocalFollowDate] = useState('');
   const [localTitle, setLocalTitle] = useState('');
@@ -150,6 +156,16 @@ const FollowSummarySidebar: React.FC<FollowSummarySidebarProps> = ({
               </span>
             </div>
           </div>
+
+          {followId && onRevisionRestored && (
+            <RevisionHistoryPanel
+              entityType="follow"
+              entityId={followId}
+              fields={['summary']}
+              hasUnsavedChanges={hasChanges}
+              onRestored={onRevisionRestored}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -5,6 +5,7 @@ import Link from 'next/link';
 import { usePathname } from 'next/navigation';
 import { useAuth } from '@/contexts/AuthContext';
 import Image from 'next/image';
+import DeletionNoticeBanner from '@/components/notifications/DeletionNoticeBanner';
 
 interface NavItem {
   href: string;
@@ -38,6 +39,26 @@ const navItems: NavItem[] = [
     ),
     roles: ['admin', 'company-manager', 'member'],
   },
+  {
+    href: '/search',
+    label: 'Search',
+    icon: (
+      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+      </svg>
+    ),
+    roles: ['admin', 'company-manager', 'member'],
+  },
+  {
+    href: '/trash',
+    label: 'Trash',
+    icon: (
+      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+      </svg>
+    ),
+    roles: ['admin', 'company-manager', 'member'],
+  },
   {
     href: '/companies',
     label: 'Companies',
@@ -74,6 +95,26 @@ const navItems: NavItem[] = [
     ),
     roles: ['admin', 'company-manager'],
   },
+  {
+    href: '/retention-settings',
+    label: 'Retention Settings',
+    icon: (
+      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+      </svg>
+    ),
+    roles: ['admin', 'company-manager'],
+  },
+  {
+    href: '/skill-sheet-template',
+    label: 'Skill Sheet Template',
+    icon: (
+      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+      </svg>
+    ),
+    roles: ['admin', 'company-manager'],
+  },
 ];
 
 export default function Layout({ children }: { children: React.ReactNode }) {
@@ -84,9 +125,9 @@ export default function Layout({ children }: { children: React.ReactNode }) {
   if (!user) return null;
 
   // Generate dynamic navigation items based on user role and company
+  const baseSlug = user.role === 'admin' ? 'admin' : (user.company?.slug || 'default');
+
   const getDynamicNavItems = () => {
-    const baseSlug = user.role === 'admin' ? 'admin' : (user.company?.slug || 'default');
-    
     return navItems.map(item => {
       if (item.href === '/dashboard') {
         return {
@@ -100,6 +141,18 @@ export default function Layout({ children }: { children: React.ReactNode }) {
           href: `/${baseSlug}/follow`
         };
       }
+      if (item.href === '/search') {
+        return {
+          ...item,
+          href: `/${baseSlug}/search`
+        };
+      }
+      if (item.href === '/trash') {
+        return {
+          ...item,
+          href: `/${baseSlug}/trash`
+        };
+      }
       return item;
     });
   };
@@ -214,7 +267,10 @@ export default function Layout({ children }: { children: React.ReactNode }) {
 
       {/* Main content */}
       <div className="lg:pl-64 rounded-[5px]">
-        <main className="p-4 sm:p-6 lg:p-8 rounded-[5px]">{children}</main>
+        <main className="p-4 sm:p-6 lg:p-8 rounded-[5px]">
+          <DeletionNoticeBanner baseSlug={baseSlug} />
+          {children}
+        </main>
       </div>
 
       {/* Mobile sidebar overlay */}
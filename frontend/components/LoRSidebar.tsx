@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react';
+import RevisionHistoryPanel from './RevisionHistoryPanel';
+import { RevisionField } from '@/lib/types';
 
 interface LoRSidebarProps {
   open: boolean;
@@ -6,6 +8,8 @@ interface LoRSidebarProps {
   lorData: string | null;
   onSave: (data: string) => void;
   staffId?: string | number;
+  recordId?: number;
+  onRevisionRestored?: (field: RevisionField, content: string | null) => void;
 }
 
 const LoRSidebar: React.FC<LoRSidebarProps> = ({
@@ -14,6 +18,8 @@ const LoRSidebar: React.FC<LoRSidebarProps> = ({
   lorData,
   onSave,
   staffId,
+  recordId,
+  onRevisionRestored,
 }) => {
   const [lor, setLor] = useState<string>(lorData || '');
   const [hasChanges, setHasChanges] = useState(false);
@@ -80,6 +86,18 @@ const LoRSidebar: React.FC<LoRSidebarProps> = ({
           </div>
         </div>
 
+        {recordId && onRevisionRestored && (
+          <div className="px-4 pb-4 max-h-[40%] overflow-y-auto">
+            <RevisionHistoryPanel
+              entityType="record"
+              entityId={recordId}
+              fields={['lor']}
+              hasUnsavedChanges={hasChanges}
+              onRestored={onRevisionRestored}
+            />
+          </div>
+        )}
+
         {/* Save Button */}
         <div className="p-4 border-t bg-white">
           <div className="flex justify-end gap-2">
@@ -0,0 +1,172 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Revision, RevisionDiff, RevisionEntityType, RevisionField } from '@/lib/types';
+import { revisionService } from '@/services/revisionService';
+
+const FIELD_LABELS: { [key in RevisionField]: string } = {
+  skill_sheet: 'スキルシート',
+  skills: 'スキル',
+  lor: 'スタッフ対応メモ',
+  salesforce: 'Salesforce',
+  hope: '希望条件',
+  memo: 'メモ',
+  summary: 'サマリー',
+};
+
+interface RevisionHistoryPanelProps {
+  entityType: RevisionEntityType;
+  entityId: number;
+  fields: RevisionField[];
+  // Unsaved edits in the sidebar are discarded by a restore, so the user is asked first
+  hasUnsavedChanges?: boolean;
+  onRestored: (field: RevisionField, content: string | null) => void;
+}
+
+const RevisionHistoryPanel: React.FC<RevisionHistoryPanelProps> = ({
+  entityType,
+  entityId,
+  fields,
+  hasUnsavedChanges = false,
+  onRestored,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [revisions, setRevisions] = useState<Revision[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [diff, setDiff] = useState<RevisionDiff | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const fieldsKey = fields.join(',');
+
+  const loadRevisions = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setRevisions(await revisionService.getRevisions(entityType, entityId, fields));
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setDiff(null);
+    if (expanded) loadRevisions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [expanded, entityType, entityId, fieldsKey]);
+
+  const handleDiff = async (revision: Revision) => {
+    if (diff?.from.id === revision.id) {
+      setDiff(null);
+      return;
+    }
+    setBusyId(revision.id);
+    try {
+      setDiff(await revisionService.getDiff(entityType, entityId, revision.id));
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = async (revision: Revision) => {
+    const message = hasUnsavedChanges
+      ? '保存されていない変更は破棄されます。このバージョンに戻しますか？'
+      : 'このバージョンに戻しますか？';
+    if (!window.confirm(message)) return;
+
+    setBusyId(revision.id);
+    try {
+      const result = await revisionService.restoreRevision(entityType, entityId, revision.id);
+      setDiff(null);
+      onRestored(result.field, result.content);
+      await loadRevisions();
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-100 pt-4 mt-4">
+      <button
+        type="button"
+        className="text-sm text-gray-600 hover:text-gray-800 flex items-center gap-1"
+        onClick={() => setExpanded(prev => !prev)}
+      >
+        <span>{expanded ? '▼' : '▶'}</span>
+        編集履歴
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-2">
+          {error && <div className="text-red-500 text-sm">{error}</div>}
+          {loading ? (
+            <div className="text-sm text-gray-500">読み込み中...</div>
+          ) : revisions.length === 0 ? (
+            <div className="text-sm text-gray-500">履歴はまだありません。</div>
+          ) : (
+            <ul className="divide-y divide-gray-100 text-sm">
+              {revisions.map(revision => (
+                <li key={revision.id} className="py-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`px-2 py-0.5 rounded-[5px] text-xs ${revision.source === 'ai' ? 'bg-purple-50 text-purple-600' : 'bg-indigo-50 text-indigo-600'}`}>
+                      {revision.source === 'ai' ? 'AI' : 'ユーザー'}
+                    </span>
+                    {fields.length > 1 && <span className="text-xs text-gray-500">{FIELD_LABELS[revision.field]}</span>}
+                    <span className="text-gray-700">{revision.createdAt}</span>
+                    {revision.editorName && <span className="text-gray-500">{revision.editorName}</span>}
+                    <div className="ml-auto flex gap-2">
+                      <button
+                        type="button"
+                        className="px-2 py-1 text-xs rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"
+                        disabled={busyId !== null}
+                        onClick={() => handleDiff(revision)}
+                      >
+                        {diff?.from.id === revision.id ? '閉じる' : '差分'}
+                      </button>
+                      <button
+                        type="button"
+                        className="px-2 py-1 text-xs rounded bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
+                        disabled={busyId !== null}
+                        onClick={() => handleRestore(revision)}
+                      >
+                        復元
+                      </button>
+                    </div>
+                  </div>
+                  {diff?.from.id === revision.id && (
+                    <div className="mt-2 rounded border border-gray-200 bg-gray-50 text-xs font-mono max-h-64 overflow-auto">
+                      <div className="px-2 py-1 text-gray-500 border-b border-gray-200">このバージョン → 現在</div>
+                      {diff.hunks.length === 0 || diff.hunks.every(hunk => hunk.type === 'equal') ? (
+                        <div className="px-2 py-1 text-gray-500">現在の内容と同じです。</div>
+                      ) : (
+                        diff.hunks.map((hunk, hunkIndex) =>
+                          hunk.lines.map((line, lineIndex) => (
+                            <div
+                              key={`${hunkIndex}-${lineIndex}`}
+                              className={`px-2 whitespace-pre-wrap ${hunk.type === 'added' ? 'bg-green-50 text-green-700' : hunk.type === 'removed' ? 'bg-red-50 text-red-700' : 'text-gray-600'}`}
+                            >
+                              {hunk.type === 'added' ? '+ ' : hunk.type === 'removed' ? '- ' : '  '}
+                              {line}
+                            </div>
+                          ))
+                        )
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistoryPanel;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import DocumentPreview from './DocumentPreview';
 
 interface SalesforceSidebarProps {
   open: boolean;
@@ -7,6 +8,7 @@ interface SalesforceSidebarProps {
   onSave: (data: string[], lor: string) => void;
   staffId?: string | number;
   initialLor?: string | null;
+  recordId?: number;
 }
 
 const SalesforceSidebar: React.FC<SalesforceSidebarProps> = ({
@@ -16,10 +18,12 @@ const SalesforceSidebar: React.FC<SalesforceSidebarProps> = ({
   onSave,
   staffId,
   initialLor = '',
+  recordId,
 }) => {
   const [workContents, setWorkContents] = useState<string[]>([]);
   const [lor, setLor] = useState<string>(initialLor || '');
   const [hasChanges, setHasChanges] = useState(false);
+  const [view, setView] = useState<'edit' | 'preview'>('edit');
 
   useEffect(() => {
     if (salesforceData) {
@@ -102,6 +106,26 @@ const SalesforceSidebar: React.FC<SalesforceSidebarProps> = ({
             </button>
         </div>
 
+        {recordId && (
+          <div className="flex gap-2 px-4 border-b">
+            {(['edit', 'preview'] as const).map(tab => (
+              <button
+                key={tab}
+                onClick={() => setView(tab)}
+                className={`px-4 py-2 text-sm -mb-px border-b-2 ${view === tab ? 'border-blue-600 text-blue-600 font-medium' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+              >
+                {tab === 'edit' ? '編集' : 'PDFプレビュー'}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {view === 'preview' && recordId ? (
+          <div className="flex-1 overflow-y-auto p-4">
+            <DocumentPreview recordId={recordId} documentType="salesforce" hasUnsavedChanges={hasChanges} />
+          </div>
+        ) : (
+        <>
         {/* Experience Cards */}
         <div className="flex-1 overflow-y-auto p-4 space-y-4">
           {workContents.map((content, index) => (
@@ -165,6 +189,8 @@ const SalesforceSidebar: React.FC<SalesforceSidebarProps> = ({
             </button>
           </div>
         </div>
+        </>
+        )}
       </div>
     </div>
   );
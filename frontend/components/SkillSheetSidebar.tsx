@@ -1,4 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import RevisionHistoryPanel from './RevisionHistoryPanel';
+import DocumentPreview from './DocumentPreview';
+import { RevisionField } from '@/lib/types';
 
 interface Career {
   from: string;
@@ -18,6 +21,8 @@ interface SkillSheetSidebarProps {
   skillSheetData: any;
   skills?: string[];
   onSave: (data: any) => void;
+  recordId?: number;
+  onRevisionRestored?: (field: RevisionField, content: string | null) => void;
 }
 
 const cleanJsonString = (str: string) => {
@@ -40,13 +45,14 @@ const isValidJson = (str: string): boolean => {
   }
 };
 
-const SkillSheetSidebar = ({ open, onClose, skillSheetData, skills, onSave }: SkillSheetSidebarProps & { skills?: string | any }) => {
+const SkillSheetSidebar = ({ open, onClose, skillSheetData, skills, onSave, recordId, onRevisionRestored }: SkillSheetSidebarProps & { skills?: string | any }) => {
   const [localData, setLocalData] = useState<SkillSheetData>({});
   const [gogakuryoku, setGogakuryoku] = useState<string>('');
   const [shikaku, setShikaku] = useState<string>('');
   const [skillsList, setSkillsList] = useState<string>('');
   const [hasChanges, setHasChanges] = useState(false);
   const [initialData, setInitialData] = useState<string>('');
+  const [view, setView] = useState<'edit' | 'preview'>('edit');
 
   useEffect(() => {
     if (skillSheetData) {
@@ -259,7 +265,24 @@ const SkillSheetSidebar = ({ open, onClose, skillSheetData, skills, onSave }: Sk
         <button className="absolute top-4 right-4 text-gray-500 hover:text-gray-700" onClick={handleClose}>
           <span className="text-2xl">&times;</span>
         </button>
-        <h2 className="text-xl font-bold mb-6">スキルシート編集</h2>
+        <h2 className="text-xl font-bold mb-4">スキルシート編集</h2>
+        {recordId && (
+          <div className="flex gap-2 mb-6 border-b">
+            {(['edit', 'preview'] as const).map(tab => (
+              <button
+                key={tab}
+                onClick={() => setView(tab)}
+                className={`px-4 py-2 text-sm -mb-px border-b-2 ${view === tab ? 'border-blue-600 text-blue-600 font-medium' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+              >
+                {tab === 'edit' ? '編集' : 'PDFプレビュー'}
+              </button>
+            ))}
+          </div>
+        )}
+        {view === 'preview' && recordId ? (
+          <DocumentPreview recordId={recordId} documentType="skill-sheet" hasUnsavedChanges={hasChanges} />
+        ) : (
+        <>
         {localData && typeof localData === 'object' && Object.keys(localData).length > 0 ? (
           Object.keys(localData).map((careerKey, idx) => {
             const career = localData[careerKey];
@@ -361,6 +384,17 @@ const SkillSheetSidebar = ({ open, onClose, skillSheetData, skills, onSave }: Sk
           <button className="px-4 py-2 bg-gray-200 rounded" onClick={handleClose}>キャンセル</button>
           <button className="px-4 py-2 bg-blue-600 text-white rounded" onClick={handleSave}>保存</button>
         </div>
+        {recordId && onRevisionRestored && (
+          <RevisionHistoryPanel
+            entityType="record"
+            entityId={recordId}
+            fields={['skill_sheet', 'skills']}
+            hasUnsavedChanges={hasChanges}
+            onRestored={onRevisionRestored}
+          />
+        )}
+        </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Transcript } from '@/lib/types';
+import { recordsService } from '@/services/recordsService';
+
+interface TranscriptSidebarProps {
+  open: boolean;
+  onClose: () => void;
+  recordId?: number;
+  staffId?: string | number;
+}
+
+// mm:ss (h:mm:ss from one hour)
+const formatTime = (seconds: number) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// Audio playback with the transcript; the segment being spoken is highlighted and clicking a segment seeks to it
+const TranscriptSidebar: React.FC<TranscriptSidebarProps> = ({ open, onClose, recordId, staffId }) => {
+  const [transcript, setTranscript] = useState<Transcript | null>(null);
+  const [audioUrl, setAudioUrl] = useState<string | null>(null);
+  const [audioError, setAudioError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+  const segmentRefs = useRef<(HTMLLIElement | null)[]>([]);
+  // Position to restore after the stream URL was renewed (media tokens expire)
+  const resumeAtRef = useRef<number | null>(null);
+  const renewedRef = useRef(false);
+
+  useEffect(() => {
+    if (!open || !recordId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setAudioError(null);
+    setTranscript(null);
+    setAudioUrl(null);
+    setActiveIndex(-1);
+    resumeAtRef.current = null;
+    renewedRef.current = false;
+
+    Promise.all([
+      recordsService.getTranscript(recordId),
+      recordsService.getAudioUrl(recordId).catch(err => {
+        if (!cancelled) setAudioError((err as Error).message);
+        return null;
+      }),
+    ])
+      .then(([transcriptData, audio]) => {
+        if (cancelled) return;
+        setTranscript(transcriptData);
+        setAudioUrl(audio?.url ?? null);
+      })
+      .catch(err => {
+        if (!cancelled) setError((err as Error).message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, recordId]);
+
+  // Keep the highlighted segment in view while playing
+  useEffect(() => {
+    if (activeIndex >= 0) {
+      segmentRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeIndex]);
+
+  const segments = transcript?.segments ?? [];
+  const timed = Boolean(transcript?.timed);
+
+  const handleTimeUpdate = () => {
+    if (!timed || !audioRef.current) return;
+    const time = audioRef.current.currentTime;
+    const index = segments.findIndex(segment => (
+      segment.start !== null && segment.end !== null && time >= segment.start && time < segment.end
+    ));
+    if (index !== activeIndex) setActiveIndex(index);
+  };
+
+  const handleSegmentClick = (start: number | null) => {
+    if (start === null || !audioRef.current) return;
+    audioRef.current.currentTime = start;
+    audioRef.current.play().catch(() => undefined);
+  };
+
+  // The media token in the URL expires; renew it once and continue from the same position
+  const handleAudioError = async () => {
+    if (!recordId || renewedRef.current) {
+      setAudioError('音声の再生に失敗しました。');
+      return;
+    }
+    renewedRef.current = true;
+    resumeAtRef.current = audioRef.current?.currentTime ?? null;
+    try {
+      const audio = await recordsService.getAudioUrl(recordId);
+      setAudioUrl(audio.url);
+    } catch (err) {
+      setAudioError((err as Error).message);
+    }
+  };
+
+  const handleLoadedMetadata = () => {
+    if (audioRef.current && resumeAtRef.current !== null) {
+      audioRef.current.currentTime = resumeAtRef.current;
+      resumeAtRef.current = null;
+    }
+  };
+
+  const handlePlaying = () => {
+    renewedRef.current = false;
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-[40%] min-w-[400px] bg-white shadow-lg transform transition-transform duration-300 ease-in-out z-50">
+      <div className="h-full flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <span className="text-lg font-semibold text-gray-700">音声・文字起こし</span>
+            {staffId && <span className="text-sm text-gray-500">(ID: {staffId})</span>}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 mr-2">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : error ? (
+          <div className="p-4 text-sm text-red-600">{error}</div>
+        ) : (
+          <>
+            {/* Player */}
+            <div className="p-4 border-b">
+              {audioUrl ? (
+                <audio
+                  ref={audioRef}
+                  src={audioUrl}
+                  controls
+                  preload="metadata"
+                  className="w-full"
+                  onTimeUpdate={handleTimeUpdate}
+                  onLoadedMetadata={handleLoadedMetadata}
+                  onPlaying={handlePlaying}
+                  onError={handleAudioError}
+                />
+              ) : (
+                <div className="text-sm text-gray-500">{audioError || '音声ファイルがありません。'}</div>
+              )}
+              {transcript && !timed && (
+                <div className="mt-2 px-3 py-2 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded">
+                  この記録の文字起こしにはタイムスタンプがありません。
+                </div>
+              )}
+            </div>
+
+            {/* Transcript */}
+            <div className="flex-1 overflow-y-auto p-4">
+              {segments.length > 0 ? (
+                <ul className="space-y-1">
+                  {segments.map((segment, index) => (
+                    <li
+                      key={index}
+                      ref={el => {
+                        segmentRefs.current[index] = el;
+                      }}
+                      onClick={() => handleSegmentClick(segment.start)}
+                      className={`flex gap-3 px-2 py-1 rounded text-sm ${
+                        index === activeIndex ? 'bg-blue-100 text-gray-900' : 'text-gray-700'
+                      } ${timed && audioUrl ? 'cursor-pointer hover:bg-gray-100' : ''}`}
+                    >
+                      {segment.start !== null && (
+                        <span className="text-xs text-gray-400 tabular-nums pt-0.5 w-12 flex-shrink-0">
+                          {formatTime(segment.start)}
+                        </span>
+                      )}
+                      <span className="whitespace-pre-wrap break-words">{segment.text}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+                  {transcript?.stt || '文字起こしがありません。'}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TranscriptSidebar;
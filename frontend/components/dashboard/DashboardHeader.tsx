@@ -8,6 +8,7 @@ interface DashboardHeaderProps {
   isProcessing: boolean;
   onFileChange: (event: React.ChangeEvent<HTMLInputElement>) => void;
   onProcessingClick?: () => void;
+  onPromptClick?: () => void;
 }
 
 export default function DashboardHeader({
@@ -15,6 +16,7 @@ export default function DashboardHeader({
   isProcessing,
   onFileChange,
   onProcessingClick,
+  onPromptClick,
 }: DashboardHeaderProps) {
   const fileInputRef = useRef<HTMLInputElement>(null);
 
@@ -33,6 +35,19 @@ export default function DashboardHeader({
         Hello {userName || 'User'} <span role="img" aria-label="wave">👋</span>,
       </h1>
       <div className="flex items-center gap-4 rounded-[5px] w-full sm:w-auto">
+        {onPromptClick && (
+          <button
+            onClick={onPromptClick}
+            className="bg-white rounded-full shadow border border-gray-200 mt-2 hover:bg-gray-50 transition-all"
+            title="生成プロンプトを編集"
+          >
+            <div className="w-8 h-8 flex items-center justify-center">
+              <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+              </svg>
+            </div>
+          </button>
+        )}
         <div className="relative rounded-[5px] flex flex-col items-end gap-2 w-full sm:w-auto">
           <input
             type="file"
@@ -36,7 +36,7 @@ export default function DeleteModal({
               {recordFileId && (
                 <div className="text-sm text-gray-600 mt-2">File ID: {recordFileId}</div>
               )}
-              <div className="text-sm text-gray-600 mt-4">この操作は取り消せません。</div>
+              <div className="text-sm text-gray-600 mt-4">削除したレコードはゴミ箱から復元できます（一定期間後に完全に削除されます）。</div>
             </>
           )}
         </div>
@@ -0,0 +1,137 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { ExportColumn, ExportFormat } from '@/lib/types';
+
+interface ExportMenuProps {
+  columns: ExportColumn[];
+  onExport: (format: ExportFormat, columns: string[]) => Promise<void>;
+}
+
+// Columns offered for the records export (keys of RECORD_EXPORT_COLUMNS on the backend)
+export const RECORD_EXPORT_COLUMNS: ExportColumn[] = [
+  { key: 'id', label: 'ID' },
+  { key: 'fileId', label: 'File ID' },
+  { key: 'staffId', label: 'スタッフID' },
+  { key: 'staffName', label: 'スタッフ名' },
+  { key: 'userName', label: 'アップロード者' },
+  { key: 'date', label: '日付' },
+  { key: 'memo', label: 'メモ' },
+  { key: 'hope', label: '希望条件' },
+  { key: 'qualityStatus', label: '品質ステータス' },
+];
+
+// Columns offered for the follows export (keys of FOLLOW_EXPORT_COLUMNS on the backend)
+export const FOLLOW_EXPORT_COLUMNS: ExportColumn[] = [
+  { key: 'id', label: 'ID' },
+  { key: 'fileId', label: 'File ID' },
+  { key: 'staffId', label: 'スタッフID' },
+  { key: 'staffName', label: 'スタッフ名' },
+  { key: 'userName', label: 'アップロード者' },
+  { key: 'date', label: '日付' },
+  { key: 'followDate', label: 'フォロー日' },
+  { key: 'title', label: 'タイトル' },
+  { key: 'summary', label: '要約（全文）' },
+  { key: 'summaryOverview', label: '要約：サマリー' },
+  { key: 'summaryIssues', label: '要約：主な課題' },
+  { key: 'summaryEnvironment', label: '要約：職場環境' },
+  { key: 'summaryWorkload', label: '要約：仕事ボリューム・内容' },
+  { key: 'summaryMotivation', label: '要約：モチベーション・メンタル面' },
+];
+
+export default function ExportMenu({ columns, onExport }: ExportMenuProps) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState<ExportFormat>('csv');
+  const [selected, setSelected] = useState<string[]>(columns.map(column => column.key));
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(e.target as Node)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggleColumn = (key: string) => {
+    setSelected(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+      // Keep the column order of the list, not the click order
+      await onExport(format, columns.map(column => column.key).filter(key => selected.includes(key)));
+      setOpen(false);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        className="px-4 py-2 rounded-[5px] border border-gray-200 text-gray-600 text-sm hover:bg-gray-50 transition"
+        onClick={() => setOpen(prev => !prev)}
+      >
+        エクスポート
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-72 rounded-[5px] border border-gray-200 bg-white p-4 shadow-lg">
+          <div className="text-xs text-gray-500 mb-2">形式</div>
+          <div className="flex gap-4 mb-4 text-sm text-gray-700">
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={format === 'csv'} onChange={() => setFormat('csv')} />
+              CSV
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={format === 'xlsx'} onChange={() => setFormat('xlsx')} />
+              Excel (.xlsx)
+            </label>
+          </div>
+
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs text-gray-500">列</span>
+            <button
+              type="button"
+              className="text-xs text-indigo-600 hover:underline"
+              onClick={() => setSelected(selected.length === columns.length ? [] : columns.map(column => column.key))}
+            >
+              {selected.length === columns.length ? 'すべて解除' : 'すべて選択'}
+            </button>
+          </div>
+          <div className="max-h-60 overflow-y-auto space-y-1 mb-4">
+            {columns.map(column => (
+              <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+
+          {error && <div className="text-red-500 text-xs mb-2">{error}</div>}
+          <button
+            type="button"
+            className="w-full px-4 py-2 rounded-[5px] bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition disabled:opacity-50"
+            disabled={exporting || selected.length === 0}
+            onClick={handleExport}
+          >
+            {exporting ? 'エクスポート中...' : 'ダウンロード'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,42 +1,117 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { PromptVersion, PromptTestResult } from '@/lib/types';
 
 const MAX_PROMPT_LENGTH = 3000;
 
+interface PromptTab {
+  key: string;
+  label: string;
+}
+
+interface PromptTestTarget {
+  id: number;
+  label: string;
+}
+
 interface PromptEditModalProps {
   isVisible: boolean;
+  title?: string;
+  // Several prompts edited in one modal (promptText is the one of activeTab)
+  tabs?: PromptTab[];
+  activeTab?: string;
+  onTabChange?: (key: string) => void;
   isLoading: boolean;
   promptText: string;
   onPromptChange: (text: string) => void;
   onSave: () => void;
   onClose: () => void;
   isSaving: boolean;
+  // Version history of the prompt being edited (history button hidden when omitted)
+  versions?: PromptVersion[];
+  onRollback?: (versionId: number) => void;
+  isRollingBack?: boolean;
+  // Test run of the draft prompt on an existing follow (playground hidden when omitted)
+  testTargets?: PromptTestTarget[];
+  onTestRun?: (targetId: number) => Promise<PromptTestResult>;
 }
 
 export default function PromptEditModal({
   isVisible,
+  title = '要約プロンプト',
+  tabs,
+  activeTab,
+  onTabChange,
   isLoading,
   promptText,
   onPromptChange,
   onSave,
   onClose,
   isSaving,
+  versions,
+  onRollback,
+  isRollingBack = false,
+  testTargets,
+  onTestRun,
 }: PromptEditModalProps) {
+  const [showHistory, setShowHistory] = useState(false);
+  const [testTargetId, setTestTargetId] = useState<number | null>(null);
+  const [testResult, setTestResult] = useState<PromptTestResult | null>(null);
+  const [testError, setTestError] = useState<string | null>(null);
+  const [isTesting, setIsTesting] = useState(false);
+
+  // Start from the editor each time the modal opens
+  useEffect(() => {
+    if (!isVisible) {
+      setShowHistory(false);
+      setTestResult(null);
+      setTestError(null);
+    }
+  }, [isVisible]);
+
   if (!isVisible) return null;
 
   const charCount = promptText.length;
   const isOverLimit = charCount > MAX_PROMPT_LENGTH;
+  const canTest = !!onTestRun && !!testTargets && testTargets.length > 0;
+  const selectedTargetId = testTargetId ?? testTargets?.[0]?.id ?? null;
+
+  const handleTestRun = async () => {
+    if (!onTestRun || selectedTargetId === null) return;
+    setIsTesting(true);
+    setTestError(null);
+    try {
+      setTestResult(await onTestRun(selectedTargetId));
+    } catch (error) {
+      setTestResult(null);
+      setTestError((error as Error).message || 'プロンプトのテスト実行に失敗しました。');
+    } finally {
+      setIsTesting(false);
+    }
+  };
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg mx-4 overflow-hidden">
+      <div className={`bg-white rounded-2xl shadow-xl w-full ${testResult ? 'max-w-4xl' : 'max-w-lg'} mx-4 overflow-hidden`}>
         <div className="flex items-center justify-between px-5 py-4 border-b border-gray-100">
-          <h3 className="text-lg font-semibold text-gray-900">要約プロンプト</h3>
+          <h3 className="text-lg font-semibold text-gray-900">{showHistory ? `${title}の履歴` : title}</h3>
           <div className="flex items-center gap-1">
+            {versions && (
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                disabled={isLoading}
+                className={`p-2 rounded-xl hover:bg-gray-100 transition-colors disabled:opacity-50 ${showHistory ? 'bg-gray-100' : ''}`}
+                title={showHistory ? '編集に戻る' : '履歴'}
+              >
+                <svg className="w-5 h-5 text-gray-700" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+              </button>
+            )}
             <button
               onClick={onSave}
-              disabled={isSaving || isLoading || isOverLimit}
+              disabled={isSaving || isLoading || isOverLimit || showHistory}
               className="p-2 rounded-xl hover:bg-gray-100 transition-colors disabled:opacity-50"
               title="保存"
             >
@@ -66,22 +141,117 @@ export default function PromptEditModal({
             </div>
           ) : (
             <>
-              <textarea
-                value={promptText}
-                onChange={(e) => {
-                  if (e.target.value.length <= MAX_PROMPT_LENGTH) {
-                    onPromptChange(e.target.value);
-                  }
-                }}
-                maxLength={MAX_PROMPT_LENGTH}
-                className="w-full h-52 p-3 border border-gray-200 rounded-xl resize-y text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-                placeholder="要約プロンプトを入力してください..."
-              />
-              <div className="flex justify-end mt-2">
-                <span className={`text-xs ${isOverLimit ? 'text-red-500 font-medium' : 'text-gray-400'}`}>
-                  {charCount} / {MAX_PROMPT_LENGTH}
-                </span>
-              </div>
+              {tabs && tabs.length > 0 && (
+                <div className="flex gap-1 mb-3 border-b border-gray-100">
+                  {tabs.map((tab) => (
+                    <button
+                      key={tab.key}
+                      onClick={() => onTabChange?.(tab.key)}
+                      className={`px-3 py-2 text-sm -mb-px border-b-2 transition-colors ${
+                        tab.key === activeTab
+                          ? 'border-indigo-600 text-indigo-600 font-medium'
+                          : 'border-transparent text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {showHistory && versions ? (
+                <div className="h-72 overflow-y-auto space-y-2">
+                  {versions.length === 0 ? (
+                    <p className="text-sm text-gray-400 text-center py-8">履歴はまだありません</p>
+                  ) : (
+                    versions.map((version, index) => (
+                      <div key={version.id} className="border border-gray-200 rounded-xl p-3">
+                        <div className="flex items-center justify-between gap-2">
+                          <div className="text-xs text-gray-500">
+                            {version.createdAt} ・ {version.editorName || '以前の設定'}
+                            {version.restoredFrom && <span className="ml-1 text-indigo-600">（復元）</span>}
+                            {index === 0 && <span className="ml-1 text-green-600">現在</span>}
+                          </div>
+                          {index > 0 && onRollback && (
+                            <button
+                              onClick={() => onRollback(version.id)}
+                              disabled={isRollingBack}
+                              className="text-xs px-2 py-1 rounded-lg border border-gray-200 hover:bg-gray-50 disabled:opacity-50"
+                            >
+                              この版に戻す
+                            </button>
+                          )}
+                        </div>
+                        <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap line-clamp-3">
+                          {version.content ?? 'デフォルトのプロンプト'}
+                        </p>
+                      </div>
+                    ))
+                  )}
+                </div>
+              ) : (
+                <>
+                  <div className={testResult ? 'grid grid-cols-1 md:grid-cols-3 gap-4' : ''}>
+                    <div>
+                      <textarea
+                        value={promptText}
+                        onChange={(e) => {
+                          if (e.target.value.length <= MAX_PROMPT_LENGTH) {
+                            onPromptChange(e.target.value);
+                          }
+                        }}
+                        maxLength={MAX_PROMPT_LENGTH}
+                        className="w-full h-52 p-3 border border-gray-200 rounded-xl resize-y text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        placeholder={`${title}を入力してください...`}
+                      />
+                      <div className="flex justify-end mt-2">
+                        <span className={`text-xs ${isOverLimit ? 'text-red-500 font-medium' : 'text-gray-400'}`}>
+                          {charCount} / {MAX_PROMPT_LENGTH}
+                        </span>
+                      </div>
+                    </div>
+                    {testResult && (
+                      <>
+                        <div>
+                          <div className="text-xs font-medium text-indigo-600 mb-1">テスト結果（未保存）</div>
+                          <div className="h-52 p-3 border border-indigo-200 bg-indigo-50 rounded-xl overflow-y-auto text-sm text-gray-700 whitespace-pre-wrap">
+                            {testResult.summary}
+                          </div>
+                        </div>
+                        <div>
+                          <div className="text-xs font-medium text-gray-500 mb-1">現在の要約</div>
+                          <div className="h-52 p-3 border border-gray-200 bg-gray-50 rounded-xl overflow-y-auto text-sm text-gray-700 whitespace-pre-wrap">
+                            {testResult.currentSummary || '（要約なし）'}
+                          </div>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  {canTest && (
+                    <div className="mt-3 pt-3 border-t border-gray-100">
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={selectedTargetId ?? ''}
+                          onChange={(e) => setTestTargetId(Number(e.target.value))}
+                          disabled={isTesting}
+                          className="flex-1 min-w-0 p-2 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                          {testTargets!.map((target) => (
+                            <option key={target.id} value={target.id}>{target.label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={handleTestRun}
+                          disabled={isTesting || isOverLimit || promptText.trim() === ''}
+                          className="px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition-colors disabled:opacity-50 whitespace-nowrap"
+                        >
+                          {isTesting ? 'テスト実行中...' : 'テスト実行'}
+                        </button>
+                      </div>
+                      {testError && <p className="mt-2 text-xs text-red-500">{testError}</p>}
+                    </div>
+                  )}
+                </>
+              )}
             </>
           )}
         </div>
@@ -0,0 +1,140 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { RecordFilters, Uploader } from '@/lib/types';
+import { recordsService } from '@/services/recordsService';
+
+interface RecordFilterBarProps {
+  filters: RecordFilters;
+  onApply: (filters: RecordFilters) => void;
+}
+
+const EMPTY_FILTERS: RecordFilters = {
+  staffId: '',
+  staffName: '',
+  userId: '',
+  dateFrom: '',
+  dateTo: '',
+  memo: '',
+  qualityStatus: '',
+};
+
+const inputClassName =
+  'px-3 py-2 rounded-[5px] border border-gray-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-100 text-gray-700 text-sm shadow-sm';
+
+export default function RecordFilterBar({ filters, onApply }: RecordFilterBarProps) {
+  const [draft, setDraft] = useState<RecordFilters>({ ...EMPTY_FILTERS, ...filters });
+  const [uploaders, setUploaders] = useState<Uploader[]>([]);
+
+  useEffect(() => {
+    recordsService.getUploaders()
+      .then(setUploaders)
+      .catch((err) => console.error('Error fetching uploaders:', err));
+  }, []);
+
+  const updateDraft = (key: keyof RecordFilters, value: string) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_FILTERS);
+    onApply(EMPTY_FILTERS);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3 mb-6">
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        Staff ID
+        <input
+          type="text"
+          className={`${inputClassName} w-28`}
+          value={draft.staffId}
+          onChange={e => updateDraft('staffId', e.target.value)}
+        />
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        Staff Name
+        <input
+          type="text"
+          className={`${inputClassName} w-36`}
+          value={draft.staffName}
+          onChange={e => updateDraft('staffName', e.target.value)}
+        />
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        User
+        <select
+          className={`${inputClassName} w-36`}
+          value={draft.userId}
+          onChange={e => updateDraft('userId', e.target.value)}
+        >
+          <option value="">すべて</option>
+          {uploaders.map(uploader => (
+            <option key={uploader.id} value={uploader.id.toString()}>{uploader.name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        Date
+        <div className="flex items-center gap-1">
+          <input
+            type="date"
+            className={inputClassName}
+            value={draft.dateFrom}
+            max={draft.dateTo || undefined}
+            onChange={e => updateDraft('dateFrom', e.target.value)}
+          />
+          <span className="text-gray-400">〜</span>
+          <input
+            type="date"
+            className={inputClassName}
+            value={draft.dateTo}
+            min={draft.dateFrom || undefined}
+            onChange={e => updateDraft('dateTo', e.target.value)}
+          />
+        </div>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        Memo
+        <input
+          type="text"
+          className={`${inputClassName} w-36`}
+          value={draft.memo}
+          onChange={e => updateDraft('memo', e.target.value)}
+        />
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        Quality
+        <select
+          className={`${inputClassName} w-28`}
+          value={draft.qualityStatus}
+          onChange={e => updateDraft('qualityStatus', e.target.value)}
+        >
+          <option value="">すべて</option>
+          <option value="complete">完全</option>
+          <option value="partial">一部欠損</option>
+        </select>
+      </label>
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-[5px] bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition"
+        >
+          検索
+        </button>
+        <button
+          type="button"
+          className="px-4 py-2 rounded-[5px] border border-gray-200 text-gray-600 text-sm hover:bg-gray-50 transition"
+          onClick={handleClear}
+        >
+          クリア
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -3,6 +3,10 @@
 export default function RecordSkeletonRow() {
   return (
     <tr className="border-b border-gray-100 animate-pulse">
+      {/* Select */}
+      <td className="py-5 pl-4 align-middle w-8 rounded-[5px]">
+        <div className="w-4 h-4 bg-gray-200 rounded"></div>
+      </td>
       {/* Staff ID */}
       <td className="py-5 px-4 whitespace-nowrap align-middle min-w-[100px] max-w-[300px] rounded-[5px]">
         <div className="flex items-center gap-x-2 rounded-[5px]">
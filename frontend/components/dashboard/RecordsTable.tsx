@@ -1,22 +1,22 @@
 'use client';
 
-import { useMemo, useRef, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import Image from 'next/image';
+import Link from 'next/link';
 import Pagination from '@/components/molecules/pagination';
-import { RecordSummary, PaginationInfo } from '@/lib/types';
+import TranscriptSidebar from '@/components/TranscriptSidebar';
+import { RecordSummary, RecordFilters, PaginationInfo, SortField, SortOrder, SubtitleFormat } from '@/lib/types';
 import {
   convertToArray,
   formatDate,
-  parseDate,
   truncateFileId,
   truncateMemo,
 } from '@/lib/utils';
 import { recordsService } from '@/services/recordsService';
 import { useAuth } from '@/contexts/AuthContext';
 import RecordSkeletonRow from './RecordSkeletonRow';
-
-type SortField = 'date' | 'fileId' | 'userName';
-type SortOrder = 'asc' | 'desc';
+import RecordFilterBar from './RecordFilterBar';
+import ExportMenu, { RECORD_EXPORT_COLUMNS } from './ExportMenu';
 
 interface RecordsTableProps {
   records: RecordSummary[];
@@ -24,6 +24,11 @@ interface RecordsTableProps {
   loading: boolean;
   currentPage: number;
   rowsPerPage: number;
+  filters: RecordFilters;
+  onFiltersChange: (filters: RecordFilters) => void;
+  sortField: SortField;
+  sortOrder: SortOrder;
+  onSortChange: (field: SortField, order: SortOrder) => void;
   onPageChange: (page: number) => void;
   onRowsPerPageChange: (rowsPerPage: number) => void;
   onSkillSheetEdit: (record: RecordSummary) => void;
@@ -46,6 +51,11 @@ export default function RecordsTable({
   loading,
   currentPage,
   rowsPerPage,
+  filters,
+  onFiltersChange,
+  sortField,
+  sortOrder,
+  onSortChange,
   onPageChange,
   onRowsPerPageChange,
   onSkillSheetEdit,
@@ -62,12 +72,7 @@ export default function RecordsTable({
   onRefetch,
 }: RecordsTableProps) {
   const { user } = useAuth();
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortField, setSortField] = useState<SortField>('date');
-  const [sortOrder, setSortOrder] = useState<SortOrder>('desc');
-  const [sortIconDate, setSortIconDate] = useState<'↑' | '↓'>('↓');
-  const [sortIconFileId, setSortIconFileId] = useState<'↑' | '↓'>('↓');
-  const [sortIconUserName, setSortIconUserName] = useState<'↑' | '↓'>('↓');
+  const staffBaseSlug = user?.role === 'admin' ? 'admin' : (user?.company?.slug || 'default');
 
   const [editingStaffId, setEditingStaffId] = useState<number | null>(null);
   const [staffIdInput, setStaffIdInput] = useState('');
@@ -76,62 +81,79 @@ export default function RecordsTable({
   const [editingMemo, setEditingMemo] = useState<number | null>(null);
   const [memoInput, setMemoInput] = useState('');
 
+  // Multi-select for the bulk ZIP (kept across pages, cleared when the filters change)
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [includeAudio, setIncludeAudio] = useState(false);
+  const [includeDocx, setIncludeDocx] = useState(false);
+  const [bulkDownloading, setBulkDownloading] = useState(false);
+  // Record whose audio and transcript are open in the player
+  const [transcriptRecord, setTranscriptRecord] = useState<RecordSummary | null>(null);
+
   const inputRef = useRef<HTMLInputElement | null>(null);
   const staffNameInputRef = useRef<HTMLInputElement | null>(null);
   const memoInputRef = useRef<HTMLInputElement | null>(null);
 
+  // Sorting is done server-side; clicking the active column toggles its order
   const handleColumnSort = (field: SortField) => {
     const newOrder = field === sortField && sortOrder === 'desc' ? 'asc' : 'desc';
-    setSortField(field);
-    setSortOrder(newOrder);
+    onSortChange(field, newOrder);
+  };
+
+  const sortIcon = (field: SortField) => (field === sortField && sortOrder === 'asc' ? '↑' : '↓');
 
-    if (field === 'date') {
-      setSortIconDate(newOrder === 'asc' ? '↑' : '↓');
-      setSortIconFileId('↓');
-      setSortIconUserName('↓');
-    } else if (field === 'fileId') {
-      setSortIconDate('↓');
-      setSortIconFileId(newOrder === 'asc' ? '↑' : '↓');
-      setSortIconUserName('↓');
-    } else if (field === 'userName') {
-      setSortIconDate('↓');
-      setSortIconFileId('↓');
-      setSortIconUserName(newOrder === 'asc' ? '↑' : '↓');
+  const notify = (type: 'success' | 'error', message: string) => {
+    onNotify?.(type, message);
+  };
+
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [filters]);
+
+  const handleSkillSheetDocxDownload = async (rec: RecordSummary) => {
+    try {
+      await recordsService.downloadSkillSheetDocx(rec.id, rec.fileId);
+    } catch (e) {
+      notify('error', (e as Error).message);
     }
   };
 
-  const filteredRecords = records.filter(rec =>
-    (rec.date || '').includes(searchTerm) ||
-    (rec.fileId || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (rec.staffId || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (rec.userName || '').toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const handleTranscriptDownload = async (rec: RecordSummary, format: SubtitleFormat) => {
+    try {
+      await recordsService.downloadTranscript(rec.id, rec.fileId, format);
+    } catch (e) {
+      notify('error', (e as Error).message);
+    }
+  };
 
-  // Client-side sorting for UI feedback (server already sorts by date DESC)
-  const sortedRecords = useMemo(() => {
-    return [...filteredRecords].sort((a, b) => {
-      if (sortField === 'date') {
-        const dateA = parseDate(a.date);
-        const dateB = parseDate(b.date);
-        return sortOrder === 'desc' ? dateB - dateA : dateA - dateB;
-      } else if (sortField === 'fileId') {
-        const fileIdA = (a.fileId || '').toLowerCase();
-        const fileIdB = (b.fileId || '').toLowerCase();
-        return sortOrder === 'desc'
-          ? fileIdB.localeCompare(fileIdA)
-          : fileIdA.localeCompare(fileIdB);
-      } else {
-        const userA = (a.userName || '').toLowerCase();
-        const userB = (b.userName || '').toLowerCase();
-        return sortOrder === 'desc'
-          ? userB.localeCompare(userA)
-          : userA.localeCompare(userB);
-      }
-    });
-  }, [filteredRecords, sortField, sortOrder]);
+  const pageIds = records.map(rec => rec.id);
+  const allPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
 
-  const notify = (type: 'success' | 'error', message: string) => {
-    onNotify?.(type, message);
+  const toggleSelected = (id: number) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const toggleSelectPage = () => {
+    setSelectedIds(prev => (allPageSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...prev, ...pageIds.filter(id => !prev.includes(id))]));
+  };
+
+  // Selected records, or every record matching the current filters when nothing is selected
+  const handleBulkZipDownload = async () => {
+    try {
+      setBulkDownloading(true);
+      await recordsService.downloadBulkZip(
+        selectedIds.length > 0
+          ? { ids: selectedIds }
+          : { filters: { ...filters, sort: sortField, order: sortOrder } },
+        { includeAudio, includeDocx }
+      );
+      notify('success', '一括データのダウンロードが完了しました。');
+    } catch (e) {
+      notify('error', (e as Error).message);
+    } finally {
+      setBulkDownloading(false);
+    }
   };
 
   const refetch = () => {
@@ -206,47 +228,78 @@ export default function RecordsTable({
           <h2 className="text-lg sm:text-xl font-semibold rounded-[5px]">Records</h2>
           <div className="flex items-center gap-4">
             <div className="text-green-500 text-sm rounded-[5px]">過去30日間のデータ</div>
-            <div className="relative w-56">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <Image
-                  src="/search.svg"
-                  alt="Search"
-                  width={16}
-                  height={16}
-                  className="text-gray-400"
-                />
-              </div>
-              <input
-                type="text"
-                placeholder="Search"
-                className="pl-10 pr-4 py-2 rounded-[5px] border border-gray-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-100 text-gray-700 w-full shadow-sm"
-                value={searchTerm}
-                onChange={e => setSearchTerm(e.target.value)}
-              />
-            </div>
+            <ExportMenu
+              columns={RECORD_EXPORT_COLUMNS}
+              onExport={(format, columns) => recordsService.exportRecords(format, columns, filters, sortField, sortOrder)}
+            />
           </div>
         </div>
 
+        <RecordFilterBar filters={filters} onApply={onFiltersChange} />
+
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-600">
+          <span>{selectedIds.length > 0 ? `${selectedIds.length}件選択中` : '未選択（検索条件に一致するすべてのレコードが対象）'}</span>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={includeAudio} onChange={e => setIncludeAudio(e.target.checked)} />
+            音声ファイルを含める
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={includeDocx} onChange={e => setIncludeDocx(e.target.checked)} />
+            スキルシート（Word）を含める
+          </label>
+          <button
+            type="button"
+            className="px-4 py-2 rounded-[5px] bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition disabled:opacity-50"
+            disabled={bulkDownloading || records.length === 0}
+            onClick={handleBulkZipDownload}
+          >
+            {bulkDownloading ? 'ダウンロード中...' : 'ZIPで一括ダウンロード'}
+          </button>
+          {selectedIds.length > 0 && (
+            <button type="button" className="text-indigo-600 hover:underline" onClick={() => setSelectedIds([])}>
+              選択解除
+            </button>
+          )}
+        </div>
+
         <div className="overflow-x-auto overflow-y-hidden rounded-[5px] -mx-4 sm:-mx-6 lg:-mx-8">
           <div className="inline-block min-w-full align-middle max-w-[300px]">
             <table className="min-w-full text-left text-gray-700 rounded-[5px]">
               <thead>
                 <tr className="border-b border-gray-200 text-xs text-gray-400 rounded-[5px]">
+                  <th className="py-3 pl-4 font-medium text-center w-8 rounded-[5px]">
+                    <input
+                      type="checkbox"
+                      aria-label="このページのレコードをすべて選択"
+                      checked={allPageSelected}
+                      onChange={toggleSelectPage}
+                    />
+                  </th>
                   <th className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px]">Staff ID</th>
                   <th className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px]">Staff Name</th>
                   <th
                     className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px] cursor-pointer hover:bg-gray-50"
                     onClick={() => handleColumnSort('date')}
                   >
-                    Date <span className="ml-1">{sortIconDate}</span>
+                    Date <span className="ml-1">{sortIcon('date')}</span>
+                  </th>
+                  <th
+                    className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px] cursor-pointer hover:bg-gray-50"
+                    onClick={() => handleColumnSort('userName')}
+                  >
+                    User <span className="ml-1">{sortIcon('userName')}</span>
                   </th>
-                  <th className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px]">User</th>
                   <th className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px]">Memo</th>
-                  <th className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px]">File</th>
+                  <th
+                    className="py-3 px-4 font-medium text-center min-w-[100px] max-w-[300px] rounded-[5px] cursor-pointer hover:bg-gray-50"
+                    onClick={() => handleColumnSort('fileId')}
+                  >
+                    File <span className="ml-1">{sortIcon('fileId')}</span>
+                  </th>
                   <th className="py-3 px-4 font-medium text-center min-w-[120px] max-w-[300px] rounded-[5px]">Skill Sheet</th>
                   <th className="py-3 px-4 font-medium text-center min-w-[120px] max-w-[300px] rounded-[5px]">Salesforce</th>
                   <th className="py-3 px-4 font-medium text-center min-w-[60px] max-w-[80px] rounded-[5px]">LoR</th>
-                  <th className="py-3 px-4 font-medium text-center min-w-[60px] max-w-[80px] rounded-[5px]">STT</th>
+                  <th className="py-3 px-4 font-medium text-center min-w-[130px] max-w-[150px] rounded-[5px]">STT</th>
                   <th className="py-3 px-4 font-medium text-center min-w-[60px] max-w-[80px] rounded-[5px]">Bulk</th>
                   <th className="py-3 px-4 font-medium text-center min-w-[60px] max-w-[80px] rounded-[5px]"></th>
                 </tr>
@@ -256,11 +309,19 @@ export default function RecordsTable({
                   Array.from({ length: rowsPerPage || 10 }).map((_, index) => (
                     <RecordSkeletonRow key={`skeleton-${index}`} />
                   ))
-                ) : sortedRecords.length === 0 ? (
-                  <tr><td colSpan={12} className="text-center py-8">No records found</td></tr>
+                ) : records.length === 0 ? (
+                  <tr><td colSpan={13} className="text-center py-8">No records found</td></tr>
                 ) : (
-                  sortedRecords.map((rec) => (
+                  records.map((rec) => (
                     <tr key={rec.id} className="border-b border-gray-100 hover:bg-gray-50 transition text-left align-middle rounded-[5px]">
+                      <td className="py-5 pl-4 align-middle text-center w-8 rounded-[5px]">
+                        <input
+                          type="checkbox"
+                          aria-label={`${rec.fileId} を選択`}
+                          checked={selectedIds.includes(rec.id)}
+                          onChange={() => toggleSelected(rec.id)}
+                        />
+                      </td>
                       {/* Staff ID */}
                       <td className="py-5 px-4 whitespace-nowrap align-middle min-w-[100px] max-w-[300px] rounded-[5px]">
                         <div className="flex items-center gap-x-2 rounded-[5px] truncate">
@@ -277,7 +338,13 @@ export default function RecordsTable({
                               <button className="hover:scale-110 transition rounded-[5px] w-5 h-5 flex items-center flex-shrink-0" title="Edit Staff ID" onClick={() => handleEditStaffId(rec.id, rec.staffId)}>
                                 <Image src="/edit1.svg" alt="Edit Staff ID" width={20} height={20} className="rounded-[5px]" />
                               </button>
-                              <span className="truncate">{rec.staffId}</span>
+                              {rec.staffRefId ? (
+                                <Link href={`/${staffBaseSlug}/staff/${rec.staffRefId}`} className="truncate text-indigo-600 hover:underline" title="スタッフのタイムラインを表示">
+                                  {rec.staffId}
+                                </Link>
+                              ) : (
+                                <span className="truncate">{rec.staffId}</span>
+                              )}
                             </>
                           )}
                         </div>
@@ -361,6 +428,13 @@ export default function RecordsTable({
                           >
                             <Image src="/download1.svg" alt="Download" width={20} height={20} className="rounded-[5px]" />
                           </button>
+                          <button
+                            className="hover:scale-110 transition rounded-[5px] h-5 px-1 flex items-center justify-center flex-shrink-0 text-[10px] font-semibold text-blue-700 border border-blue-200"
+                            title="Download Word"
+                            onClick={() => handleSkillSheetDocxDownload(rec)}
+                          >
+                            W
+                          </button>
                           <button
                             className="hover:scale-110 transition rounded-[5px] w-5 h-5 flex items-center justify-center flex-shrink-0"
                             title="Salesforce"
@@ -415,8 +489,17 @@ export default function RecordsTable({
                         </div>
                       </td>
                       {/* STT icons */}
-                      <td className="py-5 px-2 align-middle min-w-[60px] max-w-[80px] rounded-[5px]">
+                      <td className="py-5 px-2 align-middle min-w-[130px] max-w-[150px] rounded-[5px]">
                         <div className="flex items-center justify-center rounded-[5px]">
+                          <button
+                            className="hover:scale-110 transition rounded-[5px] w-5 h-5 mr-1 flex items-center justify-center flex-shrink-0 text-blue-700"
+                            title="Play"
+                            onClick={() => setTranscriptRecord(rec)}
+                          >
+                            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path d="M8 5v14l11-7z" />
+                            </svg>
+                          </button>
                           <button
                             className="hover:scale-110 transition rounded-[5px] w-5 h-5 flex items-center justify-center flex-shrink-0"
                             title="Download"
@@ -424,6 +507,16 @@ export default function RecordsTable({
                           >
                             <Image src="/download1.svg" alt="download" width={16} height={16} className="rounded-[5px]" />
                           </button>
+                          {(['srt', 'vtt'] as SubtitleFormat[]).map(format => (
+                            <button
+                              key={format}
+                              className="hover:scale-110 transition rounded-[5px] h-5 px-1 ml-1 flex items-center justify-center flex-shrink-0 text-[10px] font-semibold text-blue-700 border border-blue-200 uppercase"
+                              title={`Download ${format.toUpperCase()}`}
+                              onClick={() => handleTranscriptDownload(rec, format)}
+                            >
+                              {format}
+                            </button>
+                          ))}
                         </div>
                       </td>
                       {/* Bulk icons */}
@@ -483,6 +576,12 @@ export default function RecordsTable({
         onPageChange={onPageChange}
         onRowsPerPageChange={handleRowsPerPageChange}
       />
+      <TranscriptSidebar
+        open={transcriptRecord !== null}
+        onClose={() => setTranscriptRecord(null)}
+        recordId={transcriptRecord?.id}
+        staffId={transcriptRecord?.staffId}
+      />
     </div>
   );
 }
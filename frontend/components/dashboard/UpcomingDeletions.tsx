@@ -0,0 +1,90 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { UpcomingDeletion } from '@/lib/types';
+import { formatDate } from '@/lib/utils';
+import { autoDeleteService } from '@/services/autoDeleteService';
+
+interface UpcomingDeletionsProps {
+  baseSlug: string;
+  days?: number;
+}
+
+export default function UpcomingDeletions({ baseSlug, days = 14 }: UpcomingDeletionsProps) {
+  const [items, setItems] = useState<UpcomingDeletion[]>([]);
+  const [expanded, setExpanded] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    autoDeleteService.getUpcomingDeletions(days)
+      .then(setItems)
+      .catch(err => setError((err as Error).message));
+  }, [days]);
+
+  if (error) {
+    return <div className="text-red-500 text-sm mb-4">{error}</div>;
+  }
+  if (items.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-[5px] shadow mb-6 p-4">
+      <button
+        type="button"
+        className="text-sm text-gray-700 hover:text-gray-900 flex items-center gap-1"
+        onClick={() => setExpanded(prev => !prev)}
+      >
+        <span>{expanded ? '▼' : '▶'}</span>
+        今後{days}日以内に削除予定のデータ：{items.length}件
+      </button>
+
+      {expanded && (
+        <div className="overflow-x-auto mt-3">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-100">
+                <th className="py-2 pr-4 font-medium">削除予定日時</th>
+                <th className="py-2 pr-4 font-medium">種別</th>
+                <th className="py-2 pr-4 font-medium">File ID</th>
+                <th className="py-2 pr-4 font-medium">スタッフID</th>
+                <th className="py-2 pr-4 font-medium">スタッフ名</th>
+                <th className="py-2 pr-4 font-medium">日付</th>
+                <th className="py-2 font-medium">理由</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {items.map(item => (
+                <tr key={`${item.type}-${item.id}`} className="text-gray-700">
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatDate(item.scheduledAt)}</td>
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-0.5 rounded-[5px] text-xs ${item.type === 'record' ? 'bg-indigo-50 text-indigo-600' : 'bg-green-50 text-green-600'}`}>
+                      {item.type === 'record' ? 'Record' : 'Follow'}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {item.reason === 'trash' ? (
+                      item.fileId
+                    ) : (
+                      <Link
+                        href={item.type === 'record'
+                          ? `/${baseSlug}/dashboard?recordId=${item.id}&panel=skillSheet`
+                          : `/${baseSlug}/follow?followId=${item.id}`}
+                        className="text-indigo-600 hover:underline"
+                      >
+                        {item.fileId}
+                      </Link>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">{item.staffId}</td>
+                  <td className="py-2 pr-4">{item.staffName || '-'}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatDate(item.date)}</td>
+                  <td className="py-2">{item.reason === 'trash' ? 'ゴミ箱' : '保存期間'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
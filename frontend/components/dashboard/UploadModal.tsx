@@ -6,11 +6,19 @@ interface UploadModalProps {
   uploadStatus: UploadStatus;
   isVisible: boolean;
   onClose: () => void;
+  // Cancels the running job (cancel button hidden when omitted)
+  onCancel?: () => void;
+  isCancelling?: boolean;
 }
 
-export default function UploadModal({ uploadStatus, isVisible, onClose }: UploadModalProps) {
+export default function UploadModal({ uploadStatus, isVisible, onClose, onCancel, isCancelling = false }: UploadModalProps) {
   // Don't show if not visible or nothing to show
-  if (!isVisible || (!uploadStatus.isUploading && uploadStatus.progress !== 'complete' && uploadStatus.progress !== 'error')) {
+  if (!isVisible || (
+    !uploadStatus.isUploading &&
+    uploadStatus.progress !== 'complete' &&
+    uploadStatus.progress !== 'error' &&
+    uploadStatus.progress !== 'cancelled'
+  )) {
     return null;
   }
 
@@ -42,6 +50,13 @@ export default function UploadModal({ uploadStatus, isVisible, onClose }: Upload
                 </svg>
               </div>
             )}
+            {uploadStatus.progress === 'cancelled' && (
+              <div className="w-full h-full flex items-center justify-center bg-gray-100 rounded-full">
+                <svg className="w-10 h-10 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+                </svg>
+              </div>
+            )}
           </div>
 
           {/* Title */}
@@ -51,6 +66,7 @@ export default function UploadModal({ uploadStatus, isVisible, onClose }: Upload
             {uploadStatus.progress === 'processing' && '処理中...'}
             {uploadStatus.progress === 'complete' && '処理完了'}
             {uploadStatus.progress === 'error' && 'エラーが発生しました'}
+            {uploadStatus.progress === 'cancelled' && 'キャンセルしました'}
           </h3>
 
           {/* Progress Bar */}
@@ -101,10 +117,21 @@ export default function UploadModal({ uploadStatus, isVisible, onClose }: Upload
             onClick={onClose}
           >
             {uploadStatus.progress === 'complete' ? '完了' : 
-             uploadStatus.progress === 'error' ? '閉じる' : 
+             uploadStatus.progress === 'error' || uploadStatus.progress === 'cancelled' ? '閉じる' : 
              'バックグラウンドで続行'}
           </button>
 
+          {/* Cancel Button */}
+          {isProcessing && uploadStatus.jobId && onCancel && (
+            <button
+              className="mt-2 px-4 py-2 rounded text-sm text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+              onClick={onCancel}
+              disabled={isCancelling}
+            >
+              {isCancelling ? 'キャンセル中...' : '処理をキャンセル'}
+            </button>
+          )}
+
           {/* Background processing hint */}
           {isProcessing && (
             <p className="text-xs text-gray-400 mt-2">
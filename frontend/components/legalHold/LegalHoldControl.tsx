@@ -0,0 +1,127 @@
+'use client';
+
+import React, { useState } from 'react';
+import { LegalHold, LegalHoldTargetType } from '@/lib/types';
+import { legalHoldService } from '@/services/legalHoldService';
+
+interface LegalHoldControlProps {
+  targetType: LegalHoldTargetType;
+  targetId: number;
+  // Active hold placed directly on this target (null when none)
+  hold: LegalHold | null;
+  // Held through the staff member rather than directly
+  inheritedHold?: boolean;
+  canManage: boolean;
+  onChange: () => void;
+}
+
+const LegalHoldControl: React.FC<LegalHoldControlProps> = ({
+  targetType,
+  targetId,
+  hold,
+  inheritedHold = false,
+  canManage,
+  onChange,
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleCreate = async () => {
+    if (!reason.trim()) return;
+    setBusy(true);
+    try {
+      await legalHoldService.createHold(targetType, targetId, reason.trim());
+      setEditing(false);
+      setReason('');
+      onChange();
+    } catch (err) {
+      alert((err as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRelease = async () => {
+    if (!hold || !window.confirm('リーガルホールドを解除しますか？解除後は保存期間に従って自動削除されます。')) return;
+    setBusy(true);
+    try {
+      await legalHoldService.releaseHold(hold.id);
+      onChange();
+    } catch (err) {
+      alert((err as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (hold) {
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="px-2 py-0.5 rounded-[5px] bg-amber-50 text-amber-700" title={hold.reason}>
+          リーガルホールド中
+        </span>
+        <span className="text-gray-500">
+          {hold.reason}（{hold.createdByName || '-'} / {hold.createdAt}）
+        </span>
+        {canManage && (
+          <button
+            type="button"
+            className="px-2 py-1 rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"
+            disabled={busy}
+            onClick={handleRelease}
+          >
+            解除
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (inheritedHold) {
+    return (
+      <span className="px-2 py-0.5 rounded-[5px] bg-amber-50 text-amber-700 text-xs">
+        リーガルホールド中（スタッフ単位）
+      </span>
+    );
+  }
+
+  if (!canManage) return null;
+
+  return editing ? (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <input
+        className="px-2 py-1 rounded-[5px] border border-gray-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-100 text-gray-700 w-64"
+        placeholder="理由（必須）"
+        value={reason}
+        onChange={e => setReason(e.target.value)}
+      />
+      <button
+        type="button"
+        className="px-2 py-1 rounded bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
+        disabled={busy || !reason.trim()}
+        onClick={handleCreate}
+      >
+        設定
+      </button>
+      <button
+        type="button"
+        className="px-2 py-1 rounded border border-gray-200 hover:bg-gray-50"
+        disabled={busy}
+        onClick={() => setEditing(false)}
+      >
+        キャンセル
+      </button>
+    </div>
+  ) : (
+    <button
+      type="button"
+      className="px-2 py-1 text-xs rounded border border-gray-200 text-gray-600 hover:bg-gray-50"
+      onClick={() => setEditing(true)}
+    >
+      リーガルホールド
+    </button>
+  );
+};
+
+export default LegalHoldControl;
@@ -0,0 +1,51 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { deletionNoticeService } from '@/services/deletionNoticeService';
+
+interface DeletionNoticeBannerProps {
+  baseSlug: string;
+}
+
+// Shown until dismissed when the auto-delete job has warned the user about their uploads
+export default function DeletionNoticeBanner({ baseSlug }: DeletionNoticeBannerProps) {
+  const [count, setCount] = useState(0);
+  const [days, setDays] = useState(0);
+
+  useEffect(() => {
+    deletionNoticeService.getNotices()
+      .then(data => {
+        setDays(data.days);
+        setCount(data.items.filter(item => item.notifiedAt && !item.dismissed).length);
+      })
+      .catch(() => setCount(0));
+  }, []);
+
+  const handleDismiss = async () => {
+    try {
+      await deletionNoticeService.dismiss();
+      setCount(0);
+    } catch {
+      // Keep the banner; it can be dismissed again later
+    }
+  };
+
+  if (count === 0) return null;
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center justify-between gap-3 rounded-[5px] border border-amber-300 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+      <span>
+        アップロードしたデータのうち{count}件が{days}日以内に自動削除されます。必要なデータは削除前にダウンロードしてください。
+      </span>
+      <div className="flex items-center gap-3">
+        <Link href={`/${baseSlug}/deletion-notices`} className="font-medium text-indigo-600 hover:underline">
+          削除予定データを確認
+        </Link>
+        <button type="button" onClick={handleDismiss} className="text-amber-700 hover:text-amber-900">
+          閉じる
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { useAuth } from '@/contexts/AuthContext';
+import { DeletionNotice } from '@/lib/types';
+import { formatDate } from '@/lib/utils';
+import { deletionNoticeService } from '@/services/deletionNoticeService';
+
+export default function DeletionNoticeList() {
+  const { user } = useAuth();
+  const [items, setItems] = useState<DeletionNotice[]>([]);
+  const [days, setDays] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+
+  const baseSlug = user?.role === 'admin' ? 'admin' : (user?.company?.slug || 'default');
+
+  useEffect(() => {
+    deletionNoticeService.getNotices()
+      .then(data => {
+        setItems(data.items);
+        setDays(data.days);
+      })
+      .catch(error => toast.error((error as Error).message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleDownloadAll = async () => {
+    try {
+      setDownloading(true);
+      await deletionNoticeService.downloadAll();
+    } catch (error) {
+      toast.error((error as Error).message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">削除予定のデータ</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            あなたがアップロードしたデータのうち、{days}日以内に保存期間を過ぎて自動削除されるものです。
+          </p>
+        </div>
+        <button
+          onClick={handleDownloadAll}
+          disabled={downloading || items.length === 0}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50"
+        >
+          {downloading ? 'ダウンロード中...' : 'すべてダウンロード'}
+        </button>
+      </div>
+
+      <div className="bg-white rounded-[5px] shadow p-4">
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : items.length === 0 ? (
+          <div className="text-center text-gray-500 py-8">削除予定のデータはありません</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">削除予定日時</th>
+                  <th className="py-2 pr-4 font-medium">種別</th>
+                  <th className="py-2 pr-4 font-medium">File ID</th>
+                  <th className="py-2 pr-4 font-medium">スタッフID</th>
+                  <th className="py-2 pr-4 font-medium">スタッフ名</th>
+                  <th className="py-2 font-medium">日付</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {items.map(item => (
+                  <tr key={`${item.type}-${item.id}`} className="text-gray-700">
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatDate(item.scheduledAt)}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-[5px] text-xs ${item.type === 'record' ? 'bg-indigo-50 text-indigo-600' : 'bg-green-50 text-green-600'}`}>
+                        {item.type === 'record' ? 'Record' : 'Follow'}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <Link
+                        href={item.type === 'record'
+                          ? `/${baseSlug}/dashboard?recordId=${item.id}&panel=skillSheet`
+                          : `/${baseSlug}/follow?followId=${item.id}`}
+                        className="text-indigo-600 hover:underline"
+                      >
+                        {item.fileId}
+                      </Link>
+                    </td>
+                    <td className="py-2 pr-4">{item.staffId}</td>
+                    <td className="py-2 pr-4">{item.staffName || '-'}</td>
+                    <td className="py-2 whitespace-nowrap">{formatDate(item.date)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import Pagination from '@/components/molecules/pagination';
+import { useAuth } from '@/contexts/AuthContext';
+import { PaginationInfo, SearchResult, SearchSnippet, SearchType } from '@/lib/types';
+import { formatDate } from '@/lib/utils';
+import { searchService } from '@/services/searchService';
+
+const FIELD_LABELS: { [key in SearchSnippet['field']]: string } = {
+  stt: '文字起こし',
+  lor: 'スタッフ対応メモ',
+  hope: '希望条件',
+  summary: 'サマリー',
+};
+
+// Which record sidebar to open for a snippet field (stt has no sidebar, so it opens the skill sheet)
+const RECORD_PANEL_BY_FIELD: { [key in SearchSnippet['field']]?: string } = {
+  stt: 'skillSheet',
+  lor: 'lor',
+  hope: 'salesforce',
+};
+
+export default function TranscriptSearch() {
+  const { user } = useAuth();
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState<SearchType>('all');
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo | null>(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const baseSlug = user?.role === 'admin' ? 'admin' : (user?.company?.slug || 'default');
+
+  const runSearch = async (q: string, searchType: SearchType, page: number, limit: number) => {
+    if (!q.trim()) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await searchService.search(q.trim(), searchType, limit, (page - 1) * limit);
+      setResults(response.results);
+      setPagination(response.pagination);
+      setSubmittedQuery(q.trim());
+    } catch (err) {
+      setError((err as Error).message);
+      setResults([]);
+      setPagination(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    runSearch(query, type, 1, rowsPerPage);
+  };
+
+  const handlePageChange = (page: number) => {
+    setCurrentPage(page);
+    runSearch(submittedQuery, type, page, rowsPerPage);
+  };
+
+  const handleRowsPerPageChange = (rows: number) => {
+    setRowsPerPage(rows);
+    setCurrentPage(1);
+    runSearch(submittedQuery, type, 1, rows);
+  };
+
+  const getResultHref = (result: SearchResult) => {
+    if (result.type === 'follow') {
+      return `/${baseSlug}/follow?followId=${result.id}`;
+    }
+    const panel = RECORD_PANEL_BY_FIELD[result.snippets[0]?.field] || 'skillSheet';
+    return `/${baseSlug}/dashboard?recordId=${result.id}&panel=${panel}`;
+  };
+
+  return (
+    <div className="bg-white rounded-[5px] shadow">
+      <div className="p-4 sm:p-6 lg:p-8">
+        <h2 className="text-lg sm:text-xl font-semibold rounded-[5px] mb-6">Search</h2>
+
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3 mb-6">
+          <div className="relative flex-1 min-w-[240px]">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Image src="/search.svg" alt="Search" width={16} height={16} className="text-gray-400" />
+            </div>
+            <input
+              type="text"
+              placeholder="面談で話された内容を検索（スペース区切りでAND検索）"
+              className="pl-10 pr-4 py-2 rounded-[5px] border border-gray-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-100 text-gray-700 w-full shadow-sm"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+            />
+          </div>
+          <select
+            className="px-3 py-2 rounded-[5px] border border-gray-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-100 text-gray-700 text-sm shadow-sm"
+            value={type}
+            onChange={e => setType(e.target.value as SearchType)}
+          >
+            <option value="all">すべて</option>
+            <option value="records">Records</option>
+            <option value="follows">Follow</option>
+          </select>
+          <button
+            type="submit"
+            disabled={loading || !query.trim()}
+            className="px-4 py-2 rounded-[5px] bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition disabled:opacity-50"
+          >
+            検索
+          </button>
+        </form>
+
+        {error && <div className="text-red-500 text-sm mb-4">{error}</div>}
+
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">検索中...</div>
+        ) : submittedQuery && results.length === 0 && !error ? (
+          <div className="text-center py-8">No results found</div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {results.map(result => (
+              <li key={`${result.type}-${result.id}`} className="py-4">
+                <Link href={getResultHref(result)} className="block hover:bg-gray-50 rounded-[5px] px-2 py-1">
+                  <div className="flex flex-wrap items-center gap-x-3 text-sm text-gray-500 mb-2">
+                    <span className={`px-2 py-0.5 rounded-[5px] text-xs ${result.type === 'record' ? 'bg-indigo-50 text-indigo-600' : 'bg-green-50 text-green-600'}`}>
+                      {result.type === 'record' ? 'Record' : 'Follow'}
+                    </span>
+                    <span className="font-medium text-gray-700">{result.staffId}</span>
+                    {result.staffName && <span>{result.staffName}</span>}
+                    <span>{formatDate(result.date)}</span>
+                    {result.userName && <span>{result.userName}</span>}
+                  </div>
+                  {result.snippets.map(snippet => (
+                    <div key={snippet.field} className="text-sm text-gray-700 mb-1">
+                      <span className="text-xs text-gray-400 mr-2">{FIELD_LABELS[snippet.field]}</span>
+                      {snippet.segments.map((segment, index) =>
+                        segment.match ? (
+                          <mark key={index} className="bg-yellow-200 rounded-sm px-0.5">{segment.text}</mark>
+                        ) : (
+                          <span key={index}>{segment.text}</span>
+                        )
+                      )}
+                    </div>
+                  ))}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {pagination && pagination.total > 0 && (
+        <Pagination
+          totalItems={pagination.total}
+          currentPage={currentPage}
+          rowsPerPage={rowsPerPage}
+          onPageChange={handlePageChange}
+          onRowsPerPageChange={handleRowsPerPageChange}
+        />
+      )}
+    </div>
+  );
+}
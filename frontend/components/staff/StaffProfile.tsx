@@ -0,0 +1,260 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import LegalHoldControl from '@/components/legalHold/LegalHoldControl';
+import { LegalHold, Staff, StaffTimelineItem } from '@/lib/types';
+import { formatDate } from '@/lib/utils';
+import { legalHoldService } from '@/services/legalHoldService';
+import { staffService } from '@/services/staffService';
+
+interface StaffProfileProps {
+  staffRefId: number;
+}
+
+interface CareerEntry {
+  from?: string;
+  to?: string;
+  'company name'?: string;
+  'work content'?: string;
+}
+
+const inputClassName =
+  'px-3 py-2 rounded-[5px] border border-gray-200 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-100 text-gray-700 text-sm shadow-sm';
+
+// Skill sheets are stored as JSON ({ key: career entry }), possibly wrapped in a ```json fence
+const parseCareers = (skillSheet: string | null): CareerEntry[] => {
+  if (!skillSheet) return [];
+  try {
+    const parsed = JSON.parse(skillSheet.replace(/```json\n?|\n?```/g, '').trim());
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return [];
+    return Object.values(parsed).filter(
+      (value): value is CareerEntry => !!value && typeof value === 'object' && !Array.isArray(value)
+    );
+  } catch {
+    return [];
+  }
+};
+
+export default function StaffProfile({ staffRefId }: StaffProfileProps) {
+  const { user } = useAuth();
+  const [staff, setStaff] = useState<Staff | null>(null);
+  const [timeline, setTimeline] = useState<StaffTimelineItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [editing, setEditing] = useState(false);
+  const [nameInput, setNameInput] = useState('');
+  const [accountIdInput, setAccountIdInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [holds, setHolds] = useState<LegalHold[]>([]);
+
+  const baseSlug = user?.role === 'admin' ? 'admin' : (user?.company?.slug || 'default');
+  const canManageHolds = user?.role === 'admin' || user?.role === 'company-manager';
+  const staffHold = holds.find(hold => hold.targetType === 'staff') || null;
+  const findHold = (item: StaffTimelineItem) =>
+    holds.find(hold => hold.targetType === item.type && hold.targetId === item.id) || null;
+
+  const loadHolds = () => {
+    legalHoldService.getHolds(staffRefId)
+      .then(setHolds)
+      .catch(err => console.error('Error fetching legal holds:', err));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    staffService.getStaffProfile(staffRefId)
+      .then(response => {
+        if (cancelled) return;
+        setStaff(response.staff);
+        setTimeline(response.timeline);
+      })
+      .catch(err => {
+        if (!cancelled) setError((err as Error).message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    loadHolds();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [staffRefId]);
+
+  const handleEdit = () => {
+    if (!staff) return;
+    setNameInput(staff.name || '');
+    setAccountIdInput(staff.salesforceAccountId || '');
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    if (!staff) return;
+    setSaving(true);
+    try {
+      const updated = await staffService.updateStaff(staff.id, {
+        name: nameInput.trim(),
+        salesforceAccountId: accountIdInput.trim() || null,
+      });
+      setStaff(updated);
+      setEditing(false);
+    } catch (err) {
+      alert((err as Error).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-500">読み込み中...</div>;
+  }
+  if (error || !staff) {
+    return <div className="text-center py-8 text-red-500">{error || 'スタッフが見つかりません'}</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-[5px] shadow p-4 sm:p-6 lg:p-8">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <div className="text-sm text-gray-500">Staff ID</div>
+            <h2 className="text-lg sm:text-xl font-semibold">{staff.staffId}</h2>
+          </div>
+          {!editing && (
+            <button
+              className="px-4 py-2 rounded-[5px] border border-gray-200 text-gray-600 text-sm hover:bg-gray-50 transition"
+              onClick={handleEdit}
+            >
+              編集
+            </button>
+          )}
+        </div>
+        {editing ? (
+          <div className="flex flex-wrap items-end gap-3 mt-4">
+            <label className="flex flex-col text-xs text-gray-500 gap-1">
+              Staff Name
+              <input className={`${inputClassName} w-48`} value={nameInput} onChange={e => setNameInput(e.target.value)} />
+            </label>
+            <label className="flex flex-col text-xs text-gray-500 gap-1">
+              Salesforce Account Id
+              <input className={`${inputClassName} w-56`} value={accountIdInput} onChange={e => setAccountIdInput(e.target.value)} />
+            </label>
+            <button
+              className="px-4 py-2 rounded-[5px] bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition disabled:opacity-50"
+              disabled={saving}
+              onClick={handleSave}
+            >
+              保存
+            </button>
+            <button
+              className="px-4 py-2 rounded-[5px] border border-gray-200 text-gray-600 text-sm hover:bg-gray-50 transition"
+              disabled={saving}
+              onClick={() => setEditing(false)}
+            >
+              キャンセル
+            </button>
+          </div>
+        ) : (
+          <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 text-sm">
+            <div>
+              <dt className="text-gray-500">Staff Name</dt>
+              <dd className="text-gray-800">{staff.name || '-'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Salesforce Account Id</dt>
+              <dd className="text-gray-800">{staff.salesforceAccountId || '-'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Records / Follow</dt>
+              <dd className="text-gray-800">
+                {timeline.filter(item => item.type === 'record').length} / {timeline.filter(item => item.type === 'follow').length}
+              </dd>
+            </div>
+          </dl>
+        )}
+        <div className="mt-4">
+          <LegalHoldControl
+            targetType="staff"
+            targetId={staff.id}
+            hold={staffHold}
+            canManage={canManageHolds}
+            onChange={loadHolds}
+          />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-[5px] shadow p-4 sm:p-6 lg:p-8">
+        <h3 className="text-base font-semibold mb-4">Timeline</h3>
+        {timeline.length === 0 ? (
+          <div className="text-center py-8">No records found</div>
+        ) : (
+          <ol className="relative border-l border-gray-200 ml-2">
+            {timeline.map(item => (
+              <li key={`${item.type}-${item.id}`} className="mb-8 ml-6">
+                <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${item.type === 'record' ? 'bg-indigo-500' : 'bg-green-500'}`} />
+                <div className="flex flex-wrap items-center gap-x-3 text-sm text-gray-500 mb-2">
+                  <span className={`px-2 py-0.5 rounded-[5px] text-xs ${item.type === 'record' ? 'bg-indigo-50 text-indigo-600' : 'bg-green-50 text-green-600'}`}>
+                    {item.type === 'record' ? 'Record' : 'Follow'}
+                  </span>
+                  <span>{formatDate(item.date)}</span>
+                  {item.userName && <span>{item.userName}</span>}
+                  <Link
+                    href={item.type === 'record'
+                      ? `/${baseSlug}/dashboard?recordId=${item.id}&panel=skillSheet`
+                      : `/${baseSlug}/follow?followId=${item.id}`}
+                    className="text-indigo-600 hover:underline"
+                  >
+                    開く
+                  </Link>
+                  <LegalHoldControl
+                    targetType={item.type}
+                    targetId={item.id}
+                    hold={findHold(item)}
+                    inheritedHold={!!staffHold}
+                    canManage={canManageHolds}
+                    onChange={loadHolds}
+                  />
+                </div>
+                {item.type === 'record' ? (
+                  <div className="space-y-3 text-sm text-gray-700">
+                    <div>
+                      <div className="text-xs text-gray-400 mb-1">スキルシート</div>
+                      {parseCareers(item.skillSheet).length === 0 ? (
+                        <div className="text-gray-400">-</div>
+                      ) : (
+                        <ul className="space-y-1">
+                          {parseCareers(item.skillSheet).map((career, index) => (
+                            <li key={index}>
+                              <span className="text-gray-500 mr-2">{career.from || '?'}〜{career.to || ''}</span>
+                              <span className="font-medium">{career['company name']}</span>
+                              {career['work content'] && <span className="text-gray-500"> / {career['work content']}</span>}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-400 mb-1">スタッフ対応メモ</div>
+                      <div className="whitespace-pre-wrap">{item.lor || '-'}</div>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-sm text-gray-700">
+                    <div className="font-medium mb-1">
+                      {item.title || '-'}
+                      {item.followDate && <span className="text-gray-500 font-normal ml-2">{item.followDate}</span>}
+                    </div>
+                    <div className="whitespace-pre-wrap">{item.summary || '-'}</div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
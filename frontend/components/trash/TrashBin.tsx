@@ -0,0 +1,169 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Pagination from '@/components/molecules/pagination';
+import { useAuth } from '@/contexts/AuthContext';
+import { PaginationInfo, TrashEntityType, TrashItem } from '@/lib/types';
+import { formatDate } from '@/lib/utils';
+import { recordsService } from '@/services/recordsService';
+import { followService } from '@/services/followService';
+
+const TABS: { type: TrashEntityType; label: string }[] = [
+  { type: 'record', label: 'Records' },
+  { type: 'follow', label: 'Follow' },
+];
+
+export default function TrashBin() {
+  const { user } = useAuth();
+  const [type, setType] = useState<TrashEntityType>('record');
+  const [items, setItems] = useState<TrashItem[]>([]);
+  const [pagination, setPagination] = useState<PaginationInfo | null>(null);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [restoringId, setRestoringId] = useState<number | null>(null);
+
+  const loadTrash = async (entityType: TrashEntityType, page: number, limit: number) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const service = entityType === 'record' ? recordsService : followService;
+      const response = await service.getTrash(limit, (page - 1) * limit);
+      setItems(response.records);
+      setPagination(response.pagination);
+      setRetentionDays(response.retentionDays);
+    } catch (err) {
+      setError((err as Error).message);
+      setItems([]);
+      setPagination(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTrash(type, currentPage, rowsPerPage);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [type, currentPage, rowsPerPage]);
+
+  // Members can only restore records they uploaded (same rule as delete)
+  const canRestore = (item: TrashItem) =>
+    user?.role === 'admin' || user?.role === 'company-manager' || item.ownerId === user?.id;
+
+  const handleTabChange = (nextType: TrashEntityType) => {
+    setType(nextType);
+    setCurrentPage(1);
+  };
+
+  const handleRowsPerPageChange = (rows: number) => {
+    setRowsPerPage(rows);
+    setCurrentPage(1);
+  };
+
+  const handleRestore = async (item: TrashItem) => {
+    setRestoringId(item.id);
+    setError(null);
+    try {
+      if (type === 'record') {
+        await recordsService.restoreRecord(item.id);
+      } else {
+        await followService.restoreRecord(item.id);
+      }
+      await loadTrash(type, currentPage, rowsPerPage);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-[5px] shadow">
+      <div className="p-4 sm:p-6 lg:p-8">
+        <h2 className="text-lg sm:text-xl font-semibold rounded-[5px] mb-2">Trash</h2>
+        {retentionDays !== null && (
+          <p className="text-sm text-gray-500 mb-6">
+            削除したレコードは{retentionDays}日後に完全に削除されます。それまではここから復元できます。
+          </p>
+        )}
+
+        <div className="flex gap-2 mb-6">
+          {TABS.map(tab => (
+            <button
+              key={tab.type}
+              type="button"
+              onClick={() => handleTabChange(tab.type)}
+              className={`px-4 py-2 rounded-[5px] text-sm transition ${type === tab.type ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="text-red-500 text-sm mb-4">{error}</div>}
+
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">読み込み中...</div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-8">ゴミ箱は空です</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">日付</th>
+                  <th className="py-2 pr-4 font-medium">File ID</th>
+                  <th className="py-2 pr-4 font-medium">スタッフID</th>
+                  <th className="py-2 pr-4 font-medium">スタッフ名</th>
+                  <th className="py-2 pr-4 font-medium">アップロード</th>
+                  <th className="py-2 pr-4 font-medium">削除日時</th>
+                  <th className="py-2 pr-4 font-medium">完全削除予定</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {items.map(item => (
+                  <tr key={item.id} className="text-gray-700">
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatDate(item.date)}</td>
+                    <td className="py-2 pr-4">{item.fileId}</td>
+                    <td className="py-2 pr-4">{item.staffId}</td>
+                    <td className="py-2 pr-4">{item.staffName || '-'}</td>
+                    <td className="py-2 pr-4">{item.userName || '-'}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {formatDate(item.deletedAt)}
+                      {item.deletedByName && <span className="block text-xs text-gray-500">{item.deletedByName}</span>}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatDate(item.purgeAt)}</td>
+                    <td className="py-2 text-right">
+                      {canRestore(item) && (
+                        <button
+                          type="button"
+                          disabled={restoringId !== null}
+                          onClick={() => handleRestore(item)}
+                          className="px-4 py-2 rounded-[5px] bg-indigo-600 text-white text-sm hover:bg-indigo-700 transition disabled:opacity-50"
+                        >
+                          {restoringId === item.id ? '復元中...' : '復元'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      {pagination && pagination.total > 0 && (
+        <Pagination
+          totalItems={pagination.total}
+          currentPage={currentPage}
+          rowsPerPage={rowsPerPage}
+          onPageChange={setCurrentPage}
+          onRowsPerPageChange={handleRowsPerPageChange}
+        />
+      )}
+    </div>
+  );
+}
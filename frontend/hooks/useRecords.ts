@@ -1,8 +1,18 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { recordsService } from '@/services/recordsService';
-import { RecordSummary, PaginationInfo } from '@/lib/types';
+import { RecordSummary, RecordFilters, PaginationInfo, SortField, SortOrder } from '@/lib/types';
+
+export const useRecords = (
+  currentPage: number = 1,
+  rowsPerPage: number = 10,
+  filters: RecordFilters = {},
+  sortField: SortField = 'date',
+  sortOrder: SortOrder = 'desc'
+) => {
+  // Serialize filters so callers can pass a fresh object each render without refetch loops
+  const filtersKey = JSON.stringify(filters);
+  const activeFilters = useMemo<RecordFilters>(() => JSON.parse(filtersKey), [filtersKey]);
 
-export const useRecords = (currentPage: number = 1, rowsPerPage: number = 10) => {
   const [records, setRecords] = useState<RecordSummary[]>([]);
   const [pagination, setPagination] = useState<PaginationInfo | null>(null);
   const [loading, setLoading] = useState(true);
@@ -16,7 +26,7 @@ export const useRecords = (currentPage: number = 1, rowsPerPage: number = 10) =>
       const limitToFetch = limit ?? rowsPerPage;
       const offset = (pageToFetch - 1) * limitToFetch;
       
-      const response = await recordsService.getRecords(limitToFetch, offset);
+      const response = await recordsService.getRecords(limitToFetch, offset, activeFilters, sortField, sortOrder);
       setRecords(response.records);
       setPagination(response.pagination);
     } catch (err) {
@@ -26,7 +36,7 @@ export const useRecords = (currentPage: number = 1, rowsPerPage: number = 10) =>
     } finally {
       setLoading(false);
     }
-  }, [currentPage, rowsPerPage]);
+  }, [currentPage, rowsPerPage, activeFilters, sortField, sortOrder]);
 
   useEffect(() => {
     fetchRecords();
@@ -18,6 +18,17 @@ export class ApiException extends Error {
   }
 }
 
+// Response types returned as Blob (file downloads)
+const BLOB_CONTENT_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'application/octet-stream',
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument',
+  'application/x-subrip',
+  'text/vtt',
+];
+
 /**
  * Enhanced API call utility with proper error handling
  * Handles 401/403 errors with logout, retry logic, and consistent error messages
@@ -88,8 +99,8 @@ export const apiRequest = async <T = any>(
       return await response.json();
     }
 
-    // For blob responses (PDFs, ZIPs, etc.)
-    if (contentType && (contentType.includes('application/pdf') || contentType.includes('application/zip') || contentType.includes('application/octet-stream'))) {
+    // For blob responses (PDFs, ZIPs, CSV / Office documents, etc.)
+    if (contentType && BLOB_CONTENT_TYPES.some(type => contentType.includes(type))) {
       return await response.blob() as any;
     }
 
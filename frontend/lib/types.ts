@@ -25,6 +25,7 @@ export interface RecordSummary {
   date: string;
   fileId: string;
   staffId: string;
+  staffRefId?: number | null;
   staffName?: string;
   userName?: string;
   memo?: string | null;
@@ -49,9 +50,26 @@ export interface Record {
   hope?: string | null;
 }
 
+// Follow record (list fields; stt is never sent to the list)
+export interface FollowRecord {
+  id: number;
+  ownerId?: number;
+  date: string;
+  fileId: string;
+  staffId: string;
+  staffRefId?: number | null;
+  staffName: string;
+  followDate: string | null;
+  title: string;
+  summary: string | null;
+  salesforceEventId: string | null;
+  companyId?: number;
+  userName?: string;
+}
+
 export interface UploadStatus {
   isUploading: boolean;
-  progress: 'uploading' | 'transcribing' | 'processing' | 'complete' | 'error';
+  progress: 'uploading' | 'transcribing' | 'processing' | 'complete' | 'error' | 'cancelled';
   message: string;
   estimatedTime?: string;
   jobId?: number;
@@ -59,7 +77,7 @@ export interface UploadStatus {
 }
 
 // Processing job status for async upload
-export type ProcessingJobStatus = 'pending' | 'processing' | 'completed' | 'failed';
+export type ProcessingJobStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled';
 
 export interface ProcessingJob {
   jobId: number;
@@ -84,9 +102,33 @@ export interface UploadResponse {
   status: string;
 }
 
+// Server-side filters for the records list (GET /api/records)
+export interface RecordFilters {
+  staffId?: string;
+  staffName?: string;
+  userId?: string;
+  dateFrom?: string; // YYYY-MM-DD (JST)
+  dateTo?: string;   // YYYY-MM-DD (JST)
+  memo?: string;
+  qualityStatus?: '' | 'complete' | 'partial';
+}
+
+export interface Uploader {
+  id: number;
+  name: string;
+}
+
 export type SortField = 'date' | 'fileId' | 'userName';
 export type SortOrder = 'asc' | 'desc';
 
+// Tabular export (GET /api/records/export, /api/follow/export)
+export type ExportFormat = 'csv' | 'xlsx';
+
+export interface ExportColumn {
+  key: string;
+  label: string;
+}
+
 export interface AlertMessage {
   type: 'success' | 'error';
   message: string;
@@ -106,5 +148,264 @@ export interface PaginatedResponse<T> {
   pagination: PaginationInfo;
 }
 
+// Trash (GET /api/records/trash, GET /api/follow/trash)
+export type TrashEntityType = 'record' | 'follow';
+
+export interface TrashItem {
+  id: number;
+  ownerId: number;
+  date: string;
+  fileId: string;
+  staffId: string;
+  staffName?: string | null;
+  title?: string | null;
+  companyId: number | null;
+  userName: string | null;
+  deletedAt: string;
+  deletedByName: string | null;
+  purgeAt: string;
+}
+
+export interface TrashResponse extends PaginatedResponse<TrashItem> {
+  retentionDays: number;
+}
+
+// Per-company retention policy (GET/PUT /api/companies/:id/retention)
+// null = system default, 0 = never delete
+export interface RetentionValues {
+  recordsMonths: number | null;
+  followsMonths: number | null;
+  audioDays: number | null;
+}
+
+export interface RetentionPolicy {
+  companyId: number;
+  companyName: string;
+  settings: RetentionValues;
+  effective: { [key in keyof RetentionValues]: number };
+  defaults: { [key in keyof RetentionValues]: number };
+}
+
+// Record documents with an HTML preview (GET /api/records/:id/preview/:doc)
+export type RecordDocumentType = 'stt' | 'skill-sheet' | 'salesforce';
+
+// Subtitle formats of GET /api/records/:id/stt and /api/follow/:id/stt (?format=)
+export type SubtitleFormat = 'srt' | 'vtt';
+
+// One timed line of a transcript (seconds from the start of the audio; null when not timed)
+export interface TranscriptSegment {
+  start: number | null;
+  end: number | null;
+  text: string;
+  chunk: number;
+}
+
+// GET /api/records/:id/stt?format=json
+export interface Transcript {
+  fileId: string;
+  stt: string;
+  timed: boolean;
+  segments: TranscriptSegment[];
+}
+
+// GET /api/records/:id/audio-url (url carries a short-lived media token)
+export interface AudioUrl {
+  url: string;
+  expiresIn: number;
+}
+
+// Per-company skill sheet PDF template (GET/PUT/DELETE /api/companies/:id/skill-sheet-template)
+export type SkillSheetSectionKey = 'profile' | 'career' | 'languages' | 'qualifications' | 'skills';
+export type SkillSheetLogoPosition = 'none' | 'left' | 'center' | 'right';
+
+export interface SkillSheetSection {
+  key: SkillSheetSectionKey;
+  label: string;
+  visible: boolean;
+}
+
+export interface SkillSheetTemplate {
+  title: string;
+  headerText: string;
+  footerText: string;
+  logoPosition: SkillSheetLogoPosition;
+  nameLabel: string;
+  skillsHeading: string;
+  sections: SkillSheetSection[];
+}
+
+export interface SkillSheetTemplateSettings {
+  companyId: number;
+  companyName: string;
+  logo: string | null;
+  hasUsableLogo: boolean;
+  isDefault: boolean;
+  template: SkillSheetTemplate;
+  defaults: SkillSheetTemplate;
+}
+
+// Full-text search (GET /api/search)
+export type SearchType = 'all' | 'records' | 'follows';
+
+export interface SearchSnippetSegment {
+  text: string;
+  match: boolean;
+}
+
+export interface SearchSnippet {
+  field: 'stt' | 'lor' | 'hope' | 'summary';
+  segments: SearchSnippetSegment[];
+}
+
+export interface SearchResult {
+  type: 'record' | 'follow';
+  id: number;
+  fileId: string;
+  staffId: string;
+  staffName?: string;
+  userName?: string;
+  date: string;
+  score: number;
+  snippets: SearchSnippet[];
+}
+
+export interface SearchResponse {
+  results: SearchResult[];
+  terms: string[];
+  pagination: PaginationInfo;
+}
+
+// Staff entity (GET /api/staff)
+export interface Staff {
+  id: number;
+  companyId: number;
+  staffId: string;
+  name: string;
+  salesforceAccountId: string | null;
+  createdAt?: string;
+  recordCount?: number;
+  followCount?: number;
+}
+
+export type StaffTimelineItem =
+  | {
+      type: 'record';
+      id: number;
+      date: string;
+      fileId: string;
+      skillSheet: string | null;
+      lor: string | null;
+      skills: string | null;
+      userName?: string;
+    }
+  | {
+      type: 'follow';
+      id: number;
+      date: string;
+      fileId: string;
+      followDate: string | null;
+      title: string | null;
+      summary: string | null;
+      userName?: string;
+    };
+
+export interface StaffProfileResponse {
+  staff: Staff;
+  timeline: StaffTimelineItem[];
+}
+
+export interface StaffListResponse {
+  staff: Staff[];
+  pagination: PaginationInfo;
+}
+
+// Scheduled deletions (GET /api/jobs/auto-delete/upcoming)
+export interface UpcomingDeletion {
+  type: 'record' | 'follow';
+  id: number;
+  fileId: string;
+  staffId: string;
+  staffName: string | null;
+  date: string;
+  reason: 'retention' | 'trash';
+  scheduledAt: string;
+}
+
+// Deletion notices (GET /api/deletion-notices) - the current user's uploads due for auto-delete
+export interface DeletionNotice extends UpcomingDeletion {
+  notifiedAt: string | null;
+  dismissed: boolean;
+}
+
+export interface DeletionNoticesResponse {
+  days: number;
+  items: DeletionNotice[];
+}
+
+// Legal holds (GET /api/legal-holds) - held items are skipped by auto-delete
+export type LegalHoldTargetType = 'record' | 'follow' | 'staff';
+
+export interface LegalHold {
+  id: number;
+  companyId: number | null;
+  targetType: LegalHoldTargetType;
+  targetId: number;
+  staffId: string | null;
+  reason: string;
+  createdByName: string | null;
+  createdAt: string;
+  releasedByName: string | null;
+  releasedAt: string | null;
+}
+
+// Edit history (GET /api/records/:id/revisions, /api/follow/:id/revisions)
+export type RevisionEntityType = 'record' | 'follow';
+export type RevisionField = 'skill_sheet' | 'skills' | 'lor' | 'salesforce' | 'hope' | 'memo' | 'summary';
+
+export interface Revision {
+  id: number;
+  field: RevisionField;
+  source: 'ai' | 'user';
+  editorId: number | null;
+  editorName: string | null;
+  length?: number | null;
+  createdAt: string;
+  content?: string | null;
+}
+
+export interface RevisionDiffHunk {
+  type: 'equal' | 'added' | 'removed';
+  lines: string[];
+}
+
+export interface RevisionDiff {
+  field: RevisionField;
+  from: Revision;
+  to: Partial<Revision> & { current?: boolean };
+  hunks: RevisionDiffHunk[];
+}
+
 // Type alias for backward compatibility
+// Record generation prompts of a company (GET/PUT /api/records/prompts)
+export type GenerationPromptKey = 'skillsheet' | 'lor' | 'skills' | 'hope';
+export type GenerationPrompts = { [key in GenerationPromptKey]: string };
+
+// Stored version of a company prompt (content null = default prompt)
+export interface PromptVersion {
+  id: number;
+  promptKey: 'follow_summary' | GenerationPromptKey;
+  content: string | null;
+  editorId: number | null;
+  editorName: string | null;
+  restoredFrom: number | null;
+  createdAt: string;
+}
+
+// Result of a draft summary prompt run on a follow (POST /api/follow/prompt/test)
+export interface PromptTestResult {
+  summary: string;
+  currentSummary: string;
+  provider: string;
+}
+
 export type RecordDetail = Record;
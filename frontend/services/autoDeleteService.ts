@@ -0,0 +1,26 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { UpcomingDeletion } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Auto-delete API Service
+ * Preview of what the retention job will delete (admin and company-manager)
+ */
+export const autoDeleteService = {
+  /**
+   * Records and follows scheduled for deletion within the next N days
+   * @param days - Look-ahead in days (default: 14)
+   */
+  async getUpcomingDeletions(days: number = 14): Promise<UpcomingDeletion[]> {
+    try {
+      const response = await apiRequest<{ days: number; items: UpcomingDeletion[] }>(
+        `${API_URL}/api/jobs/auto-delete/upcoming?days=${days}`
+      );
+      return response.items;
+    } catch (error) {
+      throw new Error(handleApiError(error, '削除予定一覧の取得に失敗しました。'));
+    }
+  },
+};
@@ -0,0 +1,54 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { DeletionNoticesResponse } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Deletion Notice API Service
+ * Warnings for the current user's records and follows that are about to be auto-deleted
+ */
+export const deletionNoticeService = {
+  /**
+   * Records and follows uploaded by the current user that are due for deletion
+   */
+  async getNotices(): Promise<DeletionNoticesResponse> {
+    try {
+      return await apiRequest<DeletionNoticesResponse>(`${API_URL}/api/deletion-notices`);
+    } catch (error) {
+      throw new Error(handleApiError(error, '削除予定のお知らせの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Hide the banner for the current notices
+   */
+  async dismiss(): Promise<void> {
+    try {
+      await apiRequest(`${API_URL}/api/deletion-notices/dismiss`, {
+        method: 'POST',
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'お知らせの非表示に失敗しました。'));
+    }
+  },
+
+  /**
+   * Download every record and follow in the notice list as ZIP
+   */
+  async downloadAll(): Promise<void> {
+    try {
+      const blob = await apiRequest<Blob>(`${API_URL}/api/deletion-notices/download`);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `deletion-notices-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, '削除予定データのダウンロードに失敗しました。'));
+    }
+  },
+};
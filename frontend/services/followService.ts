@@ -1,5 +1,5 @@
 import { apiRequest, handleApiError } from '@/lib/api';
-import { ProcessingJob, UploadResponse, UploadStatus } from '@/lib/types';
+import { ExportFormat, FollowRecord, ProcessingJob, SortOrder, TrashResponse, UploadResponse, UploadStatus, SubtitleFormat, PromptVersion, PromptTestResult } from '@/lib/types';
 import { getApiBaseUrl } from '@/lib/apiBaseUrl';
 
 const API_URL = getApiBaseUrl();
@@ -13,6 +13,89 @@ const MAX_POLL_TIME = 600000; // 10 minutes
  * All follow-related API calls with proper error handling
  */
 export const followService = {
+  /**
+   * Download the follows list as CSV or Excel (same sort as the list)
+   * @param format - csv (UTF-8 with BOM) or xlsx
+   * @param columns - Column keys to include (all when empty)
+   */
+  async exportRecords(
+    format: ExportFormat,
+    columns: string[],
+    sort: string = 'date',
+    order: SortOrder = 'desc'
+  ): Promise<void> {
+    try {
+      const params = new URLSearchParams({ format, sort, order });
+      if (columns.length > 0) params.append('columns', columns.join(','));
+      const blob = await apiRequest<Blob>(`${API_URL}/api/follow/export?${params.toString()}`);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `follows-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'Followのエクスポートに失敗しました。'));
+    }
+  },
+
+  /**
+   * Fetch a single follow record (list fields)
+   */
+  async getRecordDetail(recordId: number): Promise<FollowRecord> {
+    try {
+      return await apiRequest<FollowRecord>(`${API_URL}/api/follow/${recordId}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'フォローの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Download the timed transcript as SRT or WebVTT subtitles
+   */
+  async downloadTranscript(recordId: number, fileId: string, format: SubtitleFormat): Promise<void> {
+    try {
+      const blob = await apiRequest<Blob>(`${API_URL}/api/follow/${recordId}/stt?format=${format}`);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `stt-${fileId}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, '字幕ファイルのダウンロードに失敗しました。'));
+    }
+  },
+
+  /**
+   * Fetch soft-deleted follow records (trash)
+   */
+  async getTrash(limit: number = 50, offset: number = 0): Promise<TrashResponse> {
+    try {
+      const params = new URLSearchParams({ limit: limit.toString(), offset: offset.toString() });
+      return await apiRequest<TrashResponse>(`${API_URL}/api/follow/trash?${params.toString()}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'ゴミ箱の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Restore a follow record from the trash
+   */
+  async restoreRecord(recordId: number): Promise<void> {
+    try {
+      await apiRequest(`${API_URL}/api/follow/${recordId}/restore`, {
+        method: 'POST',
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'フォローの復元に失敗しました。'));
+    }
+  },
+
   /**
    * Upload audio file (async - returns jobId immediately)
    */
@@ -76,19 +159,35 @@ export const followService = {
     }
   },
 
+  /**
+   * Cancel a pending or running processing job
+   */
+  async cancelJob(jobId: number): Promise<{ success: boolean; message: string }> {
+    try {
+      return await apiRequest<{ success: boolean; message: string }>(
+        `${API_URL}/api/follow/processing/jobs/${jobId}/cancel`,
+        { method: 'POST' }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, 'ジョブのキャンセルに失敗しました。'));
+    }
+  },
+
   /**
    * Poll job status until completion or failure
    * @param jobId - Job ID to poll
    * @param onProgress - Callback for progress updates
    * @param onComplete - Callback when job completes
    * @param onError - Callback on error
+   * @param onCancelled - Callback when the job was cancelled (reported through onError when omitted)
    * @returns Cleanup function to stop polling
    */
   pollJobStatus(
     jobId: number,
     onProgress: (job: ProcessingJob) => void,
     onComplete: (job: ProcessingJob) => void,
-    onError: (error: string) => void
+    onError: (error: string) => void,
+    onCancelled?: (job: ProcessingJob) => void
   ): () => void {
     let timeoutId: NodeJS.Timeout | null = null;
     let stopped = false;
@@ -114,6 +213,15 @@ export const followService = {
           return;
         }
 
+        if (job.status === 'cancelled') {
+          if (onCancelled) {
+            onCancelled(job);
+          } else {
+            onError('処理がキャンセルされました。');
+          }
+          return;
+        }
+
         // Check timeout
         if (Date.now() - startTime > MAX_POLL_TIME) {
           onError('処理がタイムアウトしました。');
@@ -170,6 +278,49 @@ export const followService = {
     }
   },
 
+  /**
+   * Get follow summary prompt versions, newest first (admin/company-manager only)
+   */
+  async getPromptVersions(): Promise<{ versions: PromptVersion[] }> {
+    try {
+      return await apiRequest<{ versions: PromptVersion[] }>(`${API_URL}/api/follow/prompt/versions`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプト履歴の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Roll the follow summary prompt back to a version (admin/company-manager only)
+   */
+  async rollbackPrompt(versionId: number): Promise<{ success: boolean; message: string; prompt: string }> {
+    try {
+      return await apiRequest<{ success: boolean; message: string; prompt: string }>(
+        `${API_URL}/api/follow/prompt/versions/${versionId}/rollback`,
+        { method: 'POST' }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプトの復元に失敗しました。'));
+    }
+  },
+
+  /**
+   * Run a draft summary prompt on a follow's transcript without saving (admin/company-manager only)
+   */
+  async testPrompt(prompt: string, followId: number): Promise<PromptTestResult> {
+    try {
+      return await apiRequest<PromptTestResult>(
+        `${API_URL}/api/follow/prompt/test`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ prompt, followId }),
+        }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプトのテスト実行に失敗しました。'));
+    }
+  },
+
   /**
    * Sync follow record to Salesforce (creates or updates Event)
    */
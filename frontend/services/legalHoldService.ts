@@ -0,0 +1,55 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { LegalHold, LegalHoldTargetType } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Legal Hold API Service
+ * Held records/follows (directly or through their staff member) are never auto-deleted
+ */
+export const legalHoldService = {
+  /**
+   * Get active legal holds
+   * @param staffRefId - Only holds on this staff member and their records/follows (optional)
+   */
+  async getHolds(staffRefId?: number): Promise<LegalHold[]> {
+    try {
+      const params = new URLSearchParams();
+      if (staffRefId) params.set('staffRefId', staffRefId.toString());
+      const query = params.toString();
+      const response = await apiRequest<{ holds: LegalHold[] }>(`${API_URL}/api/legal-holds${query ? `?${query}` : ''}`);
+      return response.holds;
+    } catch (error) {
+      throw new Error(handleApiError(error, 'リーガルホールドの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Place a legal hold (admin and company-manager)
+   */
+  async createHold(targetType: LegalHoldTargetType, targetId: number, reason: string): Promise<LegalHold> {
+    try {
+      const response = await apiRequest<{ success: boolean; hold: LegalHold }>(`${API_URL}/api/legal-holds`, {
+        method: 'POST',
+        body: JSON.stringify({ targetType, targetId, reason }),
+      });
+      return response.hold;
+    } catch (error) {
+      throw new Error(handleApiError(error, 'リーガルホールドの設定に失敗しました。'));
+    }
+  },
+
+  /**
+   * Release a legal hold (admin and company-manager)
+   */
+  async releaseHold(holdId: number): Promise<void> {
+    try {
+      await apiRequest(`${API_URL}/api/legal-holds/${holdId}/release`, {
+        method: 'POST',
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'リーガルホールドの解除に失敗しました。'));
+    }
+  },
+};
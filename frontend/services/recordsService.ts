@@ -1,5 +1,5 @@
 import { apiRequest, handleApiError } from '@/lib/api';
-import { Record, RecordSummary, PaginatedResponse, ProcessingJob, UploadResponse } from '@/lib/types';
+import { Record, RecordSummary, RecordFilters, Uploader, SortField, SortOrder, ExportFormat, PaginatedResponse, ProcessingJob, UploadResponse, TrashResponse, RecordDocumentType, SubtitleFormat, Transcript, AudioUrl, GenerationPromptKey, GenerationPrompts, PromptVersion } from '@/lib/types';
 import { getApiBaseUrl } from '@/lib/apiBaseUrl';
 
 const API_URL = getApiBaseUrl();
@@ -19,12 +19,26 @@ export const recordsService = {
    * Returns lightweight RecordSummary[] for list display
    * @param limit - Number of records per page (default: 50, max: 200)
    * @param offset - Number of records to skip (default: 0)
+   * @param filters - Optional server-side filters (empty values are ignored)
+   * @param sort - Server-side sort field (default: date)
+   * @param order - Sort order (default: desc)
    */
-  async getRecords(limit: number = 50, offset: number = 0): Promise<PaginatedResponse<RecordSummary>> {
+  async getRecords(
+    limit: number = 50,
+    offset: number = 0,
+    filters: RecordFilters = {},
+    sort: SortField = 'date',
+    order: SortOrder = 'desc'
+  ): Promise<PaginatedResponse<RecordSummary>> {
     try {
       const params = new URLSearchParams({
         limit: limit.toString(),
         offset: offset.toString(),
+        sort,
+        order,
+      });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value.trim());
       });
       return await apiRequest<PaginatedResponse<RecordSummary>>(`${API_URL}/api/records?${params.toString()}`);
     } catch (error) {
@@ -32,6 +46,50 @@ export const recordsService = {
     }
   },
 
+  /**
+   * Download the records list as CSV or Excel (same filters and sort as getRecords)
+   * @param format - csv (UTF-8 with BOM) or xlsx
+   * @param columns - Column keys to include (all when empty)
+   */
+  async exportRecords(
+    format: ExportFormat,
+    columns: string[],
+    filters: RecordFilters = {},
+    sort: SortField = 'date',
+    order: SortOrder = 'desc'
+  ): Promise<void> {
+    try {
+      const params = new URLSearchParams({ format, sort, order });
+      if (columns.length > 0) params.append('columns', columns.join(','));
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value.trim());
+      });
+      const blob = await apiRequest<Blob>(`${API_URL}/api/records/export?${params.toString()}`);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `records-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'レコードのエクスポートに失敗しました。'));
+    }
+  },
+
+  /**
+   * Fetch uploaders visible to the current user (for the uploader filter)
+   */
+  async getUploaders(): Promise<Uploader[]> {
+    try {
+      const response = await apiRequest<{ uploaders: Uploader[] }>(`${API_URL}/api/records/uploaders`);
+      return response.uploaders;
+    } catch (error) {
+      throw new Error(handleApiError(error, 'アップロードユーザーの取得に失敗しました。'));
+    }
+  },
+
   /**
    * Fetch full record detail including heavy fields (stt, skillSheet, salesforce, lor, etc.)
    * @param recordId - ID of the record to fetch
@@ -107,19 +165,90 @@ export const recordsService = {
     }
   },
 
+  /**
+   * Cancel a pending or running processing job
+   */
+  async cancelJob(jobId: number): Promise<{ success: boolean; message: string }> {
+    try {
+      return await apiRequest<{ success: boolean; message: string }>(
+        `${API_URL}/api/records/processing/jobs/${jobId}/cancel`,
+        { method: 'POST' }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, 'ジョブのキャンセルに失敗しました。'));
+    }
+  },
+
+  /**
+   * Get skill sheet / LoR / skills / hope generation prompts (admin/company-manager only)
+   */
+  async getPrompts(): Promise<{ prompts: GenerationPrompts }> {
+    try {
+      return await apiRequest<{ prompts: GenerationPrompts }>(`${API_URL}/api/records/prompts`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプトの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Update generation prompts (admin/company-manager only); an empty prompt reverts to the default
+   */
+  async updatePrompts(prompts: Partial<GenerationPrompts>): Promise<{ success: boolean; message: string }> {
+    try {
+      return await apiRequest<{ success: boolean; message: string }>(
+        `${API_URL}/api/records/prompts`,
+        {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ prompts }),
+        }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプトの更新に失敗しました。'));
+    }
+  },
+
+  /**
+   * Get generation prompt versions, newest first (admin/company-manager only)
+   */
+  async getPromptVersions(key?: GenerationPromptKey): Promise<{ versions: PromptVersion[] }> {
+    try {
+      const query = key ? `?key=${key}` : '';
+      return await apiRequest<{ versions: PromptVersion[] }>(`${API_URL}/api/records/prompts/versions${query}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプト履歴の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Roll a generation prompt back to a version (admin/company-manager only)
+   */
+  async rollbackPrompt(versionId: number): Promise<{ success: boolean; message: string; key: GenerationPromptKey; prompt: string }> {
+    try {
+      return await apiRequest<{ success: boolean; message: string; key: GenerationPromptKey; prompt: string }>(
+        `${API_URL}/api/records/prompts/versions/${versionId}/rollback`,
+        { method: 'POST' }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プロンプトの復元に失敗しました。'));
+    }
+  },
+
   /**
    * Poll job status until completion or failure
    * @param jobId - Job ID to poll
    * @param onProgress - Callback for progress updates
    * @param onComplete - Callback when job completes
    * @param onError - Callback on error
+   * @param onCancelled - Callback when the job was cancelled (reported through onError when omitted)
    * @returns Cleanup function to stop polling
    */
   pollJobStatus(
     jobId: number,
     onProgress: (job: ProcessingJob) => void,
     onComplete: (job: ProcessingJob) => void,
-    onError: (error: string) => void
+    onError: (error: string) => void,
+    onCancelled?: (job: ProcessingJob) => void
   ): () => void {
     let timeoutId: NodeJS.Timeout | null = null;
     let stopped = false;
@@ -145,6 +274,15 @@ export const recordsService = {
           return;
         }
 
+        if (job.status === 'cancelled') {
+          if (onCancelled) {
+            onCancelled(job);
+          } else {
+            onError('処理がキャンセルされました。');
+          }
+          return;
+        }
+
         // Check timeout
         if (Date.now() - startTime > MAX_POLL_TIME) {
           onError('処理がタイムアウトしました。');
@@ -269,6 +407,31 @@ export const recordsService = {
     }
   },
 
+  /**
+   * Fetch soft-deleted records (trash)
+   */
+  async getTrash(limit: number = 50, offset: number = 0): Promise<TrashResponse> {
+    try {
+      const params = new URLSearchParams({ limit: limit.toString(), offset: offset.toString() });
+      return await apiRequest<TrashResponse>(`${API_URL}/api/records/trash?${params.toString()}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'ゴミ箱の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Restore a record from the trash
+   */
+  async restoreRecord(recordId: number): Promise<void> {
+    try {
+      await apiRequest(`${API_URL}/api/records/${recordId}/restore`, {
+        method: 'POST',
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'レコードの復元に失敗しました。'));
+    }
+  },
+
   /**
    * Download STT as PDF
    */
@@ -288,6 +451,48 @@ export const recordsService = {
     }
   },
 
+  /**
+   * Download the timed transcript as SRT or WebVTT subtitles
+   */
+  async downloadTranscript(recordId: number, fileId: string, format: SubtitleFormat): Promise<void> {
+    try {
+      const blob = await apiRequest<Blob>(`${API_URL}/api/records/${recordId}/stt?format=${format}`);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `stt-${fileId}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, '字幕ファイルのダウンロードに失敗しました。'));
+    }
+  },
+
+  /**
+   * Get the transcript with its timed segments
+   */
+  async getTranscript(recordId: number): Promise<Transcript> {
+    try {
+      return await apiRequest<Transcript>(`${API_URL}/api/records/${recordId}/stt?format=json`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'STTデータの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Get a short-lived URL of the record audio stream (usable as <audio src>)
+   */
+  async getAudioUrl(recordId: number): Promise<AudioUrl> {
+    try {
+      const data = await apiRequest<AudioUrl>(`${API_URL}/api/records/${recordId}/audio-url`);
+      return { ...data, url: `${API_URL}${data.url}` };
+    } catch (error) {
+      throw new Error(handleApiError(error, '音声の取得に失敗しました。'));
+    }
+  },
+
   /**
    * Download Skill Sheet as PDF
    */
@@ -307,6 +512,37 @@ export const recordsService = {
     }
   },
 
+  /**
+   * HTML preview of a record document, rendered from the same model as its PDF
+   */
+  async getDocumentPreview(recordId: number, documentType: RecordDocumentType): Promise<string> {
+    try {
+      const response = await apiRequest<Response>(`${API_URL}/api/records/${recordId}/preview/${documentType}`);
+      return await response.text();
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プレビューの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Download Skill Sheet as Word (.docx)
+   */
+  async downloadSkillSheetDocx(recordId: number, fileId: string): Promise<void> {
+    try {
+      const blob = await apiRequest<Blob>(`${API_URL}/api/records/${recordId}/skill-sheet-docx`);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `skill-sheet-${fileId}.docx`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スキルシート（Word）のダウンロードに失敗しました。'));
+    }
+  },
+
   /**
    * Download Salesforce as PDF
    */
@@ -345,6 +581,34 @@ export const recordsService = {
     }
   },
 
+  /**
+   * Download many records as one ZIP (a folder per record)
+   * @param selection - Record ids, or the list filters (and sort) to select records by
+   * @param options.includeAudio - Add the raw audio of each record
+   * @param options.includeDocx - Add the skill sheet as Word (.docx) too
+   */
+  async downloadBulkZip(
+    selection: { ids: number[] } | { filters: RecordFilters & { sort?: SortField; order?: SortOrder } },
+    options: { includeAudio?: boolean; includeDocx?: boolean } = {}
+  ): Promise<void> {
+    try {
+      const blob = await apiRequest<Blob>(`${API_URL}/api/records/bulk-download`, {
+        method: 'POST',
+        body: JSON.stringify({ ...selection, ...options }),
+      });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bulk-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(handleApiError(error, '一括データのダウンロードに失敗しました。'));
+    }
+  },
+
   /**
    * Sync with Salesforce
    */
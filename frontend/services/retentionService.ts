@@ -0,0 +1,37 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { RetentionPolicy, RetentionValues } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Retention API Service
+ * Per-company retention periods used by the auto-delete job
+ */
+export const retentionService = {
+  /**
+   * Get a company's retention policy (company managers: own company only)
+   */
+  async getPolicy(companyId: number): Promise<RetentionPolicy> {
+    try {
+      return await apiRequest<RetentionPolicy>(`${API_URL}/api/companies/${companyId}/retention`);
+    } catch (error) {
+      throw new Error(handleApiError(error, '保存期間設定の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Update a company's retention policy
+   * @param values - null = system default, 0 = never delete
+   */
+  async updatePolicy(companyId: number, values: RetentionValues): Promise<RetentionPolicy> {
+    try {
+      return await apiRequest<RetentionPolicy>(`${API_URL}/api/companies/${companyId}/retention`, {
+        method: 'PUT',
+        body: JSON.stringify(values),
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, '保存期間設定の保存に失敗しました。'));
+    }
+  },
+};
@@ -0,0 +1,55 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { Revision, RevisionDiff, RevisionEntityType, RevisionField } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+const basePath = (entityType: RevisionEntityType, entityId: number) =>
+  `${API_URL}/api/${entityType === 'record' ? 'records' : 'follow'}/${entityId}/revisions`;
+
+/**
+ * Revision API Service
+ * Edit history of AI outputs and user edits on records and follows
+ */
+export const revisionService = {
+  /**
+   * List revisions (newest first, without content)
+   * @param fields - Restrict to these fields (default: all versioned fields of the entity)
+   */
+  async getRevisions(entityType: RevisionEntityType, entityId: number, fields: RevisionField[] = []): Promise<Revision[]> {
+    try {
+      const query = fields.length > 0 ? `?field=${encodeURIComponent(fields.join(','))}` : '';
+      const response = await apiRequest<{ revisions: Revision[] }>(`${basePath(entityType, entityId)}${query}`);
+      return response.revisions;
+    } catch (error) {
+      throw new Error(handleApiError(error, '編集履歴の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Diff a revision against another revision or the current value
+   * @param to - Revision ID, or 'current' (default)
+   */
+  async getDiff(entityType: RevisionEntityType, entityId: number, from: number, to: number | 'current' = 'current'): Promise<RevisionDiff> {
+    try {
+      const params = new URLSearchParams({ from: from.toString(), to: to.toString() });
+      return await apiRequest<RevisionDiff>(`${basePath(entityType, entityId)}/diff?${params.toString()}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, '差分の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Restore a revision (recorded as a new user revision)
+   */
+  async restoreRevision(entityType: RevisionEntityType, entityId: number, revisionId: number): Promise<{ field: RevisionField; content: string | null }> {
+    try {
+      return await apiRequest<{ success: boolean; field: RevisionField; content: string | null }>(
+        `${basePath(entityType, entityId)}/${revisionId}/restore`,
+        { method: 'POST' }
+      );
+    } catch (error) {
+      throw new Error(handleApiError(error, '復元に失敗しました。'));
+    }
+  },
+};
@@ -0,0 +1,32 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { SearchResponse, SearchType } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Search API Service
+ * Full-text search over record/follow transcripts and summaries
+ */
+export const searchService = {
+  /**
+   * Search records (stt, lor, hope) and follows (stt, summary)
+   * @param q - Search keywords (space separated, each at least 2 characters)
+   * @param type - Restrict to records or follows (default: all)
+   * @param limit - Number of results per page (default: 20, max: 100)
+   * @param offset - Number of results to skip (default: 0)
+   */
+  async search(q: string, type: SearchType = 'all', limit: number = 20, offset: number = 0): Promise<SearchResponse> {
+    try {
+      const params = new URLSearchParams({
+        q,
+        type,
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+      return await apiRequest<SearchResponse>(`${API_URL}/api/search?${params.toString()}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, '検索に失敗しました。'));
+    }
+  },
+};
@@ -0,0 +1,64 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { SkillSheetTemplate, SkillSheetTemplateSettings } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Skill Sheet Template API Service
+ * Per-company layout of the skill sheet PDF (title, header/footer, logo, sections)
+ */
+export const skillSheetTemplateService = {
+  /**
+   * Get a company's skill sheet template (company managers: own company only)
+   */
+  async getTemplate(companyId: number): Promise<SkillSheetTemplateSettings> {
+    try {
+      return await apiRequest<SkillSheetTemplateSettings>(`${API_URL}/api/companies/${companyId}/skill-sheet-template`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スキルシートテンプレートの取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Save a company's skill sheet template
+   */
+  async updateTemplate(companyId: number, template: SkillSheetTemplate): Promise<SkillSheetTemplateSettings> {
+    try {
+      return await apiRequest<SkillSheetTemplateSettings>(`${API_URL}/api/companies/${companyId}/skill-sheet-template`, {
+        method: 'PUT',
+        body: JSON.stringify(template),
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スキルシートテンプレートの保存に失敗しました。'));
+    }
+  },
+
+  /**
+   * Reset a company's skill sheet template to the default layout
+   */
+  async resetTemplate(companyId: number): Promise<SkillSheetTemplateSettings> {
+    try {
+      return await apiRequest<SkillSheetTemplateSettings>(`${API_URL}/api/companies/${companyId}/skill-sheet-template`, {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スキルシートテンプレートのリセットに失敗しました。'));
+    }
+  },
+
+  /**
+   * Render a preview PDF with an unsaved template
+   * @param recordId - A record of the company (sample data when omitted)
+   */
+  async preview(companyId: number, template: SkillSheetTemplate, recordId?: number): Promise<Blob> {
+    try {
+      return await apiRequest<Blob>(`${API_URL}/api/companies/${companyId}/skill-sheet-template/preview`, {
+        method: 'POST',
+        body: JSON.stringify({ template, recordId }),
+      });
+    } catch (error) {
+      throw new Error(handleApiError(error, 'プレビューの作成に失敗しました。'));
+    }
+  },
+};
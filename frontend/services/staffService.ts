@@ -0,0 +1,56 @@
+import { apiRequest, handleApiError } from '@/lib/api';
+import { Staff, StaffListResponse, StaffProfileResponse } from '@/lib/types';
+import { getApiBaseUrl } from '@/lib/apiBaseUrl';
+
+const API_URL = getApiBaseUrl();
+
+/**
+ * Staff API Service
+ * Staff entities that tie records and follows for the same person together
+ */
+export const staffService = {
+  /**
+   * Get staff list (company-scoped)
+   * @param q - Staff ID prefix or name (optional)
+   * @param limit - Number of staff per page (default: 20, max: 100)
+   * @param offset - Number of staff to skip (default: 0)
+   */
+  async getStaffList(q: string = '', limit: number = 20, offset: number = 0): Promise<StaffListResponse> {
+    try {
+      const params = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+      if (q) params.set('q', q);
+      return await apiRequest<StaffListResponse>(`${API_URL}/api/staff?${params.toString()}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スタッフ一覧の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Get staff profile with a chronological timeline of records and follows
+   */
+  async getStaffProfile(id: number): Promise<StaffProfileResponse> {
+    try {
+      return await apiRequest<StaffProfileResponse>(`${API_URL}/api/staff/${id}`);
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スタッフ情報の取得に失敗しました。'));
+    }
+  },
+
+  /**
+   * Update staff name / Salesforce Account Id
+   */
+  async updateStaff(id: number, data: { name?: string; salesforceAccountId?: string | null }): Promise<Staff> {
+    try {
+      const response = await apiRequest<{ success: boolean; staff: Staff }>(`${API_URL}/api/staff/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+      });
+      return response.staff;
+    } catch (error) {
+      throw new Error(handleApiError(error, 'スタッフ情報の更新に失敗しました。'));
+    }
+  },
+};